@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Initial schema.
+ *
+ * Databases created before migrations existed already hold these tables,
+ * without constraints. Their rows are moved into the constrained tables and
+ * rows that would violate the constraints are dropped.
+ */
+
+const tables = {
+    users: {
+        create: `CREATE TABLE users (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+name TEXT NOT NULL,
+identifier TEXT NOT NULL UNIQUE
+)`,
+        copy: `INSERT OR IGNORE INTO users (id, name, identifier)
+SELECT id, name, identifier FROM legacy_users`
+    },
+    sessions: {
+        create: `CREATE TABLE sessions (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+key TEXT NOT NULL UNIQUE
+)`,
+        copy: `INSERT OR IGNORE INTO sessions (id, userId, key)
+SELECT id, userId, key FROM legacy_sessions WHERE userId IN (SELECT id FROM users)`
+    },
+    chats: {
+        create: `CREATE TABLE chats (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+key TEXT NOT NULL,
+content TEXT NOT NULL
+)`,
+        copy: `INSERT INTO chats (id, key, content)
+SELECT id, key, content FROM legacy_chats`
+    },
+    identity_keys: {
+        create: `CREATE TABLE identity_keys (
+userId INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+publicKey TEXT NOT NULL
+)`,
+        copy: `INSERT INTO identity_keys (userId, publicKey)
+SELECT userId, publicKey FROM legacy_identity_keys WHERE userId IN (SELECT id FROM users)`
+    },
+    signed_prekeys: {
+        create: `CREATE TABLE signed_prekeys (
+userId INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+keyId INTEGER NOT NULL,
+publicKey TEXT NOT NULL,
+signature TEXT NOT NULL
+)`,
+        copy: `INSERT INTO signed_prekeys (userId, keyId, publicKey, signature)
+SELECT userId, keyId, publicKey, signature FROM legacy_signed_prekeys WHERE userId IN (SELECT id FROM users)`
+    },
+    one_time_prekeys: {
+        create: `CREATE TABLE one_time_prekeys (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+keyId INTEGER NOT NULL,
+publicKey TEXT NOT NULL,
+UNIQUE (userId, keyId)
+)`,
+        copy: `INSERT OR IGNORE INTO one_time_prekeys (id, userId, keyId, publicKey)
+SELECT id, userId, keyId, publicKey FROM legacy_one_time_prekeys WHERE userId IN (SELECT id FROM users)`
+    },
+    challenges: {
+        create: `CREATE TABLE challenges (
+nonce TEXT PRIMARY KEY,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+expiresAt INTEGER NOT NULL
+)`,
+        copy: `INSERT INTO challenges (nonce, userId, expiresAt)
+SELECT nonce, userId, expiresAt FROM legacy_challenges WHERE userId IN (SELECT id FROM users)`
+    },
+    audit_log: {
+        create: `CREATE TABLE audit_log (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+action TEXT NOT NULL,
+keyId TEXT,
+ip TEXT,
+status INTEGER NOT NULL,
+createdAt INTEGER NOT NULL
+)`,
+        copy: `INSERT INTO audit_log (id, action, keyId, ip, status, createdAt)
+SELECT id, action, keyId, ip, status, createdAt FROM legacy_audit_log`
+    }
+};
+
+const indexes = [
+    `CREATE INDEX chats_key ON chats (key)`,
+    `CREATE INDEX sessions_userId ON sessions (userId)`,
+    `CREATE INDEX one_time_prekeys_userId ON one_time_prekeys (userId)`,
+    `CREATE INDEX challenges_expiresAt ON challenges (expiresAt)`
+];
+
+export const up = (database) => {
+    const existing = new Set(database
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+        .pluck()
+        .all());
+
+    Object.entries(tables).forEach(([name, { create, copy }]) => {
+        if (existing.has(name)) {
+            database.prepare(`ALTER TABLE ${name} RENAME TO legacy_${name}`).run();
+            database.prepare(create).run();
+            database.prepare(copy).run();
+            database.prepare(`DROP TABLE legacy_${name}`).run();
+        } else {
+            database.prepare(create).run();
+        }
+    });
+
+    indexes.forEach((sql) => database.prepare(sql).run());
+};
+
+export const down = Object.keys(tables)
+    .reverse()
+    .map((name) => `DROP TABLE IF EXISTS ${name}`);
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Message expiry.
+ *
+ * Every chat row gets an `expiresAt` timestamp that the sweeper purges on, and
+ * conversations can override the default time to live. Rows stored before this
+ * migration expire one day after it runs.
+ */
+
+export const up = [
+    `ALTER TABLE chats ADD COLUMN expiresAt INTEGER`,
+    `UPDATE chats SET expiresAt = CAST(strftime('%s', 'now') AS INTEGER) * 1000 + 86400000`,
+    `CREATE INDEX chats_expiresAt ON chats (expiresAt)`,
+    `CREATE TABLE conversation_retention (
+key TEXT PRIMARY KEY,
+ttl INTEGER NOT NULL
+)`
+];
+
+export const down = [
+    `DROP TABLE conversation_retention`,
+    `DROP INDEX chats_expiresAt`,
+    `ALTER TABLE chats DROP COLUMN expiresAt`
+];
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Rate limit counters.
+ *
+ * Fixed-window hit counters of the SQLite rate limit store, keyed by policy and
+ * client, so limits survive restarts and hold across processes.
+ */
+
+export const up = [
+    `CREATE TABLE rate_limits (
+key TEXT PRIMARY KEY,
+hits INTEGER NOT NULL,
+resetAt INTEGER NOT NULL
+)`,
+    `CREATE INDEX rate_limits_resetAt ON rate_limits (resetAt)`
+];
+
+export const down = [
+    `DROP TABLE rate_limits`
+];
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Group conversations.
+ *
+ * A conversation owns a chat key and a list of members. Messages sent to it are
+ * stored once and every member keeps a read cursor, so a message is only purged
+ * once each member has read it or it expires.
+ */
+
+export const up = [
+    `CREATE TABLE conversations (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+key TEXT NOT NULL UNIQUE,
+name TEXT,
+createdAt INTEGER NOT NULL
+)`,
+    `CREATE TABLE conversation_members (
+conversationId INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+lastReadId INTEGER NOT NULL DEFAULT 0,
+joinedAt INTEGER NOT NULL,
+PRIMARY KEY (conversationId, userId)
+)`,
+    `CREATE INDEX conversation_members_userId ON conversation_members (userId)`,
+    `ALTER TABLE chats ADD COLUMN senderId INTEGER REFERENCES users (id) ON DELETE SET NULL`
+];
+
+export const down = [
+    `ALTER TABLE chats DROP COLUMN senderId`,
+    `DROP TABLE conversation_members`,
+    `DROP TABLE conversations`
+];
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Devices.
+ *
+ * Every user can register several devices, each signing its own challenges with
+ * a device key. Conversation messages are queued once per recipient device so
+ * every device drains its own copy. Existing users get a `primary` device using
+ * their identity key.
+ */
+
+export const up = [
+    `CREATE TABLE devices (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+deviceId TEXT NOT NULL,
+name TEXT,
+publicKey TEXT NOT NULL,
+createdAt INTEGER NOT NULL,
+lastSeenAt INTEGER,
+revokedAt INTEGER,
+UNIQUE (userId, deviceId)
+)`,
+    `CREATE TABLE device_queue (
+deviceId INTEGER NOT NULL REFERENCES devices (id) ON DELETE CASCADE,
+chatId INTEGER NOT NULL REFERENCES chats (id) ON DELETE CASCADE,
+PRIMARY KEY (deviceId, chatId)
+)`,
+    `CREATE INDEX device_queue_chatId ON device_queue (chatId)`,
+    `INSERT INTO devices (userId, deviceId, name, publicKey, createdAt)
+SELECT userId, 'primary', 'Primary device', publicKey, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM identity_keys`
+];
+
+export const down = [
+    `DROP TABLE device_queue`,
+    `DROP TABLE devices`
+];
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Attachments.
+ *
+ * Encrypted blobs uploaded in chunks. The row tracks how many bytes arrived so
+ * an interrupted upload can resume, and expires like the messages that
+ * reference it.
+ */
+
+export const up = [
+    `CREATE TABLE attachments (
+id TEXT PRIMARY KEY,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+size INTEGER NOT NULL,
+received INTEGER NOT NULL DEFAULT 0,
+checksum TEXT NOT NULL,
+status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'complete')),
+createdAt INTEGER NOT NULL,
+expiresAt INTEGER NOT NULL
+)`,
+    `CREATE INDEX attachments_userId ON attachments (userId)`,
+    `CREATE INDEX attachments_expiresAt ON attachments (expiresAt)`
+];
+
+export const down = [
+    `DROP TABLE attachments`
+];
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Delivery and read receipts.
+ *
+ * One row per message and recipient, recording when it was delivered and read.
+ * Receipts outlive the message rows, which are deleted once read, and expire
+ * with the message they describe. Users can opt out of sending read receipts.
+ */
+
+export const up = [
+    `CREATE TABLE receipts (
+chatId INTEGER NOT NULL,
+senderId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+recipientId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+deliveredAt INTEGER NOT NULL,
+readAt INTEGER,
+expiresAt INTEGER NOT NULL,
+PRIMARY KEY (chatId, recipientId)
+)`,
+    `CREATE INDEX receipts_senderId ON receipts (senderId, chatId)`,
+    `CREATE INDEX receipts_expiresAt ON receipts (expiresAt)`,
+    `ALTER TABLE users ADD COLUMN readReceipts INTEGER NOT NULL DEFAULT 1`
+];
+
+export const down = [
+    `ALTER TABLE users DROP COLUMN readReceipts`,
+    `DROP TABLE receipts`
+];
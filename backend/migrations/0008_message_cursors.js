@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Message cursors.
+ *
+ * Messages are fetched in pages after a message id or a point in time, so every
+ * row records when it was sent. Rows stored before this migration count as sent
+ * when it runs.
+ */
+
+export const up = [
+    `ALTER TABLE chats ADD COLUMN createdAt INTEGER`,
+    `UPDATE chats SET createdAt = CAST(strftime('%s', 'now') AS INTEGER) * 1000`,
+    `DROP INDEX chats_key`,
+    `CREATE INDEX chats_key ON chats (key, id)`
+];
+
+export const down = [
+    `DROP INDEX chats_key`,
+    `CREATE INDEX chats_key ON chats (key)`,
+    `ALTER TABLE chats DROP COLUMN createdAt`
+];
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Invite tokens.
+ *
+ * Server-generated replacement for the self-chosen `/create` keys. Tokens are
+ * only stored hashed, expire, can be revoked and accept a limited number of
+ * claims. Every claim starts a chat of its own under a server-generated key.
+ */
+
+export const up = [
+    `CREATE TABLE invites (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+tokenHash TEXT NOT NULL UNIQUE,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+maxUses INTEGER NOT NULL DEFAULT 1,
+uses INTEGER NOT NULL DEFAULT 0,
+createdAt INTEGER NOT NULL,
+expiresAt INTEGER NOT NULL,
+revokedAt INTEGER
+)`,
+    `CREATE INDEX invites_userId ON invites (userId)`,
+    `CREATE INDEX invites_expiresAt ON invites (expiresAt)`,
+    `CREATE TABLE invite_claims (
+inviteId INTEGER NOT NULL REFERENCES invites (id) ON DELETE CASCADE,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+key TEXT NOT NULL UNIQUE,
+claimedAt INTEGER NOT NULL,
+PRIMARY KEY (inviteId, userId)
+)`
+];
+
+export const down = [
+    `DROP TABLE invite_claims`,
+    `DROP TABLE invites`
+];
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Sealed-sender mailboxes.
+ *
+ * A recipient registers mailbox ids of its own choosing, rotated per
+ * conversation, together with the hash of a delivery token it shares with
+ * its peer inside the encrypted chat. Senders deliver to a mailbox with that
+ * token only, so sealed messages store neither a sender nor a chat key.
+ */
+
+export const up = [
+    `CREATE TABLE mailboxes (
+id TEXT PRIMARY KEY,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+tokenHash TEXT NOT NULL,
+createdAt INTEGER NOT NULL,
+expiresAt INTEGER NOT NULL
+)`,
+    `CREATE INDEX mailboxes_userId ON mailboxes (userId)`,
+    `CREATE INDEX mailboxes_expiresAt ON mailboxes (expiresAt)`,
+    `CREATE TABLE sealed_messages (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+mailboxId TEXT NOT NULL REFERENCES mailboxes (id) ON DELETE CASCADE,
+content TEXT NOT NULL,
+createdAt INTEGER NOT NULL,
+expiresAt INTEGER NOT NULL
+)`,
+    `CREATE INDEX sealed_messages_mailboxId ON sealed_messages (mailboxId)`,
+    `CREATE INDEX sealed_messages_expiresAt ON sealed_messages (expiresAt)`
+];
+
+export const down = [
+    `DROP TABLE sealed_messages`,
+    `DROP TABLE mailboxes`
+];
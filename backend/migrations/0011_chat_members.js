@@ -0,0 +1,32 @@
+/**
+ * @fileoverview One-to-one chat members.
+ *
+ * One-to-one chat keys belong to the users who created and claimed them,
+ * through `/create` and `/claim` or an invite, and nobody else may use them.
+ * Existing sessions, invite claims and the senders of stored messages are
+ * recorded as the members of their keys.
+ */
+
+export const up = [
+    `CREATE TABLE chat_members (
+key TEXT NOT NULL,
+userId INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+joinedAt INTEGER NOT NULL,
+PRIMARY KEY (key, userId)
+)`,
+    `CREATE INDEX chat_members_userId ON chat_members (userId)`,
+    `INSERT OR IGNORE INTO chat_members (key, userId, joinedAt)
+SELECT key, userId, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM sessions`,
+    `INSERT OR IGNORE INTO chat_members (key, userId, joinedAt)
+SELECT invite_claims.key, invite_claims.userId, invite_claims.claimedAt FROM invite_claims`,
+    `INSERT OR IGNORE INTO chat_members (key, userId, joinedAt)
+SELECT invite_claims.key, invites.userId, invite_claims.claimedAt
+FROM invite_claims JOIN invites ON invites.id = invite_claims.inviteId`,
+    `INSERT OR IGNORE INTO chat_members (key, userId, joinedAt)
+SELECT DISTINCT key, senderId, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM chats
+WHERE senderId IS NOT NULL AND key NOT IN (SELECT key FROM conversations)`
+];
+
+export const down = [
+    `DROP TABLE chat_members`
+];
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Device queues for one-to-one chats.
+ *
+ * One-to-one messages are queued once per recipient device, like conversation
+ * messages, instead of sharing one row the first device deletes. Messages
+ * stored before this migration are queued for every active device of every
+ * member of their chat but their sender.
+ */
+
+export const up = [
+    `INSERT OR IGNORE INTO device_queue (deviceId, chatId)
+SELECT devices.id, chats.id FROM chats
+JOIN chat_members ON chat_members.key = chats.key AND chat_members.userId IS NOT chats.senderId
+JOIN devices ON devices.userId = chat_members.userId AND devices.revokedAt IS NULL
+WHERE chats.key NOT IN (SELECT key FROM conversations)`
+];
+
+export const down = [
+    `DELETE FROM device_queue WHERE chatId IN (
+SELECT id FROM chats WHERE key NOT IN (SELECT key FROM conversations)
+)`
+];
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Disk storage for encrypted attachments.
+ *
+ * Clients encrypt attachments before uploading them, so the server only ever
+ * stores opaque blobs. A blob is written to `<id>.part` chunk by chunk and
+ * renamed to `<id>.bin` once its checksum matches the one announced up front.
+ *
+ * @require crypto - The Node.js crypto module.
+ * @require fs - The Node.js file system module.
+ * @require path - The Node.js path module.
+*/
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * @class Attachments
+ * @classdesc A class storing attachment blobs on local disk.
+ * @property {string} directory - The directory blobs are stored in.
+ * @property {number} chunkSize - The largest chunk accepted in a single upload request.
+ * @property {number} maxSize - The largest blob accepted.
+ * @property {number} quota - The most bytes a single user may have stored at once.
+ */
+class Attachments {
+    /**
+     * Constructor for the Attachments class.
+     * @constructor
+     * @description Create a new instance of the Attachments class.
+     * @param {Object} options - Configuration options for the storage.
+     * @param {string} options.directory - The directory blobs are stored in.
+     * @param {number} [options.chunkSize] - The largest chunk accepted in a single upload request.
+     * @param {number} [options.maxSize] - The largest blob accepted.
+     * @param {number} [options.quota] - The most bytes a single user may have stored at once.
+     * @memberof Attachments
+     * @returns {Attachments}
+     */
+    constructor({ directory, chunkSize = 512 * 1024, maxSize = 25 * 1024 * 1024, quota = 100 * 1024 * 1024 }) {
+        this.directory = directory;
+        this.chunkSize = chunkSize;
+        this.maxSize = maxSize;
+        this.quota = quota;
+    }
+
+    /**
+     * Generate a new attachment id.
+     * @public
+     * @static
+     * @memberof Attachments
+     * @returns {string}
+     */
+    static id() {
+        return crypto.randomBytes(16).toString("hex");
+    }
+
+    /**
+     * Return the path of a blob.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {boolean} [complete] - Whether the upload is complete.
+     * @returns {string}
+     */
+    file = (id, complete = true) => {
+        return path.join(this.directory, `${id}.${complete ? "bin" : "part"}`);
+    };
+
+    /**
+     * Append a chunk to an unfinished blob.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {Buffer} chunk - The chunk to append.
+     * @returns {Promise<void>}
+     */
+    append = async (id, chunk) => {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.appendFile(this.file(id, false), chunk);
+    };
+
+    /**
+     * Finish an upload once the blob matches its announced checksum.
+     * @public
+     * @description Removes the blob when the checksum does not match.
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {string} checksum - The hex SHA-256 digest announced by the client.
+     * @returns {Promise<boolean>} Whether the checksum matched.
+     */
+    complete = async (id, checksum) => {
+        const part = this.file(id, false);
+        const hash = crypto.createHash("sha256");
+
+        for await (const chunk of fs.createReadStream(part))
+            hash.update(chunk);
+
+        if (hash.digest("hex") !== checksum.toLowerCase()) {
+            await fs.promises.rm(part, { force: true });
+            return false;
+        }
+
+        await fs.promises.rename(part, this.file(id));
+        return true;
+    };
+
+    /**
+     * Remove a blob, finished or not.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    remove = (id) => {
+        fs.rmSync(this.file(id), { force: true });
+        fs.rmSync(this.file(id, false), { force: true });
+    };
+}
+
+/**
+ * @module Attachments
+ * @description A module for the Attachments class.
+ * @exports Attachments
+ * @see {@link Attachments}
+ */
+export default Attachments;
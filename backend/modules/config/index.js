@@ -6,20 +6,74 @@
  * @requires http-status-codes
  * @requires cors
  * @requires express
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires Attachments
+ * @requires Settings
  */
 import Joi from "joi";
 import cors from "cors";
 import helmet from "helmet";
 import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
 import { StatusCodes } from 'http-status-codes';
+import Attachments from "./attachments.js";
+import Settings from "./settings.js";
 
 class Module {
+    /**
+     * @private
+     * @description Build the schema of an integer kept within bounds taken from the settings.
+     * The bounds are read as each value is validated, since the schemas below are built before
+     * the constructor stores the settings.
+     * @memberof Config
+     * @param {Function} bounds - A function returning the `min` and `max` of the integer.
+     * @returns {Object}
+     */
+    #within = (bounds) => Joi.number().integer().custom((value, helpers) => {
+        const { min, max } = bounds();
+
+        if (value < min)
+            return helpers.error("number.min", { limit: min });
+
+        return value > max ? helpers.error("number.max", { limit: max }) : value;
+    });
+
     #keySchema = Joi.object({
         key: Joi.string().required()
     });
 
+    #preKeySchema = Joi.object({
+        keyId: Joi.number().integer().min(0).required(),
+        publicKey: Joi.string().base64().max(1024).required()
+    });
+
+    #signedPreKeySchema = this.#preKeySchema.keys({
+        signature: Joi.string().base64().max(1024).required()
+    });
+
     #createUserSchema = Joi.object({
         name: Joi.string().required(),
+        identifier: Joi.string().required(),
+        identityKey: Joi.string().base64().max(1024).required(),
+        signedPreKey: this.#signedPreKeySchema.required(),
+        oneTimePreKeys: Joi.array().items(this.#preKeySchema).max(100).default([])
+    });
+
+    #publishPreKeysSchema = Joi.object({
+        identifier: Joi.string().required(),
+        signedPreKey: this.#signedPreKeySchema,
+        oneTimePreKeys: Joi.array().items(this.#preKeySchema).max(100).default([])
+    }).or("signedPreKey", "oneTimePreKeys");
+
+    #bundleSchema = Joi.object({
+        identifier: Joi.string().required()
+    });
+
+    #identitySchema = Joi.object({
         identifier: Joi.string().required()
     });
 
@@ -32,16 +86,338 @@ class Module {
         identifier: Joi.string().required()
     });
 
+    #createInviteSchema = Joi.object({
+        ttl: this.#within(() => ({ min: 60, max: this.settings.invites.maxTtl })).default(() => this.settings.invites.ttl),
+        maxUses: this.#within(() => ({ min: 1, max: this.settings.invites.maxUses })).default(1)
+    });
+
+    #claimInviteSchema = Joi.object({
+        token: Joi.string().pattern(/^[\w-]{32}$/).required()
+    });
+
+    #inviteIdSchema = Joi.object({
+        id: Joi.number().integer().min(1).required()
+    });
+
+    #subscribeSchema = Joi.object({
+        action: Joi.string().valid("subscribe", "unsubscribe").required(),
+        token: Joi.string().required(),
+        keys: Joi.array().items(Joi.string()).min(1).required()
+    });
+
+    #challengeSchema = Joi.object({
+        identifier: Joi.string().required()
+    });
+
+    #restoreSchema = Joi.object({
+        name: Joi.string().pattern(/^[\w.-]+\.db$/).required()
+    });
+
+    #tokenSchema = Joi.object({
+        identifier: Joi.string().required(),
+        nonce: Joi.string().base64().required(),
+        signature: Joi.string().base64().max(1024).required(),
+        device: Joi.string().pattern(/^[\w.-]{1,64}$/)
+    });
+
+    #attachmentSchema = Joi.object({
+        size: this.#within(() => ({ min: 1, max: this.settings.attachments.maxSize })).required(),
+        checksum: Joi.string().hex().length(64).required(),
+        key: Joi.string(),
+        ttl: this.#within(() => this.settings.retention)
+    });
+
+    #attachmentIdSchema = Joi.object({
+        id: Joi.string().hex().length(32).required()
+    });
+
+    #chunkSchema = Joi.object({
+        offset: Joi.number().integer().min(0).required()
+    });
+
     #messageSchema = Joi.object({
         content: Joi.string().required(),
         key: Joi.string().required(),
-        userId: Joi.number()
+        ttl: this.#within(() => this.settings.retention)
+    });
+
+    #receiveSchema = Joi.object({
+        key: Joi.string().required(),
+        after: Joi.number().integer().min(0).default(0),
+        since: Joi.number().integer().min(0).default(0),
+        limit: Joi.number().integer().min(1).max(500).default(100)
+    });
+
+    #ackSchema = Joi.object({
+        key: Joi.string().required(),
+        ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(500).required()
+    });
+
+    #mailboxSchema = Joi.object({
+        mailbox: Joi.string().pattern(/^[\w-]{22}$/).required(),
+        tokenHash: Joi.string().hex().length(64).required(),
+        ttl: this.#within(() => ({ min: 60, max: this.settings.mailboxes.maxTtl })).default(() => this.settings.mailboxes.ttl)
+    });
+
+    #sealedSchema = Joi.object({
+        mailbox: Joi.string().pattern(/^[\w-]{22}$/).required(),
+        token: Joi.string().pattern(/^[\w-]{43}$/).required(),
+        content: Joi.string().required(),
+        ttl: this.#within(() => this.settings.retention)
+    });
+
+    #sealedReceiveSchema = Joi.object({
+        mailbox: Joi.string().pattern(/^[\w-]{22}$/).required(),
+        after: Joi.number().integer().min(0).default(0),
+        limit: Joi.number().integer().min(1).max(500).default(100)
+    });
+
+    #sealedAckSchema = Joi.object({
+        mailbox: Joi.string().pattern(/^[\w-]{22}$/).required(),
+        ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(500).required()
+    });
+
+    #retentionSchema = Joi.object({
+        key: Joi.string().required(),
+        ttl: this.#within(() => this.settings.retention).allow(null).required()
+    });
+
+    #conversationSchema = Joi.object({
+        name: Joi.string().max(100),
+        members: Joi.array().items(Joi.string()).max(100).default([])
+    });
+
+    #membersSchema = Joi.object({
+        key: Joi.string().required(),
+        identifiers: Joi.array().items(Joi.string()).min(1).max(100).required()
+    });
+
+    #memberSchema = Joi.object({
+        key: Joi.string().required(),
+        identifier: Joi.string().required()
+    });
+
+    #deviceSchema = Joi.object({
+        deviceId: Joi.string().pattern(/^[\w.-]{1,64}$/).required(),
+        name: Joi.string().max(100),
+        publicKey: Joi.string().base64().max(1024).required()
+    });
+
+    #revokeSchema = Joi.object({
+        deviceId: Joi.string().required()
+    });
+
+    #receiptsSchema = Joi.object({
+        ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(500).required()
+    });
+
+    #settingsSchema = Joi.object({
+        readReceipts: Joi.boolean()
+    });
+
+    #userResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            id: Joi.number().integer().required(),
+            name: Joi.string().required(),
+            identifier: Joi.string().required()
+        }).required()
+    });
+
+    #identityResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            identifier: Joi.string().required(),
+            identityKey: Joi.string().required()
+        }).required()
+    });
+
+    #bundleResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            identifier: Joi.string().required(),
+            identityKey: Joi.string().required(),
+            signedPreKey: Joi.object({
+                keyId: Joi.number().integer().required(),
+                publicKey: Joi.string().required(),
+                signature: Joi.string().required()
+            }).allow(null).required(),
+            oneTimePreKey: Joi.object({
+                keyId: Joi.number().integer().required(),
+                publicKey: Joi.string().required()
+            }).allow(null).required()
+        }).required()
+    });
+
+    #messageResponseSchema = Joi.object({
+        id: Joi.number().integer().required(),
+        key: Joi.string().required(),
+        content: Joi.string().required(),
+        sender: Joi.string().allow(null).required(),
+        sentAt: Joi.number().integer().allow(null).required(),
+        expiresAt: Joi.number().integer().required()
+    });
+
+    #messagesResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            messages: Joi.array().items(this.#messageResponseSchema).required(),
+            cursor: Joi.number().integer().required(),
+            more: Joi.boolean().required()
+        }).required()
+    });
+
+    #sealedMessagesResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            messages: Joi.array().items(Joi.object({
+                id: Joi.number().integer().required(),
+                content: Joi.string().required(),
+                sentAt: Joi.number().integer().required(),
+                expiresAt: Joi.number().integer().required()
+            })).required(),
+            cursor: Joi.number().integer().required(),
+            more: Joi.boolean().required()
+        }).required()
+    });
+
+    #tokenResponseSchema = Joi.object({
+        response: Joi.string().required(),
+        data: Joi.object({
+            token: Joi.string().required(),
+            expiresAt: Joi.number().integer().required()
+        }).required()
     });
 
     #config = {
+        logging: {},
+        monitoring: {
+            live: "/health/live",
+            ready: "/health/ready",
+            metrics: "/metrics",
+            checks: {
+                attachments: () => {
+                    fs.mkdirSync(this.#attachments.directory, { recursive: true });
+                    fs.accessSync(this.#attachments.directory, fs.constants.W_OK);
+                }
+            },
+            gauges: {
+                pending_messages: {
+                    help: "Messages stored and not yet acknowledged, by queue.",
+                    collect: (database) => [
+                        {
+                            labels: { queue: "mailbox" },
+                            value: database.chats.pending()
+                        },
+                        {
+                            labels: { queue: "device" },
+                            value: database.devices.pending()
+                        },
+                        {
+                            labels: { queue: "sealed" },
+                            value: database.mailboxes.pending()
+                        }
+                    ]
+                }
+            }
+        },
+        authentication: {
+            methods: ["post", "put"],
+            // Sealed deliveries authenticate with the delivery token of the mailbox, never with the sender's identity.
+            exclude: ["/signup", "/challenge", "/token", "/sealed/send"]
+        },
+        admin: {
+            audit: (database, req, res) => {
+                database.audit.record({
+                    action: `${req.method} ${req.baseUrl}${req.path}`,
+                    keyId: req.admin ? req.admin.key : null,
+                    ip: req.ip,
+                    status: res.statusCode
+                });
+            },
+            endpoints: {
+                get: {
+                    ["/counts"]: (database, req, res) => {
+                        res.status(StatusCodes.OK).send({
+                            response: "Row counts",
+                            data: database.counts()
+                        });
+                    },
+                    ["/snapshots"]: (_, req, res) => {
+                        const names = fs.existsSync(this.#snapshots)
+                            ? fs.readdirSync(this.#snapshots).filter((name) => name.endsWith(".db")).sort()
+                            : [];
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Snapshots found",
+                            data: names
+                        });
+                    }
+                },
+                post: {
+                    ["/snapshot"]: async (database, req, res) => {
+                        const name = `snapshot-${new Date().toISOString().replace(/[:.]/g, "-")}.db`;
+
+                        fs.mkdirSync(this.#snapshots, { recursive: true });
+                        await database.snapshot(path.join(this.#snapshots, name));
+
+                        res.status(StatusCodes.CREATED).send({
+                            response: "Snapshot created successfully",
+                            data: { name }
+                        });
+                    },
+                    ["/restore"]: {
+                        schema: { body: this.#restoreSchema },
+                        handler: (database, req, res) => {
+                            const file = path.join(this.#snapshots, req.body.name);
+
+                            if (!fs.existsSync(file)) {
+                                return res.status(StatusCodes.NOT_FOUND).send({
+                                    error: "Not Found",
+                                    details: "Snapshot not found.",
+                                });
+                            }
+
+                            // The audit log records what happened to the data, so it is never rolled back,
+                            // and the schema version must keep matching the schema actually in place.
+                            const tables = database.restore(file, ["audit_log", "schema_migrations"]);
+
+                            res.status(StatusCodes.OK).send({
+                                response: "Snapshot restored successfully",
+                                data: { tables }
+                            });
+                        }
+                    },
+                    ["/purge"]: (database, req, res) => {
+                        res.status(StatusCodes.OK).send({
+                            response: "Expired data purged successfully",
+                            data: database.sweep()
+                        });
+                    }
+                }
+            }
+        },
+        sweeper: {
+            tasks: {
+                chats: (database, now) => database.chats.purgeExpired(now),
+                challenges: (database, now) => database.users.purgeExpired(now),
+                rate_limits: (database, now) => database.rateLimits.purgeExpired(now),
+                receipts: (database, now) => database.receipts.purgeExpired(now),
+                sealed_messages: (database, now) => database.mailboxes.purgeExpired(now),
+                // Messages delivered just before a mailbox expired are kept until they expire themselves.
+                mailboxes: (database, now) => database.mailboxes.expire(now - this.settings.retention.max * 1000),
+                // Claims keep the keys of the chats they started, so they outlive their invite for a while.
+                invites: (database, now) => database.invites.expire(now - this.settings.invites.maxTtl * 1000),
+                attachments: (database, now) => {
+                    const expired = database.attachments.expire(now);
+
+                    expired.forEach((id) => this.#attachments.remove(id));
+
+                    return expired.length;
+                }
+            }
+        },
         limiter: {
-            windowMs: 1 * 15 * 1000,
-            limit: 10,
             standardHeaders: 'draft-7',
             legacyHeaders: false,
             message: "Too many requests",
@@ -49,50 +425,20 @@ class Module {
                 res.status(options.statusCode).send({
                     message: options.message,
                     status: options.statusCode
-                }),
-            keyGenerator: (req) => {
-                return req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-            }
-        },
-        callback: (req, res) => {
-            res.on('send', () => {
-                console.log('Response sent', res.statusCode, res.statusMessage);
-            });
-
-            res.on('close', () => {
-                console.log('Response closed', res.statusCode, res.statusMessage);
-            });
-
-            res.on('finish', () => {
-                console.log('Request finished', res.statusCode, res.statusMessage);
-            });
-
-            res.on('error', (err) => {
-                console.error('Response error', err.message);
-            });
-
-            res.on('timeout', () => {
-                console.error('Response timeout');
-            });
-
-            res.on('end', () => {
-                console.log('Response ended');
-            });
+                })
         },
         middleware: () => {
             this.server.app.use(helmet());
             this.server.app.disable('x-powered-by');
             this.server.app.set('trust proxy', 1);
-            this.server.app.use(cors());
+            this.server.app.use(cors({
+                origin: this.settings.cors.origins.includes("*") ? "*" : this.settings.cors.origins,
+                credentials: this.settings.cors.credentials
+            }));
             this.server.app.use(express.json());
             this.server.app.use(express.urlencoded({ extended: true }));
-            this.server.app.use((req, _, next) => {
-                req.requestTime = Date.now()
-                next()
-            });
-            
         },
-        afterware: (_, res) => {
+        afterware: (_, res, next) => {
             const headersToRemove = [
                 'X-Powered-By', 'Server', 'Date', 'Connection',
                 'Access-Control-Allow-Methods', 'Access-Control-Allow-Headers',
@@ -110,120 +456,316 @@ class Module {
                 res.removeHeader(header);
             });
 
-            res.status(StatusCodes.NOT_ACCEPTABLE).send({
-                error: "Method Not Allowed"
-            });
+            next();
+        },
+        sockets: {
+            subscribe: (database, client, message) => {
+                const { error, value } = this.#subscribeSchema.validate(message);
+
+                if (error) {
+                    return database.socket.send(client, {
+                        error: "Invalid request",
+                        details: error.details[0].message,
+                    });
+                }
+
+                const auth = database.tokens.verify(value.token);
+
+                if (!auth) {
+                    return database.socket.send(client, {
+                        error: "Unauthorized",
+                        details: "Invalid or expired token.",
+                    });
+                }
+
+                const device = this.#device(database, auth);
+                const conversations = new Map(value.keys.map((key) => [key, database.conversations.find(key)]));
+                const keys = value.keys.filter((key) => {
+                    const conversation = conversations.get(key);
+
+                    return device && (conversation
+                        ? database.conversations.membership(conversation, auth.sub)
+                        : database.chats.member(key, auth.sub));
+                });
+
+                if (keys.length < value.keys.length) {
+                    database.socket.send(client, {
+                        error: "Forbidden",
+                        details: "Not a member of every chat.",
+                    });
+                }
+
+                keys.forEach((key) => database.socket.subscribe(client, this.#channel(conversations.get(key), key, device)));
+
+                // Receipts for the user's own messages are pushed on a channel of its own.
+                client.userId = auth.sub;
+                database.socket.subscribe(client, `user:${auth.sub}`);
+
+                database.socket.send(client, {
+                    response: "Subscribed successfully",
+                    keys,
+                });
+
+                // Flush the messages that were stored before the client subscribed. They stay stored until the client
+                // acknowledges them through /ack, so a connection dropping mid-push loses nothing.
+                keys.forEach((key) => {
+                    const chats = database.chats.unread(key, device);
+
+                    if (chats.length > 0)
+                        database.socket.send(client, { event: "message", key, messages: chats.map((chat) => this.#message(chat)) });
+                });
+            },
+            unsubscribe: (database, client, message) => {
+                const { error, value } = this.#subscribeSchema.validate(message);
+
+                if (error) {
+                    return database.socket.send(client, {
+                        error: "Invalid request",
+                        details: error.details[0].message,
+                    });
+                }
+
+                const auth = database.tokens.verify(value.token);
+
+                if (!auth) {
+                    return database.socket.send(client, {
+                        error: "Unauthorized",
+                        details: "Invalid or expired token.",
+                    });
+                }
+
+                const { keys } = value;
+
+                const device = this.#device(database, auth);
+
+                // Revoked devices could never subscribe, so they have nothing to leave.
+                if (device) {
+                    keys.forEach((key) => {
+                        database.socket.unsubscribe(client, this.#channel(database.conversations.find(key), key, device));
+                    });
+                }
+
+                database.socket.send(client, {
+                    response: "Unsubscribed successfully",
+                    keys,
+                });
+            }
         },
         endpoints: {
             get: {
-                ["/"]: (_, req, res) => {
+                ["/"]: (database, req, res) => {
+                    try {
+                        database.ping();
+                    } catch (err) {
+                        req.log.warn("Database ping failed", { err });
+
+                        return res.status(StatusCodes.SERVICE_UNAVAILABLE).send({
+                            error: "Service Unavailable",
+                            details: "The database is unavailable.",
+                        });
+                    }
+
                     return res.status(StatusCodes.OK).send({
                         response: "We are online!",
                         status: StatusCodes.OK,
                         data: {
-                            requestTime: Date.now() - req.requestTime
+                            uptime: process.uptime()
                         }
                     });
                 }
             },
             post: {
-                ["/send"]: (database, req, res) => {
-                    const { error, value } = this.#messageSchema.validate(req.body);
-
-                    if (error) {
-                        return res.status(StatusCodes).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
-                        });
-                    }
+                ["/send"]: {
+                    limit: "messages",
+                    schema: { body: this.#messageSchema },
+                    handler: (database, req, res) => {
+                        const { key, content, ttl } = req.body;
+                        const access = this.#access(database, req, res, key);
 
-                    const { key, content } = value;
+                        if (!access)
+                            return;
 
-                    try {
-                        const stmt = database.prepare("INSERT INTO chats (key, content) VALUES (?, ?)");
-                        const info = stmt.run(key, content);
+                        const expiresAt = this.#expiry(database, key, ttl);
 
-                        // Delete the message after a period of time if it has not been claimed.
-                        setTimeout(() => {
-                            if (stmt.changes === 0) {
-                                return;
-                            }
+                        const createdAt = Date.now();
+                        const id = database.chats.insert({ key, content, expiresAt, senderId: req.auth.sub, createdAt });
 
-                            try {
-                                const action = database.prepare("DELETE FROM chats WHERE key = ? AND id = ?");
-                                action.run(key, info.lastInsertRowid);
-                            } catch (err) {
-                                console.error("Error deleting chat:", err.message);
-                            }
+                        const chat = { id, key, content, expiresAt, createdAt, senderId: req.auth.sub, sender: req.auth.identifier };
 
-                            console.log("Message deleted after timeout");
-                        }, 10000); // after 1 minute
-                    } catch (err) {
-                        console.error("Database fetch error:", err.message);
+                        this.#fanOut(database, access, chat);
 
-                        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                            error: "Failed to fetch user",
-                            details: err.message,
-                        });
-                    } finally {
                         res.status(StatusCodes.OK).send({
                             response: "Message sent successfully",
+                            data: { id: chat.id, expiresAt }
                         });
                     }
                 },
-                ["/receive"]: (database, req, res) => {
-                    const { error, value } = this.#keySchema.validate(req.body);
+                ["/retention"]: {
+                    schema: { body: this.#retentionSchema },
+                    handler: (database, req, res) => {
+                        const { key, ttl } = req.body;
+
+                        if (!this.#access(database, req, res, key))
+                            return;
 
-                    if (error) {
-                        return res.status(StatusCodes.BAD_REQUEST).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
+                        database.conversations.retain(key, ttl);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Retention updated successfully",
+                            data: { ttl: ttl === null ? this.settings.messages.ttl : ttl }
+                        });
+                    }
+                },
+                ["/receive"]: {
+                    limit: "messages",
+                    schema: { body: this.#receiveSchema },
+                    response: this.#messagesResponseSchema,
+                    handler: (database, req, res) => {
+                        const { key, after, since, limit } = req.body;
+                        const access = this.#access(database, req, res, key);
+
+                        if (!access)
+                            return;
+
+                        // One extra row tells whether another page follows.
+                        const chats = database.chats.unread(key, access.device, { after, since, limit: limit + 1 });
+                        const messages = chats.slice(0, limit).map((chat) => this.#message(chat));
+
+                        // Nothing is deleted until the client acknowledges it through /ack.
+                        res.status(StatusCodes.OK).json({
+                            response: messages.length > 0 ? "Messages found" : "No new messages",
+                            data: {
+                                messages,
+                                cursor: messages.length > 0 ? messages[messages.length - 1].id : after,
+                                more: chats.length > limit
+                            }
                         });
                     }
+                },
+                ["/ack"]: {
+                    limit: "messages",
+                    schema: { body: this.#ackSchema },
+                    handler: (database, req, res) => {
+                        const { key, ids } = req.body;
+                        const access = this.#access(database, req, res, key);
 
-                    const { key } = value;
+                        if (!access)
+                            return;
 
-                    try {
-                        const chats = database.prepare("SELECT * FROM chats WHERE key = ?").all(key);
+                        // Only this device's copies are drained, other devices and members still receive theirs.
+                        const acknowledged = database.chats.acknowledge(key, ids, { conversation: access.conversation, device: access.device });
 
-                        if (chats.length === 0) {
-                            return res.status(StatusCodes.NOT_FOUND).send({
-                                error: "Not Found",
-                                details: "No messages found.",
+                        this.#delivered(database, acknowledged, req.auth.sub);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Messages acknowledged",
+                            data: { ids: acknowledged.map((chat) => chat.id) }
+                        });
+                    }
+                },
+                ["/mailbox/create"]: {
+                    schema: { body: this.#mailboxSchema },
+                    handler: (database, req, res) => {
+                        const { mailbox, tokenHash, ttl } = req.body;
+
+                        const now = Date.now();
+                        const expiresAt = now + ttl * 1000;
+
+                        if (!database.mailboxes.create(req.auth.sub, { id: mailbox, tokenHash, createdAt: now, expiresAt })) {
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Conflict",
+                                details: "This mailbox id is already taken.",
                             });
                         }
 
                         res.status(StatusCodes.OK).send({
-                            response: "Messages found",
-                            chats,
+                            response: "Mailbox registered successfully",
+                            data: { mailbox, expiresAt }
                         });
+                    }
+                },
+                ["/sealed/send"]: {
+                    limit: "messages",
+                    schema: { body: this.#sealedSchema },
+                    handler: (database, req, res) => {
+                        const { mailbox: id, token, content, ttl } = req.body;
+
+                        const now = Date.now();
+                        const mailbox = database.mailboxes.get(id);
+
+                        // Unknown, expired and mismatched mailboxes look the same, so ids cannot be probed.
+                        if (!this.#deliverable(mailbox, token, now)) {
+                            return res.status(StatusCodes.UNAUTHORIZED).send({
+                                error: "Unauthorized",
+                                details: "Invalid delivery token.",
+                            });
+                        }
 
-                        const action = database.prepare("DELETE FROM chats WHERE key = ?")
-                        action.run(key);
-                    } catch (err) {
-                        console.error("Database fetch error:", err.message);
+                        const expiresAt = now + (ttl || this.settings.messages.ttl) * 1000;
+                        const messageId = database.mailboxes.deliver({ mailboxId: id, content, createdAt: now, expiresAt });
 
-                        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                            error: "Failed to fetch session",
-                            details: err.message,
+                        database.publish(`user:${mailbox.userId}`, { event: "sealed", mailbox: id });
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Message sent successfully",
+                            data: { id: messageId, expiresAt }
+                        });
+                    }
+                },
+                ["/sealed/receive"]: {
+                    limit: "messages",
+                    schema: { body: this.#sealedReceiveSchema },
+                    response: this.#sealedMessagesResponseSchema,
+                    handler: (database, req, res) => {
+                        const { mailbox, after, limit } = req.body;
+
+                        if (!database.mailboxes.owned(req.auth.sub, mailbox))
+                            return this.#unknownMailbox(res);
+
+                        // One extra row tells whether another page follows.
+                        const rows = database.mailboxes.unread(mailbox, { after, limit: limit + 1 });
+                        const messages = rows.slice(0, limit).map(({ id, content, createdAt, expiresAt }) => ({
+                            id,
+                            content,
+                            sentAt: createdAt,
+                            expiresAt
+                        }));
+
+                        res.status(StatusCodes.OK).json({
+                            response: messages.length > 0 ? "Messages found" : "No new messages",
+                            data: {
+                                messages,
+                                cursor: messages.length > 0 ? messages[messages.length - 1].id : after,
+                                more: rows.length > limit
+                            }
                         });
                     }
                 },
-                ["/user"]: (database, req, res) => {
-                    const { error, value } = this.#getUserSchema.validate(req.body);
+                ["/sealed/ack"]: {
+                    limit: "messages",
+                    schema: { body: this.#sealedAckSchema },
+                    handler: (database, req, res) => {
+                        const { mailbox, ids } = req.body;
+
+                        if (!database.mailboxes.owned(req.auth.sub, mailbox))
+                            return this.#unknownMailbox(res);
 
-                    if (error) {
-                        return res.status(StatusCodes.BAD_REQUEST).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
+                        res.status(StatusCodes.OK).send({
+                            response: "Messages acknowledged",
+                            data: { ids: database.mailboxes.acknowledge(mailbox, ids) }
                         });
                     }
+                },
+                ["/user"]: {
+                    schema: { body: this.#getUserSchema },
+                    response: this.#userResponseSchema,
+                    handler: (database, req, res) => {
+                        const { identifier } = req.body;
 
-                    const { identifier } = value;
+                        if (!this.#owns(req, res, identifier))
+                            return;
 
-                    try {
-                        // Check if the user exists using the correct column name (e.g., 'id')
-                        const user = database.prepare("SELECT * FROM users WHERE identifier = ?").get(identifier);
+                        const user = database.users.find(identifier);
 
                         if (!user) {
                             return res.status(StatusCodes.NOT_FOUND).send({
@@ -236,29 +778,15 @@ class Module {
                             response: "User found",
                             data: user,
                         });
-                    } catch (err) {
-                        console.error("Database fetch error:", err.message);
-
-                        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                            error: "Failed to fetch user",
-                            details: err.message,
-                        });
                     }
                 },
-                ["/claim"]: (database, req, res) => {
-                    const { error, value } = this.#keySchema.validate(req.body);
-
-                    if (error) {
-                        return res.status(StatusCodes.BAD_REQUEST).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
-                        });
-                    }
-
-                    const { key } = value;
+                ["/claim"]: {
+                    schema: { body: this.#keySchema },
+                    handler: (database, req, res) => {
+                        const { key } = req.body;
 
-                    try {
-                        const session = database.prepare("SELECT * FROM sessions WHERE key = ?").get(key);
+                        // The session is deleted as it is claimed, so a key only ever leads one caller to its user.
+                        const session = database.sessions.claim(key, req.auth.sub);
 
                         if (!session) {
                             return res.status(StatusCodes.NOT_FOUND).send({
@@ -267,163 +795,660 @@ class Module {
                             });
                         }
 
-                        const user = database.prepare("SELECT * FROM users WHERE id = ?").get(session.userId);
-
-                        if (!user) {
-                            return res.status(StatusCodes.NOT_FOUND).send({
-                                error: "Not Found",
-                                details: "User not found.",
-                            });
-                        }
-
                         res.status(StatusCodes.OK).send({
                             response: "Session found",
-                            session: {
-                                identifier: user.identifier
-                            }
-                        });
-
-                        // Delete the session after it has been claimed
-                        database.prepare("DELETE FROM sessions WHERE key = ?").run(key);
-                    } catch (err) {
-                        console.error("Database fetch error:", err.message);
-
-                        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                            error: "Failed to fetch session",
-                            details: err.message,
+                            session
                         });
                     }
                 },
-                ["/create"]: (database, req, res) => {
-                    const { error, value } = this.#inviteSchema.validate(req.body);
+                ["/create"]: {
+                    limit: "strict",
+                    schema: { body: this.#inviteSchema },
+                    handler: (database, req, res) => {
+                        const { key, identifier } = req.body;
 
-                    if (error) {
-                        return res.status(StatusCodes.BAD_REQUEST).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
-                        });
-                    }
+                        if (!this.#owns(req, res, identifier))
+                            return;
 
-                    const { key, identifier } = value;
-
-                    try {
-                        // Check if the user already exists
-                        const existingEncryption = database
-                            .prepare("SELECT * FROM sessions WHERE key = ?")
-                            .get(key);
+                        const user = database.users.find(identifier);
 
-                        if (existingEncryption) {
-                            return res.status(409).send({
-                                error: "Conflict",
-                                details: "Encryption key already exists.",
+                        if (!user) {
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Invalid session.",
                             });
                         }
 
-                        const existingSession = database
-                            .prepare("SELECT * FROM users WHERE identifier = ?")
-                            .get(identifier);
-
-                        if (!existingSession) {
+                        if (!database.sessions.create(user.id, key)) {
                             return res.status(StatusCodes.CONFLICT).send({
-                                error: "Invalid session.",
+                                error: "Conflict",
+                                details: "Encryption key already exists.",
                             });
                         }
 
-                        const userId = existingSession.id;
-
-                        // Insert the new user
-                        const stmt = database.prepare("INSERT INTO sessions (userId, key) VALUES (?, ?)");
-                        stmt.run(userId, key);
-
-                        res.status(201).send({
+                        res.status(StatusCodes.CREATED).send({
                             response: "Session created successfully",
                         });
-                    } catch (err) {
-                        console.error("Database insertion error:", err.message);
+                    }
+                },
+                ["/invite/create"]: {
+                    limit: "strict",
+                    schema: { body: this.#createInviteSchema },
+                    handler: (database, req, res) => {
+                        const { ttl, maxUses } = req.body;
+
+                        // 24 random bytes encode to 32 URL-safe characters.
+                        const token = crypto.randomBytes(24).toString("base64url");
+                        const now = Date.now();
+                        const expiresAt = now + ttl * 1000;
+
+                        const id = database.invites.create(req.auth.sub, { tokenHash: this.#hashToken(token), maxUses, createdAt: now, expiresAt });
+
+                        res.status(StatusCodes.CREATED).send({
+                            response: "Invite created successfully",
+                            data: { id, token, maxUses, expiresAt }
+                        });
+                    }
+                },
+                ["/invite/claim"]: {
+                    limit: "strict",
+                    schema: { body: this.#claimInviteSchema },
+                    handler: (database, req, res) => {
+                        const { token } = req.body;
 
-                        // Handle unique constraint violations (as a fallback)
-                        if (err.code === "SQLITE_CONSTRAINT") {
-                            return res.status(StatusCodes.CONFLICT).send({
-                                error: "Conflict",
-                                details: "Session already exists.",
+                        const invite = database.invites.find(this.#hashToken(token));
+
+                        if (!invite) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "Invite not found.",
+                            });
+                        }
+
+                        if (invite.userId === req.auth.sub) {
+                            return res.status(StatusCodes.BAD_REQUEST).send({
+                                error: "Invalid request",
+                                details: "Cannot claim your own invite.",
+                            });
+                        }
+
+                        const owner = database.users.get(invite.userId);
+                        const claim = database.invites.claim(invite, req.auth.sub, crypto.randomBytes(16).toString("base64url"));
+
+                        if (!claim) {
+                            return res.status(StatusCodes.GONE).send({
+                                error: "Gone",
+                                details: "This invite has expired, was revoked or was used up.",
+                            });
+                        }
+
+                        const { key } = claim;
+
+                        // Claiming again returns the same chat, so a lost response can simply be retried.
+                        if (!claim.claimed) {
+                            return res.status(StatusCodes.OK).send({
+                                response: "Invite already claimed",
+                                data: { key, identifier: owner.identifier }
                             });
                         }
 
-                        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                            error: "Failed to create session",
-                            details: err.message,
+                        database.publish(`user:${invite.userId}`, {
+                            event: "invite",
+                            invite: invite.id,
+                            identifier: req.auth.identifier,
+                            key
+                        });
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Invite claimed successfully",
+                            data: { key, identifier: owner.identifier }
                         });
                     }
                 },
-                ["/signup"]: (database, req, res) => {
-                    const { error, value } = this.#createUserSchema.validate(req.body);
+                ["/invites"]: (database, req, res) => {
+                    res.status(StatusCodes.OK).send({
+                        response: "Invites found",
+                        data: database.invites.list(req.auth.sub)
+                    });
+                },
+                ["/invite/revoke"]: {
+                    schema: { body: this.#inviteIdSchema },
+                    handler: (database, req, res) => {
+                        const { id } = req.body;
+
+                        if (!database.invites.revoke(req.auth.sub, id)) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "Invite not found.",
+                            });
+                        }
 
-                    if (error) {
-                        return res.status(StatusCodes.BAD_REQUEST).send({
-                            error: "Invalid request",
-                            details: error.details[0].message,
+                        res.status(StatusCodes.OK).send({
+                            response: "Invite revoked successfully",
+                            data: { id }
                         });
                     }
+                },
+                ["/signup"]: {
+                    limit: "strict",
+                    schema: { body: this.#createUserSchema },
+                    handler: (database, req, res) => {
+                        const { name, identifier, identityKey, signedPreKey, oneTimePreKeys } = req.body;
 
-                    const { name, identifier } = value;
+                        let user;
 
-                    try {
-                        const existingIdentifier = database
-                            .prepare("SELECT * FROM users WHERE identifier = ?")
-                            .get(identifier);
+                        try {
+                            user = database.users.create({ name, identifier, identityKey, signedPreKey, oneTimePreKeys });
+                        } catch (err) {
+                            // Handle unique constraint violations, such as repeated prekey ids
+                            if (!this.#constraint(err))
+                                throw err;
 
-                        if (existingIdentifier) {
-                            return res.status(409).send({
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Conflict",
+                                details: "Already exists.",
+                            });
+                        }
+
+                        if (user === null) {
+                            return res.status(StatusCodes.CONFLICT).send({
                                 error: "Conflict",
                                 details: "A user with this identifier already exists.",
                             });
-                        } else {
-                            database.prepare("INSERT INTO users (name, identifier) VALUES (?, ?)").run(name, identifier);
                         }
 
                         res.status(StatusCodes.OK).send({
                             response: "User created successfully"
                         });
-                    } catch (err) {
-                        console.error("Database insertion error:", err.message);
+                    }
+                },
+                ["/challenge"]: {
+                    schema: { body: this.#challengeSchema },
+                    handler: (database, req, res) => {
+                        const { identifier } = req.body;
+
+                        const user = database.users.find(identifier);
+
+                        if (!user) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "User not found.",
+                            });
+                        }
+
+                        const nonce = crypto.randomBytes(32).toString("base64");
+                        const expiresAt = Date.now() + 60 * 1000;
+
+                        database.users.challenge(user.id, nonce, expiresAt);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Challenge created",
+                            data: { nonce, expiresAt }
+                        });
+                    }
+                },
+                ["/token"]: {
+                    schema: { body: this.#tokenSchema },
+                    response: this.#tokenResponseSchema,
+                    handler: async (database, req, res) => {
+                        const { identifier, nonce, signature, device: deviceId = "primary" } = req.body;
+
+                        // Consume the challenge first so that a nonce can only ever be answered once.
+                        const userId = database.users.redeem(identifier, nonce);
+
+                        // The primary device signs with the identity key, every other device with its own key.
+                        const device = userId && database.devices.active(userId, deviceId);
+
+                        if (!device || !(await this.#verifySignature(device.publicKey, nonce, signature))) {
+                            return res.status(StatusCodes.UNAUTHORIZED).send({
+                                error: "Unauthorized",
+                                details: "Invalid or expired challenge.",
+                            });
+                        }
+
+                        database.devices.seen(device.id);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Token issued",
+                            data: database.tokens.issue({ sub: userId, identifier, device: device.id })
+                        });
+                    }
+                },
+                ["/prekeys"]: {
+                    schema: { body: this.#publishPreKeysSchema },
+                    handler: (database, req, res) => {
+                        const { identifier, signedPreKey, oneTimePreKeys } = req.body;
+
+                        if (!this.#owns(req, res, identifier))
+                            return;
+
+                        const user = database.users.find(identifier);
+
+                        if (!user) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "User not found.",
+                            });
+                        }
+
+                        let remaining;
+
+                        try {
+                            remaining = database.users.publish(user.id, signedPreKey, oneTimePreKeys);
+                        } catch (err) {
+                            if (!this.#constraint(err))
+                                throw err;
 
-                        // Handle unique constraint violations (as a fallback)
-                        if (err.code === "SQLITE_CONSTRAINT") {
                             return res.status(StatusCodes.CONFLICT).send({
                                 error: "Conflict",
-                                details: "Already exists.",
+                                details: "A prekey with this keyId already exists.",
                             });
-                        } else {
-                            res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                                error: "Failed to create user",
-                                details: err.message,
+                        }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Prekeys published successfully",
+                            data: { remaining }
+                        });
+                    }
+                },
+                ["/bundle"]: {
+                    schema: { body: this.#bundleSchema },
+                    response: this.#bundleResponseSchema,
+                    handler: (database, req, res) => {
+                        const { identifier } = req.body;
+
+                        const bundle = database.users.bundle(identifier);
+
+                        if (!bundle) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "User not found.",
                             });
                         }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Bundle found",
+                            data: bundle,
+                        });
+                    }
+                },
+                ["/identity"]: {
+                    schema: { body: this.#identitySchema },
+                    response: this.#identityResponseSchema,
+                    handler: (database, req, res) => {
+                        const { identifier } = req.body;
+
+                        const identity = database.users.identity(identifier);
+
+                        if (!identity) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "User not found.",
+                            });
+                        }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Identity key found",
+                            data: identity,
+                        });
+                    }
+                },
+                ["/conversations"]: (database, req, res) => {
+                    res.status(StatusCodes.OK).send({
+                        response: "Conversations found",
+                        data: database.conversations.list(req.auth.sub).map(({ id, ...conversation }) => ({
+                            ...conversation,
+                            members: database.conversations.members(id)
+                        }))
+                    });
+                },
+                ["/conversation/create"]: {
+                    limit: "strict",
+                    schema: { body: this.#conversationSchema },
+                    handler: (database, req, res) => {
+                        const { name, members } = req.body;
+                        const key = crypto.randomBytes(16).toString("base64url");
+
+                        const users = database.users.lookup(members.filter((identifier) => identifier !== req.auth.identifier));
+
+                        if (!users)
+                            return this.#unknownUsers(res);
+
+                        const id = database.conversations.create(req.auth.sub, { key, name: name || null, members: users });
+
+                        res.status(StatusCodes.CREATED).send({
+                            response: "Conversation created successfully",
+                            data: {
+                                key,
+                                name: name || null,
+                                members: database.conversations.members(id)
+                            }
+                        });
+                    }
+                },
+                ["/conversation/invite"]: {
+                    schema: { body: this.#membersSchema },
+                    handler: (database, req, res) => {
+                        const { key, identifiers } = req.body;
+                        const access = this.#access(database, req, res, key, true);
+
+                        if (!access)
+                            return;
+
+                        const { conversation } = access;
+
+                        const users = database.users.lookup(identifiers);
+
+                        if (!users)
+                            return this.#unknownUsers(res);
+
+                        database.conversations.add(conversation, users);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Members invited successfully",
+                            data: { members: database.conversations.members(conversation.id) }
+                        });
                     }
                 },
-                ["/serialize"]: (database, req, res) => {
-                    const API_KEY = req.headers['x-api-key'];
-                    
-                    if (API_KEY !== 'rwuy6434tgdgjhtiojiosi838tjue3') {
-                        return res.status(StatusCodes.UNAUTHORIZED).send({
-                            error: "Unauthorized",
-                            details: "Invalid [x-api-key] header.",
+                ["/conversation/remove"]: {
+                    schema: { body: this.#memberSchema },
+                    handler: (database, req, res) => {
+                        const { key, identifier } = req.body;
+                        const access = this.#access(database, req, res, key, true);
+
+                        if (!access)
+                            return;
+
+                        const { conversation, member } = access;
+
+                        if (identifier !== req.auth.identifier && member.role !== "owner") {
+                            return res.status(StatusCodes.FORBIDDEN).send({
+                                error: "Forbidden",
+                                details: "Only the owner can remove other members.",
+                            });
+                        }
+
+                        if (!database.conversations.remove(conversation, identifier)) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "Member not found.",
+                            });
+                        }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Member removed successfully",
+                            data: { members: database.conversations.members(conversation.id) }
                         });
-                    } else {
+                    }
+                },
+                ["/attachment/create"]: {
+                    schema: { body: this.#attachmentSchema },
+                    handler: (database, req, res) => {
+                        const { size, checksum, key, ttl } = req.body;
+
+                        if (database.attachments.used(req.auth.sub) + size > this.#attachments.quota) {
+                            return res.status(StatusCodes.REQUEST_TOO_LONG).send({
+                                error: "Payload Too Large",
+                                details: "Attachment quota exceeded.",
+                            });
+                        }
+
+                        const id = Attachments.id();
+                        const expiresAt = this.#expiry(database, key, ttl);
+
+                        database.attachments.create(req.auth.sub, { id, size, checksum: checksum.toLowerCase(), createdAt: Date.now(), expiresAt });
+
+                        res.status(StatusCodes.CREATED).send({
+                            response: "Attachment created successfully",
+                            data: { id, chunkSize: this.#attachments.chunkSize, expiresAt }
+                        });
+                    }
+                },
+                ["/attachment/status"]: {
+                    schema: { body: this.#attachmentIdSchema },
+                    handler: (database, req, res) => {
+                        const attachment = this.#attachment(database, req, res, req.body.id);
+
+                        if (!attachment)
+                            return;
+
+                        const { size, received, status, expiresAt } = attachment;
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Attachment found",
+                            data: { size, received, status, expiresAt }
+                        });
+                    }
+                },
+                ["/attachment/download"]: {
+                    schema: { body: this.#attachmentIdSchema },
+                    handler: async (database, req, res) => {
+                        // Attachments are encrypted and their ids unguessable, so any member holding the id may fetch it.
+                        const attachment = database.attachments.complete(req.body.id);
+
+                        if (!attachment) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "Attachment not found.",
+                            });
+                        }
+
+                        // Waiting for the file to be sent lets read errors reach the router's error boundary.
+                        await new Promise((resolve, reject) => {
+                            res.type("application/octet-stream").sendFile(this.#attachments.file(attachment.id), (err) => err ? reject(err) : resolve());
+                        });
+                    }
+                },
+                ["/devices"]: (database, req, res) => {
+                    const device = this.#current(database, req, res);
+
+                    if (!device)
+                        return;
+
+                    const devices = database.devices.list(req.auth.sub);
+
+                    res.status(StatusCodes.OK).send({
+                        response: "Devices found",
+                        data: devices.map(({ id, ...rest }) => ({ ...rest, current: id === device.id }))
+                    });
+                },
+                ["/device/register"]: {
+                    limit: "strict",
+                    schema: { body: this.#deviceSchema },
+                    handler: (database, req, res) => {
+                        const { deviceId, name, publicKey } = req.body;
+
+                        if (!this.#current(database, req, res))
+                            return;
+
+                        const createdAt = Date.now();
+
                         try {
-                            database.serialize();
+                            database.devices.create(req.auth.sub, { deviceId, name: name || null, publicKey, createdAt });
                         } catch (err) {
-                            console.error("Database serialize error:", err.message);
+                            if (!this.#constraint(err))
+                                throw err;
 
-                            res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
-                                error: "Failed to serialize database",
-                                details: err.message,
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Conflict",
+                                details: "A device with this id already exists.",
                             });
-                        } finally {
-                            res.status(StatusCodes.OK).send({
-                                response: "Database serialized successfully"
+                        }
+
+                        res.status(StatusCodes.CREATED).send({
+                            response: "Device registered successfully",
+                            data: { deviceId, name: name || null, createdAt }
+                        });
+                    }
+                },
+                ["/device/revoke"]: {
+                    schema: { body: this.#revokeSchema },
+                    handler: (database, req, res) => {
+                        const { deviceId } = req.body;
+
+                        if (!this.#current(database, req, res))
+                            return;
+
+                        if (!database.devices.revoke(req.auth.sub, deviceId)) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "Device not found.",
+                            });
+                        }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Device revoked successfully",
+                            data: { deviceId }
+                        });
+                    }
+                },
+                ["/read"]: {
+                    limit: "messages",
+                    schema: { body: this.#receiptsSchema },
+                    handler: (database, req, res) => {
+                        const { ids } = req.body;
+
+                        const { readReceipts } = database.users.settings(req.auth.sub) || {};
+
+                        // Users who turned read receipts off never tell senders they read anything.
+                        if (!readReceipts) {
+                            return res.status(StatusCodes.OK).send({
+                                response: "Read receipts are disabled",
+                                data: { read: 0 }
+                            });
+                        }
+
+                        const now = Date.now();
+                        const read = database.receipts.read(req.auth.sub, ids, now);
+
+                        this.#notify(database, read, req.auth.sub, "read", now);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Messages marked as read",
+                            data: { read: read.length }
+                        });
+                    }
+                },
+                ["/status"]: {
+                    schema: { body: this.#receiptsSchema },
+                    handler: (database, req, res) => {
+                        const { ids } = req.body;
+
+                        const receipts = database.receipts.list(req.auth.sub, ids);
+
+                        // Messages nobody received yet are only known while their row still exists.
+                        const pending = new Set(database.chats.sent(req.auth.sub, ids));
+
+                        // A message counts as delivered or read as soon as one recipient got that far.
+                        const data = [...new Set(ids)].filter((id) => pending.has(id) || receipts.some((receipt) => receipt.id === id)).map((id) => {
+                            const recipients = receipts
+                                .filter((receipt) => receipt.id === id)
+                                .map(({ identifier, deliveredAt, readAt }) => ({ identifier, deliveredAt, readAt }));
+                            const status = recipients.some((recipient) => recipient.readAt)
+                                ? "read"
+                                : recipients.length > 0 ? "delivered" : "sent";
+
+                            return { id, status, recipients };
+                        });
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Message status found",
+                            data
+                        });
+                    }
+                },
+                ["/settings"]: {
+                    schema: { body: this.#settingsSchema },
+                    handler: (database, req, res) => {
+                        const { readReceipts } = req.body;
+
+                        const settings = database.users.settings(req.auth.sub, { readReceipts });
+
+                        if (!settings) {
+                            return res.status(StatusCodes.NOT_FOUND).send({
+                                error: "Not Found",
+                                details: "User not found.",
+                            });
+                        }
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Settings found",
+                            data: settings
+                        });
+                    }
+                }
+            },
+            put: {
+                ["/attachment/:id"]: {
+                    schema: { params: this.#attachmentIdSchema, query: this.#chunkSchema },
+                    middleware: [(req, res, next) => this.#chunks(req, res, next)],
+                    handler: async (database, req, res) => {
+                        const { offset } = req.query;
+                        const chunk = req.body;
+                        const attachment = this.#attachment(database, req, res, req.params.id);
+
+                        if (!attachment)
+                            return;
+
+                        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+                            return res.status(StatusCodes.BAD_REQUEST).send({
+                                error: "Invalid request",
+                                details: "Chunks must be sent as non-empty application/octet-stream bodies.",
+                            });
+                        }
+
+                        if (attachment.status === "complete" || offset !== attachment.received) {
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Conflict",
+                                details: `Expected offset ${attachment.received} of ${attachment.size}.`,
+                            });
+                        }
+
+                        if (offset + chunk.length > attachment.size) {
+                            return res.status(StatusCodes.BAD_REQUEST).send({
+                                error: "Invalid request",
+                                details: "The chunk runs past the announced size.",
+                            });
+                        }
+
+                        // Claim the range before writing so that two concurrent uploads of the same chunk cannot both append it.
+                        if (!database.attachments.reserve(attachment.id, offset, offset + chunk.length)) {
+                            return res.status(StatusCodes.CONFLICT).send({
+                                error: "Conflict",
+                                details: "Another upload of this chunk is in progress.",
+                            });
+                        }
+
+                        try {
+                            await this.#attachments.append(attachment.id, chunk);
+                        } catch (err) {
+                            database.attachments.rewind(attachment.id, offset);
+                            throw err;
+                        }
+
+                        const received = offset + chunk.length;
+
+                        if (received < attachment.size) {
+                            return res.status(StatusCodes.OK).send({
+                                response: "Chunk stored",
+                                data: { received, size: attachment.size, status: "uploading" }
                             });
                         }
+
+                        if (!(await this.#attachments.complete(attachment.id, attachment.checksum))) {
+                            database.attachments.remove(attachment.id);
+
+                            return res.status(StatusCodes.UNPROCESSABLE_ENTITY).send({
+                                error: "Unprocessable Entity",
+                                details: "The attachment does not match its checksum.",
+                            });
+                        }
+
+                        database.attachments.finish(attachment.id);
+
+                        res.status(StatusCodes.OK).send({
+                            response: "Attachment uploaded successfully",
+                            data: { received, size: attachment.size, status: "complete" }
+                        });
                     }
                 }
             }
@@ -431,10 +1456,394 @@ class Module {
 
     };
 
+    /**
+     * @private
+     * @type {string}
+     * @description The directory admin snapshots are written to and restored from.
+     * @memberof Config
+    */
+    #snapshots = null;
+
+    /**
+     * @private
+     * @type {Attachments}
+     * @description The disk storage of attachment blobs.
+     * @memberof Config
+    */
+    #attachments = null;
+
+    /**
+     * @private
+     * @type {Function}
+     * @description The body parser of attachment chunks, limited to the configured chunk size.
+     * @memberof Config
+    */
+    #chunks = null;
+
+    /**
+     * Check that the authenticated user is the one named in the request.
+     * @private
+     * @description Answers 403 when the token belongs to another user.
+     * @memberof Config
+     * @param {Object} req - The request, carrying the token payload on `req.auth`.
+     * @param {Object} res - The response.
+     * @param {string} identifier - The identifier named in the request body.
+     * @returns {boolean} Whether the request may proceed.
+     */
+    #owns(req, res, identifier) {
+        if (req.auth && req.auth.identifier === identifier)
+            return true;
+
+        res.status(StatusCodes.FORBIDDEN).send({
+            error: "Forbidden",
+            details: "The token does not belong to this identifier.",
+        });
+
+        return false;
+    }
+
+    /**
+     * Tell whether an error is a SQLite constraint violation.
+     * @private
+     * @description Those are answered 409, every other error is left to the router's error boundary.
+     * @memberof Config
+     * @param {Error} err - The error.
+     * @returns {boolean}
+     */
+    #constraint(err) {
+        return Boolean(err.code && err.code.startsWith("SQLITE_CONSTRAINT"));
+    }
+
+    /**
+     * Verify an ECDSA P-256 signature made with a user's identity key.
+     * @private
+     * @memberof Config
+     * @param {string} publicKey - The base64 raw identity public key.
+     * @param {string} data - The base64 signed data.
+     * @param {string} signature - The base64 IEEE P1363 signature, as produced by WebCrypto.
+     * @returns {Promise<boolean>}
+     */
+    async #verifySignature(publicKey, data, signature) {
+        try {
+            const key = await crypto.webcrypto.subtle.importKey(
+                "raw",
+                Buffer.from(publicKey, "base64"),
+                { name: "ECDSA", namedCurve: "P-256" },
+                false,
+                ["verify"]
+            );
+
+            return await crypto.webcrypto.subtle.verify(
+                { name: "ECDSA", hash: "SHA-256" },
+                key,
+                Buffer.from(signature, "base64"),
+                Buffer.from(data, "base64")
+            );
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Compute when a message or attachment expires.
+     * @private
+     * @description The sender's TTL wins over the conversation's, which wins over the server default.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {string} [key] - The chat key it is sent to.
+     * @param {number} [ttl] - The TTL requested by the sender, in seconds.
+     * @returns {number}
+     */
+    #expiry(database, key, ttl) {
+        const retention = key && database.conversations.retention(key);
+
+        return Date.now() + (ttl || retention || this.settings.messages.ttl) * 1000;
+    }
+
+    /**
+     * Find an unexpired attachment uploaded by the caller.
+     * @private
+     * @description Answers 404 when the attachment is unknown, expired or belongs to someone else.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object} req - The request, carrying the token payload on `req.auth`.
+     * @param {Object} res - The response.
+     * @param {string} id - The attachment id.
+     * @returns {Object|null}
+     */
+    #attachment(database, req, res, id) {
+        const attachment = database.attachments.owned(req.auth.sub, id);
+
+        if (!attachment) {
+            res.status(StatusCodes.NOT_FOUND).send({
+                error: "Not Found",
+                details: "Attachment not found.",
+            });
+        }
+
+        return attachment || null;
+    }
+
+    /**
+     * Resolve the conversation behind a chat key and the caller's membership.
+     * @private
+     * @description Keys without a conversation are one-to-one chats, whose members are the users who created
+     * and claimed them. Answers 404 when a conversation is required but missing and 403 when the caller is
+     * not a member or calls from a revoked device.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object} req - The request, carrying the token payload on `req.auth`.
+     * @param {Object} res - The response.
+     * @param {string} key - The chat key.
+     * @param {boolean} [required] - Whether the key must belong to a conversation.
+     * @returns {{conversation: Object|null, member: Object|null, device: Object|null}|null} Null when the request may not proceed.
+     */
+    #access(database, req, res, key, required = false) {
+        const conversation = database.conversations.find(key) || null;
+
+        if (!conversation && required) {
+            res.status(StatusCodes.NOT_FOUND).send({
+                error: "Not Found",
+                details: "Conversation not found.",
+            });
+
+            return null;
+        }
+
+        const member = conversation
+            ? database.conversations.membership(conversation, req.auth.sub)
+            : database.chats.member(key, req.auth.sub);
+
+        if (!member) {
+            res.status(StatusCodes.FORBIDDEN).send({
+                error: "Forbidden",
+                details: conversation ? "Not a member of this conversation." : "Not a member of this chat.",
+            });
+
+            return null;
+        }
+
+        const device = this.#current(database, req, res);
+
+        if (!device)
+            return null;
+
+        return { conversation, member, device };
+    }
+
+    /**
+     * Find the active device a token was issued to.
+     * @private
+     * @description Tokens issued before devices existed belong to the primary device.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object} auth - The token payload.
+     * @returns {Object|null} The device, or null when it is unknown or revoked.
+     */
+    #device(database, auth) {
+        const device = database.devices.find(auth.sub, auth.device);
+
+        return device && !device.revokedAt ? device : null;
+    }
+
+    /**
+     * Find the active device behind a request.
+     * @private
+     * @description Answers 403 when the device is unknown or revoked.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object} req - The request, carrying the token payload on `req.auth`.
+     * @param {Object} res - The response.
+     * @returns {Object|null} The device, or null when the request may not proceed.
+     */
+    #current(database, req, res) {
+        const device = this.#device(database, req.auth);
+
+        if (!device) {
+            res.status(StatusCodes.FORBIDDEN).send({
+                error: "Forbidden",
+                details: "This device has been revoked.",
+            });
+        }
+
+        return device;
+    }
+
+    /**
+     * Hash an invite or delivery token, which is never stored in clear.
+     * @private
+     * @memberof Config
+     * @param {string} token - The token.
+     * @returns {string}
+     */
+    #hashToken(token) {
+        return crypto.createHash("sha256").update(token).digest("hex");
+    }
+
+    /**
+     * Check a delivery token against a mailbox.
+     * @private
+     * @description The token is hashed and compared in constant time even when the mailbox is unknown.
+     * @memberof Config
+     * @param {Object|undefined} mailbox - The mailbox, if registered.
+     * @param {string} token - The delivery token.
+     * @param {number} now - The current time.
+     * @returns {boolean}
+     */
+    #deliverable(mailbox, token, now) {
+        const actual = Buffer.from(this.#hashToken(token), "hex");
+        const expected = Buffer.from(mailbox ? mailbox.tokenHash : "0".repeat(64), "hex");
+        const valid = crypto.timingSafeEqual(actual, expected);
+
+        return Boolean(mailbox) && valid && mailbox.expiresAt > now;
+    }
+
+    /**
+     * Answer 404 for a mailbox the user does not own.
+     * @private
+     * @memberof Config
+     * @param {Object} res - The response.
+     */
+    #unknownMailbox(res) {
+        res.status(StatusCodes.NOT_FOUND).send({
+            error: "Not Found",
+            details: "Mailbox not found.",
+        });
+    }
+
+    /**
+     * Answer 404 for a request naming unknown users.
+     * @private
+     * @memberof Config
+     * @param {Object} res - The response.
+     */
+    #unknownUsers(res) {
+        res.status(StatusCodes.NOT_FOUND).send({
+            error: "Not Found",
+            details: "One or more users were not found.",
+        });
+    }
+
+    /**
+     * Return the socket channel a client listens to for a chat key.
+     * @private
+     * @description Every device of every member gets a channel of its own, so delivery can be tracked per device.
+     * One-to-one keys are prefixed so that no key can name the `user:` channels receipts are pushed on.
+     * @memberof Config
+     * @param {Object|null|undefined} conversation - The conversation owning the key, if any.
+     * @param {string} key - The chat key.
+     * @param {Object} device - The listening device.
+     * @returns {string}
+     */
+    #channel(conversation, key, device) {
+        return `${conversation ? `conversation:${conversation.id}` : `key:${key}`}:device:${device.id}`;
+    }
+
+    /**
+     * Shape a stored message the way clients receive it.
+     * @private
+     * @memberof Config
+     * @param {Object} chat - The stored message.
+     * @returns {{id: number, key: string, content: string, sender: string|null, sentAt: number|null, expiresAt: number}}
+     */
+    #message(chat) {
+        return {
+            id: chat.id,
+            key: chat.key,
+            content: chat.content,
+            sender: chat.sender || null,
+            sentAt: chat.createdAt || null,
+            expiresAt: chat.expiresAt
+        };
+    }
+
+    /**
+     * Queue a new message for every device of every member of its chat and push it to those listening.
+     * @private
+     * @description Every copy stays queued until its device acknowledges it through /ack, and the sending device
+     * never receives its own message.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {{conversation: Object|null, device: Object}} access - The chat and the sending device, as resolved by `#access`.
+     * @param {Object} chat - The stored message.
+     */
+    #fanOut(database, { conversation, device: sender }, chat) {
+        const devices = conversation ? database.devices.recipients(conversation) : database.devices.participants(chat.key);
+
+        if (conversation)
+            database.chats.read(conversation, sender.userId, chat.id);
+
+        devices.forEach((device) => {
+            if (device.id === sender.id)
+                return;
+
+            database.chats.queue(device, chat.id);
+            database.publish(this.#channel(conversation, chat.key, device), {
+                event: "message",
+                key: chat.key,
+                messages: [this.#message(chat)]
+            });
+        });
+    }
+
+    /**
+     * Record that messages reached a recipient and tell their senders.
+     * @private
+     * @description Only the first delivery to any of the recipient's devices counts, and messages to oneself are ignored.
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object[]} chats - The delivered messages.
+     * @param {number} recipientId - The id of the receiving user.
+     */
+    #delivered(database, chats, recipientId) {
+        const now = Date.now();
+        const delivered = database.receipts.deliver(chats, recipientId, now);
+
+        this.#notify(database, delivered, recipientId, "delivered", now);
+    }
+
+    /**
+     * Push receipt events to the senders of messages.
+     * @private
+     * @memberof Config
+     * @param {Server} database - The server instance.
+     * @param {Object[]} receipts - The messages, as `{ id, senderId }`.
+     * @param {number} recipientId - The id of the user who received or read them.
+     * @param {string} status - Either `delivered` or `read`.
+     * @param {number} at - When it happened.
+     */
+    #notify(database, receipts, recipientId, status, at) {
+        if (receipts.length === 0)
+            return;
+
+        const { identifier } = database.users.get(recipientId);
+        const senders = new Map();
+
+        receipts.forEach(({ id, senderId }) => {
+            if (!senders.has(senderId))
+                senders.set(senderId, []);
+
+            senders.get(senderId).push({ id, recipient: identifier, status, at });
+        });
+
+        senders.forEach((events, senderId) => database.publish(`user:${senderId}`, { event: "receipt", receipts: events }));
+    }
+
     load() {
         return new Promise((resolve, reject) => {
             try {
-                this.server.config = this.#config;
+                const { logging, tokens, admin, metrics, sweeper, limiter } = this.settings;
+
+                // Spreading keeps the order of `#config`, so the logger is replaced before anything logs
+                this.server.config = {
+                    ...this.#config,
+                    logging,
+                    monitoring: { ...this.#config.monitoring, token: metrics.token },
+                    authentication: { ...this.#config.authentication, secret: tokens.secret, ttl: tokens.ttl },
+                    admin: { ...this.#config.admin, path: admin.path, keys: admin.keys },
+                    sweeper: { ...this.#config.sweeper, interval: sweeper.interval },
+                    limiter: { ...this.#config.limiter, store: limiter.store, policies: limiter.policies }
+                };
                 this.server.bind();
             } catch (err) {
                 reject(err);
@@ -449,12 +1858,21 @@ class Module {
      * @constructor
      * @description Create a new instance of the Config class.
      * @param {Server} server - The server instance to bind the configuration to.
+     * @param {Object} [settings] - The validated deployment settings, loaded from the environment when omitted.
      * @memberof Config
      * @returns {Config}
      */
-    constructor(server) {
+    constructor(server, settings = Settings.load()) {
         this.server = server;
+        this.settings = settings;
+        this.#snapshots = settings.storage.snapshots;
+        this.#attachments = new Attachments({
+            directory: settings.storage.attachments,
+            ...settings.attachments
+        });
+        this.#chunks = express.raw({ type: "application/octet-stream", limit: settings.attachments.chunkSize });
     }
 }
 
-export default Module;
\ No newline at end of file
+export default Module;
+export { Settings };
\ No newline at end of file
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Deployment settings for the backend server.
+ *
+ * Settings are merged from, in increasing order of precedence, the built-in
+ * defaults, the caller's defaults, the profile named by `NODE_ENV`, an optional
+ * JSON or YAML file named by `CIPHERED_CONFIG` and the `CIPHERED_*` environment
+ * variables. The result is validated once at startup, and every problem is
+ * reported at once so that a misconfigured server never starts.
+ *
+ * @require joi - A schema description language and data validator.
+ * @require yaml - A YAML parser.
+ * @require fs - The Node.js file system module.
+ * @require path - The Node.js path module.
+*/
+import Joi from "joi";
+import YAML from "yaml";
+import fs from "fs";
+import path from "path";
+
+/**
+ * The settings used when nothing else sets them.
+ * @type {Object}
+ */
+const DEFAULTS = {
+    server: { host: "0.0.0.0", port: 3003, shutdownTimeout: 8 * 1000 },
+    database: { path: "database.db" },
+    storage: { snapshots: "snapshots", attachments: "attachments" },
+    logging: { level: "info", destination: "stdout" },
+    cors: { origins: ["*"], credentials: false },
+    tokens: { ttl: 15 * 60 * 1000 },
+    admin: { path: "/admin", keys: [] },
+    metrics: {},
+    retention: { min: 10, max: 7 * 24 * 60 * 60 },
+    messages: { ttl: 24 * 60 * 60 },
+    invites: { ttl: 24 * 60 * 60, maxTtl: 7 * 24 * 60 * 60, maxUses: 100 },
+    attachments: { chunkSize: 512 * 1024, maxSize: 25 * 1024 * 1024, quota: 100 * 1024 * 1024 },
+    mailboxes: { ttl: 7 * 24 * 60 * 60, maxTtl: 30 * 24 * 60 * 60 },
+    sweeper: { interval: 60 * 1000 },
+    limiter: {
+        store: "sqlite",
+        policies: {
+            default: { windowMs: 15 * 1000, limit: 30 },
+            strict: { windowMs: 15 * 60 * 1000, limit: 5 },
+            messages: { windowMs: 15 * 1000, limit: 120 }
+        }
+    }
+};
+
+/**
+ * The settings of each `NODE_ENV` profile, applied over the defaults.
+ * @type {Object<string, Object>}
+ */
+const PROFILES = {
+    development: {
+        logging: { level: "debug" }
+    },
+    test: {
+        database: { path: ":memory:" },
+        logging: { level: "silent" },
+        attachments: { chunkSize: 64 * 1024, maxSize: 1024 * 1024, quota: 4 * 1024 * 1024 },
+        limiter: { store: "memory" }
+    },
+    production: {
+        logging: { level: "info" }
+    }
+};
+
+/**
+ * The environment variables and the settings they set. Lists are comma separated.
+ * @type {Object<string, string>}
+ */
+const VARIABLES = {
+    CIPHERED_HOST: "server.host",
+    CIPHERED_PORT: "server.port",
+    CIPHERED_SHUTDOWN_TIMEOUT: "server.shutdownTimeout",
+    CIPHERED_DATABASE: "database.path",
+    CIPHERED_SNAPSHOT_DIR: "storage.snapshots",
+    CIPHERED_ATTACHMENT_DIR: "storage.attachments",
+    CIPHERED_LOG_LEVEL: "logging.level",
+    CIPHERED_LOG_DESTINATION: "logging.destination",
+    CIPHERED_CORS_ORIGINS: "cors.origins",
+    CIPHERED_CORS_CREDENTIALS: "cors.credentials",
+    CIPHERED_TOKEN_SECRET: "tokens.secret",
+    CIPHERED_TOKEN_TTL: "tokens.ttl",
+    CIPHERED_ADMIN_KEYS: "admin.keys",
+    CIPHERED_ADMIN_KEYS_FILE: "admin.keysFile",
+    CIPHERED_METRICS_TOKEN: "metrics.token",
+    CIPHERED_RETENTION_MIN: "retention.min",
+    CIPHERED_RETENTION_MAX: "retention.max",
+    CIPHERED_MESSAGE_TTL: "messages.ttl",
+    CIPHERED_INVITE_TTL: "invites.ttl",
+    CIPHERED_INVITE_MAX_TTL: "invites.maxTtl",
+    CIPHERED_INVITE_MAX_USES: "invites.maxUses",
+    CIPHERED_ATTACHMENT_CHUNK_SIZE: "attachments.chunkSize",
+    CIPHERED_ATTACHMENT_MAX_SIZE: "attachments.maxSize",
+    CIPHERED_ATTACHMENT_QUOTA: "attachments.quota",
+    CIPHERED_MAILBOX_TTL: "mailboxes.ttl",
+    CIPHERED_MAILBOX_MAX_TTL: "mailboxes.maxTtl",
+    CIPHERED_SWEEP_INTERVAL: "sweeper.interval",
+    CIPHERED_RATE_LIMIT_STORE: "limiter.store",
+    CIPHERED_RATE_LIMIT_WINDOW: "limiter.policies.default.windowMs",
+    CIPHERED_RATE_LIMIT: "limiter.policies.default.limit"
+};
+
+/**
+ * The environment variables holding comma separated lists.
+ * @type {Set<string>}
+ */
+const LISTS = new Set(["CIPHERED_CORS_ORIGINS", "CIPHERED_ADMIN_KEYS"]);
+
+/**
+ * The schema of a rate limit policy.
+ * @type {Object}
+ */
+const POLICY = Joi.object({
+    windowMs: Joi.number().integer().min(1000).required(),
+    limit: Joi.number().integer().min(1).required()
+});
+
+/**
+ * The schema every merged settings object must match.
+ * @type {Object}
+ */
+const SCHEMA = Joi.object({
+    env: Joi.string().valid(...Object.keys(PROFILES)).required(),
+    server: Joi.object({
+        host: Joi.string().hostname().required(),
+        port: Joi.number().port().required(),
+        shutdownTimeout: Joi.number().integer().min(0).required()
+    }).required(),
+    database: Joi.object({
+        path: Joi.string().required()
+    }).required(),
+    storage: Joi.object({
+        snapshots: Joi.string().required(),
+        attachments: Joi.string().required()
+    }).required(),
+    logging: Joi.object({
+        level: Joi.string().valid("trace", "debug", "info", "warn", "error", "silent").required(),
+        destination: Joi.string().required()
+    }).required(),
+    cors: Joi.object({
+        origins: Joi.array().items(Joi.string().valid("*"), Joi.string().uri({ scheme: ["http", "https"] })).min(1).required()
+            .when(Joi.ref("/env"), {
+                is: "production",
+                then: Joi.custom((origins, helpers) => origins.includes("*") ? helpers.error("cors.wildcard") : origins)
+            })
+            .messages({ "cors.wildcard": "{{#label}} must list the allowed origins in production, set CIPHERED_CORS_ORIGINS" }),
+        credentials: Joi.boolean().required()
+    }).required(),
+    tokens: Joi.object({
+        secret: Joi.string().min(32)
+            .when(Joi.ref("/env"), { is: "production", then: Joi.required() })
+            .messages({ "any.required": "{{#label}} is required in production, set CIPHERED_TOKEN_SECRET" }),
+        ttl: Joi.number().integer().min(60 * 1000).required()
+    }).required(),
+    admin: Joi.object({
+        path: Joi.string().pattern(/^\/[\w/-]*$/).required(),
+        keys: Joi.array().items(Joi.string()).required(),
+        keysFile: Joi.string()
+    }).required(),
+    metrics: Joi.object({
+        token: Joi.string().min(16)
+    }).required(),
+    // The bounds of every retention a client may ask for, in seconds
+    retention: Joi.object({
+        min: Joi.number().integer().min(1).required(),
+        max: Joi.number().integer().min(Joi.ref("min")).required()
+    }).required(),
+    messages: Joi.object({
+        ttl: Joi.number().integer().min(Joi.ref("/retention.min")).max(Joi.ref("/retention.max")).required()
+            .messages({
+                "number.min": "{{#label}} must be at least retention.min",
+                "number.max": "{{#label}} must be at most retention.max"
+            })
+    }).required(),
+    // Seconds an invite lasts by default and at most, and the most claims it may allow
+    invites: Joi.object({
+        ttl: Joi.number().integer().min(60).max(Joi.ref("maxTtl")).required(),
+        maxTtl: Joi.number().integer().min(60).required(),
+        maxUses: Joi.number().integer().min(1).required()
+    }).required(),
+    // Bytes per upload request, per blob and per user
+    attachments: Joi.object({
+        chunkSize: Joi.number().integer().min(1024).required(),
+        maxSize: Joi.number().integer().min(1).required(),
+        quota: Joi.number().integer().min(Joi.ref("maxSize")).required()
+    }).required(),
+    // Seconds a sealed sender mailbox lasts by default and at most
+    mailboxes: Joi.object({
+        ttl: Joi.number().integer().min(60).max(Joi.ref("maxTtl")).required(),
+        maxTtl: Joi.number().integer().min(60).required()
+    }).required(),
+    sweeper: Joi.object({
+        interval: Joi.number().integer().min(1000).required()
+    }).required(),
+    limiter: Joi.object({
+        store: Joi.string().valid("memory", "sqlite").required(),
+        // Routes name the strict and messages policies, so those must exist too
+        policies: Joi.object({
+            default: POLICY.required(),
+            strict: POLICY.required(),
+            messages: POLICY.required()
+        }).pattern(Joi.string(), POLICY).required()
+    }).required()
+});
+
+/**
+ * @class Settings
+ * @classdesc A class loading and validating the deployment settings.
+ */
+class Settings {
+    /**
+     * @private
+     * @static
+     * @description Merge plain objects deeply. Arrays and other values replace each other.
+     * @memberof Settings
+     * @param {...Object} sources - The objects to merge, later ones winning.
+     * @returns {Object}
+     */
+    static #merge(...sources) {
+        return sources.reduce((merged, source) => {
+            Object.entries(source || {}).forEach(([name, value]) => {
+                const plain = value && typeof value === "object" && !Array.isArray(value);
+
+                merged[name] = plain ? Settings.#merge(merged[name], value) : value;
+            });
+
+            return merged;
+        }, {});
+    }
+
+    /**
+     * @private
+     * @static
+     * @description Build the settings set by the environment variables.
+     * @memberof Settings
+     * @param {Object} env - The environment variables.
+     * @returns {Object}
+     */
+    static #variables(env) {
+        const settings = {};
+
+        Object.entries(VARIABLES).forEach(([variable, setting]) => {
+            if (env[variable] === undefined || env[variable] === "")
+                return;
+
+            const value = LISTS.has(variable)
+                ? env[variable].split(",").map((item) => item.trim()).filter(Boolean)
+                : env[variable];
+            const names = setting.split(".");
+            const parent = names.slice(0, -1).reduce((object, name) => (object[name] ??= {}), settings);
+
+            parent[names[names.length - 1]] = value;
+        });
+
+        return settings;
+    }
+
+    /**
+     * @private
+     * @static
+     * @description Read a JSON or YAML settings file.
+     * @memberof Settings
+     * @param {string} file - The file path.
+     * @returns {Object}
+     * @throws {Error} When the file cannot be read or parsed.
+     */
+    static #read(file) {
+        try {
+            const text = fs.readFileSync(file, "utf8");
+
+            return /\.ya?ml$/i.test(file) ? YAML.parse(text) || {} : JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid configuration file ${file}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Load and validate the settings.
+     * @public
+     * @static
+     * @memberof Settings
+     * @param {Object} [options] - Where to load the settings from.
+     * @param {Object} [options.env] - The environment variables.
+     * @param {string} [options.file] - A JSON or YAML settings file. Defaults to `CIPHERED_CONFIG`.
+     * @param {Object} [options.defaults] - Settings applied over the built-in defaults, below everything else.
+     * @param {string} [options.base] - The directory relative paths are resolved against.
+     * @returns {Object} The frozen settings.
+     * @throws {Error} Listing every invalid setting.
+     */
+    static load({ env = process.env, file = env.CIPHERED_CONFIG, defaults = {}, base = process.cwd() } = {}) {
+        const profile = env.NODE_ENV || "development";
+        const resolve = (file) => file === ":memory:" ? file : path.resolve(base, file);
+        const merged = Settings.#merge(
+            DEFAULTS,
+            defaults,
+            PROFILES[profile],
+            file ? Settings.#read(path.resolve(base, file)) : {},
+            Settings.#variables(env),
+            { env: profile }
+        );
+
+        if (merged.admin.keysFile) {
+            const keys = Settings.#read(resolve(merged.admin.keysFile));
+
+            merged.admin.keys = [...merged.admin.keys, ...(Array.isArray(keys) ? keys : keys.keys || [])];
+        }
+
+        const { error, value } = SCHEMA.validate(merged, { abortEarly: false, convert: true });
+
+        if (error)
+            throw new Error(`Invalid configuration:\n${error.details.map(({ message }) => `  - ${message}`).join("\n")}`);
+
+        value.database.path = resolve(value.database.path);
+        value.storage.snapshots = resolve(value.storage.snapshots);
+        value.storage.attachments = resolve(value.storage.attachments);
+
+        return Settings.#freeze(value);
+    }
+
+    /**
+     * @private
+     * @static
+     * @description Freeze an object and every object it holds.
+     * @memberof Settings
+     * @param {Object} object - The object to freeze.
+     * @returns {Object}
+     */
+    static #freeze(object) {
+        Object.values(object).forEach((value) => {
+            if (value && typeof value === "object")
+                Settings.#freeze(value);
+        });
+
+        return Object.freeze(object);
+    }
+}
+
+/**
+ * @module Settings
+ * @description A module for the Settings class.
+ * @exports Settings
+ * @exports DEFAULTS
+ * @exports PROFILES
+ * @exports VARIABLES
+ * @see {@link Settings}
+ */
+export default Settings;
+export { DEFAULTS, PROFILES, VARIABLES };
@@ -0,0 +1,77 @@
+export default Attachments;
+/**
+ * @class Attachments
+ * @classdesc A class storing attachment blobs on local disk.
+ * @property {string} directory - The directory blobs are stored in.
+ * @property {number} chunkSize - The largest chunk accepted in a single upload request.
+ * @property {number} maxSize - The largest blob accepted.
+ * @property {number} quota - The most bytes a single user may have stored at once.
+ */
+declare class Attachments {
+    /**
+     * Generate a new attachment id.
+     * @public
+     * @static
+     * @memberof Attachments
+     * @returns {string}
+     */
+    public static id(): string;
+    /**
+     * Constructor for the Attachments class.
+     * @constructor
+     * @description Create a new instance of the Attachments class.
+     * @param {Object} options - Configuration options for the storage.
+     * @param {string} options.directory - The directory blobs are stored in.
+     * @param {number} [options.chunkSize] - The largest chunk accepted in a single upload request.
+     * @param {number} [options.maxSize] - The largest blob accepted.
+     * @param {number} [options.quota] - The most bytes a single user may have stored at once.
+     * @memberof Attachments
+     * @returns {Attachments}
+     */
+    constructor({ directory, chunkSize, maxSize, quota }: {
+        directory: string;
+        chunkSize?: number;
+        maxSize?: number;
+        quota?: number;
+    });
+    directory: string;
+    chunkSize: number;
+    maxSize: number;
+    quota: number;
+    /**
+     * Return the path of a blob.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {boolean} [complete] - Whether the upload is complete.
+     * @returns {string}
+     */
+    public file: (id: string, complete?: boolean) => string;
+    /**
+     * Append a chunk to an unfinished blob.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {Buffer} chunk - The chunk to append.
+     * @returns {Promise<void>}
+     */
+    public append: (id: string, chunk: Buffer) => Promise<void>;
+    /**
+     * Finish an upload once the blob matches its announced checksum.
+     * @public
+     * @description Removes the blob when the checksum does not match.
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @param {string} checksum - The hex SHA-256 digest announced by the client.
+     * @returns {Promise<boolean>} Whether the checksum matched.
+     */
+    public complete: (id: string, checksum: string) => Promise<boolean>;
+    /**
+     * Remove a blob, finished or not.
+     * @public
+     * @memberof Attachments
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    public remove: (id: string) => void;
+}
@@ -1,15 +1,19 @@
 export default Module;
+export { Settings };
 declare class Module {
     /**
      * Constructor for the Config class.
      * @constructor
      * @description Create a new instance of the Config class.
      * @param {Server} server - The server instance to bind the configuration to.
+     * @param {Object} [settings] - The validated deployment settings, loaded from the environment when omitted.
      * @memberof Config
      * @returns {Config}
      */
-    constructor(server: Server);
+    constructor(server: Server, settings?: any);
     load(): Promise<any>;
     server: Server;
+    settings: any;
     #private;
 }
+import Settings from "./settings.js";
@@ -0,0 +1,82 @@
+export default Settings;
+/**
+ * @class Settings
+ * @classdesc A class loading and validating the deployment settings.
+ */
+declare class Settings {
+    /**
+     * @private
+     * @static
+     * @description Merge plain objects deeply. Arrays and other values replace each other.
+     * @memberof Settings
+     * @param {...Object} sources - The objects to merge, later ones winning.
+     * @returns {Object}
+     */
+    private static "__#1@#merge";
+    /**
+     * @private
+     * @static
+     * @description Build the settings set by the environment variables.
+     * @memberof Settings
+     * @param {Object} env - The environment variables.
+     * @returns {Object}
+     */
+    private static "__#1@#variables";
+    /**
+     * @private
+     * @static
+     * @description Read a JSON or YAML settings file.
+     * @memberof Settings
+     * @param {string} file - The file path.
+     * @returns {Object}
+     * @throws {Error} When the file cannot be read or parsed.
+     */
+    private static "__#1@#read";
+    /**
+     * Load and validate the settings.
+     * @public
+     * @static
+     * @memberof Settings
+     * @param {Object} [options] - Where to load the settings from.
+     * @param {Object} [options.env] - The environment variables.
+     * @param {string} [options.file] - A JSON or YAML settings file. Defaults to `CIPHERED_CONFIG`.
+     * @param {Object} [options.defaults] - Settings applied over the built-in defaults, below everything else.
+     * @param {string} [options.base] - The directory relative paths are resolved against.
+     * @returns {Object} The frozen settings.
+     * @throws {Error} Listing every invalid setting.
+     */
+    public static load({ env, file, defaults, base }?: {
+        env?: any;
+        file?: string;
+        defaults?: any;
+        base?: string;
+    }): any;
+    /**
+     * @private
+     * @static
+     * @description Freeze an object and every object it holds.
+     * @memberof Settings
+     * @param {Object} object - The object to freeze.
+     * @returns {Object}
+     */
+    private static "__#1@#freeze";
+}
+/**
+ * The settings used when nothing else sets them.
+ * @type {Object}
+ */
+export const DEFAULTS: any;
+/**
+ * The settings of each `NODE_ENV` profile, applied over the defaults.
+ * @type {Object<string, Object>}
+ */
+export const PROFILES: {
+    [x: string]: any;
+};
+/**
+ * The environment variables and the settings they set. Lists are comma separated.
+ * @type {Object<string, string>}
+ */
+export const VARIABLES: {
+    [x: string]: string;
+};
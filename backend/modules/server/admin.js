@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Admin key checks for the backend server.
+ *
+ * Admin keys are only kept as SHA-256 digests and every comparison runs in
+ * constant time, so neither memory dumps nor response timings leak a key.
+ *
+ * @require crypto - The Node.js crypto module.
+ * @require http-status-codes - Constants enumerating the HTTP status codes.
+*/
+import crypto from "crypto";
+import { StatusCodes } from "http-status-codes";
+
+/**
+ * @class Admin
+ * @classdesc A class checking requests against a set of admin keys.
+ * @property {string} header - The request header carrying the admin key.
+ * @property {Function} authorize - An Express middleware requiring a valid admin key.
+ * @property {Function} fingerprint - A function returning a short, non-secret id for a key.
+ */
+class Admin {
+    /**
+     * @private
+     * @type {Buffer[]}
+     * @description The SHA-256 digests of the accepted admin keys.
+     * @memberof Admin
+    */
+    #_digests = [];
+
+    /**
+     * Constructor for the Admin class.
+     * @constructor
+     * @description Create a new instance of the Admin class.
+     * @param {Object} options - Configuration options for the admin keys.
+     * @param {string[]} [options.keys] - The accepted admin keys.
+     * @param {string} [options.header] - The request header carrying the admin key.
+     * @memberof Admin
+     * @returns {Admin}
+     */
+    constructor({ keys = [], header = "x-api-key" } = {}) {
+        this.#_digests = keys.filter(Boolean).map(Admin.#digest);
+        this.header = header;
+    }
+
+    /**
+     * @private
+     * @description Hash a key so that every comparison is between equal-length buffers.
+     * @memberof Admin
+     * @param {string} key - The key to hash.
+     * @returns {Buffer}
+     */
+    static #digest(key) {
+        return crypto.createHash("sha256").update(String(key)).digest();
+    }
+
+    /**
+     * Whether any admin key is configured.
+     * @public
+     * @memberof Admin
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.#_digests.length > 0;
+    }
+
+    /**
+     * Return a short, non-secret id for a key, suitable for audit logs.
+     * @public
+     * @memberof Admin
+     * @param {string} key - The admin key.
+     * @returns {string}
+     */
+    fingerprint = (key) => {
+        return Admin.#digest(key).toString("hex").slice(0, 12);
+    };
+
+    /**
+     * Check a key against every configured key.
+     * @public
+     * @description Does not stop at the first match so the time taken does not depend on which key matched.
+     * @memberof Admin
+     * @param {string} key - The key to check.
+     * @returns {boolean}
+     */
+    verify = (key) => {
+        if (typeof key !== "string" || key.length === 0)
+            return false;
+
+        const digest = Admin.#digest(key);
+
+        return this.#_digests.reduce((valid, expected) => {
+            return crypto.timingSafeEqual(digest, expected) || valid;
+        }, false);
+    };
+
+    /**
+     * Express middleware requiring a valid admin key header.
+     * @public
+     * @description Stores the key fingerprint on `req.admin` and answers 401 otherwise.
+     * @memberof Admin
+     */
+    authorize = (req, res, next) => {
+        if (!this.enabled) {
+            return res.status(StatusCodes.SERVICE_UNAVAILABLE).send({
+                error: "Service Unavailable",
+                details: "No admin keys are configured.",
+            });
+        }
+
+        const key = req.headers[this.header];
+
+        if (!this.verify(key)) {
+            return res.status(StatusCodes.UNAUTHORIZED).send({
+                error: "Unauthorized",
+                details: `Invalid [${this.header}] header.`,
+            });
+        }
+
+        req.admin = { key: this.fingerprint(key) };
+        next();
+    };
+}
+
+/**
+ * @module Admin
+ * @description A module for the Admin class.
+ * @exports Admin
+ * @see {@link Admin}
+ */
+export default Admin;
@@ -5,12 +5,41 @@
  *
  * @require express - A web application framework for Node.js.
  * @require database - A custom database class that extends the SQLite3 database.
+ * @require http-status-codes - Constants enumerating the HTTP status codes.
  * @require rateLimit - A middleware function to limit repeated requests to public APIs and/or endpoints.
+ * @require socket - A custom class that attaches a WebSocket server to the HTTP server.
+ * @require token - A custom class that issues and verifies signed request tokens.
+ * @require admin - A custom class that checks requests against the admin keys.
+ * @require migrator - A custom class that applies versioned schema migrations.
+ * @require logger - A custom class that writes leveled JSON log entries.
+ * @require metrics - A custom class that collects metrics and renders them for Prometheus.
+ * @require repositories - Custom classes owning the SQL of every table.
 */
 import express from "express";
+import crypto from "crypto";
 import database from "better-sqlite3";
-import { rateLimit } from 'express-rate-limit'
-// import { WebSocketServer } from "ws"; // Import ws WebSocketServer
+import { StatusCodes } from "http-status-codes";
+import Socket from "./socket.js";
+import Token from "./token.js";
+import Admin from "./admin.js";
+import Migrator from "./migrator.js";
+import Router from "./router.js";
+import Limiter from "./limiter.js";
+import Logger from "./logger.js";
+import Metrics from "./metrics.js";
+import Repository, {
+    UserRepository,
+    SessionRepository,
+    ChatRepository,
+    MailboxRepository,
+    ConversationRepository,
+    DeviceRepository,
+    InviteRepository,
+    AttachmentRepository,
+    ReceiptRepository,
+    RateLimitRepository,
+    AuditRepository
+} from "./repositories.js";
 
 /**
  * @class Database
@@ -18,6 +47,24 @@ import { rateLimit } from 'express-rate-limit'
  * @property {Object} database - An instance of the SQLite3 database.
  * @property {Function} exec - A function to execute a SQL query.
  * @property {Function} prepare - A function to prepare a SQL query.
+ * @property {Function} transaction - A function to wrap a function in a transaction.
+ * @property {Function} snapshot - A function to copy the database to a file.
+ * @property {Function} restore - A function to restore the database from a snapshot file.
+ * @property {Function} counts - A function to count the rows of every table.
+ * @property {Function} ping - A function to check that the database answers queries.
+ * @property {Function} disconnect - A function to checkpoint the write-ahead log and close the handle.
+ * @property {Logger} logger - The logger entries of the database and the server are written to.
+ * @property {UserRepository} users - The users, their keys and their sign-in challenges.
+ * @property {SessionRepository} sessions - The legacy one-time session keys.
+ * @property {ChatRepository} chats - The stored messages and the device queues draining them.
+ * @property {MailboxRepository} mailboxes - The sealed-sender mailboxes and the messages delivered to them.
+ * @property {ConversationRepository} conversations - The group conversations, their members and the retention of chat keys.
+ * @property {DeviceRepository} devices - The devices of users.
+ * @property {InviteRepository} invites - The invite tokens and the chats started by claiming them.
+ * @property {AttachmentRepository} attachments - The attachments being uploaded or waiting to be downloaded.
+ * @property {ReceiptRepository} receipts - When recipients received and read messages.
+ * @property {RateLimitRepository} rateLimits - The fixed-window rate limit counters.
+ * @property {AuditRepository} audit - The log of admin requests.
  * @memberof Database
  */
 class Database {
@@ -30,6 +77,21 @@ class Database {
      */
     constructor(dbPath, options) {
         this.database = new database(dbPath, options);
+        this.database.pragma("foreign_keys = ON");
+        // Readers never block the writer, and a crash only ever loses the log tail rather than corrupting the file.
+        this.database.pragma("journal_mode = WAL");
+        this.logger = new Logger();
+        this.users = new UserRepository(this);
+        this.sessions = new SessionRepository(this);
+        this.chats = new ChatRepository(this);
+        this.mailboxes = new MailboxRepository(this);
+        this.conversations = new ConversationRepository(this);
+        this.devices = new DeviceRepository(this);
+        this.invites = new InviteRepository(this);
+        this.attachments = new AttachmentRepository(this);
+        this.receipts = new ReceiptRepository(this);
+        this.rateLimits = new RateLimitRepository(this);
+        this.audit = new AuditRepository(this);
     };
 
     /**
@@ -38,19 +100,27 @@ class Database {
      * @public
      * @memberof Database
      * @returns {void}
-     * @description Serialize the database to a buffer.
+     * @description Serialize the database to a buffer and continue on an in-memory copy of it.
+     * The copy is opened before the old handle is closed, so a failure leaves the old handle in use,
+     * and it is refused inside a transaction, whose statements would otherwise land on two handles.
      * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#serializeoptions---buffer | better-sqlite3}
     */
     serialize = () => {
         try {
+            if (this.database.inTransaction)
+                throw new Error("Cannot serialize the database inside a transaction.");
+
             const buffer = this.database.serialize();
-            this.database.close();
+            const handle = new database(buffer);
+
+            handle.pragma("foreign_keys = ON");
 
-            console.log("Database serialized:", buffer);
+            this.logger.debug("Database serialized", { bytes: buffer.length });
 
-            this.database = new database(buffer);
+            this.database.close();
+            this.database = handle;
         } catch (error) {
-            console.error("Database serialization error:", error.message);
+            this.logger.error("Database serialization error", { err: error });
         }
     }
 
@@ -81,6 +151,109 @@ class Database {
     prepare = (sql) => {
         return this.database.prepare(sql);
     }
+
+    /**
+     * Write a consistent copy of the live database to a file.
+     *
+     * @param {string} file - The destination file path.
+     * @returns {Promise<Object>} A promise that resolves with the backup progress once it is complete.
+     * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#backupdestination-options---promise | better-sqlite3}
+     */
+    snapshot = (file) => {
+        return this.database.backup(file);
+    }
+
+    /**
+     * Replace the content of every table with the content of a snapshot file.
+     *
+     * The snapshot is attached and copied over in a single transaction, so the
+     * live handle is never closed and a failed restore leaves the data untouched.
+     *
+     * @param {string} file - The snapshot file path.
+     * @param {string[]} [exclude] - The tables to leave untouched.
+     * @returns {string[]} The names of the restored tables.
+     */
+    restore = (file, exclude = []) => {
+        this.database.prepare("ATTACH DATABASE ? AS snapshot").run(file);
+
+        try {
+            return this.database.transaction(() => {
+                const tables = this.database.prepare(
+                    `SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+                    AND name IN (SELECT name FROM snapshot.sqlite_master WHERE type = 'table')`
+                ).pluck().all().filter((table) => !exclude.includes(table));
+
+                tables.forEach((table) => {
+                    this.database.exec(`DELETE FROM main."${table}"`);
+                    this.database.exec(`INSERT INTO main."${table}" SELECT * FROM snapshot."${table}"`);
+                });
+
+                return tables;
+            })();
+        } finally {
+            this.database.prepare("DETACH DATABASE snapshot").run();
+        }
+    }
+
+    /**
+     * Count the rows of every table.
+     *
+     * @returns {Object<string, number>} An object mapping table names to row counts.
+     */
+    counts = () => {
+        const tables = this.database.prepare(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+        ).pluck().all();
+
+        return Object.fromEntries(tables.map((table) => [
+            table,
+            this.database.prepare(`SELECT COUNT(*) FROM "${table}"`).pluck().get()
+        ]));
+    }
+
+    /**
+     * Check that the database answers queries.
+     *
+     * @returns {void}
+     * @throws {Error} When the handle is closed, as `disconnect` leaves it, or the query fails.
+     */
+    ping = () => {
+        if (!this.database.open)
+            throw new Error("The database handle is closed.");
+
+        this.database.prepare("SELECT 1").get();
+    }
+
+    /**
+     * Wraps a function so that every statement it runs is executed in a single transaction.
+     *
+     * @param {Function} func - The function to run inside the transaction.
+     * @returns {Function} The transactional function.
+     * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#transactionfunction---function | better-sqlite3}
+     */
+    transaction = (func) => {
+        return this.database.transaction(func);
+    }
+
+    /**
+     * Checkpoint the write-ahead log and close the handle.
+     *
+     * The log is folded back into the database file and truncated, so the file on
+     * disk is complete on its own and nothing is left to replay on the next start.
+     * Does nothing when the handle is already closed.
+     *
+     * @returns {void}
+     */
+    disconnect = () => {
+        if (!this.database.open)
+            return;
+
+        if (this.database.pragma("journal_mode", { simple: true }) === "wal")
+            this.database.pragma("wal_checkpoint(TRUNCATE)");
+
+        this.database.close();
+        this.logger.info("Database closed");
+    }
 }
 
 /**
@@ -88,8 +261,14 @@ class Database {
  * @classdesc A class representing the server.
  * @property {Object} app - An instance of the Express application.
  * @property {Function} listen - A function to start the server.
+ * @property {Function} close - A function to drain requests and sockets, then close the database.
+ * @property {boolean} closing - Whether the server is shutting down.
  * @property {Object} endpoints - An object containing the endpoints and their handlers.
  * @property {Function} parseExec - A function to execute an array of SQL queries.
+ * @property {Function} sweep - A function to purge expired rows.
+ * @property {Function} ready - A function to run the readiness checks.
+ * @property {Socket} socket - The WebSocket server, available once the server is listening.
+ * @property {Token} tokens - The token issuer, available once authentication is configured.
  */
 class Server extends Database {
     /**
@@ -103,11 +282,65 @@ class Server extends Database {
      * @see {@link https://www.npmjs.com/package/express}
     */
     set limiter(config) {
-        this.app.use(
-            rateLimit(config)
-        );
+        this.#_limiter = config;
+    }
+
+    /**
+     * @private
+     * @type {Object}
+     * @description The rate limit policies and their store, applied when binding.
+     * @memberof Server
+    */
+    #_limiter = null;
+
+    /**
+     * @public
+     * @description Replace the logger of the server.
+     * @memberof Server
+     * @param {Object} config - An object containing the logger options.
+     * @param {string} [config.level] - The lowest level written.
+     * @param {string|Object} [config.destination] - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @param {string[]} [config.redact] - The fields whose values never reach the log.
+     */
+    set logging({ level, destination, redact }) {
+        this.logger = new Logger({ level, destination, redact });
     }
 
+    /**
+     * @public
+     * @description Set the health and metrics endpoints, which are neither authenticated nor rate limited.
+     * @memberof Server
+     * @param {Object} config - An object containing the monitoring configuration.
+     * @param {string} [config.live] - The path of the liveness endpoint, failing when the database handle is closed.
+     * @param {string} [config.ready] - The path of the readiness endpoint, failing when any check fails.
+     * @param {string} [config.metrics] - The path of the Prometheus metrics endpoint.
+     * @param {string} [config.token] - A bearer token required to read the metrics.
+     * @param {Object<string, Function>} [config.checks] - An object mapping readiness check names to functions
+     * receiving the server and throwing when it is not ready. The database is always checked.
+     * @param {Object<string, Object>} [config.gauges] - An object mapping gauge names to their help text and
+     * a function receiving the server and returning their value.
+     */
+    set monitoring({ live = "/health/live", ready = "/health/ready", metrics = "/metrics", token, checks = {}, gauges = {} }) {
+        this.metrics = new Metrics({
+            gauges: {
+                websocket_connections: {
+                    help: "Open WebSocket connections.",
+                    collect: (server) => server.socket ? server.socket.wss.clients.size : 0
+                },
+                ...gauges
+            }
+        });
+        this.#_monitoring = { live, ready, metrics, token, checks: { database: (server) => server.ping(), ...checks } };
+    }
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the monitoring paths, metrics token and readiness checks.
+     * @memberof Server
+    */
+    #_monitoring = null;
+
     /**
      * @public
      * @description Set the callback function for the Express application.
@@ -148,6 +381,91 @@ class Server extends Database {
         this.#_afterware = func;
     }
 
+    /**
+     * @public
+     * @description Set the WebSocket message handlers for the server.
+     * @memberof Server
+     * @param {Object} data - An object containing the message actions and their handlers.
+     */
+    set sockets(data) {
+        this.#_sockets = data;
+    }
+
+    /**
+     * @public
+     * @description Require a signed token on the routes of the given methods.
+     * @memberof Server
+     * @param {Object} config - An object containing the token options.
+     * @param {string} [config.secret] - The signing secret.
+     * @param {number} [config.ttl] - The lifetime of issued tokens in milliseconds.
+     * @param {string[]} [config.methods] - The methods whose routes require a token.
+     * @param {string[]} [config.exclude] - The routes that stay public.
+     */
+    set authentication({ secret, ttl, methods = [], exclude = [] }) {
+        this.tokens = new Token({ secret, ttl, logger: this.logger });
+        this.#_authentication = { methods, exclude };
+    }
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the methods and routes guarded by the token middleware.
+     * @memberof Server
+    */
+    #_authentication = null;
+
+    /**
+     * @public
+     * @description Set the admin router, mounted under its own path and guarded by the admin keys.
+     * @memberof Server
+     * @param {Object} config - An object containing the admin configuration.
+     * @param {string} [config.path] - The path the admin router is mounted on.
+     * @param {string[]} [config.keys] - The accepted admin keys.
+     * @param {string} [config.header] - The request header carrying the admin key.
+     * @param {Function} [config.audit] - A function called with every admin request once it finished.
+     * @param {Object} config.endpoints - An object containing the admin endpoints and their handlers.
+     */
+    set admin({ path = "/admin", keys, header, audit, endpoints }) {
+        this.#_admin = { path, audit, endpoints, guard: new Admin({ keys, header }) };
+    }
+
+    /**
+     * @public
+     * @description Set the tasks the background sweeper runs to purge expired rows.
+     * @memberof Server
+     * @param {Object} config - An object containing the sweeper configuration.
+     * @param {number} [config.interval] - The time between two sweeps in milliseconds.
+     * @param {Object<string, Function>} config.tasks - An object mapping task names to functions receiving the
+     * server and the current time and returning the number of purged rows.
+     */
+    set sweeper({ interval = 60 * 1000, tasks }) {
+        this.#_sweeper = { interval, tasks, timer: null };
+    }
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the sweeper configuration and its timer.
+     * @memberof Server
+    */
+    #_sweeper = null;
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the admin router configuration.
+     * @memberof Server
+    */
+    #_admin = null;
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the WebSocket message actions and their handlers.
+     * @memberof Server
+    */
+    #_sockets = null;
+
     /**
      * @private
      * @type {Object}
@@ -180,6 +498,22 @@ class Server extends Database {
     */
     #_callback = null;
 
+    /**
+     * @private
+     * @type {Object}
+     * @description The HTTP server, once the server is listening.
+     * @memberof Server
+    */
+    #_http = null;
+
+    /**
+     * @private
+     * @type {Promise<void>}
+     * @description The shutdown in progress, so that closing twice waits for the same one.
+     * @memberof Server
+    */
+    #_closed = null;
+
     /**
      * @public
      * @description Bind the endpoints to the Express application.
@@ -187,26 +521,208 @@ class Server extends Database {
      * @memberof Server
      */
     bind() {
+        const router = new Router(this);
+        const limiter = this.#_limiter ? new Limiter(this.#_limiter, {
+            database: this,
+            identify: (req) => this.tokens && this.tokens.read(req)?.sub,
+            rejected: (policy) => this.metrics && this.metrics.rejected(policy)
+        }) : null;
+
+        this.app.use(this.#trace);
+
         if (this.#_middleware)
             this.#_middleware();
 
+        if (this.#_monitoring)
+            this.#bindMonitoring(router);
+
         if (this.#_endpoints) {
             Object.entries(this.#_endpoints).forEach(([method, routes]) => {
-                Object.entries(routes).forEach(([route, handler]) => {
-                    console.log('Binding route:', method, route);
-    
-                    this.app[method](route, async (req, res) => {
-                        if (this.#_callback)
-                            this.#_callback(req, res);
-
-                        await handler(this, req, res);
+                Object.entries(routes).forEach(([route, definition]) => {
+                    this.logger.debug("Binding route", { method, route });
+
+                    router.route(this.app, method, route, definition, {
+                        before: this.#guarded(method, route) ? [this.tokens.authenticate] : [],
+                        callback: this.#_callback,
+                        limiter: limiter && limiter.policy
                     });
                 })
             });
+
+            router.close(this.app);
         };
 
+        if (this.#_admin)
+            this.#bindAdmin(router, limiter && limiter.policy);
+
         if (this.#_afterware)
             this.app.use(this.#_afterware);
+
+        if (limiter)
+            this.app.use(limiter.policy());
+
+        this.app.use(router.fallback);
+        this.app.use(router.errors);
+    }
+
+    /**
+     * @private
+     * @description Bind the liveness, readiness and metrics endpoints.
+     * @param {Router} router - The router binding the route definitions.
+     * @returns {void}
+     * @memberof Server
+     */
+    #bindMonitoring(router) {
+        const { live, ready, metrics, token, checks } = this.#_monitoring;
+        const expected = token && crypto.createHash("sha256").update(`Bearer ${token}`).digest();
+
+        router.route(this.app, "get", live, (server, _, res) => {
+            if (!server.database.open) {
+                return res.status(StatusCodes.SERVICE_UNAVAILABLE).send({
+                    error: "Service Unavailable",
+                    details: "The database handle is closed.",
+                });
+            }
+
+            res.status(StatusCodes.OK).send({
+                response: "Alive",
+                data: { uptime: process.uptime() }
+            });
+        });
+
+        router.route(this.app, "get", ready, (server, req, res) => {
+            // Failing readiness first lets load balancers stop routing here while requests drain.
+            if (server.closing) {
+                return res.status(StatusCodes.SERVICE_UNAVAILABLE).send({
+                    error: "Service Unavailable",
+                    details: "The server is shutting down.",
+                });
+            }
+
+            const failed = server.ready(req.log);
+
+            if (failed.length > 0) {
+                return res.status(StatusCodes.SERVICE_UNAVAILABLE).send({
+                    error: "Service Unavailable",
+                    details: `Failing checks: ${failed.join(", ")}.`,
+                });
+            }
+
+            res.status(StatusCodes.OK).send({
+                response: "Ready",
+                data: { checks: Object.keys(checks) }
+            });
+        });
+
+        router.route(this.app, "get", metrics, (server, req, res) => {
+            const actual = crypto.createHash("sha256").update(req.get("Authorization") || "").digest();
+
+            if (expected && !crypto.timingSafeEqual(actual, expected)) {
+                return res.status(StatusCodes.UNAUTHORIZED).set("WWW-Authenticate", "Bearer").send({
+                    error: "Unauthorized",
+                    details: "Invalid metrics token.",
+                });
+            }
+
+            res.status(StatusCodes.OK).type("text/plain; version=0.0.4").send(server.metrics.render(server));
+        });
+    }
+
+    /**
+     * @private
+     * @description Mount the admin router, auditing every request that reaches it.
+     * @param {Router} router - The router binding the route definitions.
+     * @param {Function} limiter - A function returning the rate limiter of a policy name or options.
+     * @returns {void}
+     * @memberof Server
+     */
+    #bindAdmin(router, limiter) {
+        const { path, audit, endpoints, guard } = this.#_admin;
+        const admin = express.Router();
+
+        if (!guard.enabled)
+            this.logger.warn("No admin keys configured, the admin router is disabled");
+
+        if (audit) {
+            admin.use((req, res, next) => {
+                res.on("finish", () => {
+                    try {
+                        audit(this, req, res);
+                    } catch (err) {
+                        req.log.error("Audit log error", { err });
+                    }
+                });
+
+                next();
+            });
+        }
+
+        admin.use(guard.authorize);
+
+        Object.entries(endpoints).forEach(([method, routes]) => {
+            Object.entries(routes).forEach(([route, definition]) => {
+                this.logger.debug("Binding admin route", { method, route: path + route });
+
+                router.route(admin, method, route, definition, { limiter });
+            });
+        });
+
+        router.close(admin);
+        this.app.use(path, admin);
+    }
+
+    /**
+     * @private
+     * @description Express middleware giving every request an id and a logger bound to it.
+     * A valid `X-Request-Id` header is kept so that ids can be followed across proxies, and
+     * the id is echoed on the response. Finished requests are logged with their route
+     * pattern rather than their path, which may carry chat keys.
+     * @memberof Server
+     */
+    #trace = (req, res, next) => {
+        const header = req.get("X-Request-Id");
+        const started = process.hrtime.bigint();
+
+        req.id = header && /^[\w-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+        req.log = this.logger.child({ requestId: req.id });
+        res.set("X-Request-Id", req.id);
+
+        // Keep-alive connections are closed after their last response, so none outlive the shutdown.
+        if (this.closing)
+            res.set("Connection", "close");
+
+        res.on("finish", () => {
+            const request = {
+                method: req.method,
+                route: req.route ? req.baseUrl + req.route.path : null,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6
+            };
+
+            req.log.info("Request finished", request);
+
+            if (this.metrics)
+                this.metrics.request({ ...request, duration: request.durationMs / 1000 });
+        });
+
+        next();
+    };
+
+    /**
+     * @private
+     * @description Whether a route requires a signed token.
+     * @memberof Server
+     * @param {string} method - The HTTP method.
+     * @param {string} route - The route path.
+     * @returns {boolean}
+     */
+    #guarded(method, route) {
+        if (!this.#_authentication)
+            return false;
+
+        const { methods, exclude } = this.#_authentication;
+
+        return methods.includes(method) && !exclude.includes(route);
     }
 
     /**
@@ -234,7 +750,11 @@ class Server extends Database {
     constructor(dbPath, options, callback) {
         super(dbPath, options);
         this.app = express();
-        
+        this.socket = null;
+        this.tokens = null;
+        this.metrics = null;
+        this.closing = false;
+
         if (callback)
             this.#_callback = callback;
     }
@@ -242,21 +762,192 @@ class Server extends Database {
     /**
      * Start the server.
      * @public
-     * @description Start the server on the specified port.
+     * @description Start the server on the specified port and attach the WebSocket server to it.
      * @memberof Server
+     * @param {number} port - The port to listen on.
+     * @param {string} [host] - The address to bind, every interface when omitted.
      */
-    listen = async (port) => {
+    listen = async (port, host) => {
         return new Promise((resolve, reject) => {
-            const server = this.app.listen(port, () => {
+            const server = this.app.listen(port, host, () => {
                 resolve({ server, port });
             });
 
+            this.#_http = server;
+
+            this.#startSweeper();
+
+            if (this.#_sockets) {
+                this.socket = new Socket(server, {
+                    path: "/ws",
+                    handlers: this.#_sockets,
+                    context: this
+                });
+            }
+
             server.on('error', (error) => {
                 reject(error);
             });
         });
     }
 
+    /**
+     * Shut the server down.
+     * @public
+     * @description Stops accepting connections and background work, lets in-flight requests finish and
+     * WebSocket clients receive what was already sent to them, then closes the database. Connections
+     * still open once the timeout elapses are cut. Calling it again returns the same shutdown.
+     * @memberof Server
+     * @param {Object} [options] - Shutdown options.
+     * @param {number} [options.timeout] - How long to wait for connections to drain, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    close = ({ timeout = 8 * 1000 } = {}) => {
+        if (this.#_closed)
+            return this.#_closed;
+
+        this.closing = true;
+        this.logger.info("Server closing", { timeout });
+
+        if (this.#_sweeper && this.#_sweeper.timer) {
+            clearInterval(this.#_sweeper.timer);
+            this.#_sweeper.timer = null;
+        }
+
+        this.#_closed = Promise.all([
+            this.#drain(timeout),
+            this.socket && this.socket.close(timeout)
+        ]).then(() => {
+            this.disconnect();
+            this.logger.info("Server closed");
+        });
+
+        return this.#_closed;
+    };
+
+    /**
+     * @private
+     * @description Stop accepting HTTP connections and wait for the open ones to finish.
+     * Idle keep-alive connections are closed at once and busy ones once the timeout elapses.
+     * @memberof Server
+     * @param {number} timeout - How long to wait, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    #drain(timeout) {
+        return new Promise((resolve) => {
+            if (!this.#_http || !this.#_http.listening)
+                return resolve();
+
+            const timer = setTimeout(() => {
+                this.logger.warn("Closing connections that did not drain in time");
+                this.#_http.closeAllConnections();
+            }, timeout);
+
+            this.#_http.close(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            this.#_http.closeIdleConnections();
+        });
+    }
+
+    /**
+     * Run every sweeper task once.
+     * @public
+     * @description Each task runs on its own so that one failing task does not keep the others from purging.
+     * @memberof Server
+     * @returns {Object<string, number>} An object mapping task names to the number of purged rows.
+     */
+    sweep = () => {
+        if (!this.#_sweeper)
+            return {};
+
+        const now = Date.now();
+
+        return Object.fromEntries(Object.entries(this.#_sweeper.tasks).map(([name, task]) => {
+            try {
+                return [name, task(this, now)];
+            } catch (err) {
+                this.logger.error("Sweeper error", { task: name, err });
+                return [name, 0];
+            }
+        }));
+    };
+
+    /**
+     * Run every readiness check once.
+     * @public
+     * @description Shared by the readiness endpoint and the startup check, which so never depends on the
+     * address the server listens on.
+     * @memberof Server
+     * @param {Object} [log] - The logger failing checks are reported to.
+     * @returns {string[]} The names of the failing checks.
+     */
+    ready = (log = this.logger) => {
+        const checks = this.#_monitoring ? this.#_monitoring.checks : {};
+
+        return Object.entries(checks).filter(([name, check]) => {
+            try {
+                check(this);
+                return false;
+            } catch (err) {
+                log.warn("Readiness check failed", { check: name, err });
+                return true;
+            }
+        }).map(([name]) => name);
+    };
+
+    /**
+     * @private
+     * @description Sweep once, then keep sweeping on the configured interval.
+     * @memberof Server
+     * @returns {void}
+     */
+    #startSweeper() {
+        if (!this.#_sweeper || this.#_sweeper.timer)
+            return;
+
+        this.sweep();
+
+        this.#_sweeper.timer = setInterval(this.sweep, this.#_sweeper.interval);
+        this.#_sweeper.timer.unref();
+    }
+
+    /**
+     * Push a payload to every WebSocket client subscribed to a channel.
+     * @public
+     * @description Returns 0 when the server has no WebSocket layer attached.
+     * @memberof Server
+     * @param {string} channel - The channel name.
+     * @param {Object} payload - The payload to send.
+     * @param {number} [except] - The id of a user whose clients are skipped, such as the sender.
+     * @returns {number} The number of clients the payload was delivered to.
+     */
+    publish = (channel, payload, except) => {
+        if (!this.socket)
+            return 0;
+
+        return this.socket.publish(channel, payload, except);
+    };
+
+    /**
+     * List the users with a live subscription to a channel.
+     * @public
+     * @description Only clients that subscribed with a valid token are known by user.
+     * @memberof Server
+     * @param {string} channel - The channel name.
+     * @param {number} [except] - The id of a user left out, such as the sender.
+     * @returns {number[]} The distinct user ids.
+     */
+    subscribers = (channel, except) => {
+        if (!this.socket)
+            return [];
+
+        return [...new Set(this.socket.clients(channel).map((client) => client.userId).filter(Boolean))]
+            .filter((userId) => userId !== except);
+    };
+
     /**
      * Create a new user.
      * @public
@@ -280,5 +971,22 @@ class Server extends Database {
  * @exports Server
  * @see {@link Server}
  * @see {@link Database}
+ * @see {@link Migrator}
  */
-export default Server; // Export the Server class
\ No newline at end of file
+export default Server; // Export the Server class
+export {
+    Database,
+    Migrator,
+    Repository,
+    UserRepository,
+    SessionRepository,
+    ChatRepository,
+    MailboxRepository,
+    ConversationRepository,
+    DeviceRepository,
+    InviteRepository,
+    AttachmentRepository,
+    ReceiptRepository,
+    RateLimitRepository,
+    AuditRepository
+};
\ No newline at end of file
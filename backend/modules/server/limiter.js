@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Named rate-limit policies for the backend server.
+ *
+ * Every route is its own `express-rate-limit` instance with its own counters, even
+ * when it shares its policy with other routes, so heavy message traffic never eats
+ * into the budget of account creation and a client locked out of one route can
+ * still use the others. Requests are counted per authenticated identity when a
+ * valid bearer token is present and per IP address otherwise.
+ *
+ * Counters live either in memory or in the `rate_limits` table, the latter
+ * surviving restarts and being shared by every process using the same database.
+ *
+ * @require express-rate-limit - Basic rate-limiting middleware for Express.
+*/
+import { rateLimit, MemoryStore } from "express-rate-limit";
+
+/**
+ * @class SqliteStore
+ * @classdesc An `express-rate-limit` store keeping fixed-window counters in the `rate_limits` table.
+ * @property {string} prefix - The prefix separating the counters of different policies.
+ */
+class SqliteStore {
+    /**
+     * @private
+     * @type {Object}
+     * @description The database whose `rateLimits` repository stores the counters.
+     * @memberof SqliteStore
+    */
+    #_database = null;
+
+    /**
+     * @private
+     * @type {number}
+     * @description The length of a window in milliseconds.
+     * @memberof SqliteStore
+    */
+    #_windowMs = 60 * 1000;
+
+    /**
+     * Constructor for the SqliteStore class.
+     * @constructor
+     * @description Create a new instance of the SqliteStore class.
+     * @param {Object} database - A Database instance exposing the `rateLimits` repository.
+     * @param {string} prefix - The prefix separating the counters of different policies.
+     * @memberof SqliteStore
+     * @returns {SqliteStore}
+     */
+    constructor(database, prefix) {
+        this.#_database = database;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Receive the options of the limiter using the store.
+     * @public
+     * @memberof SqliteStore
+     * @param {Object} options - The limiter options.
+     * @returns {void}
+     */
+    init = ({ windowMs }) => {
+        this.#_windowMs = windowMs;
+    };
+
+    /**
+     * Count a hit, starting a new window when the previous one is over.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {{totalHits: number, resetTime: Date}}
+     */
+    increment = (key) => {
+        const { hits, resetAt } = this.#_database.rateLimits.increment(this.prefix + key, this.#_windowMs, Date.now());
+
+        return { totalHits: hits, resetTime: new Date(resetAt) };
+    };
+
+    /**
+     * Read the current window of a client without counting a hit.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {{totalHits: number, resetTime: Date}|undefined}
+     */
+    get = (key) => {
+        const row = this.#_database.rateLimits.get(this.prefix + key, Date.now());
+
+        return row ? { totalHits: row.hits, resetTime: new Date(row.resetAt) } : undefined;
+    };
+
+    /**
+     * Take back a hit, used when a policy skips successful or failed requests.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {void}
+     */
+    decrement = (key) => {
+        this.#_database.rateLimits.decrement(this.prefix + key);
+    };
+
+    /**
+     * Forget the counter of a client.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {void}
+     */
+    resetKey = (key) => {
+        this.#_database.rateLimits.reset(this.prefix + key);
+    };
+}
+
+/**
+ * @class Limiter
+ * @classdesc A class building one rate limiter per named policy.
+ * @property {Function} policy - A function returning the middleware of a policy or of inline options.
+ * @property {Function} key - A function returning the key a request is counted under.
+ */
+class Limiter {
+    /**
+     * @private
+     * @type {Object}
+     * @description The options shared by every policy.
+     * @memberof Limiter
+    */
+    #_options = {};
+
+    /**
+     * @private
+     * @type {Object}
+     * @description The named policies and their options.
+     * @memberof Limiter
+    */
+    #_policies = {};
+
+    /**
+     * @private
+     * @type {Map<string, Function>}
+     * @description The middlewares already built, by counter name.
+     * @memberof Limiter
+    */
+    #_built = new Map();
+
+    /**
+     * @private
+     * @type {Function}
+     * @description A function returning a store for a counter name.
+     * @memberof Limiter
+    */
+    #_store = null;
+
+    /**
+     * @private
+     * @type {Function}
+     * @description A function returning the identity behind a request, or null.
+     * @memberof Limiter
+    */
+    #_identify = null;
+
+    /**
+     * @private
+     * @type {Function}
+     * @description A function called with the policy name of every rejected request.
+     * @memberof Limiter
+    */
+    #_rejected = null;
+
+    /**
+     * Constructor for the Limiter class.
+     * @constructor
+     * @description Create a new instance of the Limiter class.
+     * @param {Object} config - The limiter configuration.
+     * @param {Object} [config.policies] - The named policies. Without them the whole configuration is the `default` policy.
+     * @param {string|Function} [config.store] - `"memory"`, `"sqlite"` or a function returning a store for a counter name.
+     * @param {Object} options - Additional options.
+     * @param {Object} options.database - The database used by the `"sqlite"` store.
+     * @param {Function} [options.identify] - A function returning the identity behind a request, or null.
+     * @param {Function} [options.rejected] - A function called with the policy name of every rejected request.
+     * @memberof Limiter
+     * @returns {Limiter}
+     */
+    constructor({ policies, store = "memory", ...options }, { database, identify = () => null, rejected = () => {} }) {
+        this.#_options = options;
+        this.#_policies = policies || { default: {} };
+        this.#_identify = identify;
+        this.#_rejected = rejected;
+
+        if (typeof store === "function")
+            this.#_store = store;
+        else if (store === "sqlite")
+            this.#_store = (name) => new SqliteStore(database, `${name}:`);
+        else if (store === "memory")
+            this.#_store = () => new MemoryStore();
+        else
+            throw new Error(`Unknown rate limit store: ${store}`);
+
+        if (!this.#_policies.default)
+            throw new Error("A default rate limit policy is required.");
+    }
+
+    /**
+     * Return the key a request is counted under.
+     * @public
+     * @memberof Limiter
+     * @param {Object} req - The Express request.
+     * @returns {string}
+     */
+    key = (req) => {
+        const identity = this.#_identify(req);
+
+        return identity ? `identity:${identity}` : `ip:${req.ip}`;
+    };
+
+    /**
+     * @private
+     * @description Build a rate limiter.
+     * @memberof Limiter
+     * @param {string} policy - The policy its rejections are recorded under.
+     * @param {string} name - The counter name its store is created for.
+     * @param {Object} options - The policy options.
+     * @returns {Function}
+     */
+    #build = (policy, name, options) => {
+        const { handler, ...rest } = { ...this.#_options, ...options };
+
+        return rateLimit({
+            keyGenerator: this.key,
+            ...rest,
+            store: this.#_store(name),
+            handler: (req, res, next, settings) => {
+                this.#_rejected(policy);
+
+                if (handler)
+                    return handler(req, res, next, settings);
+
+                res.status(settings.statusCode).send(settings.message);
+            }
+        });
+    };
+
+    /**
+     * Return the rate limiter of a policy.
+     * @public
+     * @description Named policies are built once per route, each with its own counters, and once more for
+     * the requests no route matched. Inline options always get their own counters.
+     * @memberof Limiter
+     * @param {string|Object} [policy] - A policy name or inline options. Defaults to the `default` policy.
+     * @param {string} [route] - The route the limiter applies to, naming its counters.
+     * @returns {Function}
+     */
+    policy = (policy = "default", route = "") => {
+        if (typeof policy === "object")
+            return this.#build(`route:${route}`, `route:${route}`, { ...this.#_policies.default, ...policy });
+
+        if (!this.#_policies[policy])
+            throw new Error(`Unknown rate limit policy: ${policy}`);
+
+        const name = route ? `${policy}:${route}` : policy;
+
+        if (!this.#_built.has(name))
+            this.#_built.set(name, this.#build(policy, name, this.#_policies[policy]));
+
+        return this.#_built.get(name);
+    };
+}
+
+/**
+ * @module Limiter
+ * @description A module for the Limiter and SqliteStore classes.
+ * @exports Limiter
+ * @exports SqliteStore
+ * @see {@link Limiter}
+ */
+export default Limiter;
+export { SqliteStore };
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Structured logging for the backend server.
+ *
+ * Every entry is a single JSON line carrying its time, level and message along
+ * with the fields bound to the logger, such as the id of the request being
+ * handled. Fields that may hold chat keys, identifiers, key material or message
+ * content are redacted before anything is written, wherever they are nested.
+ *
+ * @require fs - The Node.js file system module.
+*/
+import fs from "fs";
+
+/**
+ * The numeric value of every level, entries below the configured one are dropped.
+ * @type {Object<string, number>}
+ */
+const LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    silent: Infinity
+};
+
+/**
+ * The fields redacted by default.
+ * @type {string[]}
+ */
+const REDACTED = [
+    "key", "keys", "identifier", "identifiers", "sender", "recipient", "members",
+    "content", "token", "nonce", "signature", "secret", "authorization",
+    "identityKey", "publicKey", "signedPreKey", "oneTimePreKeys"
+];
+
+/**
+ * @class Logger
+ * @classdesc A class writing leveled JSON log entries.
+ * @property {string} level - The lowest level written.
+ */
+class Logger {
+    /**
+     * @private
+     * @type {Object}
+     * @description The stream entries are written to.
+     * @memberof Logger
+    */
+    #_stream = null;
+
+    /**
+     * @private
+     * @type {Set<string>}
+     * @description The lower-cased names of the redacted fields.
+     * @memberof Logger
+    */
+    #_redact = null;
+
+    /**
+     * @private
+     * @type {Object}
+     * @description The fields added to every entry.
+     * @memberof Logger
+    */
+    #_bindings = {};
+
+    /**
+     * Constructor for the Logger class.
+     * @constructor
+     * @description Create a new instance of the Logger class.
+     * @param {Object} [options] - Configuration options for the logger.
+     * @param {string} [options.level] - The lowest level written: `trace`, `debug`, `info`, `warn`, `error` or `silent`.
+     * @param {string|Object} [options.destination] - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @param {string[]} [options.redact] - The fields whose values never reach the log.
+     * @param {Object} [options.bindings] - The fields added to every entry.
+     * @memberof Logger
+     * @returns {Logger}
+     */
+    constructor({ level = "info", destination = "stdout", redact = REDACTED, bindings = {} } = {}) {
+        if (!(level in LEVELS))
+            throw new Error(`Unknown log level: ${level}`);
+
+        this.level = level;
+        this.#_stream = Logger.#open(destination);
+        this.#_redact = new Set(redact.map((field) => field.toLowerCase()));
+        this.#_bindings = bindings;
+    }
+
+    /**
+     * @private
+     * @static
+     * @description Resolve a destination to a writable stream.
+     * @memberof Logger
+     * @param {string|Object} destination - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @returns {Object}
+     */
+    static #open(destination) {
+        if (typeof destination !== "string")
+            return destination;
+
+        if (destination === "stdout")
+            return process.stdout;
+
+        if (destination === "stderr")
+            return process.stderr;
+
+        return fs.createWriteStream(destination, { flags: "a" });
+    }
+
+    /**
+     * Create a logger adding more fields to every entry.
+     * @public
+     * @description The child shares the level, destination and redaction of its parent.
+     * @memberof Logger
+     * @param {Object} bindings - The additional fields.
+     * @returns {Logger}
+     */
+    child = (bindings) => {
+        return new Logger({
+            level: this.level,
+            destination: this.#_stream,
+            redact: [...this.#_redact],
+            bindings: { ...this.#_bindings, ...bindings }
+        });
+    };
+
+    /**
+     * Whether entries of a level are written.
+     * @public
+     * @memberof Logger
+     * @param {string} level - The level.
+     * @returns {boolean}
+     */
+    enabled = (level) => {
+        return LEVELS[level] >= LEVELS[this.level];
+    };
+
+    /**
+     * @private
+     * @description Copy a value with every redacted field replaced and errors reduced to plain objects.
+     * @memberof Logger
+     * @param {*} value - The value to clean.
+     * @returns {*}
+     */
+    #clean = (value) => {
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: value.message,
+                ...(value.code && { code: value.code }),
+                ...(this.enabled("debug") && { stack: value.stack })
+            };
+        }
+
+        if (Array.isArray(value))
+            return value.map(this.#clean);
+
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).map(([name, field]) => [
+                name,
+                this.#_redact.has(name.toLowerCase()) ? "[redacted]" : this.#clean(field)
+            ]));
+        }
+
+        return value;
+    };
+
+    /**
+     * @private
+     * @description Write an entry.
+     * @memberof Logger
+     * @param {string} level - The level of the entry.
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     * @returns {void}
+     */
+    #write = (level, message, fields = {}) => {
+        if (!this.enabled(level))
+            return;
+
+        const entry = this.#clean({ ...this.#_bindings, ...fields });
+
+        this.#_stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...entry }) + "\n");
+    };
+
+    /**
+     * Write a trace entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    trace = (message, fields) => this.#write("trace", message, fields);
+
+    /**
+     * Write a debug entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    debug = (message, fields) => this.#write("debug", message, fields);
+
+    /**
+     * Write an info entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    info = (message, fields) => this.#write("info", message, fields);
+
+    /**
+     * Write a warning entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    warn = (message, fields) => this.#write("warn", message, fields);
+
+    /**
+     * Write an error entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    error = (message, fields) => this.#write("error", message, fields);
+}
+
+/**
+ * @module Logger
+ * @description A module for the Logger class.
+ * @exports Logger
+ * @exports LEVELS
+ * @exports REDACTED
+ * @see {@link Logger}
+ */
+export default Logger;
+export { LEVELS, REDACTED };
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Prometheus metrics for the backend server.
+ *
+ * Counters and histograms are kept in memory and updated as requests finish,
+ * while gauges are collected when the metrics are scraped. Everything is
+ * rendered in the Prometheus text exposition format.
+ *
+ * Labels only ever carry route patterns, methods, statuses and policy names, so
+ * neither chat keys nor identifiers can reach a scrape.
+*/
+
+/**
+ * The upper bounds of the request duration buckets, in seconds.
+ * @type {number[]}
+ */
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @class Metrics
+ * @classdesc A class collecting server metrics and rendering them for Prometheus.
+ * @property {string} prefix - The prefix of every metric name.
+ * @property {Function} request - A function to record a finished request.
+ * @property {Function} rejected - A function to record a rate-limit rejection.
+ * @property {Function} render - A function to render every metric.
+ */
+class Metrics {
+    /**
+     * @private
+     * @type {Map<string, number>}
+     * @description The request counts, by label string.
+     * @memberof Metrics
+    */
+    #_requests = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, {buckets: number[], sum: number, count: number}>}
+     * @description The request duration histograms, by label string.
+     * @memberof Metrics
+    */
+    #_durations = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, number>}
+     * @description The rate-limit rejection counts, by label string.
+     * @memberof Metrics
+    */
+    #_rejections = new Map();
+
+    /**
+     * @private
+     * @type {Object<string, {help: string, collect: Function}>}
+     * @description The gauges collected on every scrape.
+     * @memberof Metrics
+    */
+    #_gauges = {};
+
+    /**
+     * Constructor for the Metrics class.
+     * @constructor
+     * @description Create a new instance of the Metrics class.
+     * @param {Object} [options] - Configuration options for the metrics.
+     * @param {string} [options.prefix] - The prefix of every metric name.
+     * @param {Object<string, {help: string, collect: Function}>} [options.gauges] - An object mapping gauge names to
+     * their help text and a function returning either their value or a list of `{ labels, value }` samples.
+     * @memberof Metrics
+     * @returns {Metrics}
+     */
+    constructor({ prefix = "ciphered_", gauges = {} } = {}) {
+        this.prefix = prefix;
+        this.#_gauges = gauges;
+    }
+
+    /**
+     * @private
+     * @static
+     * @description Render a set of labels.
+     * @memberof Metrics
+     * @param {Object} labels - An object mapping label names to values.
+     * @returns {string}
+     */
+    static #labels(labels) {
+        const pairs = Object.entries(labels)
+            .map(([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`);
+
+        return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+    }
+
+    /**
+     * Record a finished request.
+     * @public
+     * @memberof Metrics
+     * @param {Object} request - The request to record.
+     * @param {string} request.method - The HTTP method.
+     * @param {string|null} request.route - The route pattern, or null when no route matched.
+     * @param {number} request.status - The response status.
+     * @param {number} request.duration - The time the request took, in seconds.
+     * @returns {void}
+     */
+    request = ({ method, route, status, duration }) => {
+        const labels = { method, route: route || "unmatched" };
+        const counted = Metrics.#labels({ ...labels, status });
+        const timed = Metrics.#labels(labels);
+
+        this.#_requests.set(counted, (this.#_requests.get(counted) || 0) + 1);
+
+        if (!this.#_durations.has(timed))
+            this.#_durations.set(timed, { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 });
+
+        const histogram = this.#_durations.get(timed);
+
+        BUCKETS.forEach((bound, index) => {
+            if (duration <= bound)
+                histogram.buckets[index]++;
+        });
+
+        histogram.sum += duration;
+        histogram.count++;
+    };
+
+    /**
+     * Record a request rejected by a rate-limit policy.
+     * @public
+     * @memberof Metrics
+     * @param {string} policy - The name of the policy.
+     * @returns {void}
+     */
+    rejected = (policy) => {
+        const labels = Metrics.#labels({ policy });
+
+        this.#_rejections.set(labels, (this.#_rejections.get(labels) || 0) + 1);
+    };
+
+    /**
+     * @private
+     * @description Render the header and samples of a metric.
+     * @memberof Metrics
+     * @param {string} name - The metric name, without its prefix.
+     * @param {string} type - The metric type.
+     * @param {string} help - The help text.
+     * @param {string[]} samples - The rendered samples.
+     * @returns {string[]}
+     */
+    #metric = (name, type, help, samples) => {
+        return [`# HELP ${this.prefix}${name} ${help}`, `# TYPE ${this.prefix}${name} ${type}`, ...samples];
+    };
+
+    /**
+     * Render every metric in the Prometheus text exposition format.
+     * @public
+     * @description Gauges failing to collect are left out rather than failing the whole scrape.
+     * @memberof Metrics
+     * @param {Object} context - The context passed to the gauge collectors.
+     * @returns {string}
+     */
+    render = (context) => {
+        const name = `${this.prefix}http_request_duration_seconds`;
+        const lines = [
+            ...this.#metric("http_requests_total", "counter", "HTTP requests by method, route and status.",
+                [...this.#_requests].map(([labels, count]) => `${this.prefix}http_requests_total${labels} ${count}`)),
+            ...this.#metric("http_request_duration_seconds", "histogram", "HTTP request durations by method and route.",
+                [...this.#_durations].flatMap(([labels, { buckets, sum, count }]) => {
+                    const inner = labels.slice(1, -1);
+
+                    return [
+                        ...BUCKETS.map((bound, index) => `${name}_bucket{${inner},le="${bound}"} ${buckets[index]}`),
+                        `${name}_bucket{${inner},le="+Inf"} ${count}`,
+                        `${name}_sum${labels} ${sum}`,
+                        `${name}_count${labels} ${count}`
+                    ];
+                })),
+            ...this.#metric("rate_limit_rejections_total", "counter", "Requests rejected by a rate-limit policy.",
+                [...this.#_rejections].map(([labels, count]) => `${this.prefix}rate_limit_rejections_total${labels} ${count}`))
+        ];
+
+        Object.entries(this.#_gauges).forEach(([gauge, { help, collect }]) => {
+            let value;
+
+            try {
+                value = collect(context);
+            } catch {
+                return;
+            }
+
+            const samples = Array.isArray(value)
+                ? value.map((sample) => `${this.prefix}${gauge}${Metrics.#labels(sample.labels)} ${sample.value}`)
+                : [`${this.prefix}${gauge} ${value}`];
+
+            lines.push(...this.#metric(gauge, "gauge", help, samples));
+        });
+
+        return lines.join("\n") + "\n";
+    };
+}
+
+/**
+ * @module Metrics
+ * @description A module for the Metrics class.
+ * @exports Metrics
+ * @exports BUCKETS
+ * @see {@link Metrics}
+ */
+export default Metrics;
+export { BUCKETS };
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Versioned schema migrations for the backend server.
+ *
+ * Migrations are files named `<version>_<name>.js` exporting `up` and `down`,
+ * each either an array of single SQL statements or a synchronous function receiving
+ * the database. Every migration runs in its own transaction together with the
+ * `schema_migrations` bookkeeping, so a failing migration leaves no trace.
+ *
+ * @require fs - The Node.js file system module.
+ * @require path - The Node.js path module.
+ * @require url - The Node.js url module.
+*/
+import fs from "fs";
+import path from "path";
+import url from "url";
+
+/**
+ * @class Migrator
+ * @classdesc A class applying and reverting numbered schema migrations.
+ * @property {Object} database - The database the migrations run against.
+ * @property {string} directory - The directory containing the migration files.
+ * @property {Function} status - A function to list every migration and when it was applied.
+ * @property {Function} up - A function to apply pending migrations.
+ * @property {Function} down - A function to revert applied migrations.
+ */
+class Migrator {
+    /**
+     * Constructor for the Migrator class.
+     * @constructor
+     * @description Create a new instance of the Migrator class.
+     * @param {Object} database - A Database instance exposing `prepare` and `transaction`.
+     * @param {string} directory - The directory containing the migration files.
+     * @memberof Migrator
+     * @returns {Migrator}
+     */
+    constructor(database, directory) {
+        this.database = database;
+        this.directory = directory;
+    }
+
+    /**
+     * @private
+     * @description Create the bookkeeping table if it does not exist yet.
+     * @memberof Migrator
+     * @returns {void}
+     */
+    #prepare = () => {
+        this.database.prepare(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+version INTEGER PRIMARY KEY,
+name TEXT NOT NULL,
+appliedAt INTEGER NOT NULL
+)`
+        ).run();
+    };
+
+    /**
+     * @private
+     * @description Load the migration files, ordered by version.
+     * @memberof Migrator
+     * @returns {Promise<Object[]>}
+     */
+    #load = async () => {
+        const files = fs.readdirSync(this.directory)
+            .map((file) => file.match(/^(\d+)_([\w-]+)\.js$/))
+            .filter(Boolean);
+
+        const migrations = await Promise.all(files.map(async ([file, version, name]) => {
+            const module = await import(url.pathToFileURL(path.join(this.directory, file)).href);
+
+            if (!module.up || !module.down)
+                throw new Error(`Migration ${file} must export both up and down.`);
+
+            return { version: Number(version), name, up: module.up, down: module.down };
+        }));
+
+        migrations.sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version)
+                throw new Error(`Duplicate migration version: ${migration.version}`);
+        });
+
+        return migrations;
+    };
+
+    /**
+     * @private
+     * @description Run one direction of a migration.
+     * @memberof Migrator
+     * @param {string[]|Function} step - The SQL statements or the function to run.
+     * @returns {void}
+     */
+    #run = (step) => {
+        if (typeof step === "function")
+            return step(this.database);
+
+        step.forEach((sql) => this.database.prepare(sql).run());
+    };
+
+    /**
+     * @private
+     * @description Map applied versions to the time they were applied.
+     * @memberof Migrator
+     * @returns {Map<number, number>}
+     */
+    #applied = () => {
+        const rows = this.database.prepare("SELECT version, appliedAt FROM schema_migrations").all();
+
+        return new Map(rows.map(({ version, appliedAt }) => [version, appliedAt]));
+    };
+
+    /**
+     * List every migration and whether it was applied.
+     * @public
+     * @memberof Migrator
+     * @returns {Promise<Array<{version: number, name: string, appliedAt: number|null}>>}
+     */
+    status = async () => {
+        this.#prepare();
+
+        const applied = this.#applied();
+        const migrations = await this.#load();
+
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.get(version) || null
+        }));
+    };
+
+    /**
+     * Apply every pending migration up to a target version.
+     * @public
+     * @memberof Migrator
+     * @param {number} [target] - The last version to apply. Defaults to all of them.
+     * @returns {Promise<Object[]>} The applied migrations.
+     */
+    up = async (target = Infinity) => {
+        this.#prepare();
+
+        const applied = this.#applied();
+        const pending = (await this.#load())
+            .filter(({ version }) => !applied.has(version) && version <= target);
+
+        pending.forEach((migration) => {
+            this.database.transaction(() => {
+                this.#run(migration.up);
+
+                this.database
+                    .prepare("INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)")
+                    .run(migration.version, migration.name, Date.now());
+            })();
+
+            this.database.logger.info("Applied migration", { version: migration.version, name: migration.name });
+        });
+
+        return pending;
+    };
+
+    /**
+     * Revert the most recently applied migrations.
+     * @public
+     * @memberof Migrator
+     * @param {number} [steps] - The number of migrations to revert.
+     * @returns {Promise<Object[]>} The reverted migrations.
+     */
+    down = async (steps = 1) => {
+        this.#prepare();
+
+        const applied = this.#applied();
+        const reverting = (await this.#load())
+            .filter(({ version }) => applied.has(version))
+            .reverse()
+            .slice(0, steps);
+
+        reverting.forEach((migration) => {
+            this.database.transaction(() => {
+                this.#run(migration.down);
+
+                this.database
+                    .prepare("DELETE FROM schema_migrations WHERE version = ?")
+                    .run(migration.version);
+            })();
+
+            this.database.logger.info("Reverted migration", { version: migration.version, name: migration.name });
+        });
+
+        return reverting;
+    };
+}
+
+/**
+ * @module Migrator
+ * @description A module for the Migrator class.
+ * @exports Migrator
+ * @see {@link Migrator}
+ */
+export default Migrator;
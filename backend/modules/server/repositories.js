@@ -0,0 +1,1532 @@
+/**
+ * @fileoverview Data access for users, legacy sessions, chats, sealed mailboxes, conversations, devices,
+ * invites, attachments, receipts, rate limit counters and the admin audit log.
+ *
+ * Every repository owns the SQL of its tables. Statements are prepared once
+ * per database handle and reused on every later call, and operations made of
+ * several statements run in a single transaction, so concurrent requests can
+ * never interleave between a check and the write depending on it.
+ *
+ * Lists are bound as one JSON array and expanded with `json_each`, so a
+ * statement is prepared once whatever the length of the list.
+*/
+
+/**
+ * @class Repository
+ * @classdesc A base class caching the prepared statements of a repository.
+ * @property {Object} database - The Database instance statements are prepared on.
+ * @property {Function} statement - A function returning the cached statement of a SQL query.
+ * @property {Function} transaction - A function to wrap a function in a transaction.
+ */
+class Repository {
+    /**
+     * @private
+     * @type {Map<string, Object>}
+     * @description The prepared statements, by SQL query.
+     * @memberof Repository
+    */
+    #_statements = new Map();
+
+    /**
+     * @private
+     * @type {Object}
+     * @description The better-sqlite3 handle the cached statements belong to.
+     * @memberof Repository
+    */
+    #_handle = null;
+
+    /**
+     * Constructor for the Repository class.
+     * @constructor
+     * @description Create a new instance of the Repository class.
+     * @param {Object} database - The Database instance statements are prepared on.
+     * @memberof Repository
+     * @returns {Repository}
+     */
+    constructor(database) {
+        this.database = database;
+    }
+
+    /**
+     * Return the prepared statement of a SQL query, preparing it on first use.
+     * @public
+     * @description The cache is dropped whenever the handle changes, as `serialize` does, since statements are bound to it.
+     * @memberof Repository
+     * @param {string} sql - The SQL query.
+     * @returns {Object} The prepared statement.
+     */
+    statement = (sql) => {
+        if (this.#_handle !== this.database.database) {
+            this.#_statements.clear();
+            this.#_handle = this.database.database;
+        }
+
+        if (!this.#_statements.has(sql))
+            this.#_statements.set(sql, this.database.prepare(sql));
+
+        return this.#_statements.get(sql);
+    };
+
+    /**
+     * Wrap a function so that every statement it runs is executed in a single transaction.
+     * @public
+     * @description Transactions nest, an inner one becoming a savepoint of the outer one.
+     * @memberof Repository
+     * @param {Function} func - The function to run inside the transaction.
+     * @returns {Function} The transactional function.
+     */
+    transaction = (func) => {
+        return this.database.transaction(func);
+    };
+}
+
+/**
+ * @class UserRepository
+ * @classdesc A class reading and writing users, their keys and their sign-in challenges.
+ */
+class UserRepository extends Repository {
+    /**
+     * Find a user by identifier.
+     * @public
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|undefined}
+     */
+    find = (identifier) => {
+        return this.statement("SELECT * FROM users WHERE identifier = ?").get(identifier);
+    };
+
+    /**
+     * Find a user by id.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @returns {Object|undefined}
+     */
+    get = (id) => {
+        return this.statement("SELECT * FROM users WHERE id = ?").get(id);
+    };
+
+    /**
+     * Look up users by identifier.
+     * @public
+     * @memberof UserRepository
+     * @param {string[]} identifiers - The identifiers to look up.
+     * @returns {Object[]|null} The users, as `{ id, identifier }`, or null when any identifier is unknown.
+     */
+    lookup = (identifiers) => {
+        const unique = [...new Set(identifiers)];
+
+        if (unique.length === 0)
+            return [];
+
+        const users = this.statement(
+            "SELECT id, identifier FROM users WHERE identifier IN (SELECT value FROM json_each(?))"
+        ).all(JSON.stringify(unique));
+
+        return users.length === unique.length ? users : null;
+    };
+
+    /**
+     * Create a user with its identity key, primary device and prekeys.
+     * @public
+     * @description The primary device signs in with the identity key.
+     * @memberof UserRepository
+     * @param {Object} user - The user to create.
+     * @param {string} user.name - The display name.
+     * @param {string} user.identifier - The unique identifier.
+     * @param {string} user.identityKey - The base64 public identity key.
+     * @param {Object} user.signedPreKey - The signed prekey.
+     * @param {Object[]} [user.oneTimePreKeys] - The one-time prekeys.
+     * @returns {number|null} The id of the new user, or null when the identifier is taken.
+     */
+    create = ({ name, identifier, identityKey, signedPreKey, oneTimePreKeys = [] }) => {
+        return this.transaction(() => {
+            if (this.find(identifier))
+                return null;
+
+            const { lastInsertRowid: id } = this.statement("INSERT INTO users (name, identifier) VALUES (?, ?)").run(name, identifier);
+
+            this.statement("INSERT INTO identity_keys (userId, publicKey) VALUES (?, ?)").run(id, identityKey);
+            this.statement(
+                `INSERT INTO devices (userId, deviceId, name, publicKey, createdAt)
+                VALUES (?, 'primary', 'Primary device', ?, ?)`
+            ).run(id, identityKey, Date.now());
+
+            this.#store(id, signedPreKey, oneTimePreKeys);
+
+            return id;
+        })();
+    };
+
+    /**
+     * Publish prekeys for a user.
+     * @public
+     * @description Replaces the signed prekey when one is given and appends the one-time prekeys.
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {Object} [signedPreKey] - The signed prekey.
+     * @param {Object[]} [oneTimePreKeys] - The one-time prekeys.
+     * @returns {number} The number of one-time prekeys left.
+     * @throws {Error} With a `SQLITE_CONSTRAINT_UNIQUE` code when a one-time keyId is already in use, storing nothing.
+     */
+    publish = (id, signedPreKey, oneTimePreKeys = []) => {
+        return this.transaction(() => {
+            this.#store(id, signedPreKey, oneTimePreKeys);
+
+            return this.statement("SELECT COUNT(*) AS remaining FROM one_time_prekeys WHERE userId = ?").get(id).remaining;
+        })();
+    };
+
+    /**
+     * Return the identity key of a user without handing out any prekey.
+     * @public
+     * @description Used to verify a key, which must not use up the one-time prekeys meant for starting sessions.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|null} The user's `{ identifier, identityKey }`, or null when the user is unknown.
+     */
+    identity = (identifier) => {
+        const user = this.statement(
+            `SELECT users.identifier, identity_keys.publicKey AS identityKey
+            FROM users JOIN identity_keys ON identity_keys.userId = users.id
+            WHERE users.identifier = ?`
+        ).get(identifier);
+
+        return user || null;
+    };
+
+    /**
+     * Return the prekey bundle of a user, consuming one of their one-time prekeys.
+     * @public
+     * @description The oldest one-time prekey is handed out, so that no two callers ever receive the same one.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|null} The bundle, or null when the user is unknown.
+     */
+    bundle = (identifier) => {
+        return this.transaction(() => {
+            const user = this.statement(
+                `SELECT users.id, identity_keys.publicKey AS identityKey
+                FROM users JOIN identity_keys ON identity_keys.userId = users.id
+                WHERE users.identifier = ?`
+            ).get(identifier);
+
+            if (!user)
+                return null;
+
+            const signedPreKey = this.statement("SELECT keyId, publicKey, signature FROM signed_prekeys WHERE userId = ?").get(user.id);
+            const oneTimePreKey = this.statement(
+                `DELETE FROM one_time_prekeys WHERE id = (
+                    SELECT id FROM one_time_prekeys WHERE userId = ? ORDER BY id LIMIT 1
+                ) RETURNING keyId, publicKey`
+            ).get(user.id);
+
+            return {
+                identifier,
+                identityKey: user.identityKey,
+                signedPreKey: signedPreKey || null,
+                oneTimePreKey: oneTimePreKey || null
+            };
+        })();
+    };
+
+    /**
+     * Store a sign-in challenge, dropping the expired ones.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {string} nonce - The nonce to sign.
+     * @param {number} expiresAt - When the challenge expires.
+     * @returns {void}
+     */
+    challenge = (id, nonce, expiresAt) => {
+        this.transaction(() => {
+            this.purgeExpired(Date.now());
+            this.statement("INSERT INTO challenges (nonce, userId, expiresAt) VALUES (?, ?, ?)").run(nonce, id, expiresAt);
+        })();
+    };
+
+    /**
+     * Consume an unexpired challenge issued to a user.
+     * @public
+     * @description A nonce is deleted as it is redeemed, so it can only ever be answered once.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier of the user the challenge was issued to.
+     * @param {string} nonce - The nonce.
+     * @returns {number|null} The user id, or null when no such challenge is pending.
+     */
+    redeem = (identifier, nonce) => {
+        const challenge = this.statement(
+            `DELETE FROM challenges WHERE nonce = ? AND expiresAt > ? AND userId = (
+                SELECT id FROM users WHERE identifier = ?
+            ) RETURNING userId`
+        ).get(nonce, Date.now(), identifier);
+
+        return challenge ? challenge.userId : null;
+    };
+
+    /**
+     * Delete the sign-in challenges that expired by a time.
+     * @public
+     * @memberof UserRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted challenges.
+     */
+    purgeExpired = (now) => {
+        return this.statement("DELETE FROM challenges WHERE expiresAt <= ?").run(now).changes;
+    };
+
+    /**
+     * Read and optionally update the settings of a user.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {Object} [changes] - The settings to change.
+     * @param {boolean} [changes.readReceipts] - Whether senders learn when their messages are read.
+     * @returns {{readReceipts: boolean}|null} The settings, or null when the user is unknown.
+     */
+    settings = (id, { readReceipts } = {}) => {
+        return this.transaction(() => {
+            if (readReceipts !== undefined)
+                this.statement("UPDATE users SET readReceipts = ? WHERE id = ?").run(readReceipts ? 1 : 0, id);
+
+            const user = this.statement("SELECT readReceipts FROM users WHERE id = ?").get(id);
+
+            return user ? { readReceipts: Boolean(user.readReceipts) } : null;
+        })();
+    };
+
+    /**
+     * @private
+     * @description Store a signed prekey and one-time prekeys. Must be called inside a transaction.
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {Object} [signedPreKey] - The signed prekey.
+     * @param {Object[]} oneTimePreKeys - The one-time prekeys.
+     * @returns {void}
+     */
+    #store(id, signedPreKey, oneTimePreKeys) {
+        if (signedPreKey) {
+            this.statement(
+                `INSERT INTO signed_prekeys (userId, keyId, publicKey, signature) VALUES (?, ?, ?, ?)
+                ON CONFLICT (userId) DO UPDATE SET keyId = excluded.keyId, publicKey = excluded.publicKey, signature = excluded.signature`
+            ).run(id, signedPreKey.keyId, signedPreKey.publicKey, signedPreKey.signature);
+        }
+
+        const insert = this.statement("INSERT INTO one_time_prekeys (userId, keyId, publicKey) VALUES (?, ?, ?)");
+
+        oneTimePreKeys.forEach(({ keyId, publicKey }) => insert.run(id, keyId, publicKey));
+    }
+}
+
+/**
+ * @class SessionRepository
+ * @classdesc A class reading and writing the legacy one-time session keys.
+ */
+class SessionRepository extends Repository {
+    /**
+     * Create a session key for a user, who becomes the first member of its chat.
+     * @public
+     * @description Keys of existing chats and conversations are refused, so a claimed key can never be handed out twice.
+     * @memberof SessionRepository
+     * @param {number} userId - The id of the user the key leads to.
+     * @param {string} key - The session key.
+     * @returns {boolean} Whether the session was created, false when the key is taken.
+     */
+    create = (userId, key) => {
+        return this.transaction(() => {
+            const created = this.statement(
+                `INSERT INTO sessions (userId, key) SELECT @userId, @key
+                WHERE NOT EXISTS (SELECT 1 FROM chat_members WHERE key = @key)
+                AND NOT EXISTS (SELECT 1 FROM conversations WHERE key = @key)
+                ON CONFLICT (key) DO NOTHING`
+            ).run({ userId, key }).changes > 0;
+
+            if (created)
+                this.database.chats.join(key, [userId]);
+
+            return created;
+        })();
+    };
+
+    /**
+     * Claim a session key, deleting it and making the claiming user the other member of its chat.
+     * @public
+     * @description The key is deleted as it is read, so two concurrent claims never both receive it.
+     * @memberof SessionRepository
+     * @param {string} key - The session key.
+     * @param {number} userId - The id of the claiming user.
+     * @returns {{identifier: string}|null} The user the key leads to, or null when it is unknown or was claimed.
+     */
+    claim = (key, userId) => {
+        return this.transaction(() => {
+            const session = this.statement("DELETE FROM sessions WHERE key = ? RETURNING userId").get(key);
+            const user = session && this.statement("SELECT identifier FROM users WHERE id = ?").get(session.userId);
+
+            if (!user)
+                return null;
+
+            this.database.chats.join(key, [userId]);
+
+            return { identifier: user.identifier };
+        })();
+    };
+}
+
+/**
+ * @class ChatRepository
+ * @classdesc A class reading and writing the stored messages and the device queues draining them.
+ */
+class ChatRepository extends Repository {
+    /**
+     * Store a message.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} chat - The message.
+     * @param {string} chat.key - The chat key.
+     * @param {string} chat.content - The encrypted content.
+     * @param {number} chat.expiresAt - When the message expires.
+     * @param {number} chat.senderId - The id of the sender.
+     * @param {number} chat.createdAt - When the message was sent.
+     * @returns {number} The id of the message.
+     */
+    insert = ({ key, content, expiresAt, senderId, createdAt }) => {
+        return this.statement(
+            "INSERT INTO chats (key, content, expiresAt, senderId, createdAt) VALUES (?, ?, ?, ?, ?)"
+        ).run(key, content, expiresAt, senderId, createdAt).lastInsertRowid;
+    };
+
+    /**
+     * Record users as members of a one-to-one chat key, ignoring those who already are.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number[]} userIds - The ids of the users.
+     * @returns {void}
+     */
+    join = (key, userIds) => {
+        const insert = this.statement("INSERT OR IGNORE INTO chat_members (key, userId, joinedAt) VALUES (?, ?, ?)");
+
+        userIds.forEach((userId) => insert.run(key, userId, Date.now()));
+    };
+
+    /**
+     * Find a user's membership of a one-to-one chat key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number} userId - The id of the user.
+     * @returns {Object|undefined}
+     */
+    member = (key, userId) => {
+        return this.statement("SELECT * FROM chat_members WHERE key = ? AND userId = ?").get(key, userId);
+    };
+
+    /**
+     * Delete every message sent under a key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @returns {number} The number of deleted messages.
+     */
+    purge = (key) => {
+        return this.statement("DELETE FROM chats WHERE key = ?").run(key).changes;
+    };
+
+    /**
+     * Return the id of the latest message sent under a key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @returns {number} The id, 0 when nothing was sent.
+     */
+    latest = (key) => {
+        return this.statement("SELECT IFNULL(MAX(id), 0) AS id FROM chats WHERE key = ?").get(key).id;
+    };
+
+    /**
+     * Count the messages stored in one-to-one chats.
+     * @public
+     * @memberof ChatRepository
+     * @returns {number}
+     */
+    pending = () => {
+        return this.statement("SELECT COUNT(*) AS count FROM chats WHERE key NOT IN (SELECT key FROM conversations)").get().count;
+    };
+
+    /**
+     * Filter message ids down to those a user sent and that are still stored.
+     * @public
+     * @memberof ChatRepository
+     * @param {number} senderId - The id of the sender.
+     * @param {number[]} ids - The message ids.
+     * @returns {number[]}
+     */
+    sent = (senderId, ids) => {
+        return this.statement("SELECT id FROM chats WHERE senderId = ? AND id IN (SELECT value FROM json_each(?))")
+            .all(senderId, JSON.stringify(ids))
+            .map((chat) => chat.id);
+    };
+
+    /**
+     * List the unexpired messages waiting for a device under a key, oldest first.
+     * @public
+     * @description Every device reads from its own queue, so each drains its copy independently.
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {Object} device - The receiving device.
+     * @param {Object} [page] - The page to return.
+     * @param {number} [page.after] - Only return messages with a greater id.
+     * @param {number} [page.since] - Only return messages sent at or after this time.
+     * @param {number} [page.limit] - The most messages to return, all of them when negative.
+     * @returns {Object[]} The messages, with the identifier of their sender as `sender`.
+     */
+    unread = (key, device, { after = 0, since = 0, limit = -1 } = {}) => {
+        return this.statement(
+            `SELECT chats.*, users.identifier AS sender
+            FROM chats JOIN device_queue ON device_queue.chatId = chats.id AND device_queue.deviceId = @device
+            LEFT JOIN users ON users.id = chats.senderId
+            WHERE chats.key = @key AND chats.expiresAt > @now AND chats.id > @after AND IFNULL(chats.createdAt, 0) >= @since
+            ORDER BY chats.id
+            LIMIT @limit`
+        ).all({ key, device: device.id, now: Date.now(), after, since, limit });
+    };
+
+    /**
+     * Drop acknowledged messages from a device's queue and purge what no device still has to receive.
+     * @public
+     * @description Ids that are unknown, already acknowledged or queued for another device are ignored.
+     * Conversation messages also move the read cursor of their recipient, and are purged once every member read them.
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number[]} ids - The ids of the received messages.
+     * @param {Object} target - Where the messages were queued.
+     * @param {Object|null} [target.conversation] - The conversation owning the key, if any.
+     * @param {Object} target.device - The acknowledging device.
+     * @returns {Object[]} The messages that were acknowledged.
+     */
+    acknowledge = (key, ids, { conversation = null, device }) => {
+        const list = JSON.stringify(ids);
+
+        return this.transaction(() => {
+            const chats = this.statement(
+                `SELECT chats.* FROM chats
+                JOIN device_queue ON device_queue.chatId = chats.id AND device_queue.deviceId = ?
+                WHERE chats.key = ? AND chats.id IN (SELECT value FROM json_each(?))`
+            ).all(device.id, key, list);
+
+            if (chats.length === 0)
+                return chats;
+
+            const acknowledged = chats.map((chat) => chat.id);
+
+            this.statement("DELETE FROM device_queue WHERE deviceId = ? AND chatId IN (SELECT value FROM json_each(?))")
+                .run(device.id, JSON.stringify(acknowledged));
+
+            if (conversation) {
+                this.read(conversation, device.userId, Math.max(...acknowledged));
+                this.prune(conversation);
+            } else {
+                this.release(acknowledged);
+            }
+
+            return chats;
+        })();
+    };
+
+    /**
+     * Move the read cursor of a conversation member forward.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} conversation - The conversation.
+     * @param {number} userId - The id of the member.
+     * @param {number} id - The id of the latest message the member received.
+     * @returns {void}
+     */
+    read = (conversation, userId, id) => {
+        this.statement(
+            `UPDATE conversation_members SET lastReadId = MAX(lastReadId, ?)
+            WHERE conversationId = ? AND userId = ?`
+        ).run(id, conversation.id, userId);
+    };
+
+    /**
+     * Queue a message for a device until it acknowledges it.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} device - The device.
+     * @param {number} id - The message id.
+     * @returns {void}
+     */
+    queue = (device, id) => {
+        this.statement("INSERT INTO device_queue (deviceId, chatId) VALUES (?, ?)").run(device.id, id);
+    };
+
+    /**
+     * Delete the one-to-one messages among some ids that no device still has queued.
+     * @public
+     * @memberof ChatRepository
+     * @param {number[]} ids - The message ids.
+     * @returns {void}
+     */
+    release = (ids) => {
+        this.statement(
+            `DELETE FROM chats WHERE id IN (SELECT value FROM json_each(?))
+            AND key NOT IN (SELECT key FROM conversations)
+            AND NOT EXISTS (SELECT 1 FROM device_queue WHERE device_queue.chatId = chats.id)`
+        ).run(JSON.stringify(ids));
+    };
+
+    /**
+     * Delete the messages of a conversation every member has read and no device still has queued.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} conversation - The conversation.
+     * @returns {void}
+     */
+    prune = (conversation) => {
+        this.statement(
+            `DELETE FROM chats WHERE key = ? AND id <= (
+                SELECT IFNULL(MIN(lastReadId), 0) FROM conversation_members WHERE conversationId = ?
+            ) AND NOT EXISTS (SELECT 1 FROM device_queue WHERE device_queue.chatId = chats.id)`
+        ).run(conversation.key, conversation.id);
+    };
+
+    /**
+     * Delete the messages that expired by a time, whether or not every device received them.
+     * @public
+     * @memberof ChatRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted messages.
+     */
+    purgeExpired = (now) => {
+        return this.statement("DELETE FROM chats WHERE expiresAt <= ?").run(now).changes;
+    };
+}
+
+/**
+ * @class MailboxRepository
+ * @classdesc A class reading and writing the sealed-sender mailboxes and the messages delivered to them.
+ */
+class MailboxRepository extends Repository {
+    /**
+     * Register a mailbox, or extend one the same user registered before.
+     * @public
+     * @description Owners can rotate the delivery token of their own mailbox, an id taken by another user is refused.
+     * @memberof MailboxRepository
+     * @param {number} userId - The id of the owner.
+     * @param {Object} mailbox - The mailbox.
+     * @param {string} mailbox.id - The mailbox id chosen by the owner.
+     * @param {string} mailbox.tokenHash - The SHA-256 hash of the delivery token.
+     * @param {number} mailbox.createdAt - When the mailbox was registered.
+     * @param {number} mailbox.expiresAt - When the mailbox stops accepting messages.
+     * @returns {boolean} Whether the mailbox is registered to the user.
+     */
+    create = (userId, { id, tokenHash, createdAt, expiresAt }) => {
+        return this.statement(
+            `INSERT INTO mailboxes (id, userId, tokenHash, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET tokenHash = excluded.tokenHash, expiresAt = excluded.expiresAt
+            WHERE mailboxes.userId = excluded.userId`
+        ).run(id, userId, tokenHash, createdAt, expiresAt).changes > 0;
+    };
+
+    /**
+     * Return a mailbox by id.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} id - The mailbox id.
+     * @returns {Object|undefined}
+     */
+    get = (id) => {
+        return this.statement("SELECT * FROM mailboxes WHERE id = ?").get(id);
+    };
+
+    /**
+     * Return a mailbox by id, only if the user owns it.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} id - The mailbox id.
+     * @returns {Object|undefined}
+     */
+    owned = (userId, id) => {
+        return this.statement("SELECT * FROM mailboxes WHERE id = ? AND userId = ?").get(id, userId);
+    };
+
+    /**
+     * Store a message delivered to a mailbox. Nothing about its sender is kept.
+     * @public
+     * @memberof MailboxRepository
+     * @param {Object} message - The message.
+     * @param {string} message.mailboxId - The mailbox id.
+     * @param {string} message.content - The sealed content.
+     * @param {number} message.createdAt - When the message was delivered.
+     * @param {number} message.expiresAt - When the message expires.
+     * @returns {number} The id of the message.
+     */
+    deliver = ({ mailboxId, content, createdAt, expiresAt }) => {
+        return this.statement(
+            "INSERT INTO sealed_messages (mailboxId, content, createdAt, expiresAt) VALUES (?, ?, ?, ?)"
+        ).run(mailboxId, content, createdAt, expiresAt).lastInsertRowid;
+    };
+
+    /**
+     * List the unexpired messages waiting in a mailbox, oldest first.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} mailboxId - The mailbox id.
+     * @param {Object} [page] - The page to return.
+     * @param {number} [page.after] - Only return messages with a greater id.
+     * @param {number} [page.limit] - The most messages to return, all of them when negative.
+     * @returns {Object[]}
+     */
+    unread = (mailboxId, { after = 0, limit = -1 } = {}) => {
+        return this.statement(
+            `SELECT * FROM sealed_messages
+            WHERE mailboxId = @mailboxId AND expiresAt > @now AND id > @after
+            ORDER BY id
+            LIMIT @limit`
+        ).all({ mailboxId, now: Date.now(), after, limit });
+    };
+
+    /**
+     * Delete acknowledged messages from a mailbox.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} mailboxId - The mailbox id.
+     * @param {number[]} ids - The ids of the received messages.
+     * @returns {number[]} The ids that were deleted.
+     */
+    acknowledge = (mailboxId, ids) => {
+        return this.statement("DELETE FROM sealed_messages WHERE mailboxId = ? AND id IN (SELECT value FROM json_each(?)) RETURNING id")
+            .all(mailboxId, JSON.stringify(ids))
+            .map((message) => message.id);
+    };
+
+    /**
+     * Count the messages waiting in sealed mailboxes.
+     * @public
+     * @memberof MailboxRepository
+     * @returns {number}
+     */
+    pending = () => {
+        return this.statement("SELECT COUNT(*) AS count FROM sealed_messages").get().count;
+    };
+
+    /**
+     * Delete the sealed messages that expired by a time.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted messages.
+     */
+    purgeExpired = (now) => {
+        return this.statement("DELETE FROM sealed_messages WHERE expiresAt <= ?").run(now).changes;
+    };
+
+    /**
+     * Delete the mailboxes that expired before a time, along with their messages.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} before - The time.
+     * @returns {number} The number of deleted mailboxes.
+     */
+    expire = (before) => {
+        return this.statement("DELETE FROM mailboxes WHERE expiresAt <= ?").run(before).changes;
+    };
+}
+
+/**
+ * @class ConversationRepository
+ * @classdesc A class reading and writing group conversations, their members and the retention of chat keys.
+ */
+class ConversationRepository extends Repository {
+    /**
+     * Find the conversation owning a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @returns {Object|undefined}
+     */
+    find = (key) => {
+        return this.statement("SELECT * FROM conversations WHERE key = ?").get(key);
+    };
+
+    /**
+     * Find a user's membership of a conversation.
+     * @public
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {number} userId - The id of the user.
+     * @returns {Object|undefined}
+     */
+    membership = (conversation, userId) => {
+        return this.statement("SELECT * FROM conversation_members WHERE conversationId = ? AND userId = ?").get(conversation.id, userId);
+    };
+
+    /**
+     * List the members of a conversation, longest-standing first.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} conversationId - The id of the conversation.
+     * @returns {Array<{identifier: string, role: string}>}
+     */
+    members = (conversationId) => {
+        return this.statement(
+            `SELECT users.identifier, conversation_members.role
+            FROM conversation_members JOIN users ON users.id = conversation_members.userId
+            WHERE conversation_members.conversationId = ?
+            ORDER BY conversation_members.joinedAt, users.id`
+        ).all(conversationId);
+    };
+
+    /**
+     * List the conversations a user belongs to, oldest first.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]} The conversations, with the user's role as `role` and how many unexpired messages they did not read as `unread`.
+     */
+    list = (userId) => {
+        return this.statement(
+            `SELECT conversations.id, conversations.key, conversations.name, conversation_members.role,
+                (SELECT COUNT(*) FROM chats
+                WHERE chats.key = conversations.key AND chats.id > conversation_members.lastReadId AND chats.expiresAt > ?) AS unread
+            FROM conversation_members JOIN conversations ON conversations.id = conversation_members.conversationId
+            WHERE conversation_members.userId = ?
+            ORDER BY conversations.createdAt`
+        ).all(Date.now(), userId);
+    };
+
+    /**
+     * List every conversation a user belongs to.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]}
+     */
+    joined = (userId) => {
+        return this.statement(
+            `SELECT conversations.* FROM conversations
+            JOIN conversation_members ON conversation_members.conversationId = conversations.id
+            WHERE conversation_members.userId = ?`
+        ).all(userId);
+    };
+
+    /**
+     * Create a conversation owned by a user.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} ownerId - The id of the owner.
+     * @param {Object} conversation - The conversation.
+     * @param {string} conversation.key - The chat key.
+     * @param {string|null} conversation.name - The display name.
+     * @param {Object[]} conversation.members - The other members, as `{ id }`.
+     * @returns {number} The id of the conversation.
+     */
+    create = (ownerId, { key, name, members }) => {
+        return this.transaction(() => {
+            const now = Date.now();
+            const conversationId = this.statement("INSERT INTO conversations (key, name, createdAt) VALUES (?, ?, ?)")
+                .run(key, name, now).lastInsertRowid;
+            const insert = this.statement("INSERT INTO conversation_members (conversationId, userId, role, joinedAt) VALUES (?, ?, ?, ?)");
+
+            insert.run(conversationId, ownerId, "owner", now);
+            members.forEach(({ id }) => insert.run(conversationId, id, "member", now));
+
+            return conversationId;
+        })();
+    };
+
+    /**
+     * Add members to a conversation, ignoring those who already belong to it.
+     * @public
+     * @description New members start after the current history, which was never encrypted for them.
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {Object[]} users - The users to add, as `{ id }`.
+     * @returns {void}
+     */
+    add = (conversation, users) => {
+        this.transaction(() => {
+            const lastId = this.database.chats.latest(conversation.key);
+            const insert = this.statement(
+                `INSERT OR IGNORE INTO conversation_members (conversationId, userId, role, lastReadId, joinedAt)
+                VALUES (?, ?, 'member', ?, ?)`
+            );
+
+            users.forEach(({ id }) => insert.run(conversation.id, id, lastId, Date.now()));
+        })();
+    };
+
+    /**
+     * Remove a member from a conversation along with what is queued for their devices.
+     * @public
+     * @description The conversation and its messages are deleted with its last member, and ownership passes to the
+     * longest-standing member when the owner leaves.
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {string} identifier - The identifier of the member.
+     * @returns {boolean} Whether the user was a member.
+     */
+    remove = (conversation, identifier) => {
+        return this.transaction(() => {
+            const { changes } = this.statement(
+                `DELETE FROM conversation_members
+                WHERE conversationId = ? AND userId = (SELECT id FROM users WHERE identifier = ?)`
+            ).run(conversation.id, identifier);
+
+            if (changes === 0)
+                return false;
+
+            this.statement(
+                `DELETE FROM device_queue
+                WHERE chatId IN (SELECT id FROM chats WHERE key = ?)
+                AND deviceId IN (SELECT devices.id FROM devices JOIN users ON users.id = devices.userId WHERE users.identifier = ?)`
+            ).run(conversation.key, identifier);
+
+            const { remaining } = this.statement("SELECT COUNT(*) AS remaining FROM conversation_members WHERE conversationId = ?")
+                .get(conversation.id);
+
+            if (remaining === 0) {
+                this.database.chats.purge(conversation.key);
+                this.statement("DELETE FROM conversations WHERE id = ?").run(conversation.id);
+
+                return true;
+            }
+
+            this.statement(
+                `UPDATE conversation_members SET role = 'owner'
+                WHERE conversationId = @id AND NOT EXISTS (
+                    SELECT 1 FROM conversation_members WHERE conversationId = @id AND role = 'owner'
+                ) AND userId = (
+                    SELECT userId FROM conversation_members WHERE conversationId = @id ORDER BY joinedAt, userId LIMIT 1
+                )`
+            ).run({ id: conversation.id });
+
+            this.database.chats.prune(conversation);
+
+            return true;
+        })();
+    };
+
+    /**
+     * Return the message lifetime set for a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @returns {number|null} The lifetime in seconds, or null when the server default applies.
+     */
+    retention = (key) => {
+        const retention = this.statement("SELECT ttl FROM conversation_retention WHERE key = ?").get(key);
+
+        return retention ? retention.ttl : null;
+    };
+
+    /**
+     * Set the message lifetime of a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @param {number|null} ttl - The lifetime in seconds, null to go back to the server default.
+     * @returns {void}
+     */
+    retain = (key, ttl) => {
+        if (ttl === null) {
+            this.statement("DELETE FROM conversation_retention WHERE key = ?").run(key);
+            return;
+        }
+
+        this.statement(
+            `INSERT INTO conversation_retention (key, ttl) VALUES (?, ?)
+            ON CONFLICT (key) DO UPDATE SET ttl = excluded.ttl`
+        ).run(key, ttl);
+    };
+}
+
+/**
+ * @class DeviceRepository
+ * @classdesc A class reading and writing the devices of users.
+ */
+class DeviceRepository extends Repository {
+    /**
+     * Find a device of a user, revoked or not.
+     * @public
+     * @description Tokens issued before devices existed carry no device, and belong to the primary device.
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {number} [id] - The id of the device.
+     * @returns {Object|undefined}
+     */
+    find = (userId, id) => {
+        return id
+            ? this.statement("SELECT * FROM devices WHERE id = ? AND userId = ?").get(id, userId)
+            : this.statement("SELECT * FROM devices WHERE userId = ? AND deviceId = 'primary'").get(userId);
+    };
+
+    /**
+     * Find an active device by the id its user chose for it.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} deviceId - The device id chosen by the user.
+     * @returns {{id: number, publicKey: string}|undefined}
+     */
+    active = (userId, deviceId) => {
+        return this.statement("SELECT id, publicKey FROM devices WHERE userId = ? AND deviceId = ? AND revokedAt IS NULL").get(userId, deviceId);
+    };
+
+    /**
+     * List every device of a user, revoked ones included, oldest first.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]}
+     */
+    list = (userId) => {
+        return this.statement(
+            `SELECT id, deviceId, name, createdAt, lastSeenAt, revokedAt
+            FROM devices WHERE userId = ? ORDER BY createdAt, id`
+        ).all(userId);
+    };
+
+    /**
+     * List the active devices of every member of a conversation.
+     * @public
+     * @memberof DeviceRepository
+     * @param {Object} conversation - The conversation.
+     * @returns {Object[]}
+     */
+    recipients = (conversation) => {
+        return this.statement(
+            `SELECT devices.* FROM devices
+            JOIN conversation_members ON conversation_members.userId = devices.userId
+            WHERE conversation_members.conversationId = ? AND devices.revokedAt IS NULL`
+        ).all(conversation.id);
+    };
+
+    /**
+     * List the active devices of every member of a one-to-one chat.
+     * @public
+     * @memberof DeviceRepository
+     * @param {string} key - The chat key.
+     * @returns {Object[]}
+     */
+    participants = (key) => {
+        return this.statement(
+            `SELECT devices.* FROM devices
+            JOIN chat_members ON chat_members.userId = devices.userId
+            WHERE chat_members.key = ? AND devices.revokedAt IS NULL`
+        ).all(key);
+    };
+
+    /**
+     * Register a device for a user.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {Object} device - The device.
+     * @param {string} device.deviceId - The device id chosen by the user.
+     * @param {string|null} device.name - The display name.
+     * @param {string} device.publicKey - The base64 public key the device signs in with.
+     * @param {number} device.createdAt - When the device was registered.
+     * @returns {void}
+     * @throws {Error} When the user already has a device with this id.
+     */
+    create = (userId, { deviceId, name, publicKey, createdAt }) => {
+        this.statement("INSERT INTO devices (userId, deviceId, name, publicKey, createdAt) VALUES (?, ?, ?, ?, ?)")
+            .run(userId, deviceId, name, publicKey, createdAt);
+    };
+
+    /**
+     * Record that a device signed in.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} id - The id of the device.
+     * @returns {void}
+     */
+    seen = (id) => {
+        this.statement("UPDATE devices SET lastSeenAt = ? WHERE id = ?").run(Date.now(), id);
+    };
+
+    /**
+     * Revoke a device and drop what was queued for it.
+     * @public
+     * @description Messages only that device still had queued are deleted with its queue.
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} deviceId - The device id chosen by the user.
+     * @returns {boolean} Whether an active device was revoked.
+     */
+    revoke = (userId, deviceId) => {
+        return this.transaction(() => {
+            const device = this.statement(
+                `UPDATE devices SET revokedAt = ?
+                WHERE userId = ? AND deviceId = ? AND revokedAt IS NULL RETURNING id`
+            ).get(Date.now(), userId, deviceId);
+
+            if (!device)
+                return false;
+
+            const queued = this.statement("DELETE FROM device_queue WHERE deviceId = ? RETURNING chatId").all(device.id);
+
+            this.database.chats.release(queued.map((queue) => queue.chatId));
+            this.database.conversations.joined(userId).forEach((conversation) => this.database.chats.prune(conversation));
+
+            return true;
+        })();
+    };
+
+    /**
+     * Count the messages queued for devices.
+     * @public
+     * @memberof DeviceRepository
+     * @returns {number}
+     */
+    pending = () => {
+        return this.statement("SELECT COUNT(*) AS count FROM device_queue").get().count;
+    };
+}
+
+/**
+ * @class InviteRepository
+ * @classdesc A class reading and writing invite tokens and the chats started by claiming them.
+ */
+class InviteRepository extends Repository {
+    /**
+     * Create an invite.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @param {Object} invite - The invite.
+     * @param {string} invite.tokenHash - The SHA-256 hash of the invite token.
+     * @param {number} invite.maxUses - How many users may claim it.
+     * @param {number} invite.createdAt - When it was created.
+     * @param {number} invite.expiresAt - When it stops being claimable.
+     * @returns {number} The id of the invite.
+     */
+    create = (userId, { tokenHash, maxUses, createdAt, expiresAt }) => {
+        return this.statement("INSERT INTO invites (tokenHash, userId, maxUses, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?)")
+            .run(tokenHash, userId, maxUses, createdAt, expiresAt).lastInsertRowid;
+    };
+
+    /**
+     * Find an invite by the hash of its token.
+     * @public
+     * @memberof InviteRepository
+     * @param {string} tokenHash - The SHA-256 hash of the invite token.
+     * @returns {Object|undefined}
+     */
+    find = (tokenHash) => {
+        return this.statement("SELECT * FROM invites WHERE tokenHash = ?").get(tokenHash);
+    };
+
+    /**
+     * Claim an invite for a user, or return the chat they already claimed it for.
+     * @public
+     * @description The earlier claim, the usage and expiry check and the new claim run in one transaction,
+     * so concurrent claims can never take an invite past its number of uses.
+     * @memberof InviteRepository
+     * @param {Object} invite - The invite.
+     * @param {number} userId - The id of the claiming user.
+     * @param {string} key - The chat key to hand out for a new claim.
+     * @returns {{key: string, claimed: boolean}|null} The chat key and whether this call claimed it,
+     * or null when the invite expired, was revoked or was used up.
+     */
+    claim = (invite, userId, key) => {
+        return this.transaction(() => {
+            const now = Date.now();
+            const existing = this.statement("SELECT key FROM invite_claims WHERE inviteId = ? AND userId = ?").get(invite.id, userId);
+
+            if (existing)
+                return { key: existing.key, claimed: false };
+
+            const used = this.statement(
+                `UPDATE invites SET uses = uses + 1
+                WHERE id = ? AND revokedAt IS NULL AND expiresAt > ? AND uses < maxUses`
+            ).run(invite.id, now);
+
+            if (used.changes === 0)
+                return null;
+
+            this.statement("INSERT INTO invite_claims (inviteId, userId, key, claimedAt) VALUES (?, ?, ?, ?)").run(invite.id, userId, key, now);
+            this.database.chats.join(key, [invite.userId, userId]);
+
+            return { key, claimed: true };
+        })();
+    };
+
+    /**
+     * List the invites of a user, newest first, with who claimed them.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @returns {Object[]} The invites, with their claims, oldest first, as `claims`.
+     */
+    list = (userId) => {
+        const invites = this.statement(
+            `SELECT id, maxUses, uses, createdAt, expiresAt, revokedAt FROM invites
+            WHERE userId = ? ORDER BY id DESC`
+        ).all(userId);
+        const claims = this.statement(
+            `SELECT invite_claims.inviteId, users.identifier, invite_claims.key, invite_claims.claimedAt
+            FROM invite_claims
+            JOIN invites ON invites.id = invite_claims.inviteId
+            JOIN users ON users.id = invite_claims.userId
+            WHERE invites.userId = ? ORDER BY invite_claims.claimedAt`
+        ).all(userId);
+
+        return invites.map((invite) => ({
+            ...invite,
+            claims: claims
+                .filter((claim) => claim.inviteId === invite.id)
+                .map(({ identifier, key, claimedAt }) => ({ identifier, key, claimedAt }))
+        }));
+    };
+
+    /**
+     * Revoke an invite of a user.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @param {number} id - The id of the invite.
+     * @returns {boolean} Whether an unrevoked invite of the user was revoked.
+     */
+    revoke = (userId, id) => {
+        return this.statement("UPDATE invites SET revokedAt = ? WHERE id = ? AND userId = ? AND revokedAt IS NULL")
+            .run(Date.now(), id, userId).changes > 0;
+    };
+
+    /**
+     * Delete the invites that expired before a time, along with their claims.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} before - The time.
+     * @returns {number} The number of deleted invites.
+     */
+    expire = (before) => {
+        return this.statement("DELETE FROM invites WHERE expiresAt <= ?").run(before).changes;
+    };
+}
+
+/**
+ * @class AttachmentRepository
+ * @classdesc A class reading and writing the attachments being uploaded or waiting to be downloaded.
+ */
+class AttachmentRepository extends Repository {
+    /**
+     * Create an attachment, nothing of it received yet.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @param {Object} attachment - The attachment.
+     * @param {string} attachment.id - The attachment id.
+     * @param {number} attachment.size - The announced size in bytes.
+     * @param {string} attachment.checksum - The lowercase hex SHA-256 of the content.
+     * @param {number} attachment.createdAt - When the upload started.
+     * @param {number} attachment.expiresAt - When the attachment expires.
+     * @returns {void}
+     */
+    create = (userId, { id, size, checksum, createdAt, expiresAt }) => {
+        this.statement(
+            `INSERT INTO attachments (id, userId, size, checksum, createdAt, expiresAt)
+            VALUES (?, ?, ?, ?, ?, ?)`
+        ).run(id, userId, size, checksum, createdAt, expiresAt);
+    };
+
+    /**
+     * Count the bytes a user's unexpired attachments take.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @returns {number}
+     */
+    used = (userId) => {
+        return this.statement("SELECT IFNULL(SUM(size), 0) AS used FROM attachments WHERE userId = ? AND expiresAt > ?")
+            .get(userId, Date.now()).used;
+    };
+
+    /**
+     * Find an unexpired attachment of its uploader.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @param {string} id - The attachment id.
+     * @returns {Object|undefined}
+     */
+    owned = (userId, id) => {
+        return this.statement("SELECT * FROM attachments WHERE id = ? AND userId = ? AND expiresAt > ?").get(id, userId, Date.now());
+    };
+
+    /**
+     * Find an unexpired attachment that was uploaded completely.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {Object|undefined}
+     */
+    complete = (id) => {
+        return this.statement("SELECT * FROM attachments WHERE id = ? AND status = 'complete' AND expiresAt > ?").get(id, Date.now());
+    };
+
+    /**
+     * Move the received offset of an attachment forward, if it still is where the chunk starts.
+     * @public
+     * @description Two concurrent uploads of the same chunk cannot both claim its range.
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @param {number} offset - Where the chunk starts.
+     * @param {number} received - Where the chunk ends.
+     * @returns {boolean} Whether the range was claimed.
+     */
+    reserve = (id, offset, received) => {
+        return this.statement("UPDATE attachments SET received = ? WHERE id = ? AND received = ?").run(received, id, offset).changes > 0;
+    };
+
+    /**
+     * Move the received offset of an attachment back, after a chunk failed to be written.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @param {number} offset - Where the chunk started.
+     * @returns {void}
+     */
+    rewind = (id, offset) => {
+        this.statement("UPDATE attachments SET received = ? WHERE id = ?").run(offset, id);
+    };
+
+    /**
+     * Mark an attachment as uploaded completely.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    finish = (id) => {
+        this.statement("UPDATE attachments SET status = 'complete' WHERE id = ?").run(id);
+    };
+
+    /**
+     * Delete an attachment.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    remove = (id) => {
+        this.statement("DELETE FROM attachments WHERE id = ?").run(id);
+    };
+
+    /**
+     * Delete the attachments that expired before a time.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} before - The time.
+     * @returns {string[]} The ids of the deleted attachments, whose files are left to the caller.
+     */
+    expire = (before) => {
+        return this.statement("DELETE FROM attachments WHERE expiresAt <= ? RETURNING id").all(before).map((attachment) => attachment.id);
+    };
+}
+
+/**
+ * @class ReceiptRepository
+ * @classdesc A class reading and writing when recipients received and read messages.
+ */
+class ReceiptRepository extends Repository {
+    /**
+     * Record that messages reached a recipient.
+     * @public
+     * @description Only the first delivery to any of the recipient's devices counts, and messages to oneself are ignored.
+     * @memberof ReceiptRepository
+     * @param {Object[]} chats - The delivered messages.
+     * @param {number} recipientId - The id of the receiving user.
+     * @param {number} at - When they were delivered.
+     * @returns {Array<{id: number, senderId: number}>} The messages delivered for the first time.
+     */
+    deliver = (chats, recipientId, at) => {
+        return this.transaction(() => {
+            const insert = this.statement(
+                `INSERT INTO receipts (chatId, senderId, recipientId, deliveredAt, expiresAt) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (chatId, recipientId) DO NOTHING`
+            );
+
+            return chats
+                .filter((chat) => chat.senderId && chat.senderId !== recipientId)
+                .filter((chat) => insert.run(chat.id, chat.senderId, recipientId, at, chat.expiresAt).changes > 0)
+                .map((chat) => ({ id: chat.id, senderId: chat.senderId }));
+        })();
+    };
+
+    /**
+     * Record that a recipient read messages.
+     * @public
+     * @description Messages that were never delivered to the recipient, or that they read before, are ignored.
+     * @memberof ReceiptRepository
+     * @param {number} recipientId - The id of the reading user.
+     * @param {number[]} ids - The message ids.
+     * @param {number} at - When they were read.
+     * @returns {Array<{id: number, senderId: number}>} The messages read for the first time.
+     */
+    read = (recipientId, ids, at) => {
+        return this.statement(
+            `UPDATE receipts SET readAt = ?
+            WHERE recipientId = ? AND readAt IS NULL AND chatId IN (SELECT value FROM json_each(?))
+            RETURNING chatId AS id, senderId`
+        ).all(at, recipientId, JSON.stringify(ids));
+    };
+
+    /**
+     * List the receipts of messages a user sent.
+     * @public
+     * @memberof ReceiptRepository
+     * @param {number} senderId - The id of the sender.
+     * @param {number[]} ids - The message ids.
+     * @returns {Array<{id: number, identifier: string, deliveredAt: number, readAt: number|null}>} The receipts, in delivery order.
+     */
+    list = (senderId, ids) => {
+        return this.statement(
+            `SELECT receipts.chatId AS id, users.identifier, receipts.deliveredAt, receipts.readAt
+            FROM receipts JOIN users ON users.id = receipts.recipientId
+            WHERE receipts.senderId = ? AND receipts.chatId IN (SELECT value FROM json_each(?))
+            ORDER BY receipts.deliveredAt`
+        ).all(senderId, JSON.stringify(ids));
+    };
+
+    /**
+     * Delete the receipts of messages that expired by a time.
+     * @public
+     * @memberof ReceiptRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted receipts.
+     */
+    purgeExpired = (now) => {
+        return this.statement("DELETE FROM receipts WHERE expiresAt <= ?").run(now).changes;
+    };
+}
+
+/**
+ * @class RateLimitRepository
+ * @classdesc A class reading and writing the fixed-window rate limit counters.
+ */
+class RateLimitRepository extends Repository {
+    /**
+     * Count a hit, starting a new window when the previous one is over.
+     * @public
+     * @description A single upsert, so concurrent processes never lose a hit.
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @param {number} windowMs - The length of a window in milliseconds.
+     * @param {number} now - The time of the hit.
+     * @returns {{hits: number, resetAt: number}} The counter after the hit.
+     */
+    increment = (key, windowMs, now) => {
+        return this.statement(
+            `INSERT INTO rate_limits (key, hits, resetAt) VALUES (@key, 1, @resetAt)
+            ON CONFLICT (key) DO UPDATE SET
+                hits = CASE WHEN resetAt <= @now THEN 1 ELSE hits + 1 END,
+                resetAt = CASE WHEN resetAt <= @now THEN excluded.resetAt ELSE resetAt END
+            RETURNING hits, resetAt`
+        ).get({ key, resetAt: now + windowMs, now });
+    };
+
+    /**
+     * Read a counter whose window is not over.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @param {number} now - The current time.
+     * @returns {{hits: number, resetAt: number}|undefined}
+     */
+    get = (key, now) => {
+        return this.statement("SELECT hits, resetAt FROM rate_limits WHERE key = ? AND resetAt > ?").get(key, now);
+    };
+
+    /**
+     * Take back a hit.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @returns {void}
+     */
+    decrement = (key) => {
+        this.statement("UPDATE rate_limits SET hits = MAX(hits - 1, 0) WHERE key = ?").run(key);
+    };
+
+    /**
+     * Forget a counter.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @returns {void}
+     */
+    reset = (key) => {
+        this.statement("DELETE FROM rate_limits WHERE key = ?").run(key);
+    };
+
+    /**
+     * Delete the counters whose window was over by a time.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted counters.
+     */
+    purgeExpired = (now) => {
+        return this.statement("DELETE FROM rate_limits WHERE resetAt <= ?").run(now).changes;
+    };
+}
+
+/**
+ * @class AuditRepository
+ * @classdesc A class writing the log of admin requests.
+ */
+class AuditRepository extends Repository {
+    /**
+     * Record an admin request.
+     * @public
+     * @memberof AuditRepository
+     * @param {Object} entry - The request.
+     * @param {string} entry.action - The method and path.
+     * @param {string|null} entry.keyId - The id of the admin key used, null when none was accepted.
+     * @param {string} entry.ip - The address of the caller.
+     * @param {number} entry.status - The status of the response.
+     * @returns {void}
+     */
+    record = ({ action, keyId, ip, status }) => {
+        this.statement("INSERT INTO audit_log (action, keyId, ip, status, createdAt) VALUES (?, ?, ?, ?, ?)")
+            .run(action, keyId, ip, status, Date.now());
+    };
+}
+
+/**
+ * @module Repositories
+ * @description A module for the Repository class and the repositories built on it.
+ * @exports Repository
+ * @exports UserRepository
+ * @exports SessionRepository
+ * @exports ChatRepository
+ * @exports MailboxRepository
+ * @exports ConversationRepository
+ * @exports DeviceRepository
+ * @exports InviteRepository
+ * @exports AttachmentRepository
+ * @exports ReceiptRepository
+ * @exports RateLimitRepository
+ * @exports AuditRepository
+ * @see {@link Repository}
+ */
+export default Repository;
+export {
+    UserRepository,
+    SessionRepository,
+    ChatRepository,
+    MailboxRepository,
+    ConversationRepository,
+    DeviceRepository,
+    InviteRepository,
+    AttachmentRepository,
+    ReceiptRepository,
+    RateLimitRepository,
+    AuditRepository
+};
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Declarative routing for the backend server.
+ *
+ * A route is either a bare handler or a definition object:
+ *
+ *     {
+ *         schema: { body, query, params },  // Joi schemas, validated before the handler runs
+ *         middleware: [],                   // Express middlewares run before validation
+ *         limit: "strict",                  // A rate-limit policy name, or options of its own
+ *         response: Joi.object(),           // Schema successful JSON responses must match
+ *         handler: (server, req, res) => {}
+ *     }
+ *
+ * Validation failures, thrown or rejected handler errors, unknown routes and
+ * unsupported methods are all answered here with `{ error, details }` bodies.
+ *
+ * @require http-status-codes - Constants enumerating the HTTP status codes.
+*/
+import { StatusCodes } from "http-status-codes";
+
+/**
+ * @class Router
+ * @classdesc A class binding route definitions to an Express application or router.
+ * @property {Function} route - A function to bind a route definition.
+ * @property {Function} fallback - An Express middleware answering 404 for unknown routes.
+ * @property {Function} errors - An Express error middleware answering 400, 413 or 500.
+ */
+class Router {
+    /**
+     * @private
+     * @type {Object}
+     * @description The context passed as first argument to every handler.
+     * @memberof Router
+    */
+    #_context = null;
+
+    /**
+     * @private
+     * @type {Map<Object, Map<string, Set<string>>>}
+     * @description The methods bound to each path, per Express application or router.
+     * @memberof Router
+    */
+    #_methods = new Map();
+
+    /**
+     * Constructor for the Router class.
+     * @constructor
+     * @description Create a new instance of the Router class.
+     * @param {Object} context - The context passed as first argument to every handler.
+     * @memberof Router
+     * @returns {Router}
+     */
+    constructor(context) {
+        this.#_context = context;
+    }
+
+    /**
+     * Normalize a route to a definition object.
+     * @public
+     * @static
+     * @memberof Router
+     * @param {Function|Object} route - A bare handler or a definition object.
+     * @returns {Object}
+     */
+    static definition(route) {
+        return typeof route === "function" ? { handler: route } : route;
+    }
+
+    /**
+     * @private
+     * @description The logger of a request, or the one of the context for requests that were not traced.
+     * @memberof Router
+     * @param {Object} req - The Express request.
+     * @returns {Object}
+     */
+    #log = (req) => {
+        return req.log || this.#_context.logger;
+    };
+
+    /**
+     * @private
+     * @description Build the middleware validating the request parts that have a schema.
+     * @memberof Router
+     * @param {Object} schema - An object containing the Joi schemas for `body`, `query` and `params`.
+     * @returns {Function}
+     */
+    #validate = (schema) => (req, res, next) => {
+        for (const part of ["params", "query", "body"]) {
+            if (!schema[part])
+                continue;
+
+            const { error, value } = schema[part].validate(req[part] || {});
+
+            if (error) {
+                return res.status(StatusCodes.BAD_REQUEST).send({
+                    error: "Invalid request",
+                    details: error.details[0].message,
+                });
+            }
+
+            req[part] = value;
+        }
+
+        next();
+    };
+
+    /**
+     * @private
+     * @description Build the middleware checking successful JSON responses against a schema.
+     * @memberof Router
+     * @param {Object} schema - The Joi schema of the response body.
+     * @returns {Function}
+     */
+    #respond = (schema) => (req, res, next) => {
+        const json = res.json.bind(res);
+
+        res.json = (body) => {
+            if (res.statusCode >= 400)
+                return json(body);
+
+            const { error, value } = schema.validate(body, { stripUnknown: true });
+
+            if (error) {
+                this.#log(req).error("Response validation error", { details: error.details[0].message });
+
+                return json.call(res.status(StatusCodes.INTERNAL_SERVER_ERROR), {
+                    error: "Internal Server Error",
+                    details: "The response did not match its schema.",
+                });
+            }
+
+            return json(value);
+        };
+
+        next();
+    };
+
+    /**
+     * @private
+     * @description Wrap a handler so that thrown and rejected errors reach the error middleware.
+     * @memberof Router
+     * @param {Function} handler - The route handler.
+     * @param {Function} [callback] - A function called with every request before the handler.
+     * @returns {Function}
+     */
+    #handle = (handler, callback) => async (req, res, next) => {
+        try {
+            if (callback)
+                callback(req, res);
+
+            await handler(this.#_context, req, res);
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    /**
+     * Bind a route definition.
+     * @public
+     * @memberof Router
+     * @param {Object} target - The Express application or router to bind to.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The route path.
+     * @param {Function|Object} route - A bare handler or a definition object.
+     * @param {Object} [options] - Additional options.
+     * @param {Function[]} [options.before] - Middlewares run before the route's own, such as guards.
+     * @param {Function} [options.limiter] - A function returning the rate limiter of a policy name or options.
+     * @param {Function} [options.callback] - A function called with every request before the handler.
+     * @returns {void}
+     */
+    route = (target, method, path, route, { before = [], limiter, callback } = {}) => {
+        const { schema, middleware = [], limit, response, handler } = Router.definition(route);
+        const chain = [];
+
+        if (limiter)
+            chain.push(limiter(limit, `${method.toUpperCase()} ${path}`));
+
+        chain.push(...before, ...middleware);
+
+        if (schema)
+            chain.push(this.#validate(schema));
+
+        if (response)
+            chain.push(this.#respond(response));
+
+        target[method](path, ...chain, this.#handle(handler, callback));
+
+        if (!this.#_methods.has(target))
+            this.#_methods.set(target, new Map());
+
+        const paths = this.#_methods.get(target);
+
+        if (!paths.has(path))
+            paths.set(path, new Set());
+
+        paths.get(path).add(method.toUpperCase());
+    };
+
+    /**
+     * Answer 405 on every bound path for the methods it was not bound with.
+     * @public
+     * @description Must be called once every route of the target is bound.
+     * @memberof Router
+     * @param {Object} target - The Express application or router.
+     * @returns {void}
+     */
+    close = (target) => {
+        const paths = this.#_methods.get(target) || new Map();
+
+        paths.forEach((methods, path) => {
+            const allow = [...methods];
+
+            if (methods.has("GET"))
+                allow.push("HEAD");
+
+            target.all(path, (_, res) => {
+                res.set("Allow", allow.join(", ")).status(StatusCodes.METHOD_NOT_ALLOWED).send({
+                    error: "Method Not Allowed",
+                    details: `Allowed methods: ${allow.join(", ")}.`,
+                });
+            });
+        });
+    };
+
+    /**
+     * Express middleware answering 404 for every request no route matched.
+     * @public
+     * @memberof Router
+     */
+    fallback = (_, res) => {
+        res.status(StatusCodes.NOT_FOUND).send({
+            error: "Not Found",
+            details: "No such endpoint.",
+        });
+    };
+
+    /**
+     * Express error middleware.
+     * @public
+     * @description Answers 400 for malformed bodies, 413 for oversized ones and 500 otherwise.
+     * @memberof Router
+     */
+    errors = (err, req, res, next) => {
+        if (res.headersSent)
+            return next(err);
+
+        if (err.type === "entity.parse.failed") {
+            return res.status(StatusCodes.BAD_REQUEST).send({
+                error: "Invalid request",
+                details: "Malformed request body.",
+            });
+        }
+
+        if (err.type === "entity.too.large") {
+            return res.status(StatusCodes.REQUEST_TOO_LONG).send({
+                error: "Payload Too Large",
+                details: "The request body is too large.",
+            });
+        }
+
+        // The error is only logged, its message may describe the database or the file system.
+        this.#log(req).error("Unhandled route error", { err });
+
+        res.status(StatusCodes.INTERNAL_SERVER_ERROR).send({
+            error: "Internal Server Error",
+            details: "An unexpected error occurred.",
+        });
+    };
+}
+
+/**
+ * @module Router
+ * @description A module for the Router class.
+ * @exports Router
+ * @see {@link Router}
+ */
+export default Router;
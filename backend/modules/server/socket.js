@@ -0,0 +1,273 @@
+/**
+ * @fileoverview WebSocket layer for the backend server.
+ *
+ * This file attaches a WebSocket server to the HTTP server returned by
+ * `Server.listen` and keeps track of which clients are subscribed to which channels.
+ *
+ * @require ws - A WebSocket client and server implementation for Node.js.
+*/
+import { WebSocketServer, WebSocket } from "ws";
+
+/**
+ * @class Socket
+ * @classdesc A class representing the WebSocket server and its channel subscriptions.
+ * @property {Object} wss - An instance of the ws WebSocketServer.
+ * @property {Function} subscribe - A function to subscribe a client to a channel.
+ * @property {Function} unsubscribe - A function to unsubscribe a client from a channel.
+ * @property {Function} publish - A function to push a payload to every subscriber of a channel.
+ * @property {Function} clients - A function to list the subscribers of a channel.
+ * @property {Function} close - A function to close every connection and stop accepting new ones.
+ */
+class Socket {
+    /**
+     * @private
+     * @type {Map<string, Set<WebSocket>>}
+     * @description A map of channel names to the clients subscribed to them.
+     * @memberof Socket
+    */
+    #_channels = new Map();
+
+    /**
+     * @private
+     * @type {Object}
+     * @description An object containing the message actions and their handlers.
+     * @memberof Socket
+    */
+    #_handlers = {};
+
+    /**
+     * @private
+     * @type {Object}
+     * @description The context passed as first argument to every handler.
+     * @memberof Socket
+    */
+    #_context = null;
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout}
+     * @description The interval used to terminate connections that stopped answering pings.
+     * @memberof Socket
+    */
+    #_heartbeat = null;
+
+    /**
+     * Constructor for the Socket class.
+     * @constructor
+     * @description Create a new WebSocket server attached to an existing HTTP server.
+     * @param {Object} server - The HTTP server returned by `app.listen`.
+     * @param {Object} options - Configuration options for the WebSocket server.
+     * @param {string} [options.path] - The path clients connect to.
+     * @param {Object} [options.handlers] - An object containing the message actions and their handlers.
+     * @param {Object} [options.context] - The context passed as first argument to every handler.
+     * @param {number} [options.interval] - The heartbeat interval in milliseconds.
+     * @memberof Socket
+     * @returns {Socket}
+     */
+    constructor(server, { path = "/ws", handlers = {}, context = null, interval = 30000 } = {}) {
+        this.wss = new WebSocketServer({ server, path });
+        this.#_handlers = handlers;
+        this.#_context = context;
+
+        this.wss.on("connection", this.#connection);
+
+        this.#_heartbeat = setInterval(() => {
+            this.wss.clients.forEach((client) => {
+                if (client.isAlive === false)
+                    return client.terminate();
+
+                client.isAlive = false;
+                client.ping();
+            });
+        }, interval);
+
+        this.#_heartbeat.unref();
+
+        this.wss.on("close", () => {
+            clearInterval(this.#_heartbeat);
+        });
+    }
+
+    /**
+     * @private
+     * @description Handle a new client connection.
+     * @memberof Socket
+     * @param {WebSocket} client - The connected client.
+     */
+    #connection = (client) => {
+        client.isAlive = true;
+        client.channels = new Set();
+
+        client.on("pong", () => {
+            client.isAlive = true;
+        });
+
+        client.on("message", async (data) => {
+            let message;
+
+            try {
+                message = JSON.parse(data.toString());
+            } catch {
+                return this.send(client, {
+                    error: "Invalid request",
+                    details: "Message must be valid JSON.",
+                });
+            }
+
+            const handler = message && this.#_handlers[message.action];
+
+            if (!handler) {
+                return this.send(client, {
+                    error: "Not Found",
+                    details: "Unknown action.",
+                });
+            }
+
+            try {
+                await handler(this.#_context, client, message);
+            } catch (err) {
+                this.#_context.logger.error("Socket handler error", { action: message.action, err });
+
+                this.send(client, {
+                    error: "Internal Server Error",
+                    details: "An unexpected error occurred.",
+                });
+            }
+        });
+
+        client.on("close", () => {
+            client.channels.forEach((channel) => {
+                this.unsubscribe(client, channel);
+            });
+        });
+
+        client.on("error", (err) => {
+            this.#_context.logger.error("Socket error", { err });
+        });
+    };
+
+    /**
+     * Send a JSON payload to a single client.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to send the payload to.
+     * @param {Object} payload - The payload to serialize and send.
+     * @returns {boolean} Whether the payload was handed to an open connection.
+     */
+    send = (client, payload) => {
+        if (client.readyState !== WebSocket.OPEN)
+            return false;
+
+        client.send(JSON.stringify(payload));
+        return true;
+    };
+
+    /**
+     * Subscribe a client to a channel.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to subscribe.
+     * @param {string} channel - The channel name.
+     * @returns {void}
+     */
+    subscribe = (client, channel) => {
+        if (!this.#_channels.has(channel))
+            this.#_channels.set(channel, new Set());
+
+        this.#_channels.get(channel).add(client);
+        client.channels.add(channel);
+    };
+
+    /**
+     * Unsubscribe a client from a channel.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to unsubscribe.
+     * @param {string} channel - The channel name.
+     * @returns {void}
+     */
+    unsubscribe = (client, channel) => {
+        const clients = this.#_channels.get(channel);
+
+        if (clients) {
+            clients.delete(client);
+
+            if (clients.size === 0)
+                this.#_channels.delete(channel);
+        }
+
+        client.channels.delete(channel);
+    };
+
+    /**
+     * List the clients subscribed to a channel.
+     * @public
+     * @memberof Socket
+     * @param {string} channel - The channel name.
+     * @returns {WebSocket[]}
+     */
+    clients = (channel) => {
+        return [...(this.#_channels.get(channel) || [])];
+    };
+
+    /**
+     * Push a payload to every client subscribed to a channel.
+     * @public
+     * @memberof Socket
+     * @param {string} channel - The channel name.
+     * @param {Object} payload - The payload to serialize and send.
+     * @param {number} [except] - The id of a user whose clients are skipped.
+     * @returns {number} The number of clients the payload was delivered to.
+     */
+    publish = (channel, payload, except) => {
+        const clients = this.#_channels.get(channel);
+
+        if (!clients)
+            return 0;
+
+        let delivered = 0;
+
+        clients.forEach((client) => {
+            if (except !== undefined && client.userId === except)
+                return;
+
+            if (this.send(client, payload))
+                delivered++;
+        });
+
+        return delivered;
+    };
+
+    /**
+     * Close every connection and stop accepting new ones.
+     * @public
+     * @description Clients get a going-away close frame after everything already sent to them,
+     * and the ones that do not answer it before the timeout are terminated.
+     * @memberof Socket
+     * @param {number} [timeout] - How long to wait for clients to close, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    close = (timeout = 5000) => {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.wss.clients.forEach((client) => client.terminate());
+            }, timeout);
+
+            // The server only reports itself closed once its last client is gone.
+            this.wss.close(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            this.wss.clients.forEach((client) => client.close(1001, "Server shutting down"));
+        });
+    };
+}
+
+/**
+ * @module Socket
+ * @description A module for the Socket class.
+ * @exports Socket
+ * @see {@link Socket}
+ */
+export default Socket;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Signed request tokens for the backend server.
+ *
+ * Tokens are short-lived, HMAC-SHA256 signed payloads in the form
+ * `base64url(payload).base64url(signature)`, checked by an Express middleware.
+ *
+ * @require crypto - The Node.js crypto module.
+ * @require http-status-codes - Constants enumerating the HTTP status codes.
+*/
+import crypto from "crypto";
+import { StatusCodes } from "http-status-codes";
+
+/**
+ * @class Token
+ * @classdesc A class issuing and verifying signed request tokens.
+ * @property {number} ttl - The lifetime of issued tokens in milliseconds.
+ * @property {Function} issue - A function to issue a token for a payload.
+ * @property {Function} verify - A function to verify a token and return its payload.
+ * @property {Function} authenticate - An Express middleware requiring a valid bearer token.
+ */
+class Token {
+    /**
+     * @private
+     * @type {Buffer}
+     * @description The secret used to sign tokens.
+     * @memberof Token
+    */
+    #_secret = null;
+
+    /**
+     * Constructor for the Token class.
+     * @constructor
+     * @description Create a new instance of the Token class.
+     * @param {Object} options - Configuration options for the tokens.
+     * @param {string} [options.secret] - The signing secret. A random one is generated when omitted.
+     * @param {number} [options.ttl] - The lifetime of issued tokens in milliseconds.
+     * @param {Object} [options.logger] - The logger warnings are written to.
+     * @memberof Token
+     * @returns {Token}
+     */
+    constructor({ secret, ttl = 15 * 60 * 1000, logger = console } = {}) {
+        if (!secret)
+            logger.warn("No token secret configured, tokens will not survive a restart");
+
+        this.#_secret = secret ? Buffer.from(secret) : crypto.randomBytes(32);
+        this.ttl = ttl;
+    }
+
+    /**
+     * @private
+     * @description Compute the signature of an encoded payload.
+     * @memberof Token
+     * @param {string} payload - The base64url encoded payload.
+     * @returns {Buffer}
+     */
+    #sign = (payload) => {
+        return crypto.createHmac("sha256", this.#_secret).update(payload).digest();
+    };
+
+    /**
+     * Issue a token for a payload.
+     * @public
+     * @memberof Token
+     * @param {Object} payload - The claims to embed in the token.
+     * @returns {{token: string, expiresAt: number}}
+     */
+    issue = (payload) => {
+        const expiresAt = Date.now() + this.ttl;
+        const encoded = Buffer.from(JSON.stringify({ ...payload, exp: expiresAt })).toString("base64url");
+
+        return {
+            token: `${encoded}.${this.#sign(encoded).toString("base64url")}`,
+            expiresAt
+        };
+    };
+
+    /**
+     * Verify a token.
+     * @public
+     * @memberof Token
+     * @param {string} token - The token to verify.
+     * @returns {Object|null} The payload, or null when the token is malformed, forged or expired.
+     */
+    verify = (token) => {
+        if (typeof token !== "string")
+            return null;
+
+        const [encoded, signature, ...rest] = token.split(".");
+
+        if (!encoded || !signature || rest.length > 0)
+            return null;
+
+        const expected = this.#sign(encoded);
+        const actual = Buffer.from(signature, "base64url");
+
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected))
+            return null;
+
+        try {
+            const payload = JSON.parse(Buffer.from(encoded, "base64url").toString());
+
+            return payload.exp > Date.now() ? payload : null;
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Return the payload of the bearer token a request carries.
+     * @public
+     * @memberof Token
+     * @param {Object} req - The Express request.
+     * @returns {Object|null} The payload, or null when the token is missing or invalid.
+     */
+    read = (req) => {
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+        return scheme === "Bearer" ? this.verify(token) : null;
+    };
+
+    /**
+     * Express middleware requiring a valid `Authorization: Bearer <token>` header.
+     * @public
+     * @description Stores the token payload on `req.auth` and answers 401 otherwise.
+     * @memberof Token
+     */
+    authenticate = (req, res, next) => {
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+        if (scheme !== "Bearer" || !token) {
+            return res.status(StatusCodes.UNAUTHORIZED).set("WWW-Authenticate", "Bearer").send({
+                error: "Unauthorized",
+                details: "Missing bearer token.",
+            });
+        }
+
+        const payload = this.verify(token);
+
+        if (!payload) {
+            return res.status(StatusCodes.UNAUTHORIZED).set("WWW-Authenticate", "Bearer").send({
+                error: "Unauthorized",
+                details: "Invalid or expired token.",
+            });
+        }
+
+        req.auth = payload;
+        next();
+    };
+}
+
+/**
+ * @module Token
+ * @description A module for the Token class.
+ * @exports Token
+ * @see {@link Token}
+ */
+export default Token;
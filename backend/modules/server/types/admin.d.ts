@@ -0,0 +1,65 @@
+export default Admin;
+/**
+ * @class Admin
+ * @classdesc A class checking requests against a set of admin keys.
+ * @property {string} header - The request header carrying the admin key.
+ * @property {Function} authorize - An Express middleware requiring a valid admin key.
+ * @property {Function} fingerprint - A function returning a short, non-secret id for a key.
+ */
+declare class Admin {
+    /**
+     * @private
+     * @description Hash a key so that every comparison is between equal-length buffers.
+     * @memberof Admin
+     * @param {string} key - The key to hash.
+     * @returns {Buffer}
+     */
+    private static "__#1@#digest";
+    /**
+     * Constructor for the Admin class.
+     * @constructor
+     * @description Create a new instance of the Admin class.
+     * @param {Object} options - Configuration options for the admin keys.
+     * @param {string[]} [options.keys] - The accepted admin keys.
+     * @param {string} [options.header] - The request header carrying the admin key.
+     * @memberof Admin
+     * @returns {Admin}
+     */
+    constructor({ keys, header }?: {
+        keys?: string[];
+        header?: string;
+    });
+    header: string;
+    /**
+     * Whether any admin key is configured.
+     * @public
+     * @memberof Admin
+     * @returns {boolean}
+     */
+    public get enabled(): boolean;
+    /**
+     * Return a short, non-secret id for a key, suitable for audit logs.
+     * @public
+     * @memberof Admin
+     * @param {string} key - The admin key.
+     * @returns {string}
+     */
+    public fingerprint: (key: string) => string;
+    /**
+     * Check a key against every configured key.
+     * @public
+     * @description Does not stop at the first match so the time taken does not depend on which key matched.
+     * @memberof Admin
+     * @param {string} key - The key to check.
+     * @returns {boolean}
+     */
+    public verify: (key: string) => boolean;
+    /**
+     * Express middleware requiring a valid admin key header.
+     * @public
+     * @description Stores the key fingerprint on `req.admin` and answers 401 otherwise.
+     * @memberof Admin
+     */
+    public authorize: (req: any, res: any, next: any) => any;
+    #private;
+}
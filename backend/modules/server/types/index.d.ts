@@ -4,8 +4,14 @@ export default Server;
  * @classdesc A class representing the server.
  * @property {Object} app - An instance of the Express application.
  * @property {Function} listen - A function to start the server.
+ * @property {Function} close - A function to drain requests and sockets, then close the database.
+ * @property {boolean} closing - Whether the server is shutting down.
  * @property {Object} endpoints - An object containing the endpoints and their handlers.
  * @property {Function} parseExec - A function to execute an array of SQL queries.
+ * @property {Function} sweep - A function to purge expired rows.
+ * @property {Function} ready - A function to run the readiness checks.
+ * @property {Socket} socket - The WebSocket server, available once the server is listening.
+ * @property {Token} tokens - The token issuer, available once authentication is configured.
  */
 declare class Server extends Database {
     /**
@@ -30,6 +36,47 @@ declare class Server extends Database {
      * @see {@link https://www.npmjs.com/package/express}
     */
     public set limiter(config: any);
+    /**
+     * @public
+     * @description Replace the logger of the server.
+     * @memberof Server
+     * @param {Object} config - An object containing the logger options.
+     * @param {string} [config.level] - The lowest level written.
+     * @param {string|Object} [config.destination] - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @param {string[]} [config.redact] - The fields whose values never reach the log.
+     */
+    public set logging({ level, destination, redact }: {
+        level?: string;
+        destination?: string | any;
+        redact?: string[];
+    });
+    /**
+     * @public
+     * @description Set the health and metrics endpoints, which are neither authenticated nor rate limited.
+     * @memberof Server
+     * @param {Object} config - An object containing the monitoring configuration.
+     * @param {string} [config.live] - The path of the liveness endpoint, failing when the database handle is closed.
+     * @param {string} [config.ready] - The path of the readiness endpoint, failing when any check fails.
+     * @param {string} [config.metrics] - The path of the Prometheus metrics endpoint.
+     * @param {string} [config.token] - A bearer token required to read the metrics.
+     * @param {Object<string, Function>} [config.checks] - An object mapping readiness check names to functions
+     * receiving the server and throwing when it is not ready. The database is always checked.
+     * @param {Object<string, Object>} [config.gauges] - An object mapping gauge names to their help text and
+     * a function receiving the server and returning their value.
+     */
+    public set monitoring({ live, ready, metrics, token, checks, gauges }: {
+        live?: string;
+        ready?: string;
+        metrics?: string;
+        token?: string;
+        checks?: {
+            [x: string]: Function;
+        };
+        gauges?: {
+            [x: string]: any;
+        };
+    });
+    metrics: Metrics;
     /**
      * @public
      * @description Set the callback function for the Express application.
@@ -58,6 +105,63 @@ declare class Server extends Database {
      * @param {Function} func
      */
     public set afterware(func: Function);
+    /**
+     * @public
+     * @description Set the WebSocket message handlers for the server.
+     * @memberof Server
+     * @param {Object} data - An object containing the message actions and their handlers.
+     */
+    public set sockets(data: any);
+    /**
+     * @public
+     * @description Require a signed token on the routes of the given methods.
+     * @memberof Server
+     * @param {Object} config - An object containing the token options.
+     * @param {string} [config.secret] - The signing secret.
+     * @param {number} [config.ttl] - The lifetime of issued tokens in milliseconds.
+     * @param {string[]} [config.methods] - The methods whose routes require a token.
+     * @param {string[]} [config.exclude] - The routes that stay public.
+     */
+    public set authentication({ secret, ttl, methods, exclude }: {
+        secret?: string;
+        ttl?: number;
+        methods?: string[];
+        exclude?: string[];
+    });
+    tokens: Token;
+    /**
+     * @public
+     * @description Set the admin router, mounted under its own path and guarded by the admin keys.
+     * @memberof Server
+     * @param {Object} config - An object containing the admin configuration.
+     * @param {string} [config.path] - The path the admin router is mounted on.
+     * @param {string[]} [config.keys] - The accepted admin keys.
+     * @param {string} [config.header] - The request header carrying the admin key.
+     * @param {Function} [config.audit] - A function called with every admin request once it finished.
+     * @param {Object} config.endpoints - An object containing the admin endpoints and their handlers.
+     */
+    public set admin({ path, keys, header, audit, endpoints }: {
+        path?: string;
+        keys?: string[];
+        header?: string;
+        audit?: Function;
+        endpoints: any;
+    });
+    /**
+     * @public
+     * @description Set the tasks the background sweeper runs to purge expired rows.
+     * @memberof Server
+     * @param {Object} config - An object containing the sweeper configuration.
+     * @param {number} [config.interval] - The time between two sweeps in milliseconds.
+     * @param {Object<string, Function>} config.tasks - An object mapping task names to functions receiving the
+     * server and the current time and returning the number of purged rows.
+     */
+    public set sweeper({ interval, tasks }: {
+        interval?: number;
+        tasks: {
+            [x: string]: Function;
+        };
+    });
     /**
      * @public
      * @description Bind the endpoints to the Express application.
@@ -65,14 +169,80 @@ declare class Server extends Database {
      * @memberof Server
      */
     public bind(): void;
+    /**
+     * @public
+     * @description Set the configuration for the Express application.
+     * @memberof Server
+     * @param {Object} config - An object containing the configuration data.
+     */
+    public set config(config: any);
     app: any;
+    socket: Socket;
+    closing: boolean;
     /**
      * Start the server.
      * @public
-     * @description Start the server on the specified port.
+     * @description Start the server on the specified port and attach the WebSocket server to it.
+     * @memberof Server
+     * @param {number} port - The port to listen on.
+     * @param {string} [host] - The address to bind, every interface when omitted.
+     */
+    public listen: (port: number, host?: string) => Promise<any>;
+    /**
+     * Shut the server down.
+     * @public
+     * @description Stops accepting connections and background work, lets in-flight requests finish and
+     * WebSocket clients receive what was already sent to them, then closes the database. Connections
+     * still open once the timeout elapses are cut. Calling it again returns the same shutdown.
+     * @memberof Server
+     * @param {Object} [options] - Shutdown options.
+     * @param {number} [options.timeout] - How long to wait for connections to drain, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    public close: ({ timeout }?: {
+        timeout?: number;
+    }) => Promise<void>;
+    /**
+     * Run every sweeper task once.
+     * @public
+     * @description Each task runs on its own so that one failing task does not keep the others from purging.
+     * @memberof Server
+     * @returns {Object<string, number>} An object mapping task names to the number of purged rows.
+     */
+    public sweep: () => {
+        [x: string]: number;
+    };
+    /**
+     * Run every readiness check once.
+     * @public
+     * @description Shared by the readiness endpoint and the startup check, which so never depends on the
+     * address the server listens on.
+     * @memberof Server
+     * @param {Object} [log] - The logger failing checks are reported to.
+     * @returns {string[]} The names of the failing checks.
+     */
+    public ready: (log?: any) => string[];
+    /**
+     * Push a payload to every WebSocket client subscribed to a channel.
+     * @public
+     * @description Returns 0 when the server has no WebSocket layer attached.
+     * @memberof Server
+     * @param {string} channel - The channel name.
+     * @param {Object} payload - The payload to send.
+     * @param {number} [except] - The id of a user whose clients are skipped, such as the sender.
+     * @returns {number} The number of clients the payload was delivered to.
+     */
+    public publish: (channel: string, payload: any, except?: number) => number;
+    /**
+     * List the users with a live subscription to a channel.
+     * @public
+     * @description Only clients that subscribed with a valid token are known by user.
      * @memberof Server
+     * @param {string} channel - The channel name.
+     * @param {number} [except] - The id of a user left out, such as the sender.
+     * @returns {number[]} The distinct user ids.
      */
-    public listen: (port: any) => Promise<any>;
+    public subscribers: (channel: string, except?: number) => number[];
     /**
      * Create a new user.
      * @public
@@ -89,9 +259,27 @@ declare class Server extends Database {
  * @property {Object} database - An instance of the SQLite3 database.
  * @property {Function} exec - A function to execute a SQL query.
  * @property {Function} prepare - A function to prepare a SQL query.
+ * @property {Function} transaction - A function to wrap a function in a transaction.
+ * @property {Function} snapshot - A function to copy the database to a file.
+ * @property {Function} restore - A function to restore the database from a snapshot file.
+ * @property {Function} counts - A function to count the rows of every table.
+ * @property {Function} ping - A function to check that the database answers queries.
+ * @property {Function} disconnect - A function to checkpoint the write-ahead log and close the handle.
+ * @property {Logger} logger - The logger entries of the database and the server are written to.
+ * @property {UserRepository} users - The users, their keys and their sign-in challenges.
+ * @property {SessionRepository} sessions - The legacy one-time session keys.
+ * @property {ChatRepository} chats - The stored messages and the device queues draining them.
+ * @property {MailboxRepository} mailboxes - The sealed-sender mailboxes and the messages delivered to them.
+ * @property {ConversationRepository} conversations - The group conversations, their members and the retention of chat keys.
+ * @property {DeviceRepository} devices - The devices of users.
+ * @property {InviteRepository} invites - The invite tokens and the chats started by claiming them.
+ * @property {AttachmentRepository} attachments - The attachments being uploaded or waiting to be downloaded.
+ * @property {ReceiptRepository} receipts - When recipients received and read messages.
+ * @property {RateLimitRepository} rateLimits - The fixed-window rate limit counters.
+ * @property {AuditRepository} audit - The log of admin requests.
  * @memberof Database
  */
-declare class Database {
+export class Database {
     /**
      * Represents a Database connection.
      *
@@ -101,6 +289,30 @@ declare class Database {
      */
     constructor(dbPath: string, options: object);
     database: any;
+    logger: Logger;
+    users: UserRepository;
+    sessions: SessionRepository;
+    chats: ChatRepository;
+    mailboxes: MailboxRepository;
+    conversations: ConversationRepository;
+    devices: DeviceRepository;
+    invites: InviteRepository;
+    attachments: AttachmentRepository;
+    receipts: ReceiptRepository;
+    rateLimits: RateLimitRepository;
+    audit: AuditRepository;
+    /**
+     * Serialize the database.
+     *
+     * @public
+     * @memberof Database
+     * @returns {void}
+     * @description Serialize the database to a buffer and continue on an in-memory copy of it.
+     * The copy is opened before the old handle is closed, so a failure leaves the old handle in use,
+     * and it is refused inside a transaction, whose statements would otherwise land on two handles.
+     * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#serializeoptions---buffer | better-sqlite3}
+    */
+    public serialize: () => void;
     /**
      * Executes a given SQL query asynchronously.
      *
@@ -116,4 +328,74 @@ declare class Database {
      * @returns {object} The prepared statement object.
      */
     prepare: (sql: string) => object;
+    /**
+     * Write a consistent copy of the live database to a file.
+     *
+     * @param {string} file - The destination file path.
+     * @returns {Promise<Object>} A promise that resolves with the backup progress once it is complete.
+     * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#backupdestination-options---promise | better-sqlite3}
+     */
+    snapshot: (file: string) => Promise<any>;
+    /**
+     * Replace the content of every table with the content of a snapshot file.
+     *
+     * The snapshot is attached and copied over in a single transaction, so the
+     * live handle is never closed and a failed restore leaves the data untouched.
+     *
+     * @param {string} file - The snapshot file path.
+     * @param {string[]} [exclude] - The tables to leave untouched.
+     * @returns {string[]} The names of the restored tables.
+     */
+    restore: (file: string, exclude?: string[]) => string[];
+    /**
+     * Count the rows of every table.
+     *
+     * @returns {Object<string, number>} An object mapping table names to row counts.
+     */
+    counts: () => {
+        [x: string]: number;
+    };
+    /**
+     * Check that the database answers queries.
+     *
+     * @returns {void}
+     * @throws {Error} When the handle is closed, as `disconnect` leaves it, or the query fails.
+     */
+    ping: () => void;
+    /**
+     * Wraps a function so that every statement it runs is executed in a single transaction.
+     *
+     * @param {Function} func - The function to run inside the transaction.
+     * @returns {Function} The transactional function.
+     * @see {@link https://github.com/WiseLibs/better-sqlite3/blob/HEAD/docs/api.md#transactionfunction---function | better-sqlite3}
+     */
+    transaction: (func: Function) => Function;
+    /**
+     * Checkpoint the write-ahead log and close the handle.
+     *
+     * The log is folded back into the database file and truncated, so the file on
+     * disk is complete on its own and nothing is left to replay on the next start.
+     * Does nothing when the handle is already closed.
+     *
+     * @returns {void}
+     */
+    disconnect: () => void;
 }
+import Migrator from "./migrator.js";
+import Repository from "./repositories.js";
+import { UserRepository } from "./repositories.js";
+import { SessionRepository } from "./repositories.js";
+import { ChatRepository } from "./repositories.js";
+import { MailboxRepository } from "./repositories.js";
+import { ConversationRepository } from "./repositories.js";
+import { DeviceRepository } from "./repositories.js";
+import { InviteRepository } from "./repositories.js";
+import { AttachmentRepository } from "./repositories.js";
+import { ReceiptRepository } from "./repositories.js";
+import { RateLimitRepository } from "./repositories.js";
+import { AuditRepository } from "./repositories.js";
+import Metrics from "./metrics.js";
+import Token from "./token.js";
+import Socket from "./socket.js";
+import Logger from "./logger.js";
+export { Migrator, Repository, UserRepository, SessionRepository, ChatRepository, MailboxRepository, ConversationRepository, DeviceRepository, InviteRepository, AttachmentRepository, ReceiptRepository, RateLimitRepository, AuditRepository };
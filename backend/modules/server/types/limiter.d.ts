@@ -0,0 +1,116 @@
+export default Limiter;
+/**
+ * @class Limiter
+ * @classdesc A class building one rate limiter per named policy.
+ * @property {Function} policy - A function returning the middleware of a policy or of inline options.
+ * @property {Function} key - A function returning the key a request is counted under.
+ */
+declare class Limiter {
+    /**
+     * Constructor for the Limiter class.
+     * @constructor
+     * @description Create a new instance of the Limiter class.
+     * @param {Object} config - The limiter configuration.
+     * @param {Object} [config.policies] - The named policies. Without them the whole configuration is the `default` policy.
+     * @param {string|Function} [config.store] - `"memory"`, `"sqlite"` or a function returning a store for a counter name.
+     * @param {Object} options - Additional options.
+     * @param {Object} options.database - The database used by the `"sqlite"` store.
+     * @param {Function} [options.identify] - A function returning the identity behind a request, or null.
+     * @param {Function} [options.rejected] - A function called with the policy name of every rejected request.
+     * @memberof Limiter
+     * @returns {Limiter}
+     */
+    constructor({ policies, store, ...options }: {
+        policies?: any;
+        store?: string | Function;
+    }, { database, identify, rejected }: {
+        database: any;
+        identify?: Function;
+        rejected?: Function;
+    });
+    /**
+     * Return the key a request is counted under.
+     * @public
+     * @memberof Limiter
+     * @param {Object} req - The Express request.
+     * @returns {string}
+     */
+    public key: (req: any) => string;
+    /**
+     * Return the rate limiter of a policy.
+     * @public
+     * @description Named policies are built once per route, each with its own counters, and once more for
+     * the requests no route matched. Inline options always get their own counters.
+     * @memberof Limiter
+     * @param {string|Object} [policy] - A policy name or inline options. Defaults to the `default` policy.
+     * @param {string} [route] - The route the limiter applies to, naming its counters.
+     * @returns {Function}
+     */
+    public policy: (policy?: string | any, route?: string) => Function;
+    #private;
+}
+/**
+ * @class SqliteStore
+ * @classdesc An `express-rate-limit` store keeping fixed-window counters in the `rate_limits` table.
+ * @property {string} prefix - The prefix separating the counters of different policies.
+ */
+export class SqliteStore {
+    /**
+     * Constructor for the SqliteStore class.
+     * @constructor
+     * @description Create a new instance of the SqliteStore class.
+     * @param {Object} database - A Database instance exposing the `rateLimits` repository.
+     * @param {string} prefix - The prefix separating the counters of different policies.
+     * @memberof SqliteStore
+     * @returns {SqliteStore}
+     */
+    constructor(database: any, prefix: string);
+    prefix: string;
+    /**
+     * Receive the options of the limiter using the store.
+     * @public
+     * @memberof SqliteStore
+     * @param {Object} options - The limiter options.
+     * @returns {void}
+     */
+    public init: ({ windowMs }: any) => void;
+    /**
+     * Count a hit, starting a new window when the previous one is over.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {{totalHits: number, resetTime: Date}}
+     */
+    public increment: (key: string) => {
+        totalHits: number;
+        resetTime: Date;
+    };
+    /**
+     * Read the current window of a client without counting a hit.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {{totalHits: number, resetTime: Date}|undefined}
+     */
+    public get: (key: string) => {
+        totalHits: number;
+        resetTime: Date;
+    } | undefined;
+    /**
+     * Take back a hit, used when a policy skips successful or failed requests.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {void}
+     */
+    public decrement: (key: string) => void;
+    /**
+     * Forget the counter of a client.
+     * @public
+     * @memberof SqliteStore
+     * @param {string} key - The client key.
+     * @returns {void}
+     */
+    public resetKey: (key: string) => void;
+    #private;
+}
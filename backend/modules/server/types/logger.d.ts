@@ -0,0 +1,106 @@
+export default Logger;
+/**
+ * @class Logger
+ * @classdesc A class writing leveled JSON log entries.
+ * @property {string} level - The lowest level written.
+ */
+declare class Logger {
+    /**
+     * @private
+     * @static
+     * @description Resolve a destination to a writable stream.
+     * @memberof Logger
+     * @param {string|Object} destination - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @returns {Object}
+     */
+    private static "__#8@#open";
+    /**
+     * Constructor for the Logger class.
+     * @constructor
+     * @description Create a new instance of the Logger class.
+     * @param {Object} [options] - Configuration options for the logger.
+     * @param {string} [options.level] - The lowest level written: `trace`, `debug`, `info`, `warn`, `error` or `silent`.
+     * @param {string|Object} [options.destination] - `"stdout"`, `"stderr"`, a file path or a writable stream.
+     * @param {string[]} [options.redact] - The fields whose values never reach the log.
+     * @param {Object} [options.bindings] - The fields added to every entry.
+     * @memberof Logger
+     * @returns {Logger}
+     */
+    constructor({ level, destination, redact, bindings }?: {
+        level?: string;
+        destination?: string | any;
+        redact?: string[];
+        bindings?: any;
+    });
+    level: string;
+    /**
+     * Create a logger adding more fields to every entry.
+     * @public
+     * @description The child shares the level, destination and redaction of its parent.
+     * @memberof Logger
+     * @param {Object} bindings - The additional fields.
+     * @returns {Logger}
+     */
+    public child: (bindings: any) => Logger;
+    /**
+     * Whether entries of a level are written.
+     * @public
+     * @memberof Logger
+     * @param {string} level - The level.
+     * @returns {boolean}
+     */
+    public enabled: (level: string) => boolean;
+    /**
+     * Write a trace entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    public trace: (message: string, fields?: any) => void;
+    /**
+     * Write a debug entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    public debug: (message: string, fields?: any) => void;
+    /**
+     * Write an info entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    public info: (message: string, fields?: any) => void;
+    /**
+     * Write a warning entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    public warn: (message: string, fields?: any) => void;
+    /**
+     * Write an error entry.
+     * @public
+     * @memberof Logger
+     * @param {string} message - The message.
+     * @param {Object} [fields] - Additional fields.
+     */
+    public error: (message: string, fields?: any) => void;
+    #private;
+}
+/**
+ * The numeric value of every level, entries below the configured one are dropped.
+ * @type {Object<string, number>}
+ */
+export const LEVELS: {
+    [x: string]: number;
+};
+/**
+ * The fields redacted by default.
+ * @type {string[]}
+ */
+export const REDACTED: string[];
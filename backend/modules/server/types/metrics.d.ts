@@ -0,0 +1,91 @@
+export default Metrics;
+/**
+ * @class Metrics
+ * @classdesc A class collecting server metrics and rendering them for Prometheus.
+ * @property {string} prefix - The prefix of every metric name.
+ * @property {Function} request - A function to record a finished request.
+ * @property {Function} rejected - A function to record a rate-limit rejection.
+ * @property {Function} render - A function to render every metric.
+ */
+declare class Metrics {
+    /**
+     * @private
+     * @static
+     * @description Render a set of labels.
+     * @memberof Metrics
+     * @param {Object} labels - An object mapping label names to values.
+     * @returns {string}
+     */
+    private static "__#9@#labels";
+    /**
+     * Constructor for the Metrics class.
+     * @constructor
+     * @description Create a new instance of the Metrics class.
+     * @param {Object} [options] - Configuration options for the metrics.
+     * @param {string} [options.prefix] - The prefix of every metric name.
+     * @param {Object<string, {help: string, collect: Function}>} [options.gauges] - An object mapping gauge names to
+     * their help text and a function returning either their value or a list of `{ labels, value }` samples.
+     * @memberof Metrics
+     * @returns {Metrics}
+     */
+    constructor({ prefix, gauges }?: {
+        prefix?: string;
+        gauges?: {
+            [x: string]: {
+                help: string;
+                collect: Function;
+            };
+        };
+    });
+    prefix: string;
+    /**
+     * Record a finished request.
+     * @public
+     * @memberof Metrics
+     * @param {Object} request - The request to record.
+     * @param {string} request.method - The HTTP method.
+     * @param {string|null} request.route - The route pattern, or null when no route matched.
+     * @param {number} request.status - The response status.
+     * @param {number} request.duration - The time the request took, in seconds.
+     * @returns {void}
+     */
+    public request: ({ method, route, status, duration }: {
+        method: string;
+        route: string | null;
+        status: number;
+        duration: number;
+    }) => void;
+    /**
+     * Record a request rejected by a rate-limit policy.
+     * @public
+     * @memberof Metrics
+     * @param {string} policy - The name of the policy.
+     * @returns {void}
+     */
+    public rejected: (policy: string) => void;
+    /**
+     * Render every metric in the Prometheus text exposition format.
+     * @public
+     * @description Gauges failing to collect are left out rather than failing the whole scrape.
+     * @memberof Metrics
+     * @param {Object} context - The context passed to the gauge collectors.
+     * @returns {string}
+     */
+    public render: (context: any) => string;
+    #private;
+}
+/**
+ * @fileoverview Prometheus metrics for the backend server.
+ *
+ * Counters and histograms are kept in memory and updated as requests finish,
+ * while gauges are collected when the metrics are scraped. Everything is
+ * rendered in the Prometheus text exposition format.
+ *
+ * Labels only ever carry route patterns, methods, statuses and policy names, so
+ * neither chat keys nor identifiers can reach a scrape.
+*/
+/**
+ * The upper bounds of the request duration buckets, in seconds.
+ * @type {number[]}
+ */
+export const BUCKETS: number[];
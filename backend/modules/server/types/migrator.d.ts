@@ -0,0 +1,52 @@
+export default Migrator;
+/**
+ * @class Migrator
+ * @classdesc A class applying and reverting numbered schema migrations.
+ * @property {Object} database - The database the migrations run against.
+ * @property {string} directory - The directory containing the migration files.
+ * @property {Function} status - A function to list every migration and when it was applied.
+ * @property {Function} up - A function to apply pending migrations.
+ * @property {Function} down - A function to revert applied migrations.
+ */
+declare class Migrator {
+    /**
+     * Constructor for the Migrator class.
+     * @constructor
+     * @description Create a new instance of the Migrator class.
+     * @param {Object} database - A Database instance exposing `prepare` and `transaction`.
+     * @param {string} directory - The directory containing the migration files.
+     * @memberof Migrator
+     * @returns {Migrator}
+     */
+    constructor(database: any, directory: string);
+    database: any;
+    directory: string;
+    /**
+     * List every migration and whether it was applied.
+     * @public
+     * @memberof Migrator
+     * @returns {Promise<Array<{version: number, name: string, appliedAt: number|null}>>}
+     */
+    public status: () => Promise<Array<{
+        version: number;
+        name: string;
+        appliedAt: number | null;
+    }>>;
+    /**
+     * Apply every pending migration up to a target version.
+     * @public
+     * @memberof Migrator
+     * @param {number} [target] - The last version to apply. Defaults to all of them.
+     * @returns {Promise<Object[]>} The applied migrations.
+     */
+    public up: (target?: number) => Promise<any[]>;
+    /**
+     * Revert the most recently applied migrations.
+     * @public
+     * @memberof Migrator
+     * @param {number} [steps] - The number of migrations to revert.
+     * @returns {Promise<Object[]>} The reverted migrations.
+     */
+    public down: (steps?: number) => Promise<any[]>;
+    #private;
+}
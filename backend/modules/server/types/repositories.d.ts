@@ -0,0 +1,963 @@
+export default Repository;
+/**
+ * @fileoverview Data access for users, legacy sessions, chats, sealed mailboxes, conversations, devices,
+ * invites, attachments, receipts, rate limit counters and the admin audit log.
+ *
+ * Every repository owns the SQL of its tables. Statements are prepared once
+ * per database handle and reused on every later call, and operations made of
+ * several statements run in a single transaction, so concurrent requests can
+ * never interleave between a check and the write depending on it.
+ *
+ * Lists are bound as one JSON array and expanded with `json_each`, so a
+ * statement is prepared once whatever the length of the list.
+*/
+/**
+ * @class Repository
+ * @classdesc A base class caching the prepared statements of a repository.
+ * @property {Object} database - The Database instance statements are prepared on.
+ * @property {Function} statement - A function returning the cached statement of a SQL query.
+ * @property {Function} transaction - A function to wrap a function in a transaction.
+ */
+declare class Repository {
+    /**
+     * Constructor for the Repository class.
+     * @constructor
+     * @description Create a new instance of the Repository class.
+     * @param {Object} database - The Database instance statements are prepared on.
+     * @memberof Repository
+     * @returns {Repository}
+     */
+    constructor(database: any);
+    database: any;
+    /**
+     * Return the prepared statement of a SQL query, preparing it on first use.
+     * @public
+     * @description The cache is dropped whenever the handle changes, as `serialize` does, since statements are bound to it.
+     * @memberof Repository
+     * @param {string} sql - The SQL query.
+     * @returns {Object} The prepared statement.
+     */
+    public statement: (sql: string) => any;
+    /**
+     * Wrap a function so that every statement it runs is executed in a single transaction.
+     * @public
+     * @description Transactions nest, an inner one becoming a savepoint of the outer one.
+     * @memberof Repository
+     * @param {Function} func - The function to run inside the transaction.
+     * @returns {Function} The transactional function.
+     */
+    public transaction: (func: Function) => Function;
+    #private;
+}
+/**
+ * @class UserRepository
+ * @classdesc A class reading and writing users, their keys and their sign-in challenges.
+ */
+export class UserRepository extends Repository {
+    /**
+     * Find a user by identifier.
+     * @public
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|undefined}
+     */
+    public find: (identifier: string) => any | undefined;
+    /**
+     * Find a user by id.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @returns {Object|undefined}
+     */
+    public get: (id: number) => any | undefined;
+    /**
+     * Look up users by identifier.
+     * @public
+     * @memberof UserRepository
+     * @param {string[]} identifiers - The identifiers to look up.
+     * @returns {Object[]|null} The users, as `{ id, identifier }`, or null when any identifier is unknown.
+     */
+    public lookup: (identifiers: string[]) => any[] | null;
+    /**
+     * Create a user with its identity key, primary device and prekeys.
+     * @public
+     * @description The primary device signs in with the identity key.
+     * @memberof UserRepository
+     * @param {Object} user - The user to create.
+     * @param {string} user.name - The display name.
+     * @param {string} user.identifier - The unique identifier.
+     * @param {string} user.identityKey - The base64 public identity key.
+     * @param {Object} user.signedPreKey - The signed prekey.
+     * @param {Object[]} [user.oneTimePreKeys] - The one-time prekeys.
+     * @returns {number|null} The id of the new user, or null when the identifier is taken.
+     */
+    public create: ({ name, identifier, identityKey, signedPreKey, oneTimePreKeys }: {
+        name: string;
+        identifier: string;
+        identityKey: string;
+        signedPreKey: any;
+        oneTimePreKeys?: any[];
+    }) => number | null;
+    /**
+     * Publish prekeys for a user.
+     * @public
+     * @description Replaces the signed prekey when one is given and appends the one-time prekeys.
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {Object} [signedPreKey] - The signed prekey.
+     * @param {Object[]} [oneTimePreKeys] - The one-time prekeys.
+     * @returns {number} The number of one-time prekeys left.
+     * @throws {Error} With a `SQLITE_CONSTRAINT_UNIQUE` code when a one-time keyId is already in use, storing nothing.
+     */
+    public publish: (id: number, signedPreKey?: any, oneTimePreKeys?: any[]) => number;
+    /**
+     * Return the identity key of a user without handing out any prekey.
+     * @public
+     * @description Used to verify a key, which must not use up the one-time prekeys meant for starting sessions.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|null} The user's `{ identifier, identityKey }`, or null when the user is unknown.
+     */
+    public identity: (identifier: string) => any | null;
+    /**
+     * Return the prekey bundle of a user, consuming one of their one-time prekeys.
+     * @public
+     * @description The oldest one-time prekey is handed out, so that no two callers ever receive the same one.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier.
+     * @returns {Object|null} The bundle, or null when the user is unknown.
+     */
+    public bundle: (identifier: string) => any | null;
+    /**
+     * Store a sign-in challenge, dropping the expired ones.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {string} nonce - The nonce to sign.
+     * @param {number} expiresAt - When the challenge expires.
+     * @returns {void}
+     */
+    public challenge: (id: number, nonce: string, expiresAt: number) => void;
+    /**
+     * Consume an unexpired challenge issued to a user.
+     * @public
+     * @description A nonce is deleted as it is redeemed, so it can only ever be answered once.
+     * @memberof UserRepository
+     * @param {string} identifier - The identifier of the user the challenge was issued to.
+     * @param {string} nonce - The nonce.
+     * @returns {number|null} The user id, or null when no such challenge is pending.
+     */
+    public redeem: (identifier: string, nonce: string) => number | null;
+    /**
+     * Delete the sign-in challenges that expired by a time.
+     * @public
+     * @memberof UserRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted challenges.
+     */
+    public purgeExpired: (now: number) => number;
+    /**
+     * Read and optionally update the settings of a user.
+     * @public
+     * @memberof UserRepository
+     * @param {number} id - The user id.
+     * @param {Object} [changes] - The settings to change.
+     * @param {boolean} [changes.readReceipts] - Whether senders learn when their messages are read.
+     * @returns {{readReceipts: boolean}|null} The settings, or null when the user is unknown.
+     */
+    public settings: (id: number, { readReceipts }?: {
+        readReceipts?: boolean;
+    }) => {
+        readReceipts: boolean;
+    } | null;
+    #private;
+}
+/**
+ * @class SessionRepository
+ * @classdesc A class reading and writing the legacy one-time session keys.
+ */
+export class SessionRepository extends Repository {
+    /**
+     * Create a session key for a user, who becomes the first member of its chat.
+     * @public
+     * @description Keys of existing chats and conversations are refused, so a claimed key can never be handed out twice.
+     * @memberof SessionRepository
+     * @param {number} userId - The id of the user the key leads to.
+     * @param {string} key - The session key.
+     * @returns {boolean} Whether the session was created, false when the key is taken.
+     */
+    public create: (userId: number, key: string) => boolean;
+    /**
+     * Claim a session key, deleting it and making the claiming user the other member of its chat.
+     * @public
+     * @description The key is deleted as it is read, so two concurrent claims never both receive it.
+     * @memberof SessionRepository
+     * @param {string} key - The session key.
+     * @param {number} userId - The id of the claiming user.
+     * @returns {{identifier: string}|null} The user the key leads to, or null when it is unknown or was claimed.
+     */
+    public claim: (key: string, userId: number) => {
+        identifier: string;
+    } | null;
+}
+/**
+ * @class ChatRepository
+ * @classdesc A class reading and writing the stored messages and the device queues draining them.
+ */
+export class ChatRepository extends Repository {
+    /**
+     * Store a message.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} chat - The message.
+     * @param {string} chat.key - The chat key.
+     * @param {string} chat.content - The encrypted content.
+     * @param {number} chat.expiresAt - When the message expires.
+     * @param {number} chat.senderId - The id of the sender.
+     * @param {number} chat.createdAt - When the message was sent.
+     * @returns {number} The id of the message.
+     */
+    public insert: ({ key, content, expiresAt, senderId, createdAt }: {
+        key: string;
+        content: string;
+        expiresAt: number;
+        senderId: number;
+        createdAt: number;
+    }) => number;
+    /**
+     * Record users as members of a one-to-one chat key, ignoring those who already are.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number[]} userIds - The ids of the users.
+     * @returns {void}
+     */
+    public join: (key: string, userIds: number[]) => void;
+    /**
+     * Find a user's membership of a one-to-one chat key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number} userId - The id of the user.
+     * @returns {Object|undefined}
+     */
+    public member: (key: string, userId: number) => any | undefined;
+    /**
+     * Delete every message sent under a key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @returns {number} The number of deleted messages.
+     */
+    public purge: (key: string) => number;
+    /**
+     * Return the id of the latest message sent under a key.
+     * @public
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @returns {number} The id, 0 when nothing was sent.
+     */
+    public latest: (key: string) => number;
+    /**
+     * Count the messages stored in one-to-one chats.
+     * @public
+     * @memberof ChatRepository
+     * @returns {number}
+     */
+    public pending: () => number;
+    /**
+     * Filter message ids down to those a user sent and that are still stored.
+     * @public
+     * @memberof ChatRepository
+     * @param {number} senderId - The id of the sender.
+     * @param {number[]} ids - The message ids.
+     * @returns {number[]}
+     */
+    public sent: (senderId: number, ids: number[]) => number[];
+    /**
+     * List the unexpired messages waiting for a device under a key, oldest first.
+     * @public
+     * @description Every device reads from its own queue, so each drains its copy independently.
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {Object} device - The receiving device.
+     * @param {Object} [page] - The page to return.
+     * @param {number} [page.after] - Only return messages with a greater id.
+     * @param {number} [page.since] - Only return messages sent at or after this time.
+     * @param {number} [page.limit] - The most messages to return, all of them when negative.
+     * @returns {Object[]} The messages, with the identifier of their sender as `sender`.
+     */
+    public unread: (key: string, device: any, { after, since, limit }?: {
+        after?: number;
+        since?: number;
+        limit?: number;
+    }) => any[];
+    /**
+     * Drop acknowledged messages from a device's queue and purge what no device still has to receive.
+     * @public
+     * @description Ids that are unknown, already acknowledged or queued for another device are ignored.
+     * Conversation messages also move the read cursor of their recipient, and are purged once every member read them.
+     * @memberof ChatRepository
+     * @param {string} key - The chat key.
+     * @param {number[]} ids - The ids of the received messages.
+     * @param {Object} target - Where the messages were queued.
+     * @param {Object|null} [target.conversation] - The conversation owning the key, if any.
+     * @param {Object} target.device - The acknowledging device.
+     * @returns {Object[]} The messages that were acknowledged.
+     */
+    public acknowledge: (key: string, ids: number[], { conversation, device }: {
+        conversation?: any | null;
+        device: any;
+    }) => any[];
+    /**
+     * Move the read cursor of a conversation member forward.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} conversation - The conversation.
+     * @param {number} userId - The id of the member.
+     * @param {number} id - The id of the latest message the member received.
+     * @returns {void}
+     */
+    public read: (conversation: any, userId: number, id: number) => void;
+    /**
+     * Queue a message for a device until it acknowledges it.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} device - The device.
+     * @param {number} id - The message id.
+     * @returns {void}
+     */
+    public queue: (device: any, id: number) => void;
+    /**
+     * Delete the one-to-one messages among some ids that no device still has queued.
+     * @public
+     * @memberof ChatRepository
+     * @param {number[]} ids - The message ids.
+     * @returns {void}
+     */
+    public release: (ids: number[]) => void;
+    /**
+     * Delete the messages of a conversation every member has read and no device still has queued.
+     * @public
+     * @memberof ChatRepository
+     * @param {Object} conversation - The conversation.
+     * @returns {void}
+     */
+    public prune: (conversation: any) => void;
+    /**
+     * Delete the messages that expired by a time, whether or not every device received them.
+     * @public
+     * @memberof ChatRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted messages.
+     */
+    public purgeExpired: (now: number) => number;
+}
+/**
+ * @class MailboxRepository
+ * @classdesc A class reading and writing the sealed-sender mailboxes and the messages delivered to them.
+ */
+export class MailboxRepository extends Repository {
+    /**
+     * Register a mailbox, or extend one the same user registered before.
+     * @public
+     * @description Owners can rotate the delivery token of their own mailbox, an id taken by another user is refused.
+     * @memberof MailboxRepository
+     * @param {number} userId - The id of the owner.
+     * @param {Object} mailbox - The mailbox.
+     * @param {string} mailbox.id - The mailbox id chosen by the owner.
+     * @param {string} mailbox.tokenHash - The SHA-256 hash of the delivery token.
+     * @param {number} mailbox.createdAt - When the mailbox was registered.
+     * @param {number} mailbox.expiresAt - When the mailbox stops accepting messages.
+     * @returns {boolean} Whether the mailbox is registered to the user.
+     */
+    public create: (userId: number, { id, tokenHash, createdAt, expiresAt }: {
+        id: string;
+        tokenHash: string;
+        createdAt: number;
+        expiresAt: number;
+    }) => boolean;
+    /**
+     * Return a mailbox by id.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} id - The mailbox id.
+     * @returns {Object|undefined}
+     */
+    public get: (id: string) => any | undefined;
+    /**
+     * Return a mailbox by id, only if the user owns it.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} id - The mailbox id.
+     * @returns {Object|undefined}
+     */
+    public owned: (userId: number, id: string) => any | undefined;
+    /**
+     * Store a message delivered to a mailbox. Nothing about its sender is kept.
+     * @public
+     * @memberof MailboxRepository
+     * @param {Object} message - The message.
+     * @param {string} message.mailboxId - The mailbox id.
+     * @param {string} message.content - The sealed content.
+     * @param {number} message.createdAt - When the message was delivered.
+     * @param {number} message.expiresAt - When the message expires.
+     * @returns {number} The id of the message.
+     */
+    public deliver: ({ mailboxId, content, createdAt, expiresAt }: {
+        mailboxId: string;
+        content: string;
+        createdAt: number;
+        expiresAt: number;
+    }) => number;
+    /**
+     * List the unexpired messages waiting in a mailbox, oldest first.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} mailboxId - The mailbox id.
+     * @param {Object} [page] - The page to return.
+     * @param {number} [page.after] - Only return messages with a greater id.
+     * @param {number} [page.limit] - The most messages to return, all of them when negative.
+     * @returns {Object[]}
+     */
+    public unread: (mailboxId: string, { after, limit }?: {
+        after?: number;
+        limit?: number;
+    }) => any[];
+    /**
+     * Delete acknowledged messages from a mailbox.
+     * @public
+     * @memberof MailboxRepository
+     * @param {string} mailboxId - The mailbox id.
+     * @param {number[]} ids - The ids of the received messages.
+     * @returns {number[]} The ids that were deleted.
+     */
+    public acknowledge: (mailboxId: string, ids: number[]) => number[];
+    /**
+     * Count the messages waiting in sealed mailboxes.
+     * @public
+     * @memberof MailboxRepository
+     * @returns {number}
+     */
+    public pending: () => number;
+    /**
+     * Delete the sealed messages that expired by a time.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted messages.
+     */
+    public purgeExpired: (now: number) => number;
+    /**
+     * Delete the mailboxes that expired before a time, along with their messages.
+     * @public
+     * @memberof MailboxRepository
+     * @param {number} before - The time.
+     * @returns {number} The number of deleted mailboxes.
+     */
+    public expire: (before: number) => number;
+}
+/**
+ * @class ConversationRepository
+ * @classdesc A class reading and writing group conversations, their members and the retention of chat keys.
+ */
+export class ConversationRepository extends Repository {
+    /**
+     * Find the conversation owning a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @returns {Object|undefined}
+     */
+    public find: (key: string) => any | undefined;
+    /**
+     * Find a user's membership of a conversation.
+     * @public
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {number} userId - The id of the user.
+     * @returns {Object|undefined}
+     */
+    public membership: (conversation: any, userId: number) => any | undefined;
+    /**
+     * List the members of a conversation, longest-standing first.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} conversationId - The id of the conversation.
+     * @returns {Array<{identifier: string, role: string}>}
+     */
+    public members: (conversationId: number) => Array<{
+        identifier: string;
+        role: string;
+    }>;
+    /**
+     * List the conversations a user belongs to, oldest first.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]} The conversations, with the user's role as `role` and how many unexpired messages they did not read as `unread`.
+     */
+    public list: (userId: number) => any[];
+    /**
+     * List every conversation a user belongs to.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]}
+     */
+    public joined: (userId: number) => any[];
+    /**
+     * Create a conversation owned by a user.
+     * @public
+     * @memberof ConversationRepository
+     * @param {number} ownerId - The id of the owner.
+     * @param {Object} conversation - The conversation.
+     * @param {string} conversation.key - The chat key.
+     * @param {string|null} conversation.name - The display name.
+     * @param {Object[]} conversation.members - The other members, as `{ id }`.
+     * @returns {number} The id of the conversation.
+     */
+    public create: (ownerId: number, { key, name, members }: {
+        key: string;
+        name: string | null;
+        members: any[];
+    }) => number;
+    /**
+     * Add members to a conversation, ignoring those who already belong to it.
+     * @public
+     * @description New members start after the current history, which was never encrypted for them.
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {Object[]} users - The users to add, as `{ id }`.
+     * @returns {void}
+     */
+    public add: (conversation: any, users: any[]) => void;
+    /**
+     * Remove a member from a conversation along with what is queued for their devices.
+     * @public
+     * @description The conversation and its messages are deleted with its last member, and ownership passes to the
+     * longest-standing member when the owner leaves.
+     * @memberof ConversationRepository
+     * @param {Object} conversation - The conversation.
+     * @param {string} identifier - The identifier of the member.
+     * @returns {boolean} Whether the user was a member.
+     */
+    public remove: (conversation: any, identifier: string) => boolean;
+    /**
+     * Return the message lifetime set for a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @returns {number|null} The lifetime in seconds, or null when the server default applies.
+     */
+    public retention: (key: string) => number | null;
+    /**
+     * Set the message lifetime of a chat key.
+     * @public
+     * @memberof ConversationRepository
+     * @param {string} key - The chat key.
+     * @param {number|null} ttl - The lifetime in seconds, null to go back to the server default.
+     * @returns {void}
+     */
+    public retain: (key: string, ttl: number | null) => void;
+}
+/**
+ * @class DeviceRepository
+ * @classdesc A class reading and writing the devices of users.
+ */
+export class DeviceRepository extends Repository {
+    /**
+     * Find a device of a user, revoked or not.
+     * @public
+     * @description Tokens issued before devices existed carry no device, and belong to the primary device.
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {number} [id] - The id of the device.
+     * @returns {Object|undefined}
+     */
+    public find: (userId: number, id?: number) => any | undefined;
+    /**
+     * Find an active device by the id its user chose for it.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} deviceId - The device id chosen by the user.
+     * @returns {{id: number, publicKey: string}|undefined}
+     */
+    public active: (userId: number, deviceId: string) => {
+        id: number;
+        publicKey: string;
+    } | undefined;
+    /**
+     * List every device of a user, revoked ones included, oldest first.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @returns {Object[]}
+     */
+    public list: (userId: number) => any[];
+    /**
+     * List the active devices of every member of a conversation.
+     * @public
+     * @memberof DeviceRepository
+     * @param {Object} conversation - The conversation.
+     * @returns {Object[]}
+     */
+    public recipients: (conversation: any) => any[];
+    /**
+     * List the active devices of every member of a one-to-one chat.
+     * @public
+     * @memberof DeviceRepository
+     * @param {string} key - The chat key.
+     * @returns {Object[]}
+     */
+    public participants: (key: string) => any[];
+    /**
+     * Register a device for a user.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {Object} device - The device.
+     * @param {string} device.deviceId - The device id chosen by the user.
+     * @param {string|null} device.name - The display name.
+     * @param {string} device.publicKey - The base64 public key the device signs in with.
+     * @param {number} device.createdAt - When the device was registered.
+     * @returns {void}
+     * @throws {Error} When the user already has a device with this id.
+     */
+    public create: (userId: number, { deviceId, name, publicKey, createdAt }: {
+        deviceId: string;
+        name: string | null;
+        publicKey: string;
+        createdAt: number;
+    }) => void;
+    /**
+     * Record that a device signed in.
+     * @public
+     * @memberof DeviceRepository
+     * @param {number} id - The id of the device.
+     * @returns {void}
+     */
+    public seen: (id: number) => void;
+    /**
+     * Revoke a device and drop what was queued for it.
+     * @public
+     * @description Messages only that device still had queued are deleted with its queue.
+     * @memberof DeviceRepository
+     * @param {number} userId - The id of the user.
+     * @param {string} deviceId - The device id chosen by the user.
+     * @returns {boolean} Whether an active device was revoked.
+     */
+    public revoke: (userId: number, deviceId: string) => boolean;
+    /**
+     * Count the messages queued for devices.
+     * @public
+     * @memberof DeviceRepository
+     * @returns {number}
+     */
+    public pending: () => number;
+}
+/**
+ * @class InviteRepository
+ * @classdesc A class reading and writing invite tokens and the chats started by claiming them.
+ */
+export class InviteRepository extends Repository {
+    /**
+     * Create an invite.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @param {Object} invite - The invite.
+     * @param {string} invite.tokenHash - The SHA-256 hash of the invite token.
+     * @param {number} invite.maxUses - How many users may claim it.
+     * @param {number} invite.createdAt - When it was created.
+     * @param {number} invite.expiresAt - When it stops being claimable.
+     * @returns {number} The id of the invite.
+     */
+    public create: (userId: number, { tokenHash, maxUses, createdAt, expiresAt }: {
+        tokenHash: string;
+        maxUses: number;
+        createdAt: number;
+        expiresAt: number;
+    }) => number;
+    /**
+     * Find an invite by the hash of its token.
+     * @public
+     * @memberof InviteRepository
+     * @param {string} tokenHash - The SHA-256 hash of the invite token.
+     * @returns {Object|undefined}
+     */
+    public find: (tokenHash: string) => any | undefined;
+    /**
+     * Claim an invite for a user, or return the chat they already claimed it for.
+     * @public
+     * @description The earlier claim, the usage and expiry check and the new claim run in one transaction,
+     * so concurrent claims can never take an invite past its number of uses.
+     * @memberof InviteRepository
+     * @param {Object} invite - The invite.
+     * @param {number} userId - The id of the claiming user.
+     * @param {string} key - The chat key to hand out for a new claim.
+     * @returns {{key: string, claimed: boolean}|null} The chat key and whether this call claimed it,
+     * or null when the invite expired, was revoked or was used up.
+     */
+    public claim: (invite: any, userId: number, key: string) => {
+        key: string;
+        claimed: boolean;
+    } | null;
+    /**
+     * List the invites of a user, newest first, with who claimed them.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @returns {Object[]} The invites, with their claims, oldest first, as `claims`.
+     */
+    public list: (userId: number) => any[];
+    /**
+     * Revoke an invite of a user.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} userId - The id of the inviter.
+     * @param {number} id - The id of the invite.
+     * @returns {boolean} Whether an unrevoked invite of the user was revoked.
+     */
+    public revoke: (userId: number, id: number) => boolean;
+    /**
+     * Delete the invites that expired before a time, along with their claims.
+     * @public
+     * @memberof InviteRepository
+     * @param {number} before - The time.
+     * @returns {number} The number of deleted invites.
+     */
+    public expire: (before: number) => number;
+}
+/**
+ * @class AttachmentRepository
+ * @classdesc A class reading and writing the attachments being uploaded or waiting to be downloaded.
+ */
+export class AttachmentRepository extends Repository {
+    /**
+     * Create an attachment, nothing of it received yet.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @param {Object} attachment - The attachment.
+     * @param {string} attachment.id - The attachment id.
+     * @param {number} attachment.size - The announced size in bytes.
+     * @param {string} attachment.checksum - The lowercase hex SHA-256 of the content.
+     * @param {number} attachment.createdAt - When the upload started.
+     * @param {number} attachment.expiresAt - When the attachment expires.
+     * @returns {void}
+     */
+    public create: (userId: number, { id, size, checksum, createdAt, expiresAt }: {
+        id: string;
+        size: number;
+        checksum: string;
+        createdAt: number;
+        expiresAt: number;
+    }) => void;
+    /**
+     * Count the bytes a user's unexpired attachments take.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @returns {number}
+     */
+    public used: (userId: number) => number;
+    /**
+     * Find an unexpired attachment of its uploader.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} userId - The id of the uploader.
+     * @param {string} id - The attachment id.
+     * @returns {Object|undefined}
+     */
+    public owned: (userId: number, id: string) => any | undefined;
+    /**
+     * Find an unexpired attachment that was uploaded completely.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {Object|undefined}
+     */
+    public complete: (id: string) => any | undefined;
+    /**
+     * Move the received offset of an attachment forward, if it still is where the chunk starts.
+     * @public
+     * @description Two concurrent uploads of the same chunk cannot both claim its range.
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @param {number} offset - Where the chunk starts.
+     * @param {number} received - Where the chunk ends.
+     * @returns {boolean} Whether the range was claimed.
+     */
+    public reserve: (id: string, offset: number, received: number) => boolean;
+    /**
+     * Move the received offset of an attachment back, after a chunk failed to be written.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @param {number} offset - Where the chunk started.
+     * @returns {void}
+     */
+    public rewind: (id: string, offset: number) => void;
+    /**
+     * Mark an attachment as uploaded completely.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    public finish: (id: string) => void;
+    /**
+     * Delete an attachment.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {string} id - The attachment id.
+     * @returns {void}
+     */
+    public remove: (id: string) => void;
+    /**
+     * Delete the attachments that expired before a time.
+     * @public
+     * @memberof AttachmentRepository
+     * @param {number} before - The time.
+     * @returns {string[]} The ids of the deleted attachments, whose files are left to the caller.
+     */
+    public expire: (before: number) => string[];
+}
+/**
+ * @class ReceiptRepository
+ * @classdesc A class reading and writing when recipients received and read messages.
+ */
+export class ReceiptRepository extends Repository {
+    /**
+     * Record that messages reached a recipient.
+     * @public
+     * @description Only the first delivery to any of the recipient's devices counts, and messages to oneself are ignored.
+     * @memberof ReceiptRepository
+     * @param {Object[]} chats - The delivered messages.
+     * @param {number} recipientId - The id of the receiving user.
+     * @param {number} at - When they were delivered.
+     * @returns {Array<{id: number, senderId: number}>} The messages delivered for the first time.
+     */
+    public deliver: (chats: any[], recipientId: number, at: number) => Array<{
+        id: number;
+        senderId: number;
+    }>;
+    /**
+     * Record that a recipient read messages.
+     * @public
+     * @description Messages that were never delivered to the recipient, or that they read before, are ignored.
+     * @memberof ReceiptRepository
+     * @param {number} recipientId - The id of the reading user.
+     * @param {number[]} ids - The message ids.
+     * @param {number} at - When they were read.
+     * @returns {Array<{id: number, senderId: number}>} The messages read for the first time.
+     */
+    public read: (recipientId: number, ids: number[], at: number) => Array<{
+        id: number;
+        senderId: number;
+    }>;
+    /**
+     * List the receipts of messages a user sent.
+     * @public
+     * @memberof ReceiptRepository
+     * @param {number} senderId - The id of the sender.
+     * @param {number[]} ids - The message ids.
+     * @returns {Array<{id: number, identifier: string, deliveredAt: number, readAt: number|null}>} The receipts, in delivery order.
+     */
+    public list: (senderId: number, ids: number[]) => Array<{
+        id: number;
+        identifier: string;
+        deliveredAt: number;
+        readAt: number | null;
+    }>;
+    /**
+     * Delete the receipts of messages that expired by a time.
+     * @public
+     * @memberof ReceiptRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted receipts.
+     */
+    public purgeExpired: (now: number) => number;
+}
+/**
+ * @class RateLimitRepository
+ * @classdesc A class reading and writing the fixed-window rate limit counters.
+ */
+export class RateLimitRepository extends Repository {
+    /**
+     * Count a hit, starting a new window when the previous one is over.
+     * @public
+     * @description A single upsert, so concurrent processes never lose a hit.
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @param {number} windowMs - The length of a window in milliseconds.
+     * @param {number} now - The time of the hit.
+     * @returns {{hits: number, resetAt: number}} The counter after the hit.
+     */
+    public increment: (key: string, windowMs: number, now: number) => {
+        hits: number;
+        resetAt: number;
+    };
+    /**
+     * Read a counter whose window is not over.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @param {number} now - The current time.
+     * @returns {{hits: number, resetAt: number}|undefined}
+     */
+    public get: (key: string, now: number) => {
+        hits: number;
+        resetAt: number;
+    } | undefined;
+    /**
+     * Take back a hit.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @returns {void}
+     */
+    public decrement: (key: string) => void;
+    /**
+     * Forget a counter.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {string} key - The counter key.
+     * @returns {void}
+     */
+    public reset: (key: string) => void;
+    /**
+     * Delete the counters whose window was over by a time.
+     * @public
+     * @memberof RateLimitRepository
+     * @param {number} now - The time.
+     * @returns {number} The number of deleted counters.
+     */
+    public purgeExpired: (now: number) => number;
+}
+/**
+ * @class AuditRepository
+ * @classdesc A class writing the log of admin requests.
+ */
+export class AuditRepository extends Repository {
+    /**
+     * Record an admin request.
+     * @public
+     * @memberof AuditRepository
+     * @param {Object} entry - The request.
+     * @param {string} entry.action - The method and path.
+     * @param {string|null} entry.keyId - The id of the admin key used, null when none was accepted.
+     * @param {string} entry.ip - The address of the caller.
+     * @param {number} entry.status - The status of the response.
+     * @returns {void}
+     */
+    public record: ({ action, keyId, ip, status }: {
+        action: string;
+        keyId: string | null;
+        ip: string;
+        status: number;
+    }) => void;
+}
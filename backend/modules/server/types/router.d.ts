@@ -0,0 +1,70 @@
+export default Router;
+/**
+ * @class Router
+ * @classdesc A class binding route definitions to an Express application or router.
+ * @property {Function} route - A function to bind a route definition.
+ * @property {Function} fallback - An Express middleware answering 404 for unknown routes.
+ * @property {Function} errors - An Express error middleware answering 400, 413 or 500.
+ */
+declare class Router {
+    /**
+     * Normalize a route to a definition object.
+     * @public
+     * @static
+     * @memberof Router
+     * @param {Function|Object} route - A bare handler or a definition object.
+     * @returns {Object}
+     */
+    public static definition(route: Function | any): any;
+    /**
+     * Constructor for the Router class.
+     * @constructor
+     * @description Create a new instance of the Router class.
+     * @param {Object} context - The context passed as first argument to every handler.
+     * @memberof Router
+     * @returns {Router}
+     */
+    constructor(context: any);
+    /**
+     * Bind a route definition.
+     * @public
+     * @memberof Router
+     * @param {Object} target - The Express application or router to bind to.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The route path.
+     * @param {Function|Object} route - A bare handler or a definition object.
+     * @param {Object} [options] - Additional options.
+     * @param {Function[]} [options.before] - Middlewares run before the route's own, such as guards.
+     * @param {Function} [options.limiter] - A function returning the rate limiter of a policy name or options.
+     * @param {Function} [options.callback] - A function called with every request before the handler.
+     * @returns {void}
+     */
+    public route: (target: any, method: string, path: string, route: Function | any, { before, limiter, callback }?: {
+        before?: Function[];
+        limiter?: Function;
+        callback?: Function;
+    }) => void;
+    /**
+     * Answer 405 on every bound path for the methods it was not bound with.
+     * @public
+     * @description Must be called once every route of the target is bound.
+     * @memberof Router
+     * @param {Object} target - The Express application or router.
+     * @returns {void}
+     */
+    public close: (target: any) => void;
+    /**
+     * Express middleware answering 404 for every request no route matched.
+     * @public
+     * @memberof Router
+     */
+    public fallback: (_: any, res: any) => void;
+    /**
+     * Express error middleware.
+     * @public
+     * @description Answers 400 for malformed bodies, 413 for oversized ones and 500 otherwise.
+     * @memberof Router
+     */
+    public errors: (err: any, req: any, res: any, next: any) => any;
+    #private;
+}
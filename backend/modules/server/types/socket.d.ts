@@ -0,0 +1,89 @@
+export default Socket;
+/**
+ * @class Socket
+ * @classdesc A class representing the WebSocket server and its channel subscriptions.
+ * @property {Object} wss - An instance of the ws WebSocketServer.
+ * @property {Function} subscribe - A function to subscribe a client to a channel.
+ * @property {Function} unsubscribe - A function to unsubscribe a client from a channel.
+ * @property {Function} publish - A function to push a payload to every subscriber of a channel.
+ * @property {Function} clients - A function to list the subscribers of a channel.
+ * @property {Function} close - A function to close every connection and stop accepting new ones.
+ */
+declare class Socket {
+    /**
+     * Constructor for the Socket class.
+     * @constructor
+     * @description Create a new WebSocket server attached to an existing HTTP server.
+     * @param {Object} server - The HTTP server returned by `app.listen`.
+     * @param {Object} options - Configuration options for the WebSocket server.
+     * @param {string} [options.path] - The path clients connect to.
+     * @param {Object} [options.handlers] - An object containing the message actions and their handlers.
+     * @param {Object} [options.context] - The context passed as first argument to every handler.
+     * @param {number} [options.interval] - The heartbeat interval in milliseconds.
+     * @memberof Socket
+     * @returns {Socket}
+     */
+    constructor(server: any, { path, handlers, context, interval }?: {
+        path?: string;
+        handlers?: any;
+        context?: any;
+        interval?: number;
+    });
+    wss: any;
+    /**
+     * Send a JSON payload to a single client.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to send the payload to.
+     * @param {Object} payload - The payload to serialize and send.
+     * @returns {boolean} Whether the payload was handed to an open connection.
+     */
+    public send: (client: WebSocket, payload: any) => boolean;
+    /**
+     * Subscribe a client to a channel.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to subscribe.
+     * @param {string} channel - The channel name.
+     * @returns {void}
+     */
+    public subscribe: (client: WebSocket, channel: string) => void;
+    /**
+     * Unsubscribe a client from a channel.
+     * @public
+     * @memberof Socket
+     * @param {WebSocket} client - The client to unsubscribe.
+     * @param {string} channel - The channel name.
+     * @returns {void}
+     */
+    public unsubscribe: (client: WebSocket, channel: string) => void;
+    /**
+     * List the clients subscribed to a channel.
+     * @public
+     * @memberof Socket
+     * @param {string} channel - The channel name.
+     * @returns {WebSocket[]}
+     */
+    public clients: (channel: string) => WebSocket[];
+    /**
+     * Push a payload to every client subscribed to a channel.
+     * @public
+     * @memberof Socket
+     * @param {string} channel - The channel name.
+     * @param {Object} payload - The payload to serialize and send.
+     * @param {number} [except] - The id of a user whose clients are skipped.
+     * @returns {number} The number of clients the payload was delivered to.
+     */
+    public publish: (channel: string, payload: any, except?: number) => number;
+    /**
+     * Close every connection and stop accepting new ones.
+     * @public
+     * @description Clients get a going-away close frame after everything already sent to them,
+     * and the ones that do not answer it before the timeout are terminated.
+     * @memberof Socket
+     * @param {number} [timeout] - How long to wait for clients to close, in milliseconds.
+     * @returns {Promise<void>}
+     */
+    public close: (timeout?: number) => Promise<void>;
+    #private;
+}
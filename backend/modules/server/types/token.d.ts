@@ -0,0 +1,63 @@
+export default Token;
+/**
+ * @class Token
+ * @classdesc A class issuing and verifying signed request tokens.
+ * @property {number} ttl - The lifetime of issued tokens in milliseconds.
+ * @property {Function} issue - A function to issue a token for a payload.
+ * @property {Function} verify - A function to verify a token and return its payload.
+ * @property {Function} authenticate - An Express middleware requiring a valid bearer token.
+ */
+declare class Token {
+    /**
+     * Constructor for the Token class.
+     * @constructor
+     * @description Create a new instance of the Token class.
+     * @param {Object} options - Configuration options for the tokens.
+     * @param {string} [options.secret] - The signing secret. A random one is generated when omitted.
+     * @param {number} [options.ttl] - The lifetime of issued tokens in milliseconds.
+     * @param {Object} [options.logger] - The logger warnings are written to.
+     * @memberof Token
+     * @returns {Token}
+     */
+    constructor({ secret, ttl, logger }?: {
+        secret?: string;
+        ttl?: number;
+        logger?: any;
+    });
+    ttl: number;
+    /**
+     * Issue a token for a payload.
+     * @public
+     * @memberof Token
+     * @param {Object} payload - The claims to embed in the token.
+     * @returns {{token: string, expiresAt: number}}
+     */
+    public issue: (payload: any) => {
+        token: string;
+        expiresAt: number;
+    };
+    /**
+     * Verify a token.
+     * @public
+     * @memberof Token
+     * @param {string} token - The token to verify.
+     * @returns {Object|null} The payload, or null when the token is malformed, forged or expired.
+     */
+    public verify: (token: string) => any | null;
+    /**
+     * Return the payload of the bearer token a request carries.
+     * @public
+     * @memberof Token
+     * @param {Object} req - The Express request.
+     * @returns {Object|null} The payload, or null when the token is missing or invalid.
+     */
+    public read: (req: any) => any | null;
+    /**
+     * Express middleware requiring a valid `Authorization: Bearer <token>` header.
+     * @public
+     * @description Stores the token payload on `req.auth` and answers 401 otherwise.
+     * @memberof Token
+     */
+    public authenticate: (req: any, res: any, next: any) => any;
+    #private;
+}
@@ -6,63 +6,71 @@
  * This file sets up and configures the Express application.
  *
  * @require server - A custom server class that extends the Express application.
+ * @require Migrator - Applies the numbered files in `migrations` before the server starts.
+ * @require Settings - Loads and validates the settings for the `NODE_ENV` profile.
 */
-import Server from "server";
-import Config from "config";
+import Server, { Migrator } from "server";
+import Config, { Settings } from "config";
 import path from "path";
 import url from "url";
 
 // Define the file and directory paths
 const __filename = url.fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const __path = path.resolve(__dirname, "database.db");
+const __root = path.resolve(__dirname, "..");
+const __migrations = path.resolve(__root, "migrations");
+
+// Load the settings, refusing to start on any invalid one
+let settings;
+
+try {
+    settings = Settings.load({ base: __root, defaults: { database: { path: "src/database.db" } } });
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
 
 // Create a new server instance and bind the endpoints
-const server = new Server(__path, {});
+const server = new Server(settings.database.path, {});
 
 // Create a new configuration instance
-const config = new Config(server);
+const config = new Config(server, settings);
+
+// Apply pending migrations, then load the configuration and start the server
+new Migrator(server, __migrations).up().then((applied) => {
+    server.logger.info("Database schema is up to date", { applied: applied.length });
+
+    return config.load();
+}).then(() => {
+    server.logger.info("Configuration loaded");
+
+    return server.listen(settings.server.port, settings.server.host);
+}).then(({_, port}) => {
+    server.logger.info("Listening", { port });
 
-// Load the configuration
-config.load().then(() => {
-    console.log(" <?> Configuration loaded successfully.");
+    // Run the readiness checks in-process, the listening address may not be reachable from here
+    const failed = server.ready();
+
+    if (failed.length > 0)
+        throw new Error(`Failing readiness checks: ${failed.join(", ")}`);
+
+    // Tell pm2 the process is ready when it was started with `wait_ready`
+    if (process.send)
+        process.send("ready");
 }).catch((err) => {
-    console.error(" <!> Configuration load error:", err.message);
+    server.logger.error("Server start error", { err });
+    process.exit(1);
 });
 
-// Reset the database
-server.parseExec([
-    `DELETE FROM users`,
-    `DELETE FROM sessions`,
-    `DELETE FROM chats`
-]).catch((err) => {
-    console.error("Database reset error:", err.message);
-});
+// Drain requests and sockets and close the database before exiting, a second signal exits at once
+const shutdown = (signal) => {
+    server.logger.info("Shutting down", { signal });
 
-// Setup the database
-server.parseExec([
-    `CREATE TABLE IF NOT EXISTS users (
-id INTEGER PRIMARY KEY AUTOINCREMENT,
-name TEXT NOT NULL,
-identifier TEXT NOT NULL
-);`,
-    `CREATE TABLE IF NOT EXISTS sessions (
-id INTEGER PRIMARY KEY AUTOINCREMENT,
-userId INTEGER NOT NULL,
-key TEXT NOT NULL
-);`,
-    `CREATE TABLE IF NOT EXISTS chats (
-id INTEGER PRIMARY KEY AUTOINCREMENT,
-key TEXT NOT NULL,
-content TEXT NOT NULL
-);`
-]).catch((err) => {
-    console.error("Database setup error:", err.message);
-});
+    server.close({ timeout: settings.server.shutdownTimeout }).catch((err) => {
+        server.logger.error("Server shutdown error", { err });
+        process.exitCode = 1;
+    });
+};
 
-// Start the server
-server.listen(3003).then(({_, port}) => {
-    console.log(" <?> Listening on port:", port);
-}).catch((err) => {
-    console.error(" <!> Server start error:", err.message);
-});
\ No newline at end of file
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
\ No newline at end of file
@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * @fileoverview Command line interface for the schema migrations.
+ *
+ * Usage:
+ *   npm run migrate -- status        List every migration and when it was applied.
+ *   npm run migrate -- up [version]  Apply pending migrations, up to an optional version.
+ *   npm run migrate -- down [steps]  Revert the last migration, or the last `steps` ones.
+ *
+ * @require server - Provides the Database and Migrator classes.
+ * @require Settings - Names the database of the `NODE_ENV` profile.
+*/
+import { Database, Migrator } from "server";
+import { Settings } from "config";
+import path from "path";
+import url from "url";
+
+// Define the file and directory paths
+const __filename = url.fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const __root = path.resolve(__dirname, "..");
+const __migrations = path.resolve(__root, "migrations");
+
+let settings;
+
+try {
+    settings = Settings.load({ base: __root, defaults: { database: { path: "src/database.db" } } });
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+const [command = "status", argument] = process.argv.slice(2);
+const migrator = new Migrator(new Database(settings.database.path, {}), __migrations);
+
+const commands = {
+    status: async () => {
+        const migrations = await migrator.status();
+
+        migrations.forEach(({ version, name, appliedAt }) => {
+            const state = appliedAt ? `applied ${new Date(appliedAt).toISOString()}` : "pending";
+            console.log(`${String(version).padStart(4, "0")} ${name.padEnd(32)} ${state}`);
+        });
+    },
+    up: async () => {
+        const applied = await migrator.up(argument === undefined ? Infinity : Number(argument));
+        console.log(" <?> Applied migrations:", applied.length);
+    },
+    down: async () => {
+        const reverted = await migrator.down(argument === undefined ? 1 : Number(argument));
+        console.log(" <?> Reverted migrations:", reverted.length);
+    }
+};
+
+if (!commands[command] || (argument !== undefined && !Number.isInteger(Number(argument)))) {
+    console.error(" <!> Usage: migrate [status | up [version] | down [steps]]");
+    process.exit(1);
+}
+
+commands[command]().catch((err) => {
+    console.error(" <!> Migration error:", err.message);
+    process.exit(1);
+});
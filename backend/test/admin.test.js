@@ -0,0 +1,53 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, register } from "./helpers.js";
+
+describe("admin", () => {
+    const key = "admin-key-for-tests";
+    let app;
+    let server;
+
+    before(async () => {
+        ({ app, server } = await createServer({ admin: { path: "/admin", keys: [key] } }));
+        await register(app, "alice");
+    });
+
+    after(() => server.close());
+
+    const audit = () => server.database.prepare("SELECT action, status FROM audit_log ORDER BY id").all();
+
+    it("answers 401 without a valid key and audits it", async () => {
+        await app.get("/admin/counts").expect(401);
+        await app.get("/admin/counts").set("x-api-key", "wrong").expect(401);
+
+        assert.deepEqual(audit().slice(-2), [
+            { action: "GET /admin/counts", status: 401 },
+            { action: "GET /admin/counts", status: 401 }
+        ]);
+    });
+
+    it("counts rows", async () => {
+        const { data } = (await app.get("/admin/counts").set("x-api-key", key).expect(200)).body;
+
+        assert.equal(data.users, 1);
+    });
+
+    it("snapshots and restores the database", async () => {
+        const { name } = (await app.post("/admin/snapshot").set("x-api-key", key).send({}).expect(201)).body.data;
+
+        assert.deepEqual((await app.get("/admin/snapshots").set("x-api-key", key).expect(200)).body.data, [name]);
+
+        await register(app, "bob");
+        await app.post("/admin/restore").set("x-api-key", key).send({ name: "missing.db" }).expect(404);
+        await app.post("/admin/restore").set("x-api-key", key).send({ name }).expect(200);
+
+        assert.equal((await app.get("/admin/counts").set("x-api-key", key).expect(200)).body.data.users, 1);
+        assert.ok(audit().some((entry) => entry.action === "POST /admin/restore" && entry.status === 200));
+    });
+
+    it("purges expired rows", async () => {
+        const { data } = (await app.post("/admin/purge").set("x-api-key", key).send({}).expect(200)).body;
+
+        assert.equal(typeof data, "object");
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createServer, register } from "./helpers.js";
+
+describe("attachments", () => {
+    let app;
+    let server;
+    let settings;
+    let alice;
+    let bob;
+
+    before(async () => {
+        ({ app, server, settings } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+    });
+
+    after(() => server.close());
+
+    const checksum = (blob) => crypto.createHash("sha256").update(blob).digest("hex");
+    const create = (user, blob, extra = {}) => app.post("/attachment/create").set(user.auth)
+        .send({ size: blob.length, checksum: checksum(blob), ...extra })
+        .expect(201)
+        .then((response) => response.body.data);
+    const upload = (user, id, offset, chunk) => app.put(`/attachment/${id}`).query({ offset }).set(user.auth)
+        .set("Content-Type", "application/octet-stream")
+        .send(chunk);
+
+    it("uploads in chunks and downloads the blob", async () => {
+        const blob = crypto.randomBytes(1000);
+        const { id, chunkSize } = await create(alice, blob);
+
+        assert.match(id, /^[0-9a-f]{32}$/);
+        assert.equal(chunkSize, settings.attachments.chunkSize);
+
+        const partial = (await upload(alice, id, 0, blob.subarray(0, 600)).expect(200)).body.data;
+
+        assert.deepEqual(partial, { received: 600, size: 1000, status: "uploading" });
+        assert.equal((await app.post("/attachment/status").set(alice.auth).send({ id }).expect(200)).body.data.received, 600);
+
+        const complete = (await upload(alice, id, 600, blob.subarray(600)).expect(200)).body.data;
+
+        assert.equal(complete.status, "complete");
+
+        const download = await app.post("/attachment/download").set(bob.auth).send({ id })
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+
+                res.on("data", (chunk) => chunks.push(chunk));
+                res.on("end", () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        assert.ok(blob.equals(download.body));
+    });
+
+    it("answers 409 for a chunk at the wrong offset", async () => {
+        const blob = crypto.randomBytes(100);
+        const { id } = await create(alice, blob);
+
+        await upload(alice, id, 10, blob.subarray(10)).expect(409);
+        await upload(alice, id, 0, Buffer.alloc(0)).expect(400);
+    });
+
+    it("answers 422 and drops an upload not matching its checksum", async () => {
+        const blob = crypto.randomBytes(100);
+        const { id } = await create(alice, blob);
+
+        await upload(alice, id, 0, crypto.randomBytes(100)).expect(422);
+        await app.post("/attachment/status").set(alice.auth).send({ id }).expect(404);
+        await app.post("/attachment/download").set(alice.auth).send({ id }).expect(404);
+    });
+
+    it("keeps uploads to their owner", async () => {
+        const blob = crypto.randomBytes(10);
+        const { id } = await create(alice, blob);
+
+        await upload(bob, id, 0, blob).expect(404);
+    });
+
+    it("enforces the configured size limit and quota", async () => {
+        const { maxSize: size, quota } = settings.attachments;
+
+        await app.post("/attachment/create").set(bob.auth).send({ size: size + 1, checksum: "0".repeat(64) }).expect(400);
+
+        for (let i = 0; i < quota / size; i++)
+            await app.post("/attachment/create").set(bob.auth).send({ size, checksum: "0".repeat(64) }).expect(201);
+
+        await app.post("/attachment/create").set(bob.auth).send({ size: 1, checksum: "0".repeat(64) }).expect(413);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { chat, createServer, generateKey, login, register } from "./helpers.js";
+
+describe("conversations and devices", () => {
+    let app;
+    let server;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        ({ app, server } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+        carol = await register(app, "carol");
+    });
+
+    after(() => server.close());
+
+    const identifiers = (members) => members.map((member) => member.identifier).sort();
+
+    describe("POST /conversation/*", () => {
+        it("creates a conversation owned by its creator", async () => {
+            const { data } = (await app.post("/conversation/create").set(alice.auth).send({ name: "Team", members: ["bob"] }).expect(201)).body;
+
+            assert.equal(data.name, "Team");
+            assert.deepEqual(identifiers(data.members), ["alice", "bob"]);
+            assert.equal(data.members.find((member) => member.identifier === "alice").role, "owner");
+        });
+
+        it("answers 404 for unknown members", async () => {
+            await app.post("/conversation/create").set(alice.auth).send({ members: ["nobody"] }).expect(404);
+        });
+
+        it("invites and removes members", async () => {
+            const { key } = (await app.post("/conversation/create").set(alice.auth).send({ members: ["bob"] }).expect(201)).body.data;
+            const invited = (await app.post("/conversation/invite").set(bob.auth).send({ key, identifiers: ["carol"] }).expect(200)).body.data;
+
+            assert.deepEqual(identifiers(invited.members), ["alice", "bob", "carol"]);
+
+            await app.post("/conversation/remove").set(bob.auth).send({ key, identifier: "carol" }).expect(403);
+            await app.post("/conversation/remove").set(carol.auth).send({ key, identifier: "carol" }).expect(200);
+            await app.post("/conversation/remove").set(alice.auth).send({ key, identifier: "carol" }).expect(404);
+
+            const removed = (await app.post("/conversation/remove").set(alice.auth).send({ key, identifier: "bob" }).expect(200)).body.data;
+
+            assert.deepEqual(identifiers(removed.members), ["alice"]);
+        });
+
+        it("hands ownership over when the owner leaves", async () => {
+            const { key } = (await app.post("/conversation/create").set(alice.auth).send({ members: ["bob", "carol"] }).expect(201)).body.data;
+            const { members } = (await app.post("/conversation/remove").set(alice.auth).send({ key, identifier: "alice" }).expect(200)).body.data;
+
+            assert.equal(members.filter((member) => member.role === "owner").length, 1);
+        });
+
+        it("answers 404 for unknown conversations and 403 for outsiders", async () => {
+            const { key } = (await app.post("/conversation/create").set(alice.auth).send({}).expect(201)).body.data;
+
+            await app.post("/conversation/invite").set(alice.auth).send({ key: "missing", identifiers: ["bob"] }).expect(404);
+            await app.post("/conversation/invite").set(carol.auth).send({ key, identifiers: ["carol"] }).expect(403);
+        });
+
+        it("lists the caller's conversations with unread counts", async () => {
+            const { key } = (await app.post("/conversation/create").set(carol.auth).send({ name: "Unread", members: ["bob"] }).expect(201)).body.data;
+
+            await app.post("/send").set(carol.auth).send({ key, content: "x" }).expect(200);
+
+            const conversations = (await app.post("/conversations").set(bob.auth).send({}).expect(200)).body.data;
+            const conversation = conversations.find((conversation) => conversation.key === key);
+
+            assert.equal(conversation.unread, 1);
+            assert.equal(conversation.role, "member");
+        });
+    });
+
+    describe("POST /device/*", () => {
+        let phone;
+
+        before(async () => {
+            phone = await generateKey();
+        });
+
+        it("registers a device that can sign in", async () => {
+            await app.post("/device/register").set(alice.auth).send({ deviceId: "phone", name: "Phone", publicKey: phone.publicKey }).expect(201);
+            await app.post("/device/register").set(alice.auth).send({ deviceId: "phone", publicKey: phone.publicKey }).expect(409);
+
+            const token = await login(app, "alice", phone.privateKey, "phone");
+            const devices = (await app.post("/devices").set({ Authorization: `Bearer ${token}` }).send({}).expect(200)).body.data;
+
+            assert.deepEqual(devices.map((device) => [device.deviceId, device.current]), [["primary", false], ["phone", true]]);
+        });
+
+        it("queues conversation messages for every device", async () => {
+            const { key } = (await app.post("/conversation/create").set(bob.auth).send({ members: ["alice"] }).expect(201)).body.data;
+            const { id } = (await app.post("/send").set(bob.auth).send({ key, content: "x" }).expect(200)).body.data;
+            const phoneAuth = { Authorization: `Bearer ${await login(app, "alice", phone.privateKey, "phone")}` };
+
+            await app.post("/ack").set(alice.auth).send({ key, ids: [id] }).expect(200);
+
+            const received = (await app.post("/receive").set(phoneAuth).send({ key }).expect(200)).body.data.messages;
+
+            assert.deepEqual(received.map((message) => message.id), [id]);
+        });
+
+        it("queues one-to-one messages for every device", async () => {
+            const key = await chat(app, bob, alice, "device-chat");
+            const { id } = (await app.post("/send").set(bob.auth).send({ key, content: "x" }).expect(200)).body.data;
+            const phoneAuth = { Authorization: `Bearer ${await login(app, "alice", phone.privateKey, "phone")}` };
+            const receive = async (auth) => (await app.post("/receive").set(auth).send({ key }).expect(200)).body.data.messages.map((message) => message.id);
+
+            await app.post("/ack").set(alice.auth).send({ key, ids: [id] }).expect(200);
+
+            assert.deepEqual(await receive(alice.auth), []);
+            assert.deepEqual(await receive(phoneAuth), [id]);
+
+            await app.post("/ack").set(phoneAuth).send({ key, ids: [id] }).expect(200);
+
+            assert.deepEqual(await receive(phoneAuth), []);
+            assert.deepEqual(await receive(bob.auth), []);
+        });
+
+        it("shuts revoked devices out", async () => {
+            const phoneAuth = { Authorization: `Bearer ${await login(app, "alice", phone.privateKey, "phone")}` };
+
+            await app.post("/device/revoke").set(alice.auth).send({ deviceId: "phone" }).expect(200);
+            await app.post("/device/revoke").set(alice.auth).send({ deviceId: "phone" }).expect(404);
+            await app.post("/devices").set(phoneAuth).send({}).expect(403);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Server, { Database } from "server";
+
+describe("Database.exec", () => {
+    let database;
+
+    beforeEach(() => {
+        database = new Database(":memory:", {});
+    });
+
+    it("resolves once the statements ran", async () => {
+        assert.equal(await database.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)"), true);
+        assert.equal(await database.exec("INSERT INTO items (name) VALUES ('a'); INSERT INTO items (name) VALUES ('b')"), true);
+
+        assert.equal(database.prepare("SELECT COUNT(*) FROM items").pluck().get(), 2);
+    });
+
+    it("rejects invalid SQL", async () => {
+        await assert.rejects(database.exec("SELEC 1"), { code: "SQLITE_ERROR" });
+    });
+
+    it("rejects statements breaking a constraint", async () => {
+        await database.exec("CREATE TABLE items (name TEXT UNIQUE)");
+        await database.exec("INSERT INTO items VALUES ('a')");
+
+        await assert.rejects(database.exec("INSERT INTO items VALUES ('a')"), { code: "SQLITE_CONSTRAINT_UNIQUE" });
+    });
+});
+
+describe("Server.parseExec", () => {
+    let server;
+
+    beforeEach(() => {
+        server = new Server(":memory:", {});
+        server.logging = { level: "silent" };
+    });
+
+    it("runs the statements in order", async () => {
+        const results = await server.parseExec([
+            "CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT)",
+            "INSERT INTO items (name) VALUES ('first')",
+            "INSERT INTO items (name) VALUES ('second')",
+            "UPDATE items SET name = name || '!' WHERE id = (SELECT MAX(id) FROM items)"
+        ]);
+
+        assert.deepEqual(results, [true, true, true, true]);
+        assert.deepEqual(server.prepare("SELECT name FROM items ORDER BY id").pluck().all(), ["first", "second!"]);
+    });
+
+    it("stops at the first failing statement", async () => {
+        await assert.rejects(server.parseExec([
+            "CREATE TABLE items (name TEXT NOT NULL)",
+            "INSERT INTO items VALUES ('kept')",
+            "INSERT INTO items VALUES (NULL)",
+            "INSERT INTO items VALUES ('never')"
+        ]), { code: "SQLITE_CONSTRAINT_NOTNULL" });
+
+        assert.deepEqual(server.prepare("SELECT name FROM items").pluck().all(), ["kept"]);
+    });
+
+    it("resolves to an empty list without statements", async () => {
+        assert.deepEqual(await server.parseExec([]), []);
+    });
+});
+
+describe("Database.serialize", () => {
+    it("keeps the data on a reopened handle", async () => {
+        const database = new Database(":memory:", {});
+
+        database.logger.level = "silent";
+        await database.exec("CREATE TABLE items (name TEXT); INSERT INTO items VALUES ('a')");
+
+        const before = database.database;
+
+        database.serialize();
+
+        assert.notEqual(database.database, before);
+        assert.equal(before.open, false);
+        assert.deepEqual(database.prepare("SELECT name FROM items").pluck().all(), ["a"]);
+        assert.doesNotThrow(() => database.ping());
+    });
+
+    it("keeps enforcing foreign keys", async () => {
+        const database = new Database(":memory:", {});
+
+        database.logger.level = "silent";
+        database.serialize();
+
+        assert.equal(database.database.pragma("foreign_keys", { simple: true }), 1);
+    });
+
+    it("leaves a closed handle for ping to report", () => {
+        const database = new Database(":memory:", {});
+
+        database.logger.level = "silent";
+        database.database.close();
+        database.serialize();
+
+        assert.throws(() => database.ping(), /closed/);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Shared fixtures for the backend test suite.
+ *
+ * Every test file builds its own server on an in-memory database with the
+ * `test` settings profile, so files never share rows or rate limit counters.
+ * Users are registered through the real `/signup`, `/challenge` and `/token`
+ * flow, signing challenges with a WebCrypto ECDSA P-256 identity key.
+*/
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import url from "url";
+import request from "supertest";
+import Server, { Migrator } from "server";
+import Config, { Settings } from "config";
+
+const { subtle } = crypto.webcrypto;
+const __migrations = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), "..", "migrations");
+
+/**
+ * Rate limits generous enough for a whole test file to run against one server.
+ * @type {Object}
+ */
+const POLICIES = {
+    default: { windowMs: 60 * 1000, limit: 1000 },
+    strict: { windowMs: 60 * 1000, limit: 1000 },
+    messages: { windowMs: 60 * 1000, limit: 1000 }
+};
+
+/**
+ * Build a server on a fresh in-memory database and bind the configuration.
+ * Closing the server removes the temporary directory of its snapshots and attachments.
+ * @param {Object} [overrides] - Settings sections replacing those of the `test` profile.
+ * @returns {Promise<{server: Server, settings: Object, app: Object, directory: string}>}
+ */
+export async function createServer(overrides = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ciphered-test-"));
+    const loaded = Settings.load({ env: { NODE_ENV: "test" } });
+    const settings = {
+        ...loaded,
+        storage: { snapshots: path.join(directory, "snapshots"), attachments: path.join(directory, "attachments") },
+        limiter: { ...loaded.limiter, policies: POLICIES },
+        ...overrides
+    };
+
+    const server = new Server(settings.database.path, {});
+    const close = server.close;
+
+    server.close = (options) => close(options).then(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    server.logging = settings.logging;
+    await new Migrator(server, __migrations).up();
+    await new Config(server, settings).load();
+
+    return { server, settings, app: request(server.app), directory };
+}
+
+/**
+ * Generate an ECDSA P-256 key pair like the frontend does.
+ * @returns {Promise<{publicKey: string, privateKey: CryptoKey}>} The base64 raw public key and the private key.
+ */
+export async function generateKey() {
+    const pair = await subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"]);
+    const publicKey = Buffer.from(await subtle.exportKey("raw", pair.publicKey)).toString("base64");
+
+    return { publicKey, privateKey: pair.privateKey };
+}
+
+/**
+ * Sign a base64 challenge nonce.
+ * @param {CryptoKey} privateKey - The signing key.
+ * @param {string} nonce - The base64 nonce.
+ * @returns {Promise<string>} The base64 signature.
+ */
+export async function sign(privateKey, nonce) {
+    const signature = await subtle.sign({ name: "ECDSA", hash: "SHA-256" }, privateKey, Buffer.from(nonce, "base64"));
+
+    return Buffer.from(signature).toString("base64");
+}
+
+/**
+ * Build a signup body for an identity key.
+ * @param {string} identifier - The identifier of the new user.
+ * @param {string} identityKey - The base64 identity public key.
+ * @returns {Object}
+ */
+export function signupBody(identifier, identityKey) {
+    const preKey = () => crypto.randomBytes(65).toString("base64");
+
+    return {
+        name: `User ${identifier}`,
+        identifier,
+        identityKey,
+        signedPreKey: { keyId: 1, publicKey: preKey(), signature: crypto.randomBytes(64).toString("base64") },
+        oneTimePreKeys: [{ keyId: 1, publicKey: preKey() }, { keyId: 2, publicKey: preKey() }]
+    };
+}
+
+/**
+ * Exchange a signed challenge for a bearer token.
+ * @param {Object} app - The supertest client.
+ * @param {string} identifier - The identifier of the user.
+ * @param {CryptoKey} privateKey - The key of the device signing in.
+ * @param {string} [device] - The device id, the primary device when omitted.
+ * @returns {Promise<string>}
+ */
+export async function login(app, identifier, privateKey, device) {
+    const challenge = await app.post("/challenge").send({ identifier }).expect(200);
+    const { nonce } = challenge.body.data;
+    const response = await app.post("/token")
+        .send({ identifier, nonce, signature: await sign(privateKey, nonce), ...(device && { device }) })
+        .expect(200);
+
+    return response.body.data.token;
+}
+
+/**
+ * Open a one-to-one chat through `/create` and `/claim`, making both users its members.
+ * @param {Object} app - The supertest client.
+ * @param {Object} owner - The user creating the key, as returned by {@link register}.
+ * @param {Object} peer - The user claiming the key.
+ * @param {string} key - The chat key.
+ * @returns {Promise<string>} The key.
+ */
+export async function chat(app, owner, peer, key) {
+    await app.post("/create").set(owner.auth).send({ key, identifier: owner.identifier }).expect(201);
+    await app.post("/claim").set(peer.auth).send({ key }).expect(200);
+
+    return key;
+}
+
+/**
+ * Sign up a user and sign them in with their primary device.
+ * @param {Object} app - The supertest client.
+ * @param {string} identifier - The identifier of the new user.
+ * @returns {Promise<{identifier: string, identityKey: string, privateKey: CryptoKey, token: string, auth: Object}>}
+ */
+export async function register(app, identifier) {
+    const { publicKey, privateKey } = await generateKey();
+
+    await app.post("/signup").send(signupBody(identifier, publicKey)).expect(200);
+
+    const token = await login(app, identifier, privateKey);
+
+    return { identifier, identityKey: publicKey, privateKey, token, auth: { Authorization: `Bearer ${token}` } };
+}
@@ -0,0 +1,134 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, register } from "./helpers.js";
+
+describe("invites", () => {
+    let app;
+    let server;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        ({ app, server } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+        carol = await register(app, "carol");
+    });
+
+    after(() => server.close());
+
+    const create = (user, body = {}) =>
+        app.post("/invite/create").set(user.auth).send(body).expect(201).then((response) => response.body.data);
+
+    describe("POST /invite/create and /invite/claim", () => {
+        it("creates a single-use invite by default", async () => {
+            const invite = await create(alice);
+
+            assert.match(invite.token, /^[\w-]{32}$/);
+            assert.equal(invite.maxUses, 1);
+            assert.ok(invite.expiresAt > Date.now());
+        });
+
+        it("hands out the same key when a claim is repeated", async () => {
+            const { token } = await create(alice);
+            const claimed = (await app.post("/invite/claim").set(bob.auth).send({ token }).expect(200)).body;
+
+            assert.equal(claimed.data.identifier, "alice");
+
+            const again = (await app.post("/invite/claim").set(bob.auth).send({ token }).expect(200)).body;
+
+            assert.equal(again.response, "Invite already claimed");
+            assert.equal(again.data.key, claimed.data.key);
+        });
+
+        it("answers 410 once an invite is used up", async () => {
+            const { token } = await create(alice);
+
+            await app.post("/invite/claim").set(bob.auth).send({ token }).expect(200);
+            await app.post("/invite/claim").set(carol.auth).send({ token }).expect(410);
+        });
+
+        it("answers 410 once an invite expired", async () => {
+            const { id, token } = await create(alice);
+
+            server.database.prepare("UPDATE invites SET expiresAt = ? WHERE id = ?").run(Date.now() - 1, id);
+
+            await app.post("/invite/claim").set(bob.auth).send({ token }).expect(410);
+        });
+
+        it("refuses to claim an unknown or own invite", async () => {
+            const { token } = await create(alice);
+
+            await app.post("/invite/claim").set(bob.auth).send({ token: "a".repeat(32) }).expect(404);
+            await app.post("/invite/claim").set(alice.auth).send({ token }).expect(400);
+        });
+
+        it("validates the ttl and uses", async () => {
+            await app.post("/invite/create").set(alice.auth).send({ ttl: 10 }).expect(400);
+            await app.post("/invite/create").set(alice.auth).send({ maxUses: 0 }).expect(400);
+        });
+
+        it("applies the configured ttl and limits", async () => {
+            const { app: limited, server: configured } = await createServer({ invites: { ttl: 600, maxTtl: 3600, maxUses: 3 } });
+            const dave = await register(limited, "dave");
+            const { expiresAt } = (await limited.post("/invite/create").set(dave.auth).send({}).expect(201)).body.data;
+
+            assert.ok(expiresAt <= Date.now() + 600 * 1000);
+            await limited.post("/invite/create").set(dave.auth).send({ ttl: 7200 }).expect(400);
+            await limited.post("/invite/create").set(dave.auth).send({ maxUses: 4 }).expect(400);
+            await limited.post("/invite/create").set(dave.auth).send({ ttl: 3600, maxUses: 3 }).expect(201);
+            await configured.close();
+        });
+    });
+
+    describe("POST /invites and /invite/revoke", () => {
+        it("lists the caller's invites with their claims", async () => {
+            const { id, token } = await create(carol, { maxUses: 2 });
+
+            await app.post("/invite/claim").set(alice.auth).send({ token }).expect(200);
+
+            const invites = (await app.post("/invites").set(carol.auth).send({}).expect(200)).body.data;
+            const invite = invites.find((invite) => invite.id === id);
+
+            assert.equal(invites.length, 1);
+            assert.equal(invite.uses, 1);
+            assert.deepEqual(invite.claims.map((claim) => claim.identifier), ["alice"]);
+        });
+
+        it("stops revoked invites from being claimed", async () => {
+            const { id, token } = await create(alice, { maxUses: 5 });
+
+            await app.post("/invite/revoke").set(alice.auth).send({ id }).expect(200);
+            await app.post("/invite/revoke").set(alice.auth).send({ id }).expect(404);
+            await app.post("/invite/claim").set(bob.auth).send({ token }).expect(410);
+        });
+
+        it("answers 404 for another user's invite", async () => {
+            const { id } = await create(alice);
+
+            await app.post("/invite/revoke").set(bob.auth).send({ id }).expect(404);
+        });
+    });
+
+    describe("POST /create and /claim", () => {
+        it("claims a session key once", async () => {
+            await app.post("/create").set(alice.auth).send({ key: "legacy-1", identifier: "alice" }).expect(201);
+
+            const claimed = (await app.post("/claim").set(bob.auth).send({ key: "legacy-1" }).expect(200)).body;
+
+            assert.equal(claimed.session.identifier, "alice");
+
+            await app.post("/claim").set(bob.auth).send({ key: "legacy-1" }).expect(404);
+        });
+
+        it("answers 409 for a key in use", async () => {
+            await app.post("/create").set(alice.auth).send({ key: "legacy-2", identifier: "alice" }).expect(201);
+            await app.post("/create").set(alice.auth).send({ key: "legacy-2", identifier: "alice" }).expect(409);
+        });
+
+        it("answers 403 for another user's identifier", async () => {
+            await app.post("/create").set(alice.auth).send({ key: "legacy-3", identifier: "bob" }).expect(403);
+        });
+    });
+});
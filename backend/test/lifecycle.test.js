@@ -0,0 +1,90 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setTimeout as delay } from "timers/promises";
+import { WebSocket } from "ws";
+import Server from "server";
+
+describe("Server.close", () => {
+    let file;
+    let server;
+    let port;
+
+    beforeEach(async () => {
+        file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ciphered-lifecycle-")), "database.db");
+        server = new Server(file, {});
+        server.logging = { level: "silent" };
+        server.monitoring = {};
+        server.sockets = {};
+        server.endpoints = {
+            get: {
+                ["/slow"]: async (_, req, res) => {
+                    await delay(200);
+                    res.send({ response: "Done" });
+                }
+            }
+        };
+        server.bind();
+
+        port = (await server.listen(0, "127.0.0.1")).server.address().port;
+    });
+
+    afterEach(async () => {
+        await server.close({ timeout: 10 });
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("lets in-flight requests finish", async () => {
+        const pending = fetch(`http://127.0.0.1:${port}/slow`);
+
+        await delay(50);
+
+        const closed = server.close();
+
+        assert.equal(server.closing, true);
+        assert.equal((await pending).status, 200);
+
+        await closed;
+
+        await assert.rejects(fetch(`http://127.0.0.1:${port}/slow`));
+    });
+
+    it("closes WebSocket clients with a going-away frame", async () => {
+        const client = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+
+        await new Promise((resolve) => client.once("open", resolve));
+
+        const code = new Promise((resolve) => client.once("close", resolve));
+
+        await server.close();
+
+        assert.equal(await code, 1001);
+    });
+
+    it("checkpoints the write-ahead log and closes the database", async () => {
+        server.prepare("CREATE TABLE items (name TEXT)").run();
+        server.prepare("INSERT INTO items VALUES ('a')").run();
+
+        assert.ok(fs.statSync(`${file}-wal`).size > 0);
+
+        const closed = server.close();
+
+        assert.equal(server.close(), closed);
+        await closed;
+
+        assert.equal(server.database.open, false);
+        assert.ok(!fs.existsSync(`${file}-wal`) || fs.statSync(`${file}-wal`).size === 0);
+        assert.throws(() => server.ping(), /closed/);
+    });
+
+    it("cuts connections that do not drain in time", async () => {
+        const pending = fetch(`http://127.0.0.1:${port}/slow`);
+
+        await delay(50);
+        await server.close({ timeout: 10 });
+
+        await assert.rejects(pending);
+    });
+});
@@ -0,0 +1,215 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { chat, createServer, register } from "./helpers.js";
+
+describe("messages", () => {
+    let app;
+    let server;
+    let settings;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        ({ app, server, settings } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+        carol = await register(app, "carol");
+    });
+
+    after(() => server.close());
+
+    const send = (user, key, content, extra = {}) =>
+        app.post("/send").set(user.auth).send({ key, content, ...extra }).expect(200).then((response) => response.body.data);
+
+    describe("one-to-one mailboxes", () => {
+        it("keeps messages until they are acknowledged", async () => {
+            await chat(app, alice, bob, "mailbox-1");
+
+            const { id, expiresAt } = await send(alice, "mailbox-1", "ciphertext-1");
+
+            assert.ok(expiresAt > Date.now() + (settings.messages.ttl - 5) * 1000);
+
+            const first = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-1" }).expect(200)).body;
+
+            assert.equal(first.response, "Messages found");
+            assert.deepEqual(first.data.messages.map((message) => [message.id, message.content, message.sender]), [[id, "ciphertext-1", "alice"]]);
+            assert.equal(first.data.cursor, id);
+            assert.equal(first.data.more, false);
+
+            const again = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-1" }).expect(200)).body;
+
+            assert.equal(again.data.messages.length, 1);
+
+            const ack = (await app.post("/ack").set(bob.auth).send({ key: "mailbox-1", ids: [id] }).expect(200)).body;
+
+            assert.deepEqual(ack.data.ids, [id]);
+
+            const empty = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-1" }).expect(200)).body;
+
+            assert.equal(empty.response, "No new messages");
+            assert.deepEqual(empty.data.messages, []);
+        });
+
+        it("pages with a cursor", async () => {
+            const ids = [];
+
+            await chat(app, alice, bob, "mailbox-2");
+
+            for (let i = 0; i < 3; i++)
+                ids.push((await send(alice, "mailbox-2", `ciphertext-${i}`)).id);
+
+            const page = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-2", limit: 2 }).expect(200)).body.data;
+
+            assert.deepEqual(page.messages.map((message) => message.id), ids.slice(0, 2));
+            assert.equal(page.more, true);
+
+            const rest = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-2", after: page.cursor, limit: 2 }).expect(200)).body.data;
+
+            assert.deepEqual(rest.messages.map((message) => message.id), ids.slice(2));
+            assert.equal(rest.more, false);
+        });
+
+        it("validates the ttl", async () => {
+            await chat(app, alice, bob, "mailbox-3");
+            await app.post("/send").set(alice.auth).send({ key: "mailbox-3", content: "x", ttl: 5 }).expect(400);
+            await app.post("/send").set(alice.auth).send({ key: "mailbox-3", content: "x", ttl: 8 * 24 * 60 * 60 }).expect(400);
+
+            const { expiresAt } = await send(alice, "mailbox-3", "x", { ttl: 60 });
+
+            assert.ok(expiresAt <= Date.now() + 60 * 1000);
+        });
+
+        it("applies and resets the retention of a key", async () => {
+            await chat(app, alice, bob, "mailbox-4");
+
+            const set = (await app.post("/retention").set(alice.auth).send({ key: "mailbox-4", ttl: 30 }).expect(200)).body;
+
+            assert.equal(set.data.ttl, 30);
+            assert.ok((await send(alice, "mailbox-4", "x")).expiresAt <= Date.now() + 30 * 1000);
+
+            const reset = (await app.post("/retention").set(alice.auth).send({ key: "mailbox-4", ttl: null }).expect(200)).body;
+
+            assert.equal(reset.data.ttl, settings.messages.ttl);
+        });
+
+        it("bounds the ttl and the retention by the configured retention", async () => {
+            const { app: bounded, server: configured } = await createServer({ retention: { min: 30, max: 120 }, messages: { ttl: 60 } });
+            const dave = await register(bounded, "dave");
+            const erin = await register(bounded, "erin");
+
+            await chat(bounded, dave, erin, "mailbox-9");
+            await bounded.post("/send").set(dave.auth).send({ key: "mailbox-9", content: "x", ttl: 20 }).expect(400);
+            await bounded.post("/send").set(dave.auth).send({ key: "mailbox-9", content: "x", ttl: 180 }).expect(400);
+            await bounded.post("/send").set(dave.auth).send({ key: "mailbox-9", content: "x", ttl: 120 }).expect(200);
+
+            const response = await bounded.post("/retention").set(dave.auth).send({ key: "mailbox-9", ttl: 180 }).expect(400);
+
+            assert.match(response.body.details, /less than or equal to 120/);
+            await bounded.post("/retention").set(dave.auth).send({ key: "mailbox-9", ttl: 30 }).expect(200);
+            await configured.close();
+        });
+
+        it("answers 403 when a non-member sets the retention of a conversation", async () => {
+            const { key } = (await app.post("/conversation/create").set(alice.auth).send({ members: ["bob"] }).expect(201)).body.data;
+
+            await app.post("/retention").set(carol.auth).send({ key, ttl: 10 }).expect(403);
+            await app.post("/retention").set(bob.auth).send({ key, ttl: 60 }).expect(200);
+
+            assert.ok((await send(alice, key, "x")).expiresAt > Date.now() + 30 * 1000);
+        });
+
+        it("answers 403 to users who neither created nor claimed the key", async () => {
+            const { id } = await send(alice, await chat(app, alice, bob, "mailbox-8"), "for bob");
+
+            await app.post("/send").set(carol.auth).send({ key: "mailbox-8", content: "x" }).expect(403);
+            await app.post("/receive").set(carol.auth).send({ key: "mailbox-8" }).expect(403);
+            await app.post("/ack").set(carol.auth).send({ key: "mailbox-8", ids: [id] }).expect(403);
+            await app.post("/retention").set(carol.auth).send({ key: "mailbox-8", ttl: 10 }).expect(403);
+            await app.post("/receive").set(carol.auth).send({ key: "never-created" }).expect(403);
+
+            const { messages } = (await app.post("/receive").set(bob.auth).send({ key: "mailbox-8" }).expect(200)).body.data;
+
+            assert.deepEqual(messages.map((message) => message.id), [id]);
+        });
+
+        it("refuses to create a key that is already in use", async () => {
+            await chat(app, alice, bob, "mailbox-9");
+
+            await app.post("/create").set(carol.auth).send({ key: "mailbox-9", identifier: "carol" }).expect(409);
+            await app.post("/receive").set(carol.auth).send({ key: "mailbox-9" }).expect(403);
+        });
+    });
+
+    describe("receipts", () => {
+        it("reports sent, delivered and read", async () => {
+            await chat(app, alice, bob, "mailbox-5");
+
+            const { id } = await send(alice, "mailbox-5", "x");
+            const status = async () => (await app.post("/status").set(alice.auth).send({ ids: [id] }).expect(200)).body.data[0];
+
+            assert.equal((await status()).status, "sent");
+
+            await app.post("/ack").set(bob.auth).send({ key: "mailbox-5", ids: [id] }).expect(200);
+
+            const delivered = await status();
+
+            assert.equal(delivered.status, "delivered");
+            assert.deepEqual(delivered.recipients.map((recipient) => recipient.identifier), ["bob"]);
+
+            assert.equal((await app.post("/read").set(bob.auth).send({ ids: [id] }).expect(200)).body.data.read, 1);
+            assert.equal((await status()).status, "read");
+        });
+
+        it("only reports the caller's own messages", async () => {
+            await chat(app, alice, bob, "mailbox-6");
+
+            const { id } = await send(alice, "mailbox-6", "x");
+
+            assert.deepEqual((await app.post("/status").set(bob.auth).send({ ids: [id] }).expect(200)).body.data, []);
+        });
+
+        it("sends no read receipts for users who turned them off", async () => {
+            await chat(app, alice, carol, "mailbox-7");
+
+            const { id } = await send(alice, "mailbox-7", "x");
+
+            await app.post("/ack").set(carol.auth).send({ key: "mailbox-7", ids: [id] }).expect(200);
+            await app.post("/settings").set(carol.auth).send({ readReceipts: false }).expect(200);
+
+            const response = (await app.post("/read").set(carol.auth).send({ ids: [id] }).expect(200)).body;
+
+            assert.equal(response.response, "Read receipts are disabled");
+            assert.equal(response.data.read, 0);
+        });
+    });
+
+    describe("conversations", () => {
+        let key;
+
+        before(async () => {
+            key = (await app.post("/conversation/create").set(alice.auth).send({ name: "Team", members: ["bob"] }).expect(201)).body.data.key;
+        });
+
+        it("delivers to every member but the sender", async () => {
+            const { id } = await send(alice, key, "ciphertext");
+            const received = (await app.post("/receive").set(bob.auth).send({ key }).expect(200)).body.data.messages;
+
+            assert.deepEqual(received.map((message) => message.id), [id]);
+            assert.deepEqual((await app.post("/receive").set(alice.auth).send({ key }).expect(200)).body.data.messages, []);
+        });
+
+        it("drains a member's copy only", async () => {
+            const { id } = await send(bob, key, "ciphertext");
+
+            await app.post("/ack").set(alice.auth).send({ key, ids: [id] }).expect(200);
+
+            assert.deepEqual((await app.post("/receive").set(alice.auth).send({ key, after: id - 1 }).expect(200)).body.data.messages, []);
+        });
+
+        it("answers 403 for non-members", async () => {
+            await app.post("/send").set(carol.auth).send({ key, content: "x" }).expect(403);
+            await app.post("/receive").set(carol.auth).send({ key }).expect(403);
+        });
+    });
+});
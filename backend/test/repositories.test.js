@@ -0,0 +1,275 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import url from "url";
+import Server, { Migrator } from "server";
+
+const __migrations = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), "..", "migrations");
+const signedPreKey = { keyId: 1, publicKey: "AAAA", signature: "AAAA" };
+
+describe("repositories", () => {
+    let server;
+
+    beforeEach(async () => {
+        server = new Server(":memory:", {});
+        server.logging = { level: "silent" };
+        await new Migrator(server, __migrations).up();
+    });
+
+    const user = (identifier, oneTimePreKeys = []) =>
+        server.users.create({ name: identifier, identifier, identityKey: "AAAA", signedPreKey, oneTimePreKeys });
+
+    describe("Repository.statement", () => {
+        it("prepares every query once", () => {
+            assert.equal(server.users.statement("SELECT 1"), server.users.statement("SELECT 1"));
+        });
+
+        it("prepares again once the handle changed", () => {
+            const id = user("alice");
+            const before = server.users.statement("SELECT * FROM users WHERE id = ?");
+
+            server.serialize();
+
+            assert.notEqual(server.users.statement("SELECT * FROM users WHERE id = ?"), before);
+            assert.equal(server.users.get(id).identifier, "alice");
+        });
+    });
+
+    describe("UserRepository", () => {
+        it("refuses a taken identifier", () => {
+            assert.equal(typeof user("alice"), "number");
+            assert.equal(user("alice"), null);
+            assert.equal(server.prepare("SELECT COUNT(*) FROM identity_keys").pluck().get(), 1);
+        });
+
+        it("stores nothing when a prekey is rejected", () => {
+            const id = user("alice", [{ keyId: 1, publicKey: "AAAA" }]);
+
+            assert.throws(
+                () => server.users.publish(id, { keyId: 2, publicKey: "BBBB", signature: "BBBB" }, [{ keyId: 2, publicKey: "AAAA" }, { keyId: 1, publicKey: "AAAA" }]),
+                { code: "SQLITE_CONSTRAINT_UNIQUE" }
+            );
+
+            assert.equal(server.users.bundle("alice").signedPreKey.keyId, 1);
+            assert.equal(server.users.publish(id, undefined, []), 0);
+        });
+
+        it("redeems a challenge once", () => {
+            const id = user("alice");
+
+            server.users.challenge(id, "nonce", Date.now() + 60 * 1000);
+
+            assert.equal(server.users.redeem("bob", "nonce"), null);
+            assert.equal(server.users.redeem("alice", "nonce"), id);
+            assert.equal(server.users.redeem("alice", "nonce"), null);
+        });
+
+        it("looks up every identifier or none", () => {
+            user("alice");
+            user("bob");
+
+            assert.deepEqual(server.users.lookup(["bob", "alice", "bob"]).map((found) => found.identifier).sort(), ["alice", "bob"]);
+            assert.equal(server.users.lookup(["alice", "carol"]), null);
+        });
+    });
+
+    describe("SessionRepository", () => {
+        it("hands a session out once", () => {
+            const id = user("alice");
+            const claimerId = user("bob");
+
+            assert.equal(server.sessions.create(id, "key"), true);
+            assert.equal(server.sessions.create(id, "key"), false);
+            assert.deepEqual(server.sessions.claim("key", claimerId), { identifier: "alice" });
+            assert.equal(server.sessions.claim("key", claimerId), null);
+        });
+
+        it("makes the creator and the claimer the only members of the chat", () => {
+            const id = user("dave");
+            const claimerId = user("erin");
+            const otherId = user("frank");
+
+            server.sessions.create(id, "members");
+            server.sessions.claim("members", claimerId);
+
+            assert.ok(server.chats.member("members", id));
+            assert.ok(server.chats.member("members", claimerId));
+            assert.equal(server.chats.member("members", otherId), undefined);
+            assert.equal(server.sessions.create(otherId, "members"), false);
+        });
+    });
+
+    describe("ChatRepository", () => {
+        it("drains the queue of each device as it is acknowledged", () => {
+            const senderId = user("alice");
+            const recipientId = user("bob");
+            const chat = { key: "mailbox", content: "x", expiresAt: Date.now() + 60 * 1000, senderId, createdAt: Date.now() };
+            const ids = [server.chats.insert(chat), server.chats.insert(chat)];
+
+            server.devices.create(recipientId, { deviceId: "laptop", name: null, publicKey: "AAAA", createdAt: Date.now() });
+
+            const primary = server.devices.active(recipientId, "primary");
+            const laptop = server.devices.active(recipientId, "laptop");
+
+            [primary, laptop].forEach((device) => ids.forEach((id) => server.chats.queue(device, id)));
+
+            assert.deepEqual(server.chats.unread("mailbox", primary).map((unread) => [unread.id, unread.sender]), [[ids[0], "alice"], [ids[1], "alice"]]);
+            assert.deepEqual(server.chats.sent(senderId, [...ids, 999]), ids);
+            assert.equal(server.chats.latest("mailbox"), ids[1]);
+            assert.equal(server.chats.pending(), 2);
+
+            assert.deepEqual(server.chats.acknowledge("mailbox", [ids[0], 999], { device: primary }).map((acknowledged) => acknowledged.id), [ids[0]]);
+            assert.deepEqual(server.chats.unread("mailbox", primary).map((unread) => unread.id), [ids[1]]);
+            assert.deepEqual(server.chats.unread("mailbox", laptop).map((unread) => unread.id), ids);
+            assert.equal(server.chats.pending(), 2);
+
+            server.chats.acknowledge("mailbox", [ids[0]], { device: laptop });
+
+            assert.equal(server.chats.pending(), 1);
+            assert.equal(server.chats.purge("mailbox"), 1);
+        });
+    });
+
+    describe("ConversationRepository", () => {
+        it("hands the conversation over when its owner leaves and deletes it with its last member", () => {
+            const aliceId = user("alice");
+            const bobId = user("bob");
+            const id = server.conversations.create(aliceId, { key: "group", name: null, members: [{ id: bobId }] });
+            const conversation = server.conversations.find("group");
+
+            assert.equal(conversation.id, id);
+            assert.equal(server.conversations.membership(conversation, bobId).role, "member");
+            assert.equal(server.conversations.remove(conversation, "alice"), true);
+            assert.equal(server.conversations.remove(conversation, "alice"), false);
+            assert.deepEqual(server.conversations.members(id), [{ identifier: "bob", role: "owner" }]);
+            assert.equal(server.conversations.remove(conversation, "bob"), true);
+            assert.equal(server.conversations.find("group"), undefined);
+        });
+
+        it("keeps the retention of a key until it is reset", () => {
+            assert.equal(server.conversations.retention("group"), null);
+            server.conversations.retain("group", 60);
+            server.conversations.retain("group", 120);
+            assert.equal(server.conversations.retention("group"), 120);
+            server.conversations.retain("group", null);
+            assert.equal(server.conversations.retention("group"), null);
+        });
+    });
+
+    describe("DeviceRepository", () => {
+        it("drops the queue of a revoked device", () => {
+            const aliceId = user("alice");
+
+            server.devices.create(aliceId, { deviceId: "laptop", name: null, publicKey: "AAAA", createdAt: Date.now() });
+            server.conversations.create(aliceId, { key: "group", name: null, members: [] });
+
+            const laptop = server.devices.active(aliceId, "laptop");
+            const chatId = server.chats.insert({ key: "group", content: "x", expiresAt: Date.now() + 60 * 1000, senderId: aliceId, createdAt: Date.now() });
+
+            server.chats.queue(laptop, chatId);
+
+            assert.equal(server.devices.pending(), 1);
+            assert.equal(server.devices.revoke(aliceId, "laptop"), true);
+            assert.equal(server.devices.revoke(aliceId, "laptop"), false);
+            assert.equal(server.devices.pending(), 0);
+            assert.equal(server.devices.active(aliceId, "laptop"), undefined);
+            assert.ok(server.devices.find(aliceId, laptop.id).revokedAt);
+            assert.equal(server.devices.find(aliceId).deviceId, "primary");
+        });
+    });
+
+    describe("InviteRepository", () => {
+        it("never lets claims exceed the uses of an invite", () => {
+            const aliceId = user("alice");
+            const claimers = ["bob", "carol", "dave"].map((identifier) => user(identifier));
+
+            server.invites.create(aliceId, { tokenHash: "hash", maxUses: 2, createdAt: Date.now(), expiresAt: Date.now() + 60 * 1000 });
+
+            const invite = server.invites.find("hash");
+            const claims = claimers.map((userId, index) => server.invites.claim(invite, userId, `key-${index}`));
+
+            assert.deepEqual(claims, [{ key: "key-0", claimed: true }, { key: "key-1", claimed: true }, null]);
+            assert.deepEqual(server.invites.claim(invite, claimers[0], "other"), { key: "key-0", claimed: false });
+            assert.equal(server.invites.find("hash").uses, 2);
+            assert.deepEqual(server.invites.list(aliceId)[0].claims.map((claim) => claim.identifier), ["bob", "carol"]);
+        });
+
+        it("refuses claims of a revoked invite", () => {
+            const aliceId = user("alice");
+            const id = server.invites.create(aliceId, { tokenHash: "hash", maxUses: 1, createdAt: Date.now(), expiresAt: Date.now() + 60 * 1000 });
+
+            assert.equal(server.invites.revoke(user("bob"), id), false);
+            assert.equal(server.invites.revoke(aliceId, id), true);
+            assert.equal(server.invites.claim(server.invites.find("hash"), user("carol"), "key"), null);
+        });
+    });
+
+    describe("AttachmentRepository", () => {
+        it("claims each range of an upload once", () => {
+            const aliceId = user("alice");
+
+            server.attachments.create(aliceId, { id: "file", size: 10, checksum: "00", createdAt: Date.now(), expiresAt: Date.now() + 60 * 1000 });
+
+            assert.equal(server.attachments.used(aliceId), 10);
+            assert.equal(server.attachments.reserve("file", 0, 5), true);
+            assert.equal(server.attachments.reserve("file", 0, 5), false);
+            server.attachments.rewind("file", 0);
+            assert.equal(server.attachments.owned(aliceId, "file").received, 0);
+            assert.equal(server.attachments.complete("file"), undefined);
+            server.attachments.finish("file");
+            assert.equal(server.attachments.complete("file").id, "file");
+            assert.deepEqual(server.attachments.expire(Date.now() + 60 * 1000), ["file"]);
+        });
+    });
+
+    describe("ReceiptRepository", () => {
+        it("counts the first delivery and read of a message only", () => {
+            const aliceId = user("alice");
+            const bobId = user("bob");
+            const chat = { key: "mailbox", content: "x", expiresAt: Date.now() + 60 * 1000, senderId: aliceId, createdAt: Date.now() };
+            const chats = [{ ...chat, id: server.chats.insert(chat) }];
+
+            assert.deepEqual(server.receipts.deliver(chats, aliceId, 1), []);
+            assert.deepEqual(server.receipts.deliver(chats, bobId, 1), [{ id: chats[0].id, senderId: aliceId }]);
+            assert.deepEqual(server.receipts.deliver(chats, bobId, 2), []);
+            assert.deepEqual(server.receipts.read(bobId, [chats[0].id, 999], 3), [{ id: chats[0].id, senderId: aliceId }]);
+            assert.deepEqual(server.receipts.read(bobId, [chats[0].id], 4), []);
+            assert.deepEqual(server.receipts.list(aliceId, [chats[0].id]), [{ id: chats[0].id, identifier: "bob", deliveredAt: 1, readAt: 3 }]);
+        });
+    });
+
+    describe("RateLimitRepository", () => {
+        it("counts hits within a window and starts a new one once it is over", () => {
+            assert.deepEqual(server.rateLimits.increment("strict:ip:1", 1000, 0), { hits: 1, resetAt: 1000 });
+            assert.deepEqual(server.rateLimits.increment("strict:ip:1", 1000, 500), { hits: 2, resetAt: 1000 });
+            server.rateLimits.decrement("strict:ip:1");
+            assert.deepEqual(server.rateLimits.get("strict:ip:1", 500), { hits: 1, resetAt: 1000 });
+            assert.equal(server.rateLimits.get("strict:ip:1", 1000), undefined);
+            assert.deepEqual(server.rateLimits.increment("strict:ip:1", 1000, 1000), { hits: 1, resetAt: 2000 });
+            server.rateLimits.reset("strict:ip:1");
+            assert.equal(server.rateLimits.get("strict:ip:1", 1000), undefined);
+        });
+    });
+
+    describe("purgeExpired", () => {
+        it("deletes the rows that expired by the given time", () => {
+            const aliceId = user("alice");
+            const bobId = user("bob");
+            const chat = { key: "mailbox", content: "x", expiresAt: 1000, senderId: aliceId, createdAt: 0 };
+            const chats = [{ ...chat, id: server.chats.insert(chat) }];
+
+            server.receipts.deliver(chats, bobId, 0);
+            server.users.challenge(aliceId, "nonce", Date.now() + 1000);
+            server.mailboxes.create(bobId, { id: "mailbox", tokenHash: "hash", createdAt: 0, expiresAt: Date.now() + 60 * 1000 });
+            server.mailboxes.deliver({ mailboxId: "mailbox", content: "x", createdAt: 0, expiresAt: 1000 });
+            server.rateLimits.increment("default:ip:1", 1000, 0);
+
+            const purge = (now) => [server.chats, server.receipts, server.users, server.mailboxes, server.rateLimits]
+                .map((repository) => repository.purgeExpired(now));
+
+            assert.deepEqual(purge(999), [0, 0, 0, 0, 0]);
+            assert.deepEqual(purge(1000), [1, 1, 0, 1, 1]);
+            assert.deepEqual(purge(Date.now() + 1000), [0, 0, 1, 0, 0]);
+        });
+    });
+});
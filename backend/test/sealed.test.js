@@ -0,0 +1,142 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createServer, register } from "./helpers.js";
+
+const mailboxId = () => crypto.randomBytes(16).toString("base64url");
+const deliveryToken = () => crypto.randomBytes(32).toString("base64url");
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+describe("sealed sender", () => {
+    let app;
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        ({ app, server } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+    });
+
+    after(() => server.close());
+
+    const open = async (user, body = {}) => {
+        const mailbox = mailboxId();
+        const token = deliveryToken();
+
+        await app.post("/mailbox/create").set(user.auth).send({ mailbox, tokenHash: hash(token), ...body }).expect(200);
+
+        return { mailbox, token };
+    };
+
+    describe("POST /mailbox/create", () => {
+        it("requires a signed-in user", async () => {
+            await app.post("/mailbox/create").send({ mailbox: mailboxId(), tokenHash: hash(deliveryToken()) }).expect(401);
+        });
+
+        it("refuses a mailbox id taken by someone else", async () => {
+            const { mailbox } = await open(alice);
+
+            const response = await app.post("/mailbox/create").set(bob.auth)
+                .send({ mailbox, tokenHash: hash(deliveryToken()) })
+                .expect(409);
+
+            assert.equal(response.body.details, "This mailbox id is already taken.");
+        });
+
+        it("lets the owner rotate the delivery token", async () => {
+            const { mailbox, token } = await open(alice);
+            const rotated = deliveryToken();
+
+            await app.post("/mailbox/create").set(alice.auth).send({ mailbox, tokenHash: hash(rotated) }).expect(200);
+
+            await app.post("/sealed/send").send({ mailbox, token, content: "old" }).expect(401);
+            await app.post("/sealed/send").send({ mailbox, token: rotated, content: "new" }).expect(200);
+        });
+    });
+
+    describe("POST /sealed/send", () => {
+        it("delivers without a bearer token and stores no sender", async () => {
+            const { mailbox, token } = await open(alice);
+
+            const sent = (await app.post("/sealed/send").send({ mailbox, token, content: "sealed" }).expect(200)).body.data;
+            const row = server.prepare("SELECT * FROM sealed_messages WHERE id = ?").get(sent.id);
+
+            assert.deepEqual(Object.keys(row).sort(), ["content", "createdAt", "expiresAt", "id", "mailboxId"]);
+            assert.equal(server.prepare("SELECT COUNT(*) FROM chats").pluck().get(), 0);
+        });
+
+        it("answers the same for an unknown mailbox and a wrong token", async () => {
+            const { mailbox } = await open(alice);
+
+            const wrong = await app.post("/sealed/send").send({ mailbox, token: deliveryToken(), content: "x" }).expect(401);
+            const unknown = await app.post("/sealed/send").send({ mailbox: mailboxId(), token: deliveryToken(), content: "x" }).expect(401);
+
+            assert.deepEqual(wrong.body, unknown.body);
+            assert.equal(wrong.body.details, "Invalid delivery token.");
+        });
+
+        it("refuses deliveries to an expired mailbox", async () => {
+            const { mailbox, token } = await open(alice);
+
+            server.prepare("UPDATE mailboxes SET expiresAt = ? WHERE id = ?").run(Date.now() - 1, mailbox);
+
+            await app.post("/sealed/send").send({ mailbox, token, content: "late" }).expect(401);
+        });
+
+        it("no longer accepts a plaintext user id on /send", async () => {
+            await app.post("/send").set(bob.auth).send({ key: "legacy-key", content: "x", userId: 1 }).expect(400);
+        });
+    });
+
+    describe("POST /sealed/receive and /sealed/ack", () => {
+        it("pages through the mailbox and deletes acknowledged messages", async () => {
+            const { mailbox, token } = await open(alice);
+
+            for (const content of ["one", "two", "three"])
+                await app.post("/sealed/send").send({ mailbox, token, content }).expect(200);
+
+            const first = (await app.post("/sealed/receive").set(alice.auth).send({ mailbox, limit: 2 }).expect(200)).body.data;
+
+            assert.deepEqual(first.messages.map((message) => message.content), ["one", "two"]);
+            assert.equal(first.more, true);
+            assert.equal(first.messages[0].sender, undefined);
+
+            const rest = (await app.post("/sealed/receive").set(alice.auth).send({ mailbox, after: first.cursor }).expect(200)).body.data;
+
+            assert.deepEqual(rest.messages.map((message) => message.content), ["three"]);
+            assert.equal(rest.more, false);
+
+            const ids = [...first.messages, ...rest.messages].map((message) => message.id);
+            const acknowledged = (await app.post("/sealed/ack").set(alice.auth).send({ mailbox, ids }).expect(200)).body.data;
+
+            assert.deepEqual(acknowledged.ids, ids);
+            assert.deepEqual((await app.post("/sealed/receive").set(alice.auth).send({ mailbox }).expect(200)).body.data.messages, []);
+        });
+
+        it("hides the mailbox from anyone but its owner", async () => {
+            const { mailbox, token } = await open(alice);
+            const sent = (await app.post("/sealed/send").send({ mailbox, token, content: "mine" }).expect(200)).body.data;
+
+            await app.post("/sealed/receive").set(bob.auth).send({ mailbox }).expect(404);
+            await app.post("/sealed/ack").set(bob.auth).send({ mailbox, ids: [sent.id] }).expect(404);
+
+            assert.equal(server.mailboxes.unread(mailbox).length, 1);
+        });
+    });
+
+    describe("sweeper", () => {
+        it("purges expired sealed messages and long-expired mailboxes", async () => {
+            const { mailbox, token } = await open(alice);
+            const sent = (await app.post("/sealed/send").send({ mailbox, token, content: "gone" }).expect(200)).body.data;
+
+            server.prepare("UPDATE sealed_messages SET expiresAt = ? WHERE id = ?").run(Date.now() - 1, sent.id);
+            server.prepare("UPDATE mailboxes SET expiresAt = 0 WHERE id = ?").run(mailbox);
+            server.sweep();
+
+            assert.equal(server.prepare("SELECT COUNT(*) FROM sealed_messages WHERE id = ?").pluck().get(sent.id), 0);
+            assert.equal(server.mailboxes.get(mailbox), undefined);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createServer, register } from "./helpers.js";
+
+describe("Server", () => {
+    let app;
+    let server;
+
+    before(async () => {
+        ({ app, server } = await createServer({ metrics: { token: "metrics-token-1234" } }));
+    });
+
+    after(() => server.close());
+
+    it("answers GET / while the database is reachable", async () => {
+        const response = await app.get("/").expect(200);
+
+        assert.equal(response.body.response, "We are online!");
+        assert.equal(typeof response.body.data.uptime, "number");
+    });
+
+    it("answers 404 for unknown routes", async () => {
+        const response = await app.get("/nothing-here").expect(404);
+
+        assert.deepEqual(response.body, { error: "Not Found", details: "No such endpoint." });
+    });
+
+    it("answers 405 with the allowed methods", async () => {
+        const response = await app.get("/send").expect(405);
+
+        assert.equal(response.headers.allow, "POST");
+        assert.equal(response.body.error, "Method Not Allowed");
+    });
+
+    it("answers 400 for malformed JSON bodies", async () => {
+        const response = await app.post("/signup").set("Content-Type", "application/json").send("{").expect(400);
+
+        assert.deepEqual(response.body, { error: "Invalid request", details: "Malformed request body." });
+    });
+
+    it("answers 500 without revealing the error", async () => {
+        const { server: closed } = await createServer();
+
+        closed.database.close();
+
+        const response = await request(closed.app).post("/challenge").send({ identifier: "alice" }).expect(500);
+
+        assert.deepEqual(response.body, { error: "Internal Server Error", details: "An unexpected error occurred." });
+        await closed.close();
+    });
+
+    it("answers 401 without a bearer token", async () => {
+        const response = await app.post("/send").send({ key: "k", content: "c" }).expect(401);
+
+        assert.equal(response.headers["www-authenticate"], "Bearer");
+        assert.equal(response.body.details, "Missing bearer token.");
+    });
+
+    it("answers 401 for a forged token", async () => {
+        const { token } = await register(app, "forger");
+        const [payload] = token.split(".");
+        const forged = `${payload}.${Buffer.from("not the signature").toString("base64url")}`;
+
+        const response = await app.post("/send").set("Authorization", `Bearer ${forged}`).send({ key: "k", content: "c" }).expect(401);
+
+        assert.equal(response.body.details, "Invalid or expired token.");
+    });
+
+    it("echoes a valid X-Request-Id and replaces an invalid one", async () => {
+        const kept = await app.get("/").set("X-Request-Id", "trace-123").expect(200);
+        const replaced = await app.get("/").set("X-Request-Id", "not valid!").expect(200);
+
+        assert.equal(kept.headers["x-request-id"], "trace-123");
+        assert.match(replaced.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+    });
+
+    describe("health", () => {
+        it("reports liveness and readiness", async () => {
+            assert.equal((await app.get("/health/live").expect(200)).body.response, "Alive");
+            assert.deepEqual((await app.get("/health/ready").expect(200)).body.data.checks, ["database", "attachments"]);
+        });
+
+        it("runs the readiness checks in-process", async () => {
+            const { server: checked } = await createServer();
+
+            assert.deepEqual(checked.ready(), []);
+            checked.database.close();
+            assert.deepEqual(checked.ready(), ["database"]);
+            await checked.close();
+        });
+
+        it("fails both once the database handle is closed", async () => {
+            const { server: closed } = await createServer();
+
+            closed.database.close();
+
+            const live = await request(closed.app).get("/health/live").expect(503);
+            const ready = await request(closed.app).get("/health/ready").expect(503);
+
+            assert.equal(live.body.details, "The database handle is closed.");
+            assert.equal(ready.body.details, "Failing checks: database.");
+            await closed.close();
+        });
+    });
+
+    describe("metrics", () => {
+        it("requires the metrics token", async () => {
+            await app.get("/metrics").expect(401);
+            await app.get("/metrics").set("Authorization", "Bearer wrong").expect(401);
+        });
+
+        it("renders request counts, latencies and gauges", async () => {
+            await app.get("/").expect(200);
+
+            const response = await app.get("/metrics").set("Authorization", "Bearer metrics-token-1234").expect(200);
+
+            assert.match(response.headers["content-type"], /^text\/plain/);
+            assert.match(response.text, /ciphered_http_requests_total\{method="GET",route="\/",status="200"\} \d+/);
+            assert.match(response.text, /ciphered_http_request_duration_seconds_bucket\{method="GET",route="\/",le="\+Inf"\} \d+/);
+            assert.match(response.text, /ciphered_websocket_connections 0/);
+            assert.match(response.text, /ciphered_pending_messages\{queue="mailbox"\} 0/);
+        });
+
+        it("labels unmatched requests without their path", async () => {
+            await app.get("/secret-chat-key").expect(404);
+
+            const response = await app.get("/metrics").set("Authorization", "Bearer metrics-token-1234").expect(200);
+
+            assert.match(response.text, /route="unmatched",status="404"/);
+            assert.doesNotMatch(response.text, /secret-chat-key/);
+        });
+    });
+
+    describe("rate limits", () => {
+        it("answers 429 past a policy and counts the rejection", async () => {
+            const { app: limited, server: counted } = await createServer({
+                limiter: {
+                    store: "memory",
+                    policies: {
+                        default: { windowMs: 60 * 1000, limit: 100 },
+                        strict: { windowMs: 60 * 1000, limit: 1 },
+                        messages: { windowMs: 60 * 1000, limit: 100 }
+                    }
+                }
+            });
+
+            await limited.post("/challenge").send({ identifier: "nobody" }).expect(404);
+            await limited.post("/signup").send({}).expect(400);
+            await limited.post("/signup").send({}).expect(429);
+
+            assert.match(counted.metrics.render(counted), /ciphered_rate_limit_rejections_total\{policy="strict"\} 1/);
+            await counted.close();
+        });
+
+        it("counts each route on its own, even when routes share a policy", async () => {
+            const { app: limited, server: counted } = await createServer({
+                limiter: {
+                    store: "memory",
+                    policies: {
+                        default: { windowMs: 60 * 1000, limit: 100 },
+                        strict: { windowMs: 60 * 1000, limit: 2 },
+                        messages: { windowMs: 60 * 1000, limit: 100 }
+                    }
+                }
+            });
+            const alice = await register(limited, "alice");
+
+            await limited.post("/invite/create").set(alice.auth).send({}).expect(201);
+            await limited.post("/invite/create").set(alice.auth).send({}).expect(201);
+            await limited.post("/invite/create").set(alice.auth).send({}).expect(429);
+
+            await limited.post("/conversation/create").set(alice.auth).send({}).expect(201);
+            await register(limited, "bob");
+            await counted.close();
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Settings } from "config";
+
+describe("Settings.load", () => {
+    const secret = "s".repeat(32);
+
+    it("applies the profile, then the file, then the environment", () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ciphered-settings-"));
+
+        fs.writeFileSync(path.join(directory, "ciphered.yaml"), "server:\n  port: 4000\nmessages:\n  ttl: 600\n");
+
+        const settings = Settings.load({
+            env: { NODE_ENV: "test", CIPHERED_CONFIG: "ciphered.yaml", CIPHERED_MESSAGE_TTL: "120", CIPHERED_CORS_ORIGINS: "https://a.example, https://b.example" },
+            base: directory
+        });
+
+        assert.equal(settings.logging.level, "silent");
+        assert.equal(settings.server.port, 4000);
+        assert.equal(settings.messages.ttl, 120);
+        assert.deepEqual(settings.cors.origins, ["https://a.example", "https://b.example"]);
+        assert.equal(settings.storage.attachments, path.join(directory, "attachments"));
+        assert.ok(Object.isFrozen(settings.limiter.policies));
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("reports every invalid setting at once", () => {
+        assert.throws(
+            () => Settings.load({ env: { NODE_ENV: "test", CIPHERED_PORT: "nope", CIPHERED_LOG_LEVEL: "loud" } }),
+            (err) => /server\.port/.test(err.message) && /logging\.level/.test(err.message)
+        );
+    });
+
+    it("keeps the message ttl within the retention bounds", () => {
+        const settings = Settings.load({ env: { NODE_ENV: "test", CIPHERED_RETENTION_MIN: "60", CIPHERED_RETENTION_MAX: "3600", CIPHERED_MESSAGE_TTL: "600" } });
+
+        assert.deepEqual(settings.retention, { min: 60, max: 3600 });
+        assert.throws(
+            () => Settings.load({ env: { NODE_ENV: "test", CIPHERED_RETENTION_MAX: "3600" } }),
+            /messages\.ttl" must be at most retention\.max/
+        );
+        assert.throws(() => Settings.load({ env: { NODE_ENV: "test", CIPHERED_RETENTION_MIN: "60", CIPHERED_RETENTION_MAX: "30" } }), /retention\.max/);
+    });
+
+    it("reads the invite, attachment and mailbox limits", () => {
+        const settings = Settings.load({
+            env: { NODE_ENV: "test", CIPHERED_INVITE_MAX_USES: "10", CIPHERED_ATTACHMENT_QUOTA: "8388608", CIPHERED_MAILBOX_TTL: "3600", CIPHERED_MAILBOX_MAX_TTL: "86400" }
+        });
+
+        assert.equal(settings.invites.maxUses, 10);
+        assert.deepEqual(settings.attachments, { chunkSize: 64 * 1024, maxSize: 1024 * 1024, quota: 8 * 1024 * 1024 });
+        assert.deepEqual(settings.mailboxes, { ttl: 3600, maxTtl: 86400 });
+    });
+
+    it("requires a secret and explicit origins in production", () => {
+        assert.throws(() => Settings.load({ env: { NODE_ENV: "production" } }), /tokens\.secret[\s\S]*cors\.origins|cors\.origins[\s\S]*tokens\.secret/);
+        assert.doesNotThrow(() => Settings.load({
+            env: { NODE_ENV: "production", CIPHERED_TOKEN_SECRET: secret, CIPHERED_CORS_ORIGINS: "https://app.example" }
+        }));
+    });
+
+    it("rejects an unreadable settings file", () => {
+        assert.throws(() => Settings.load({ env: { NODE_ENV: "test" }, file: "missing.json" }), /Invalid configuration file/);
+    });
+});
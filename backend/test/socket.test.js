@@ -0,0 +1,182 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocket } from "ws";
+import { chat, createServer, register } from "./helpers.js";
+
+/**
+ * Open a WebSocket client that queues every payload it receives.
+ * @param {number} port - The port the server listens on.
+ * @returns {Promise<{client: WebSocket, next: Function, idle: Function, send: Function}>}
+ */
+async function connect(port) {
+    const client = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+    const received = [];
+    const waiting = [];
+
+    client.on("message", (data) => {
+        const payload = JSON.parse(data.toString());
+        const resolve = waiting.shift();
+
+        if (resolve)
+            resolve(payload);
+        else
+            received.push(payload);
+    });
+
+    await new Promise((resolve) => client.once("open", resolve));
+
+    return {
+        client,
+        send: (payload) => client.send(JSON.stringify(payload)),
+        next: () => received.length > 0 ? Promise.resolve(received.shift()) : new Promise((resolve) => waiting.push(resolve)),
+        // Resolves to whatever arrived within a short while, to check that nothing did.
+        idle: () => new Promise((resolve) => setTimeout(() => resolve(received.splice(0)), 100))
+    };
+}
+
+describe("WebSocket delivery", () => {
+    let app;
+    let server;
+    let port;
+    let alice;
+    let bob;
+    let carol;
+    const clients = [];
+
+    before(async () => {
+        ({ app, server } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+        carol = await register(app, "carol");
+
+        for (const key of ["push-key", "flush-key", "own-key", "kept-key"])
+            await chat(app, alice, bob, key);
+
+        port = (await server.listen(0, "127.0.0.1")).server.address().port;
+    });
+
+    after(async () => {
+        clients.forEach(({ client }) => client.terminate());
+        await server.close({ timeout: 100 });
+    });
+
+    const subscribe = async (user, keys) => {
+        const socket = await connect(port);
+
+        clients.push(socket);
+        socket.send({ action: "subscribe", token: user.token, keys });
+
+        const response = await socket.next();
+
+        assert.equal(response.response, "Subscribed successfully");
+
+        return socket;
+    };
+
+    it("rejects subscriptions without a valid token", async () => {
+        const socket = await connect(port);
+
+        clients.push(socket);
+        socket.send({ action: "subscribe", token: "nope", keys: ["key"] });
+
+        assert.equal((await socket.next()).error, "Unauthorized");
+    });
+
+    it("pushes new messages to subscribers of the key", async () => {
+        const socket = await subscribe(bob, ["push-key"]);
+
+        await app.post("/send").set(alice.auth).send({ key: "push-key", content: "pushed" }).expect(200);
+
+        const { event, key, messages } = await socket.next();
+
+        assert.equal(event, "message");
+        assert.equal(key, "push-key");
+        assert.deepEqual(messages.map((message) => [message.content, message.sender]), [["pushed", "alice"]]);
+    });
+
+    it("flushes the messages stored before subscribing", async () => {
+        await app.post("/send").set(alice.auth).send({ key: "flush-key", content: "stored" }).expect(200);
+
+        const socket = await subscribe(bob, ["flush-key"]);
+        const { messages } = await socket.next();
+
+        assert.deepEqual(messages.map((message) => message.content), ["stored"]);
+    });
+
+    it("does not count the sender's own socket as a delivery", async () => {
+        const socket = await subscribe(alice, ["own-key"]);
+
+        await app.post("/send").set(alice.auth).send({ key: "own-key", content: "for bob" }).expect(200);
+
+        assert.deepEqual(await socket.idle(), []);
+
+        const { messages } = (await app.post("/receive").set(bob.auth).send({ key: "own-key" }).expect(200)).body.data;
+
+        assert.deepEqual(messages.map((message) => message.content), ["for bob"]);
+    });
+
+    it("keeps pushed messages until they are acknowledged", async () => {
+        const socket = await subscribe(bob, ["kept-key"]);
+
+        await app.post("/send").set(alice.auth).send({ key: "kept-key", content: "kept" }).expect(200);
+
+        const [pushed] = (await socket.next()).messages;
+        const stored = (await app.post("/receive").set(bob.auth).send({ key: "kept-key" }).expect(200)).body.data.messages;
+
+        assert.deepEqual(stored.map((message) => message.id), [pushed.id]);
+
+        socket.client.terminate();
+
+        const again = await subscribe(bob, ["kept-key"]);
+
+        assert.deepEqual((await again.next()).messages.map((message) => message.id), [pushed.id]);
+
+        await app.post("/ack").set(bob.auth).send({ key: "kept-key", ids: [pushed.id] }).expect(200);
+
+        const status = (await app.post("/status").set(alice.auth).send({ ids: [pushed.id] }).expect(200)).body.data;
+
+        assert.equal(status[0].status, "delivered");
+        assert.deepEqual((await app.post("/receive").set(bob.auth).send({ key: "kept-key" }).expect(200)).body.data.messages, []);
+    });
+
+    it("queues pushed conversation messages for the device until it acknowledges them", async () => {
+        const { key } = (await app.post("/conversation/create").set(alice.auth).send({ members: ["bob"] }).expect(201)).body.data;
+        const socket = await subscribe(bob, [key]);
+
+        await app.post("/send").set(alice.auth).send({ key, content: "team" }).expect(200);
+
+        const [pushed] = (await socket.next()).messages;
+        const queued = (await app.post("/receive").set(bob.auth).send({ key }).expect(200)).body.data.messages;
+
+        assert.deepEqual(queued.map((message) => message.id), [pushed.id]);
+
+        await app.post("/ack").set(bob.auth).send({ key, ids: [pushed.id] }).expect(200);
+
+        assert.deepEqual((await app.post("/receive").set(bob.auth).send({ key }).expect(200)).body.data.messages, []);
+    });
+
+    it("refuses conversation keys of other members", async () => {
+        const { key } = (await app.post("/conversation/create").set(alice.auth).send({}).expect(201)).body.data;
+        const socket = await connect(port);
+
+        clients.push(socket);
+        socket.send({ action: "subscribe", token: bob.token, keys: [key] });
+
+        assert.equal((await socket.next()).error, "Forbidden");
+        assert.deepEqual((await socket.next()).keys, []);
+    });
+
+    it("refuses one-to-one keys of other users", async () => {
+        const socket = await connect(port);
+
+        clients.push(socket);
+        socket.send({ action: "subscribe", token: carol.token, keys: ["push-key", "never-created"] });
+
+        assert.equal((await socket.next()).error, "Forbidden");
+        assert.deepEqual((await socket.next()).keys, []);
+
+        await app.post("/send").set(alice.auth).send({ key: "push-key", content: "not for carol" }).expect(200);
+
+        assert.deepEqual(await socket.idle(), []);
+    });
+});
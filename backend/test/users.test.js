@@ -0,0 +1,179 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, generateKey, login, register, sign, signupBody } from "./helpers.js";
+
+describe("users and keys", () => {
+    let app;
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        ({ app, server } = await createServer());
+        alice = await register(app, "alice");
+        bob = await register(app, "bob");
+    });
+
+    after(() => server.close());
+
+    describe("POST /signup", () => {
+        it("creates a user", async () => {
+            const { publicKey } = await generateKey();
+            const response = await app.post("/signup").send(signupBody("carol", publicKey)).expect(200);
+
+            assert.equal(response.body.response, "User created successfully");
+        });
+
+        it("rejects a body without an identity key", async () => {
+            const { identityKey, ...body } = signupBody("dave", (await generateKey()).publicKey);
+            const response = await app.post("/signup").send(body).expect(400);
+
+            assert.equal(response.body.error, "Invalid request");
+            assert.match(response.body.details, /identityKey/);
+        });
+
+        it("answers 409 for a taken identifier", async () => {
+            const response = await app.post("/signup").send(signupBody("alice", (await generateKey()).publicKey)).expect(409);
+
+            assert.equal(response.body.error, "Conflict");
+        });
+    });
+
+    describe("POST /challenge and /token", () => {
+        it("answers 404 for an unknown user", async () => {
+            await app.post("/challenge").send({ identifier: "nobody" }).expect(404);
+        });
+
+        it("rejects a signature made with another key", async () => {
+            const { nonce } = (await app.post("/challenge").send({ identifier: "alice" }).expect(200)).body.data;
+            const response = await app.post("/token")
+                .send({ identifier: "alice", nonce, signature: await sign(bob.privateKey, nonce) })
+                .expect(401);
+
+            assert.equal(response.body.details, "Invalid or expired challenge.");
+        });
+
+        it("accepts every nonce only once", async () => {
+            const { nonce } = (await app.post("/challenge").send({ identifier: "alice" }).expect(200)).body.data;
+            const signature = await sign(alice.privateKey, nonce);
+
+            await app.post("/token").send({ identifier: "alice", nonce, signature }).expect(200);
+            await app.post("/token").send({ identifier: "alice", nonce, signature }).expect(401);
+        });
+
+        it("rejects a nonce answered for another user", async () => {
+            const { nonce } = (await app.post("/challenge").send({ identifier: "alice" }).expect(200)).body.data;
+
+            await app.post("/token").send({ identifier: "bob", nonce, signature: await sign(bob.privateKey, nonce) }).expect(401);
+        });
+
+        it("issues tokens for the primary device", async () => {
+            const token = await login(app, "alice", alice.privateKey);
+
+            assert.equal(token.split(".").length, 2);
+        });
+    });
+
+    describe("POST /user", () => {
+        it("returns the signed-in user without extra columns", async () => {
+            const response = await app.post("/user").set(alice.auth).send({ identifier: "alice" }).expect(200);
+
+            assert.deepEqual(Object.keys(response.body.data).sort(), ["id", "identifier", "name"]);
+            assert.equal(response.body.data.name, "User alice");
+        });
+
+        it("answers 403 for another user", async () => {
+            await app.post("/user").set(alice.auth).send({ identifier: "bob" }).expect(403);
+        });
+
+        it("rejects a body without an identifier", async () => {
+            await app.post("/user").set(alice.auth).send({}).expect(400);
+        });
+    });
+
+    describe("POST /prekeys", () => {
+        it("publishes one-time prekeys", async () => {
+            const response = await app.post("/prekeys").set(bob.auth)
+                .send({ identifier: "bob", oneTimePreKeys: [{ keyId: 3, publicKey: "AAAA" }] })
+                .expect(200);
+
+            assert.equal(response.body.data.remaining, 3);
+        });
+
+        it("answers 409 for a reused keyId", async () => {
+            await app.post("/prekeys").set(bob.auth)
+                .send({ identifier: "bob", oneTimePreKeys: [{ keyId: 1, publicKey: "AAAA" }] })
+                .expect(409);
+        });
+
+        it("answers 403 for another user's keys", async () => {
+            await app.post("/prekeys").set(alice.auth)
+                .send({ identifier: "bob", oneTimePreKeys: [{ keyId: 9, publicKey: "AAAA" }] })
+                .expect(403);
+        });
+
+        it("rejects a malformed prekey", async () => {
+            await app.post("/prekeys").set(bob.auth)
+                .send({ identifier: "bob", oneTimePreKeys: [{ keyId: "four" }] })
+                .expect(400);
+        });
+    });
+
+    describe("POST /bundle", () => {
+        it("hands out each one-time prekey once, then none", async () => {
+            const { publicKey } = await generateKey();
+
+            await app.post("/signup").send(signupBody("erin", publicKey)).expect(200);
+
+            const bundles = [];
+
+            for (let i = 0; i < 3; i++)
+                bundles.push((await app.post("/bundle").set(alice.auth).send({ identifier: "erin" }).expect(200)).body.data);
+
+            assert.equal(bundles[0].identityKey, publicKey);
+            assert.deepEqual(bundles.map((bundle) => bundle.oneTimePreKey && bundle.oneTimePreKey.keyId), [1, 2, null]);
+            assert.ok(bundles.every((bundle) => bundle.signedPreKey.keyId === 1));
+        });
+
+        it("answers 404 for an unknown user", async () => {
+            await app.post("/bundle").set(alice.auth).send({ identifier: "nobody" }).expect(404);
+        });
+    });
+
+    describe("POST /identity", () => {
+        it("returns the identity key without handing out prekeys", async () => {
+            const { publicKey } = await generateKey();
+
+            await app.post("/signup").send(signupBody("frank", publicKey)).expect(200);
+
+            for (let i = 0; i < 3; i++) {
+                const { body } = await app.post("/identity").set(alice.auth).send({ identifier: "frank" }).expect(200);
+
+                assert.deepEqual(body.data, { identifier: "frank", identityKey: publicKey });
+            }
+
+            const bundle = (await app.post("/bundle").set(alice.auth).send({ identifier: "frank" }).expect(200)).body.data;
+
+            assert.equal(bundle.oneTimePreKey.keyId, 1);
+        });
+
+        it("answers 404 for an unknown user", async () => {
+            await app.post("/identity").set(alice.auth).send({ identifier: "nobody" }).expect(404);
+        });
+
+        it("answers 401 without a token", async () => {
+            await app.post("/identity").send({ identifier: "alice" }).expect(401);
+        });
+    });
+
+    describe("POST /settings", () => {
+        it("reads and updates the read receipts setting", async () => {
+            assert.equal((await app.post("/settings").set(alice.auth).send({}).expect(200)).body.data.readReceipts, true);
+            assert.equal((await app.post("/settings").set(alice.auth).send({ readReceipts: false }).expect(200)).body.data.readReceipts, false);
+        });
+
+        it("rejects a non-boolean value", async () => {
+            await app.post("/settings").set(alice.auth).send({ readReceipts: "maybe" }).expect(400);
+        });
+    });
+});
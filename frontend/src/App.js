@@ -1,23 +1,127 @@
-import logo from './logo.svg';
+import { useEffect, useState } from 'react';
 import './App.css';
+import Conversation from './components/Conversation';
+import History from './components/History';
+import Invite from './components/Invite';
+import Settings from './components/Settings';
+import Signup from './components/Signup';
+import Unlock from './components/Unlock';
+import { configureAuth } from './api';
+import { configureContacts } from './contacts';
+import { loadIdentity, moveIdentity } from './crypto';
+import { loadPreferences, savePreferences } from './preferences';
+import { Vault } from './vault';
+
+const USER_KEY = 'ciphered.user';
+
+// An invite link opens the app with the token in the query string.
+const openedLink = () => (new URLSearchParams(window.location.search).has('invite') ? window.location.href : '');
+
+const loadUser = () => {
+  const stored = window.localStorage.getItem(USER_KEY);
+
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Activity that keeps the history unlocked.
+const ACTIVITY = ['pointerdown', 'keydown'];
+
+function App({ vault: providedVault }) {
+  const [user, setUser] = useState(loadUser);
+  const [identity, setIdentity] = useState(loadIdentity);
+  const [chat, setChat] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [vault] = useState(() => providedVault || new Vault());
+  const [unlocked, setUnlocked] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [link] = useState(openedLink);
+
+  useEffect(() => {
+    configureAuth(user && user.identifier, identity);
+  }, [user, identity]);
+
+  // An open chat shows history, so it closes with the vault. Keys moved into
+  // the vault are gone until it unlocks again.
+  useEffect(() => vault.onLock(() => {
+    configureContacts(null);
+    setUnlocked(false);
+    setChat(null);
+    setIdentity(loadIdentity());
+  }), [vault]);
+
+  useEffect(() => {
+    ACTIVITY.forEach((event) => window.addEventListener(event, vault.touch));
+
+    return () => ACTIVITY.forEach((event) => window.removeEventListener(event, vault.touch));
+  }, [vault]);
+
+  const handleUnlocked = async () => {
+    const [kept] = await Promise.all([moveIdentity(vault), configureContacts(vault)]);
+
+    setIdentity((current) => kept || current);
+    setUnlocked(true);
+  };
+
+  const handleHistoryChat = (opened) => {
+    setShowHistory(false);
+    setChat(opened);
+  };
+
+  const handleSignedUp = (signedUp) => {
+    window.localStorage.setItem(USER_KEY, JSON.stringify(signedUp));
+    setIdentity(loadIdentity());
+    setUser(signedUp);
+  };
+
+  let screen;
+
+  if (!user) {
+    screen = <Signup onSignedUp={handleSignedUp} />;
+  } else if (!identity) {
+    screen = <Unlock vault={vault} onUnlocked={handleUnlocked} />;
+  } else if (!chat) {
+    screen = <Invite user={user} identity={identity} link={link} onChat={setChat} />;
+  } else {
+    screen = (
+      <Conversation
+        user={user}
+        identity={identity}
+        chat={chat}
+        vault={unlocked ? vault : null}
+        sealedSender={preferences.sealedSender}
+        onLeave={() => setChat(null)}
+      />
+    );
+  }
 
-function App() {
   return (
     <div className="App">
       <header className="App-header">
-        <img src={logo} className="App-logo" alt="logo" />
-        <p>
-          Edit <code>src/App.js</code> and save to reload.
-        </p>
-        <a
-          className="App-link"
-          href="https://reactjs.org"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Learn React
-        </a>
+        <h1>Ciphered</h1>
+        {user && <span>Signed in as {user.identifier}</span>}
+        {user && identity && (
+          <button type="button" onClick={() => setShowHistory((shown) => !shown)} aria-expanded={showHistory}>
+            History
+          </button>
+        )}
+        {user && unlocked && (
+          <button type="button" onClick={() => vault.lock()}>
+            Lock
+          </button>
+        )}
+        {user && (
+          <button type="button" onClick={() => setShowSettings((shown) => !shown)} aria-expanded={showSettings}>
+            Settings
+          </button>
+        )}
       </header>
+      {user && showSettings && (
+        <Settings preferences={preferences} onPreferences={(changes) => setPreferences(savePreferences(changes))} />
+      )}
+      {user && identity && showHistory && !unlocked && <Unlock vault={vault} onUnlocked={handleUnlocked} />}
+      {user && identity && showHistory && unlocked && <History vault={vault} onChat={handleHistoryChat} />}
+      <main>{screen}</main>
     </div>
   );
 }
@@ -1,8 +1,103 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { generateIdentity, loadIdentity, saveIdentity } from './crypto';
+import { authRoutes, mockFetch } from './testUtils';
+import { Vault, memoryBackend } from './vault';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('starts on the signup screen and moves on to invites', async () => {
+  mockFetch({ '/signup': () => [200, { response: 'User created successfully' }] });
 
-test('renders learn react link', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Alice' } });
+  fireEvent.change(screen.getByLabelText('Identifier'), { target: { value: 'alice' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+
+  expect(await screen.findByText('Signed in as alice')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Invite someone' })).toBeInTheDocument();
+});
+
+test('opens and leaves a conversation after joining a chat', async () => {
+  const bob = await generateIdentity();
+
+  saveIdentity(await generateIdentity());
+  window.localStorage.setItem('ciphered.user', JSON.stringify({ name: 'Alice', identifier: 'alice' }));
+  mockFetch({
+    ...authRoutes,
+    '/invite/claim': () => [200, { response: 'Invite claimed successfully', data: { key: 'shared-key', identifier: 'bob' } }],
+    '/identity': () => [200, { response: 'Identity key found', data: { identifier: 'bob', identityKey: bob.publicKey } }],
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/mailbox/create': ({ mailbox }) => [200, { response: 'Mailbox registered successfully', data: { mailbox, expiresAt: 0 } }],
+    '/sealed/receive': () => [200, { response: 'Messages found', data: { messages: [], cursor: 0, more: false } }],
+  });
+
+  render(<App />);
+
+  fireEvent.change(screen.getByLabelText('Invite link'), { target: { value: 'aHvBOyaBjJfdZOWTXCfoDIO1t9WNtsT8' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Join chat' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'The numbers match' })).toBeEnabled());
+  fireEvent.click(screen.getByRole('button', { name: 'The numbers match' }));
+
+  expect(await screen.findByRole('heading', { name: 'Chat with bob' })).toBeInTheDocument();
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Check messages' })).toBeEnabled());
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Leave' }));
+  expect(screen.getByRole('heading', { name: 'Join a chat' })).toBeInTheDocument();
+});
+
+test('unlocks the history with a passphrase and locks it again', async () => {
+  const vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+
+  saveIdentity(await generateIdentity());
+  window.localStorage.setItem('ciphered.user', JSON.stringify({ name: 'Alice', identifier: 'alice' }));
+
+  render(<App vault={vault} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'History' }));
+  fireEvent.change(await screen.findByLabelText('Passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.change(screen.getByLabelText('Confirm passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByText('No chats kept yet.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Lock' }));
+
+  expect(vault.locked).toBe(true);
+  expect(screen.queryByRole('button', { name: 'Lock' })).not.toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: 'Unlock history' })).toBeInTheDocument();
+});
+
+test('keeps the keys in the vault once unlocked and asks for the passphrase on the next start', async () => {
+  const vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+  const identity = await generateIdentity();
+
+  saveIdentity(identity);
+  window.localStorage.setItem('ciphered.user', JSON.stringify({ name: 'Alice', identifier: 'alice' }));
+
+  const { unmount } = render(<App vault={vault} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'History' }));
+  fireEvent.change(await screen.findByLabelText('Passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.change(screen.getByLabelText('Confirm passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByText('No chats kept yet.')).toBeInTheDocument();
+  expect(loadIdentity()).toBeNull();
+  expect(vault.get('keys', 'identity')).toEqual(identity);
+
+  vault.lock();
+  unmount();
+  render(<App vault={vault} />);
+
+  expect(screen.queryByRole('button', { name: 'History' })).not.toBeInTheDocument();
+  fireEvent.change(await screen.findByLabelText('Passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByRole('heading', { name: 'Join a chat' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Lock' })).toBeInTheDocument();
 });
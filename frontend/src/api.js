@@ -0,0 +1,346 @@
+/**
+ * Thin client for the backend's JSON endpoints.
+ *
+ * Every endpoint answers failures with `{ error, details }`; those bodies are
+ * turned into an {@link ApiError} so screens can show both parts.
+ */
+
+import { sign } from './crypto';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3003';
+
+// Refresh tokens a little before they expire so in-flight requests don't race it.
+const TOKEN_MARGIN = 30 * 1000;
+
+let auth = null;
+
+export class ApiError extends Error {
+  constructor(status, error, details) {
+    super(error || 'Request failed');
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details || null;
+  }
+}
+
+/**
+ * Send a request and return the raw response once it is known to be successful.
+ * @param {string} path - Endpoint path, e.g. `/signup`.
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ * @throws {ApiError}
+ */
+async function request(path, init) {
+  let response;
+
+  try {
+    response = await fetch(`${API_URL}${path}`, init);
+  } catch (err) {
+    throw new ApiError(0, 'Network error', err.message);
+  }
+
+  if (!response.ok) {
+    let data = {};
+
+    try {
+      data = await response.json();
+    } catch {
+      // Rate limit and proxy errors may not carry a JSON body.
+    }
+
+    throw new ApiError(response.status, data.error || data.message, data.details);
+  }
+
+  return response;
+}
+
+/**
+ * POST a JSON body to an endpoint and return the parsed response.
+ * @param {string} path - Endpoint path, e.g. `/signup`.
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ * @throws {ApiError}
+ */
+export async function post(path, body, headers = {}) {
+  const response = await request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Set the identity used to authenticate requests, or clear it with `null`.
+ * @param {string|null} identifier
+ * @param {{privateKey: JsonWebKey}} [identity]
+ */
+export function configureAuth(identifier, identity) {
+  auth = identifier ? { identifier, identity, token: null, expiresAt: 0 } : null;
+}
+
+/**
+ * Get a bearer token, proving ownership of the identity key by signing a
+ * server nonce when the current token is missing or about to expire.
+ * @returns {Promise<string>}
+ */
+export async function getToken() {
+  if (!auth) {
+    throw new ApiError(401, 'Unauthorized', 'Sign up before using this screen.');
+  }
+
+  if (!auth.token || auth.expiresAt - TOKEN_MARGIN < Date.now()) {
+    const { identifier, identity } = auth;
+    const { data: { nonce } } = await post('/challenge', { identifier });
+    const signature = await sign(identity, nonce);
+    const { data } = await post('/token', { identifier, nonce, signature });
+
+    auth.token = data.token;
+    auth.expiresAt = data.expiresAt;
+  }
+
+  return auth.token;
+}
+
+/**
+ * Run a request with a bearer token, fetching a new token once if the server
+ * rejects the current one.
+ * @param {function(string): Promise<*>} send - Sends the request with the given token.
+ * @returns {Promise<*>}
+ */
+async function withToken(send) {
+  try {
+    return await send(await getToken());
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.status !== 401 || !auth) {
+      throw err;
+    }
+
+    auth.token = null;
+
+    return send(await getToken());
+  }
+}
+
+/**
+ * POST with a bearer token, fetching a new token once if the server rejects
+ * the current one.
+ * @param {string} path
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ */
+export const authorizedPost = (path, body) =>
+  withToken((token) => post(path, body, { Authorization: `Bearer ${token}` }));
+
+export const signup = (body) => post('/signup', body);
+
+/**
+ * Look up the identity key a user published, without using up any of their
+ * one-time prekeys.
+ * @param {string} identifier
+ * @returns {Promise<{identifier: string, identityKey: string}>}
+ */
+export const fetchIdentityKey = (identifier) =>
+  authorizedPost('/identity', { identifier }).then(({ data }) => data);
+
+/**
+ * Create an invite token others can claim to start a chat with us.
+ * @param {{ttl?: number, maxUses?: number}} [options] - Lifetime in seconds and how many people may claim it.
+ * @returns {Promise<{id: number, token: string, maxUses: number, expiresAt: number}>}
+ */
+export const createInvite = (options = {}) =>
+  authorizedPost('/invite/create', options).then(({ data }) => data);
+
+/**
+ * Claim an invite token.
+ * @param {string} token
+ * @returns {Promise<{key: string, identifier: string}>} The new chat key and the inviter.
+ */
+export const claimInvite = (token) =>
+  authorizedPost('/invite/claim', { token }).then(({ data }) => data);
+
+/**
+ * List our invites with the chats their claims started.
+ * @returns {Promise<Array<{id: number, claims: Array<{identifier: string, key: string}>}>>}
+ */
+export const fetchInvites = () =>
+  authorizedPost('/invites', {}).then(({ data }) => data);
+
+export const revokeInvite = (id) => authorizedPost('/invite/revoke', { id });
+
+/**
+ * Send an envelope to a chat.
+ * @param {string} key
+ * @param {string} content
+ * @returns {Promise<{id: number, expiresAt: number}>} The stored message.
+ */
+export const sendMessage = (key, content) =>
+  authorizedPost('/send', { key, content }).then(({ data }) => data);
+
+/**
+ * Tell the senders of messages that we read them. The backend ignores this
+ * when read receipts are turned off in the settings.
+ * @param {number[]} ids
+ */
+export const markRead = (ids) => authorizedPost('/read', { ids });
+
+/**
+ * Fetch whether messages we sent were delivered or read.
+ * @param {number[]} ids
+ * @returns {Promise<Array<{id: number, status: string, recipients: Object[]}>>}
+ */
+export const fetchStatus = (ids) =>
+  authorizedPost('/status', { ids }).then(({ data }) => data);
+
+export const fetchSettings = () =>
+  authorizedPost('/settings', {}).then(({ data }) => data);
+
+export const updateSettings = (settings) =>
+  authorizedPost('/settings', settings).then(({ data }) => data);
+
+/**
+ * Fetch the pending messages of a chat after a cursor, page by page, oldest
+ * first. They stay on the server until acknowledged with
+ * {@link acknowledgeMessages}. Older backends answer 404 when there are none,
+ * which is not an error for the caller.
+ * @param {string} key
+ * @param {{after?: number}} [options] - Id of the last message already fetched.
+ * @returns {Promise<Array<{id: number, key: string, content: string, sender: string|null, sentAt: number|null}>>}
+ */
+export async function receiveMessages(key, { after = 0 } = {}) {
+  const messages = [];
+  let cursor = after;
+  let more = true;
+
+  try {
+    while (more) {
+      const { data } = await authorizedPost('/receive', { key, after: cursor });
+
+      messages.push(...data.messages);
+      ({ cursor, more } = data);
+    }
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.status !== 404) {
+      throw err;
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Tell the server messages arrived, so it can delete them.
+ * @param {string} key
+ * @param {number[]} ids
+ */
+export const acknowledgeMessages = (key, ids) => authorizedPost('/ack', { key, ids });
+
+/**
+ * Register one of our sealed-sender mailboxes, or extend it.
+ * @param {string} mailbox - The mailbox id from `deriveMailbox`.
+ * @param {string} tokenHash - The hex SHA-256 of its delivery token.
+ * @param {{ttl?: number}} [options] - Lifetime in seconds.
+ * @returns {Promise<{mailbox: string, expiresAt: number}>}
+ */
+export const registerMailbox = (mailbox, tokenHash, options = {}) =>
+  authorizedPost('/mailbox/create', { mailbox, tokenHash, ...options }).then(({ data }) => data);
+
+/**
+ * Deliver a sealed envelope to a mailbox. The request carries no token of
+ * ours, only the delivery token of the mailbox, so the server cannot tell
+ * who sent it.
+ * @param {string} mailbox
+ * @param {string} token
+ * @param {string} content
+ * @returns {Promise<{id: number, expiresAt: number}>}
+ */
+export const sendSealed = (mailbox, token, content) =>
+  post('/sealed/send', { mailbox, token, content }).then(({ data }) => data);
+
+/**
+ * Fetch every page of messages waiting in one of our sealed mailboxes.
+ * @param {string} mailbox
+ * @param {{after?: number}} [options] - Id of the last message already fetched.
+ * @returns {Promise<Array<{id: number, content: string, sentAt: number}>>}
+ */
+export async function receiveSealed(mailbox, { after = 0 } = {}) {
+  const messages = [];
+  let cursor = after;
+  let more = true;
+
+  while (more) {
+    const { data } = await authorizedPost('/sealed/receive', { mailbox, after: cursor });
+
+    messages.push(...data.messages);
+    ({ cursor, more } = data);
+  }
+
+  return messages;
+}
+
+export const acknowledgeSealed = (mailbox, ids) => authorizedPost('/sealed/ack', { mailbox, ids });
+
+// Chunks that fail on the network or race another upload are retried this many times.
+const UPLOAD_RETRIES = 3;
+
+/**
+ * Upload an encrypted attachment in chunks. After a network error or an
+ * offset conflict the upload resumes from what the server actually received.
+ * @param {Uint8Array} ciphertext - Output of `encryptAttachment`.
+ * @param {string} checksum - Hex SHA-256 of the ciphertext.
+ * @param {{onProgress?: function(number, number): void}} [options]
+ * @returns {Promise<string>} The attachment id.
+ */
+export async function uploadAttachment(ciphertext, checksum, { onProgress } = {}) {
+  const { data: { id, chunkSize } } = await authorizedPost('/attachment/create', { size: ciphertext.length, checksum });
+  let offset = 0;
+  let retries = UPLOAD_RETRIES;
+
+  while (offset < ciphertext.length) {
+    const start = offset;
+    const chunk = ciphertext.subarray(start, start + chunkSize);
+
+    try {
+      await withToken((token) => request(`/attachment/${id}?offset=${start}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', Authorization: `Bearer ${token}` },
+        body: chunk,
+      }));
+
+      offset += chunk.length;
+    } catch (err) {
+      if (!(err instanceof ApiError) || ![0, 409].includes(err.status) || retries === 0) {
+        throw err;
+      }
+
+      retries -= 1;
+      ({ data: { received: offset } } = await authorizedPost('/attachment/status', { id }));
+    }
+
+    if (onProgress) {
+      onProgress(offset, ciphertext.length);
+    }
+  }
+
+  return id;
+}
+
+/**
+ * Download the ciphertext of an attachment.
+ * @param {string} id
+ * @returns {Promise<Uint8Array>}
+ */
+export async function downloadAttachment(id) {
+  const response = await withToken((token) => request('/attachment/download', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ id }),
+  }));
+
+  return new Uint8Array(await response.arrayBuffer());
+}
@@ -0,0 +1,157 @@
+import {
+  ApiError,
+  authorizedPost,
+  configureAuth,
+  downloadAttachment,
+  post,
+  receiveMessages,
+  receiveSealed,
+  sendSealed,
+  uploadAttachment,
+} from './api';
+import { generateIdentity, verify } from './crypto';
+import { authRoutes, mockFetch, requestBody } from './testUtils';
+
+test('maps error bodies to ApiError', async () => {
+  mockFetch({ '/user': () => [403, { error: 'Forbidden', details: 'The token does not belong to this identifier.' }] });
+
+  const error = await post('/user', { identifier: 'bob' }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ status: 403, message: 'Forbidden', details: 'The token does not belong to this identifier.' });
+});
+
+test('treats an empty inbox as no messages', async () => {
+  configureAuth('alice', await generateIdentity());
+  mockFetch({ ...authRoutes, '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }] });
+
+  await expect(receiveMessages('key')).resolves.toEqual([]);
+});
+
+test('fetches every page of messages after the cursor', async () => {
+  const messages = [1, 2, 3].map((id) => ({ id, key: 'key', content: `message ${id}` }));
+
+  configureAuth('alice', await generateIdentity());
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/receive': ({ after }) => {
+      const next = messages.filter(({ id }) => id > after).slice(0, 2);
+
+      return [200, { response: 'Messages found', data: { messages: next, cursor: next[next.length - 1].id, more: next[next.length - 1].id < 3 } }];
+    },
+  });
+
+  await expect(receiveMessages('key', { after: 0 })).resolves.toEqual(messages);
+  expect(requestBody(fetch, '/receive', 1)).toEqual({ key: 'key', after: 2 });
+});
+
+test('signs the server nonce with the identity key and sends the token', async () => {
+  const identity = await generateIdentity();
+
+  configureAuth('alice', identity);
+  const fetch = mockFetch({ ...authRoutes, '/user': () => [200, { response: 'User found' }] });
+
+  await authorizedPost('/user', { identifier: 'alice' });
+  await authorizedPost('/user', { identifier: 'alice' });
+
+  const { nonce, signature, identifier } = requestBody(fetch, '/token');
+  const calls = fetch.mock.calls.map(([url]) => new URL(url).pathname);
+
+  expect(identifier).toBe('alice');
+  await expect(verify(identity.publicKey, nonce, signature)).resolves.toBe(true);
+  expect(calls).toEqual(['/challenge', '/token', '/user', '/user']);
+  expect(fetch.mock.calls[2][1].headers).toMatchObject({ Authorization: 'Bearer test-token' });
+});
+
+test('fetches a new token once when the server rejects the current one', async () => {
+  configureAuth('alice', await generateIdentity());
+
+  let rejections = 1;
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/send': () => (rejections-- > 0 ? [401, { error: 'Unauthorized', details: 'Invalid or expired token.' }] : [200, { response: 'Message sent successfully' }]),
+  });
+
+  await expect(authorizedPost('/send', { key: 'k', content: 'c' })).resolves.toEqual({ response: 'Message sent successfully' });
+  expect(fetch.mock.calls.filter(([url]) => url.endsWith('/token'))).toHaveLength(2);
+});
+
+test('refuses authorized requests before signing up', async () => {
+  configureAuth(null);
+  const fetch = mockFetch({});
+
+  await expect(authorizedPost('/send', {})).rejects.toMatchObject({ status: 401 });
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+test('uploads attachments in chunks and resumes after a conflict', async () => {
+  configureAuth('alice', await generateIdentity());
+
+  const stored = [];
+  let conflicts = 1;
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/attachment/create': () => [201, { response: 'Attachment created successfully', data: { id: 'abc', chunkSize: 4, expiresAt: 0 } }],
+    '/attachment/abc': (chunk, url) => {
+      const offset = Number(url.searchParams.get('offset'));
+
+      if (offset === 4 && conflicts-- > 0) {
+        stored.push(...chunk);
+        return [409, { error: 'Conflict', details: 'Expected offset 8 of 10.' }];
+      }
+
+      stored.splice(offset, chunk.length, ...chunk);
+      return [200, { response: 'Chunk stored' }];
+    },
+    '/attachment/status': () => [200, { response: 'Attachment found', data: { size: 10, received: stored.length } }],
+  });
+  const progress = jest.fn();
+
+  await expect(uploadAttachment(Uint8Array.from('0123456789', Number), 'sum', { onProgress: progress })).resolves.toBe('abc');
+
+  expect(stored).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  expect(requestBody(fetch, '/attachment/create')).toEqual({ size: 10, checksum: 'sum' });
+  expect(fetch.mock.calls.filter(([url]) => url.includes('/attachment/abc'))
+    .map(([url, { headers }]) => [new URL(url).searchParams.get('offset'), headers['Content-Type']]))
+    .toEqual([['0', 'application/octet-stream'], ['4', 'application/octet-stream'], ['8', 'application/octet-stream']]);
+  expect(progress).toHaveBeenLastCalledWith(10, 10);
+});
+
+test('downloads attachment ciphertext as bytes', async () => {
+  configureAuth('alice', await generateIdentity());
+  const fetch = mockFetch({ ...authRoutes, '/attachment/download': () => [200, new Uint8Array([1, 2, 3]).buffer] });
+
+  await expect(downloadAttachment('abc')).resolves.toEqual(new Uint8Array([1, 2, 3]));
+  expect(requestBody(fetch, '/attachment/download')).toEqual({ id: 'abc' });
+});
+
+test('delivers sealed messages without authenticating the sender', async () => {
+  configureAuth('alice', await generateIdentity());
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/sealed/send': () => [200, { response: 'Message sent successfully', data: { id: 3, expiresAt: 0 } }],
+  });
+
+  await expect(sendSealed('mailbox', 'token', 'sealed')).resolves.toEqual({ id: 3, expiresAt: 0 });
+
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+  expect(requestBody(fetch, '/sealed/send')).toEqual({ mailbox: 'mailbox', token: 'token', content: 'sealed' });
+});
+
+test('fetches every page of a sealed mailbox', async () => {
+  const messages = [1, 2, 3].map((id) => ({ id, content: `sealed ${id}` }));
+
+  configureAuth('alice', await generateIdentity());
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/sealed/receive': ({ after }) => {
+      const next = messages.filter(({ id }) => id > after).slice(0, 2);
+
+      return [200, { response: 'Messages found', data: { messages: next, cursor: next[next.length - 1].id, more: next[next.length - 1].id < 3 } }];
+    },
+  });
+
+  await expect(receiveSealed('mailbox')).resolves.toEqual(messages);
+  expect(requestBody(fetch, '/sealed/receive', 1)).toEqual({ mailbox: 'mailbox', after: 2 });
+});
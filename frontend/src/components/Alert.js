@@ -0,0 +1,17 @@
+/**
+ * Shows an error returned by the API, including the backend's `details`.
+ */
+function Alert({ error }) {
+  if (!error) {
+    return null;
+  }
+
+  return (
+    <div className="Alert" role="alert">
+      <strong>{error.message}</strong>
+      {error.details && <span> {error.details}</span>}
+    </div>
+  );
+}
+
+export default Alert;
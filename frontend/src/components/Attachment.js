@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import Alert from './Alert';
+import { downloadAttachment } from '../api';
+import { decryptAttachment } from '../crypto';
+
+export const ATTACHMENT_TYPE = 'attachment';
+
+/**
+ * Plaintext of a chat message referencing an uploaded attachment. It is
+ * encrypted like any other message, which keeps the attachment key secret.
+ * @param {{id: string, key: string, nonce: string, name: string, mime: string, size: number}} attachment
+ * @returns {string}
+ */
+export const attachmentMessage = (attachment) => JSON.stringify({ type: ATTACHMENT_TYPE, ...attachment });
+
+/**
+ * Read an attachment reference back from a decrypted message.
+ * @param {string} plaintext
+ * @returns {Object|null} The attachment, or null for ordinary text messages.
+ */
+export function parseAttachment(plaintext) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(plaintext);
+  } catch {
+    return null;
+  }
+
+  const valid = parsed && parsed.type === ATTACHMENT_TYPE
+    && ['id', 'key', 'nonce', 'name'].every((field) => typeof parsed[field] === 'string');
+
+  return valid ? parsed : null;
+}
+
+/**
+ * Read a picked file into memory.
+ * @param {File} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+const formatSize = (size) => (size >= 1024 * 1024
+  ? `${(size / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(size / 1024))} KB`);
+
+/**
+ * Shows an attachment referenced by a message. The blob is only downloaded
+ * and decrypted on demand; images are previewed inline.
+ */
+function Attachment({ attachment }) {
+  const [url, setUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => () => {
+    if (url) {
+      URL.revokeObjectURL(url);
+    }
+  }, [url]);
+
+  const handleDownload = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const ciphertext = await downloadAttachment(attachment.id);
+      const data = await decryptAttachment(ciphertext, attachment);
+
+      setUrl(URL.createObjectURL(new Blob([data], { type: attachment.mime || 'application/octet-stream' })));
+    } catch (err) {
+      setError(err);
+    }
+
+    setLoading(false);
+  };
+
+  const isImage = (attachment.mime || '').startsWith('image/');
+
+  return (
+    <div className="Attachment">
+      <span>
+        {attachment.name}
+        {attachment.size ? ` (${formatSize(attachment.size)})` : ''}
+      </span>
+
+      {url ? (
+        <>
+          {isImage && <img src={url} alt={attachment.name} />}
+          <a href={url} download={attachment.name}>
+            Save {attachment.name}
+          </a>
+        </>
+      ) : (
+        <button type="button" onClick={handleDownload} disabled={loading}>
+          {loading ? 'Decrypting…' : 'Download'}
+        </button>
+      )}
+
+      <Alert error={error} />
+    </div>
+  );
+}
+
+export default Attachment;
@@ -0,0 +1,49 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import Attachment, { attachmentMessage, parseAttachment } from './Attachment';
+import { configureAuth } from '../api';
+import { encryptAttachment, generateIdentity } from '../crypto';
+import { authRoutes, mockFetch } from '../testUtils';
+
+beforeEach(async () => {
+  configureAuth('alice', await generateIdentity());
+  URL.createObjectURL = jest.fn(() => 'blob:preview');
+  URL.revokeObjectURL = jest.fn();
+});
+
+test('tells attachment references apart from text messages', () => {
+  const attachment = { id: 'abc', key: 'a2V5', nonce: 'bm9uY2U=', name: 'cat.png', mime: 'image/png', size: 3 };
+
+  expect(parseAttachment(attachmentMessage(attachment))).toEqual({ type: 'attachment', ...attachment });
+  expect(parseAttachment('hello')).toBeNull();
+  expect(parseAttachment('{"type":"attachment"}')).toBeNull();
+});
+
+test('downloads, decrypts and previews images', async () => {
+  const { ciphertext, key, nonce } = await encryptAttachment(new Uint8Array([137, 80, 78, 71]));
+
+  mockFetch({ ...authRoutes, '/attachment/download': () => [200, ciphertext.buffer] });
+  render(<Attachment attachment={{ id: 'abc', key, nonce, name: 'cat.png', mime: 'image/png', size: 4 }} />);
+
+  expect(screen.getByText('cat.png (1 KB)')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Download' }));
+
+  expect(await screen.findByRole('img', { name: 'cat.png' })).toHaveAttribute('src', 'blob:preview');
+  expect(screen.getByRole('link', { name: 'Save cat.png' })).toHaveAttribute('download', 'cat.png');
+
+  const [blob] = URL.createObjectURL.mock.calls[0];
+
+  expect(blob.type).toBe('image/png');
+  expect(blob.size).toBe(4);
+});
+
+test('shows an error when the attachment cannot be decrypted', async () => {
+  const { key, nonce } = await encryptAttachment(new Uint8Array([1]));
+
+  mockFetch({ ...authRoutes, '/attachment/download': () => [200, new Uint8Array(32).buffer] });
+  render(<Attachment attachment={{ id: 'abc', key, nonce, name: 'notes.txt', mime: 'text/plain', size: 1 }} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Download' }));
+
+  expect(await screen.findByRole('alert')).toBeInTheDocument();
+  expect(screen.queryByRole('link')).not.toBeInTheDocument();
+});
@@ -0,0 +1,420 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import Alert from './Alert';
+import Attachment, { attachmentMessage, parseAttachment, readFile } from './Attachment';
+import SafetyNumber from './SafetyNumber';
+import {
+  acknowledgeMessages,
+  acknowledgeSealed,
+  fetchIdentityKey,
+  fetchStatus,
+  markRead,
+  receiveMessages,
+  receiveSealed,
+  registerMailbox,
+  sendMessage,
+  sendSealed,
+  uploadAttachment,
+} from '../api';
+import { checkContact, getContact, saveContact } from '../contacts';
+import {
+  MAILBOX_ROTATION,
+  decrypt,
+  deriveChatKey,
+  deriveMailbox,
+  encrypt,
+  encryptAttachment,
+  keyId,
+  mailboxEpoch,
+  seal,
+  unseal,
+} from '../crypto';
+
+/**
+ * Messages are stored under one mailbox per recipient, so that reading our
+ * own inbox through `/receive` never deletes what the peer has not read yet.
+ */
+export const mailbox = (chatKey, recipientKeyId) => `${chatKey}.${recipientKeyId}`;
+
+const RECEIPTS = {
+  sent: { ticks: '✓', label: 'Sent' },
+  delivered: { ticks: '✓✓', label: 'Delivered' },
+  read: { ticks: '✓✓', label: 'Read' },
+};
+
+/**
+ * Ticks showing how far one of our messages got.
+ */
+function Receipt({ status }) {
+  const { ticks, label } = RECEIPTS[status] || RECEIPTS.sent;
+
+  return (
+    <span className={`Receipt Receipt-${status}`} aria-label={label} title={label}>
+      {ticks}
+    </span>
+  );
+}
+
+/**
+ * Sends encrypted messages through `/send` and shows decrypted messages
+ * fetched from `/receive`. The key the peer publishes is looked up every time
+ * the chat opens, and nothing is sent or shown while it differs from the one
+ * remembered for them, until the user accepts it.
+ *
+ * Our own sealed mailboxes are always registered and checked as well, since
+ * the peer may have chosen to send that way. With `sealedSender`, our
+ * messages are sealed and delivered to the peer's mailbox of the day instead
+ * of `/send`. The server then only sees which mailbox a message went to, so
+ * no receipts are shown for them.
+ *
+ * Given an unlocked `vault`, the chat and its messages are kept in the local
+ * history and shown again the next time it is opened.
+ */
+function Conversation({ user, identity, chat, onLeave, vault = null, sealedSender = false, pollInterval = 5000 }) {
+  // The peer as currently published, null until looked up.
+  const [published, setPublished] = useState(null);
+  const peer = published || chat.peer;
+  const { identifier, identityKey } = peer;
+  const [contact, setContact] = useState(() => getContact(identifier));
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [keys, setKeys] = useState(null);
+  const [messages, setMessages] = useState(() => (vault ? vault.messages(chat.key) : []));
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [uploading, setUploading] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  // Server ids of our messages that were not read yet, checked on every refresh.
+  const unread = useRef(new Set(messages
+    .filter((message) => message.mine && message.serverId && message.status !== 'read')
+    .map((message) => message.serverId)));
+  // Id of the last message fetched, so unacknowledged messages are not shown twice.
+  const cursor = useRef(0);
+  // Rotation period our sealed mailboxes were last registered for.
+  const registered = useRef(null);
+
+  const keyChanged = contact !== null && contact.identityKey !== identityKey;
+  const own = useMemo(() => ({ identifier: user.identifier, publicKey: identity.publicKey }), [user, identity]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Without the lookup the chat goes on with the key it was opened with.
+    fetchIdentityKey(chat.peer.identifier).then((current) => {
+      if (!cancelled) {
+        setPublished(current);
+      }
+    }, (err) => {
+      if (!cancelled) {
+        setError(err);
+        setPublished(chat.peer);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chat.peer]);
+
+  // The first key seen for a contact is trusted until it is verified.
+  useEffect(() => {
+    if (checkContact(identifier, identityKey) === 'new') {
+      setContact(saveContact(identifier, identityKey));
+    }
+  }, [identifier, identityKey]);
+
+  useEffect(() => {
+    if (vault) {
+      vault.put('conversations', chat.key, { key: chat.key, peer: chat.peer }).catch(setError);
+    }
+  }, [vault, chat]);
+
+  // Unchanged messages are skipped by the vault, so only new ones and new receipts are written.
+  useEffect(() => {
+    if (vault) {
+      Promise.all(messages.map((message) => vault.addMessage(chat.key, message))).catch(setError);
+    }
+  }, [vault, chat.key, messages]);
+
+  useEffect(() => {
+    if (!published || keyChanged) {
+      setKeys(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    Promise.all([
+      deriveChatKey(identity, identityKey, chat.key),
+      keyId(identity.publicKey),
+      keyId(identityKey),
+    ]).then(([chatKey, own, peer]) => {
+      if (!cancelled) {
+        setKeys({ chatKey, own, peer });
+      }
+    }, (err) => {
+      if (!cancelled) {
+        setError(err);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [identity, identityKey, chat.key, published, keyChanged]);
+
+  // Messages delivered near a rotation may still sit in the previous mailbox.
+  const receiveSealedMessages = useCallback(async () => {
+    const epoch = mailboxEpoch();
+    const [previous, current, next] = await Promise.all(
+      [epoch - 1, epoch, epoch + 1].map((period) => deriveMailbox(identity, identityKey, chat.key, keys.own, period))
+    );
+
+    if (registered.current !== epoch) {
+      // The next mailbox is registered ahead for peers whose clock runs early.
+      await Promise.all([current, next].map(({ mailbox: id, tokenHash }) => (
+        registerMailbox(id, tokenHash, { ttl: (2 * MAILBOX_ROTATION) / 1000 })
+      )));
+      registered.current = epoch;
+    }
+
+    const received = [];
+
+    for (const { mailbox: id } of [previous, current]) {
+      const sealed = await receiveSealed(id);
+
+      received.push(...await Promise.all(sealed.map(async ({ id: messageId, content }) => {
+        const key = `sealed-${id}-${messageId}`;
+
+        try {
+          const { plaintext, senderKeyId } = await decrypt(keys.chatKey, await unseal(keys.chatKey, content));
+
+          // Only the sealed envelope tells who sent it, anyone holding the delivery token could have.
+          if (senderKeyId !== keys.peer) {
+            throw new Error('Unexpected sender.');
+          }
+
+          return { id: key, text: plaintext, attachment: parseAttachment(plaintext), mine: false };
+        } catch {
+          return { id: key, text: 'Unable to decrypt message.', mine: false, failed: true };
+        }
+      })));
+
+      if (sealed.length > 0) {
+        await acknowledgeSealed(id, sealed.map((message) => message.id));
+      }
+    }
+
+    return received;
+  }, [identity, identityKey, chat.key, keys]);
+
+  const refresh = useCallback(async () => {
+    if (!keys) {
+      return;
+    }
+
+    setRefreshing(true);
+
+    try {
+      const sealed = await receiveSealedMessages();
+
+      if (sealed.length > 0) {
+        setMessages((current) => [...current, ...sealed]);
+      }
+
+      const inbox = mailbox(chat.key, keys.own);
+      const chats = await receiveMessages(inbox, { after: cursor.current });
+      const received = await Promise.all(chats.map(async ({ id, content }) => {
+        try {
+          const { plaintext } = await decrypt(keys.chatKey, content);
+
+          return { id: `in-${id}`, text: plaintext, attachment: parseAttachment(plaintext), mine: false };
+        } catch {
+          return { id: `in-${id}`, text: 'Unable to decrypt message.', mine: false, failed: true };
+        }
+      }));
+
+      if (received.length > 0) {
+        const ids = chats.map(({ id }) => id);
+
+        cursor.current = ids[ids.length - 1];
+        setMessages((current) => [...current, ...received]);
+        await acknowledgeMessages(inbox, ids);
+        await markRead(ids);
+      }
+
+      if (unread.current.size > 0) {
+        const ids = [...unread.current];
+        const statuses = new Map((await fetchStatus(ids)).map(({ id, status }) => [id, status]));
+
+        // Messages the server no longer knows about expired before anyone received them.
+        ids.filter((id) => [undefined, 'read'].includes(statuses.get(id))).forEach((id) => unread.current.delete(id));
+        setMessages((current) => current.map((message) => (message.mine && statuses.has(message.serverId)
+          ? { ...message, status: statuses.get(message.serverId) }
+          : message)));
+      }
+
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+
+    setRefreshing(false);
+  }, [chat.key, keys, receiveSealedMessages]);
+
+  useEffect(() => {
+    refresh();
+
+    if (!keys || !pollInterval) {
+      return undefined;
+    }
+
+    const interval = setInterval(refresh, pollInterval);
+
+    return () => clearInterval(interval);
+  }, [keys, pollInterval, refresh]);
+
+  const addSent = (sent, message) => {
+    unread.current.add(sent.id);
+    setMessages((current) => [
+      ...current,
+      { id: `out-${sent.id}`, serverId: sent.id, status: 'sent', mine: true, ...message },
+    ]);
+  };
+
+  const deliver = async (envelope, message) => {
+    if (!sealedSender) {
+      addSent(await sendMessage(mailbox(chat.key, keys.peer), envelope), message);
+      return;
+    }
+
+    const { mailbox: id, token } = await deriveMailbox(identity, identityKey, chat.key, keys.peer, mailboxEpoch());
+    const sent = await sendSealed(id, token, await seal(keys.chatKey, envelope));
+
+    setMessages((current) => [...current, { id: `out-sealed-${id}-${sent.id}`, mine: true, ...message }]);
+  };
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    setError(null);
+
+    try {
+      const envelope = await encrypt(keys.chatKey, draft, keys.own);
+
+      await deliver(envelope, { text: draft });
+      setDraft('');
+    } catch (err) {
+      setError(err);
+    }
+
+    setSending(false);
+  };
+
+  const handleAttach = async (event) => {
+    const [file] = event.target.files;
+
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    setUploading(0);
+    setError(null);
+
+    try {
+      const { ciphertext, key, nonce, checksum } = await encryptAttachment(await readFile(file));
+      const id = await uploadAttachment(ciphertext, checksum, {
+        onProgress: (received, size) => setUploading(Math.floor((received / size) * 100)),
+      });
+      const attachment = { id, key, nonce, name: file.name, mime: file.type, size: file.size };
+      const envelope = await encrypt(keys.chatKey, attachmentMessage(attachment), keys.own);
+
+      await deliver(envelope, { attachment });
+    } catch (err) {
+      setError(err);
+    }
+
+    setUploading(null);
+  };
+
+  const handleVerified = () => {
+    setContact(saveContact(identifier, identityKey, { verified: true }));
+    setShowSafetyNumber(false);
+  };
+
+  const handleAcceptKey = () => {
+    setContact(saveContact(identifier, identityKey));
+  };
+
+  return (
+    <div className="Screen Conversation">
+      <header>
+        <h2>Chat with {identifier}</h2>
+        {contact && !keyChanged && (
+          <span className={contact.verified ? 'Verified Verified-yes' : 'Verified'}>
+            {contact.verified ? 'Verified' : 'Not verified'}
+          </span>
+        )}
+        <button type="button" onClick={() => setShowSafetyNumber((shown) => !shown)} aria-expanded={showSafetyNumber}>
+          Safety number
+        </button>
+        <button type="button" onClick={onLeave}>
+          Leave
+        </button>
+      </header>
+
+      {showSafetyNumber && (
+        <SafetyNumber own={own} peer={peer} onConfirm={handleVerified} onCancel={() => setShowSafetyNumber(false)} />
+      )}
+
+      {keyChanged && (
+        <div className="KeyChange" role="alert">
+          <p>
+            <strong>The safety number with {identifier} changed.</strong>
+            {' '}
+            This happens when they reinstall Ciphered, but it can also mean someone is intercepting the chat.
+            Compare safety numbers before you continue.
+          </p>
+          <button type="button" onClick={handleAcceptKey}>
+            Accept the new key
+          </button>
+        </div>
+      )}
+
+      {!keys && !error && !keyChanged && <p>Deriving keys…</p>}
+
+      <ul className="Messages" aria-label="Messages">
+        {messages.map((message) => (
+          <li key={message.id} className={message.mine ? 'Message Message-mine' : 'Message'}>
+            {message.failed && <em>{message.text}</em>}
+            {!message.failed && (message.attachment ? <Attachment attachment={message.attachment} /> : message.text)}
+            {message.mine && <Receipt status={message.status} />}
+          </li>
+        ))}
+      </ul>
+
+      <Alert error={error} />
+
+      <form onSubmit={handleSend}>
+        <label>
+          Message
+          <input value={draft} onChange={(event) => setDraft(event.target.value)} required />
+        </label>
+        <button type="submit" disabled={!keys || sending}>
+          {sending ? 'Sending…' : 'Send'}
+        </button>
+        <button type="button" onClick={refresh} disabled={!keys || refreshing}>
+          {refreshing ? 'Checking…' : 'Check messages'}
+        </button>
+      </form>
+
+      <label className="Attach">
+        {uploading === null ? 'Attach file' : `Uploading… ${uploading}%`}
+        <input type="file" onChange={handleAttach} disabled={!keys || uploading !== null} />
+      </label>
+    </div>
+  );
+}
+
+export default Conversation;
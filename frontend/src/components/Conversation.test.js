@@ -0,0 +1,374 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import Conversation, { mailbox } from './Conversation';
+import { parseAttachment } from './Attachment';
+import { configureAuth } from '../api';
+import {
+  decrypt,
+  decryptAttachment,
+  deriveChatKey,
+  deriveMailbox,
+  encrypt,
+  generateIdentity,
+  keyId,
+  mailboxEpoch,
+  seal,
+  unseal,
+} from '../crypto';
+import { getContact, saveContact } from '../contacts';
+import { authRoutes, mockFetch, requestBody } from '../testUtils';
+import { Vault, memoryBackend } from '../vault';
+
+const CHAT_KEY = 'chat-key';
+const user = { name: 'Alice', identifier: 'alice' };
+
+let alice;
+let bob;
+let chat;
+let routes;
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  alice = await generateIdentity();
+  bob = await generateIdentity();
+  chat = { key: CHAT_KEY, peer: { identifier: 'bob', identityKey: bob.publicKey } };
+  configureAuth('alice', alice);
+  routes = {
+    ...authRoutes,
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: { identifier, identityKey: bob.publicKey } }],
+    '/mailbox/create': ({ mailbox: id }) => [200, { response: 'Mailbox registered successfully', data: { mailbox: id, expiresAt: 0 } }],
+    '/sealed/receive': () => page([]),
+  };
+});
+
+const page = (messages) => [200, { response: 'Messages found', data: { messages, cursor: messages.length ? messages[messages.length - 1].id : 0, more: false } }];
+
+const bobSends = async (text) => {
+  const key = await deriveChatKey(bob, alice.publicKey, CHAT_KEY);
+
+  return encrypt(key, text, await keyId(bob.publicKey));
+};
+
+test('shows decrypted messages from the inbox and acknowledges them', async () => {
+  const inbox = [{ id: 1, key: 'ignored', content: await bobSends('hi alice') }];
+  const fetch = mockFetch({
+    ...routes,
+    '/receive': ({ after }) => page(inbox.filter(({ id }) => id > after)),
+    '/ack': () => [200, { response: 'Messages acknowledged', data: { ids: [1] } }],
+    '/read': () => [200, { response: 'Messages marked as read', data: { read: 1 } }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  const inboxKey = mailbox(CHAT_KEY, await keyId(alice.publicKey));
+
+  expect(await screen.findByText('hi alice')).toBeInTheDocument();
+  expect(requestBody(fetch, '/receive')).toEqual({ key: inboxKey, after: 0 });
+  await waitFor(() => expect(requestBody(fetch, '/read')).toEqual({ ids: [1] }));
+  expect(requestBody(fetch, '/ack')).toEqual({ key: inboxKey, ids: [1] });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Check messages' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Check messages' })).toBeEnabled());
+  expect(requestBody(fetch, '/receive', 1)).toEqual({ key: inboxKey, after: 1 });
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(screen.getAllByRole('listitem')).toHaveLength(1);
+});
+
+test('marks messages it cannot decrypt', async () => {
+  mockFetch({
+    ...routes,
+    '/receive': () => page([{ id: 1, key: 'k', content: 'garbage' }]),
+    '/ack': () => [200, { response: 'Messages acknowledged', data: { ids: [1] } }],
+    '/read': () => [200, { response: 'Messages marked as read', data: { read: 1 } }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(await screen.findByText('Unable to decrypt message.')).toBeInTheDocument();
+});
+
+test('sends an encrypted envelope to the peer mailbox', async () => {
+  const fetch = mockFetch({
+    ...routes,
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/send': () => [200, { response: 'Message sent successfully', data: { id: 7, expiresAt: 0 } }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'hello bob' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  expect(await screen.findByText('hello bob')).toBeInTheDocument();
+  expect(screen.getByLabelText('Message')).toHaveValue('');
+
+  const { key, content } = requestBody(fetch, '/send');
+
+  expect(key).toBe(mailbox(CHAT_KEY, await keyId(bob.publicKey)));
+  expect(content).not.toContain('hello bob');
+
+  const bobKey = await deriveChatKey(bob, alice.publicKey, CHAT_KEY);
+  await expect(decrypt(bobKey, content)).resolves.toMatchObject({ plaintext: 'hello bob' });
+});
+
+test('keeps the draft and shows the error when sending fails', async () => {
+  mockFetch({
+    ...routes,
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/send': () => [429, { message: 'Too many requests', status: 429 }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'hello bob' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Too many requests');
+  expect(screen.getByLabelText('Message')).toHaveValue('hello bob');
+  expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+});
+
+test('uploads an encrypted attachment and sends its key inside the message', async () => {
+  let uploaded;
+  const fetch = mockFetch({
+    ...routes,
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/attachment/create': () => [201, { response: 'Attachment created successfully', data: { id: 'abc', chunkSize: 1024, expiresAt: 0 } }],
+    '/attachment/abc': (chunk) => {
+      uploaded = chunk;
+      return [200, { response: 'Attachment uploaded successfully' }];
+    },
+    '/send': () => [200, { response: 'Message sent successfully', data: { id: 7, expiresAt: 0 } }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  await waitFor(() => expect(screen.getByLabelText('Attach file')).toBeEnabled());
+  fireEvent.change(screen.getByLabelText('Attach file'), {
+    target: { files: [new File(['secret notes'], 'notes.txt', { type: 'text/plain' })] },
+  });
+
+  expect(await screen.findByText('notes.txt (1 KB)')).toBeInTheDocument();
+  expect(new TextDecoder().decode(uploaded)).not.toContain('secret notes');
+
+  const bobKey = await deriveChatKey(bob, alice.publicKey, CHAT_KEY);
+  const { plaintext } = await decrypt(bobKey, requestBody(fetch, '/send').content);
+  const attachment = parseAttachment(plaintext);
+
+  expect(attachment).toMatchObject({ id: 'abc', name: 'notes.txt', mime: 'text/plain', size: 12 });
+  expect(new TextDecoder().decode(await decryptAttachment(uploaded, attachment))).toBe('secret notes');
+});
+
+test('shows delivery and read receipts for sent messages', async () => {
+  const statuses = ['delivered', 'read'];
+  const fetch = mockFetch({
+    ...routes,
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/send': () => [200, { response: 'Message sent successfully', data: { id: 7, expiresAt: 0 } }],
+    '/status': ({ ids }) => [200, { response: 'Message status found', data: ids.map((id) => ({ id, status: statuses.shift(), recipients: [] })) }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Check messages' })).toBeEnabled());
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'hello bob' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  expect(await screen.findByLabelText('Sent')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Check messages' }));
+  expect(await screen.findByLabelText('Delivered')).toBeInTheDocument();
+  expect(requestBody(fetch, '/status')).toEqual({ ids: [7] });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Check messages' }));
+  expect(await screen.findByLabelText('Read')).toBeInTheDocument();
+
+  // Read messages are not asked about again.
+  fireEvent.click(screen.getByRole('button', { name: 'Check messages' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Check messages' })).toBeEnabled());
+  expect(fetch.mock.calls.filter(([url]) => url.endsWith('/status'))).toHaveLength(2);
+});
+
+test('exchanges sealed messages through mailboxes without naming the sender', async () => {
+  const epoch = mailboxEpoch();
+  const aliceKeyId = await keyId(alice.publicKey);
+  const own = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, aliceKeyId, epoch);
+  const next = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, aliceKeyId, epoch + 1);
+  const peer = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, await keyId(bob.publicKey), epoch);
+  const bobKey = await deriveChatKey(bob, alice.publicKey, CHAT_KEY);
+  const impostor = await encrypt(bobKey, 'not from bob', 'someone-else');
+  const sealed = [
+    { id: 1, content: await seal(bobKey, await bobSends('sealed hi')), sentAt: 0, expiresAt: 0 },
+    { id: 2, content: await seal(bobKey, impostor), sentAt: 0, expiresAt: 0 },
+  ];
+  const fetch = mockFetch({
+    ...routes,
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/mailbox/create': ({ mailbox: id }) => [200, { response: 'Mailbox registered successfully', data: { mailbox: id, expiresAt: 0 } }],
+    '/sealed/receive': ({ mailbox: id }) => page(id === own.mailbox ? sealed.splice(0) : []),
+    '/sealed/ack': ({ ids }) => [200, { response: 'Messages acknowledged', data: { ids } }],
+    '/sealed/send': () => [200, { response: 'Message sent successfully', data: { id: 9, expiresAt: 0 } }],
+  });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} sealedSender pollInterval={0} />);
+
+  expect(await screen.findByText('sealed hi')).toBeInTheDocument();
+  expect(screen.getByText('Unable to decrypt message.')).toBeInTheDocument();
+  expect([requestBody(fetch, '/mailbox/create'), requestBody(fetch, '/mailbox/create', 1)]).toEqual([
+    { mailbox: own.mailbox, tokenHash: own.tokenHash, ttl: 2 * 24 * 60 * 60 },
+    { mailbox: next.mailbox, tokenHash: next.tokenHash, ttl: 2 * 24 * 60 * 60 },
+  ]);
+  await waitFor(() => expect(requestBody(fetch, '/sealed/ack')).toEqual({ mailbox: own.mailbox, ids: [1, 2] }));
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'sealed reply' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  expect(await screen.findByText('sealed reply')).toBeInTheDocument();
+
+  const { mailbox: id, token, content } = requestBody(fetch, '/sealed/send');
+
+  expect({ id, token }).toEqual({ id: peer.mailbox, token: peer.token });
+  expect(content).not.toContain(aliceKeyId);
+  await expect(decrypt(bobKey, await unseal(bobKey, content))).resolves.toEqual({ plaintext: 'sealed reply', senderKeyId: aliceKeyId });
+  expect(fetch.mock.calls.filter(([url]) => new URL(url).pathname === '/send')).toHaveLength(0);
+});
+
+test('keeps the chat and its messages in an unlocked history', async () => {
+  const vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+  const inbox = [{ id: 1, key: 'ignored', content: await bobSends('kept for later') }];
+
+  await vault.unlock('correct horse');
+  mockFetch({
+    ...routes,
+    '/receive': () => page(inbox.splice(0)),
+    '/ack': () => [200, { response: 'Messages acknowledged', data: { ids: [1] } }],
+    '/read': () => [200, { response: 'Messages marked as read', data: { read: 1 } }],
+  });
+
+  const { unmount } = render(<Conversation user={user} identity={alice} chat={chat} vault={vault} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(await screen.findByText('kept for later')).toBeInTheDocument();
+  await waitFor(() => expect(vault.messages(CHAT_KEY)).toMatchObject([{ id: 'in-1', text: 'kept for later' }]));
+  expect(vault.get('conversations', CHAT_KEY)).toEqual({ key: CHAT_KEY, peer: chat.peer });
+
+  unmount();
+  render(<Conversation user={user} identity={alice} chat={chat} vault={vault} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(screen.getByText('kept for later')).toBeInTheDocument();
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Check messages' })).toBeEnabled());
+});
+
+test('remembers the peer key and marks it verified after comparing safety numbers', async () => {
+  mockFetch({ ...routes, '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }] });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(screen.getByText('Not verified')).toBeInTheDocument();
+  expect(getContact('bob')).toMatchObject({ identityKey: bob.publicKey, verified: false });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Safety number' }));
+  expect(await screen.findByAltText('Safety number QR code')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'The numbers match' }));
+
+  expect(screen.getByText('Verified')).toBeInTheDocument();
+  expect(getContact('bob')).toMatchObject({ identityKey: bob.publicKey, verified: true });
+});
+
+test('blocks the conversation when the peer key changed until the change is accepted', async () => {
+  const previous = await generateIdentity();
+
+  saveContact('bob', previous.publicKey, { verified: true });
+  const fetch = mockFetch({ ...routes, '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }] });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(screen.getByRole('alert')).toHaveTextContent('The safety number with bob changed.');
+  expect(screen.getByRole('button', { name: 'Send' })).toBeDisabled();
+  expect(screen.getByLabelText('Attach file')).toBeDisabled();
+  await waitFor(() => expect(requestBody(fetch, '/identity')).toEqual({ identifier: 'bob' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('The safety number with bob changed.');
+  expect(fetch.mock.calls.filter(([url]) => new URL(url).pathname === '/receive')).toHaveLength(0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Accept the new key' }));
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(screen.getByText('Not verified')).toBeInTheDocument();
+  expect(getContact('bob')).toMatchObject({ identityKey: bob.publicKey, verified: false });
+});
+
+test('uses the key the peer publishes now rather than the one the chat was opened with', async () => {
+  const replaced = await generateIdentity();
+
+  routes['/identity'] = ({ identifier }) => [200, { response: 'Identity key found', data: { identifier, identityKey: replaced.publicKey } }];
+  const fetch = mockFetch({ ...routes, '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }] });
+
+  render(<Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} pollInterval={0} />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('The safety number with bob changed.');
+  expect(getContact('bob')).toMatchObject({ identityKey: bob.publicKey, verified: false });
+  expect(fetch.mock.calls.filter(([url]) => new URL(url).pathname === '/receive')).toHaveLength(0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Accept the new key' }));
+
+  await waitFor(() => expect(screen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  expect(getContact('bob')).toMatchObject({ identityKey: replaced.publicKey, verified: false });
+});
+
+test('receives sealed messages from a peer while sending its own through /send', async () => {
+  const sha256 = async (text) => Array.from(
+    new Uint8Array(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))),
+    (byte) => byte.toString(16).padStart(2, '0')
+  ).join('');
+  const registered = new Map();
+  let stored = [];
+  const fetch = mockFetch({
+    ...routes,
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: { identifier, identityKey: identifier === 'alice' ? alice.publicKey : bob.publicKey } }],
+    '/receive': () => [404, { error: 'Not Found', details: 'No messages found.' }],
+    '/mailbox/create': ({ mailbox: id, tokenHash }) => {
+      registered.set(id, tokenHash);
+
+      return [200, { response: 'Mailbox registered successfully', data: { mailbox: id, expiresAt: 0 } }];
+    },
+    '/sealed/send': async ({ mailbox: id, token, content }) => {
+      if (registered.get(id) !== await sha256(token)) {
+        return [404, { error: 'Not Found', details: 'Mailbox not found.' }];
+      }
+
+      stored.push({ id: stored.length + 1, mailbox: id, content, sentAt: 0, expiresAt: 0 });
+
+      return [200, { response: 'Message sent successfully', data: { id: stored.length, expiresAt: 0 } }];
+    },
+    '/sealed/receive': ({ mailbox: id }) => page(stored.filter((message) => message.mailbox === id)),
+    '/sealed/ack': ({ mailbox: id, ids }) => {
+      stored = stored.filter((message) => message.mailbox !== id || !ids.includes(message.id));
+
+      return [200, { response: 'Messages acknowledged', data: { ids } }];
+    },
+  });
+  const bobChat = { key: CHAT_KEY, peer: { identifier: 'alice', identityKey: alice.publicKey } };
+  const bobScreen = within(render(
+    <Conversation user={{ name: 'Bob', identifier: 'bob' }} identity={bob} chat={bobChat} onLeave={jest.fn()} pollInterval={0} />
+  ).container);
+
+  await waitFor(() => expect(registered.size).toBe(2));
+
+  const aliceScreen = within(render(
+    <Conversation user={user} identity={alice} chat={chat} onLeave={jest.fn()} sealedSender pollInterval={0} />
+  ).container);
+
+  await waitFor(() => expect(aliceScreen.getByRole('button', { name: 'Send' })).toBeEnabled());
+  fireEvent.change(aliceScreen.getByLabelText('Message'), { target: { value: 'sealed hello' } });
+  fireEvent.click(aliceScreen.getByRole('button', { name: 'Send' }));
+  expect(await aliceScreen.findByText('sealed hello')).toBeInTheDocument();
+  expect(stored).toHaveLength(1);
+
+  fireEvent.click(bobScreen.getByRole('button', { name: 'Check messages' }));
+
+  expect(await bobScreen.findByText('sealed hello')).toBeInTheDocument();
+  await waitFor(() => expect(stored).toHaveLength(0));
+  expect(fetch.mock.calls.filter(([url]) => new URL(url).pathname === '/send')).toHaveLength(0);
+});
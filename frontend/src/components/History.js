@@ -0,0 +1,50 @@
+import { useMemo, useState } from 'react';
+import Attachment from './Attachment';
+
+/**
+ * Chats kept in the unlocked history, to open again, and a search over
+ * every message stored with them.
+ */
+function History({ vault, onChat }) {
+  const [query, setQuery] = useState('');
+  const conversations = useMemo(() => vault.all('conversations'), [vault]);
+  const results = useMemo(() => vault.search(query), [vault, query]);
+  const peers = new Map(conversations.map((conversation) => [conversation.key, conversation.peer]));
+
+  return (
+    <div className="Screen History">
+      <h2>History</h2>
+
+      {conversations.length === 0 && <p>No chats kept yet.</p>}
+
+      <ul aria-label="Chats">
+        {conversations.map((conversation) => (
+          <li key={conversation.key}>
+            <button type="button" onClick={() => onChat(conversation)}>
+              Chat with {conversation.peer.identifier}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <label>
+        Search messages
+        <input type="search" value={query} onChange={(event) => setQuery(event.target.value)} />
+      </label>
+
+      {query.trim() && results.length === 0 && <p>No messages found.</p>}
+
+      <ul className="Messages" aria-label="Search results">
+        {results.map((message) => (
+          <li key={`${message.chat}:${message.id}`} className={message.mine ? 'Message Message-mine' : 'Message'}>
+            <small>{message.mine ? 'You' : (peers.get(message.chat) || {}).identifier}</small>
+            {' '}
+            {message.attachment ? <Attachment attachment={message.attachment} /> : message.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default History;
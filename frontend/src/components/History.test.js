@@ -0,0 +1,39 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import History from './History';
+import { Vault, memoryBackend } from '../vault';
+
+let vault;
+
+beforeEach(async () => {
+  vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+  await vault.unlock('correct horse');
+  await vault.put('conversations', 'chat-bob', { key: 'chat-bob', peer: { identifier: 'bob' } });
+  await vault.put('conversations', 'chat-carol', { key: 'chat-carol', peer: { identifier: 'carol' } });
+  await vault.addMessage('chat-bob', { id: 'in-1', text: 'lunch on friday?', mine: false });
+  await vault.addMessage('chat-carol', { id: 'out-1', text: 'Friday works', mine: true });
+  await vault.addMessage('chat-carol', { id: 'in-1', text: 'see you', mine: false });
+});
+
+test('reopens a chat kept in the history', () => {
+  const onChat = jest.fn();
+
+  render(<History vault={vault} onChat={onChat} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Chat with carol' }));
+
+  expect(onChat).toHaveBeenCalledWith({ key: 'chat-carol', peer: { identifier: 'carol' } });
+});
+
+test('searches every kept message', () => {
+  render(<History vault={vault} onChat={jest.fn()} />);
+
+  fireEvent.change(screen.getByLabelText('Search messages'), { target: { value: 'friday' } });
+
+  const results = within(screen.getByRole('list', { name: 'Search results' })).getAllByRole('listitem');
+
+  expect(results.map((result) => result.textContent)).toEqual(['You Friday works', 'bob lunch on friday?']);
+
+  fireEvent.change(screen.getByLabelText('Search messages'), { target: { value: 'saturday' } });
+
+  expect(screen.getByText('No messages found.')).toBeInTheDocument();
+});
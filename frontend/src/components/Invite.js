@@ -0,0 +1,199 @@
+import { useMemo, useState } from 'react';
+import Alert from './Alert';
+import SafetyNumber from './SafetyNumber';
+import { claimInvite, createInvite, fetchIdentityKey, fetchInvites, revokeInvite } from '../api';
+import { checkContact, saveContact } from '../contacts';
+import { fromBase64, keyId, toBase64Url } from '../crypto';
+import { qrCode } from '../qr';
+
+const fingerprintOf = async (publicKey) => toBase64Url(fromBase64(await keyId(publicKey)));
+
+/**
+ * Shareable link for an invite token. The fragment carries a fingerprint of
+ * the inviter's identity key; browsers never send it to the server, so the
+ * claimer can check the key the server hands out against it.
+ * @param {string} token
+ * @param {string} fingerprint
+ * @returns {string}
+ */
+export const inviteLink = (token, fingerprint) =>
+  `${window.location.origin}${window.location.pathname}?invite=${token}#${fingerprint}`;
+
+/**
+ * Read an invite link, or a bare token, pasted by the user.
+ * @param {string} text
+ * @returns {{token: string, fingerprint: string|null}|null}
+ */
+export function parseInviteLink(text) {
+  const trimmed = text.trim();
+
+  if (/^[\w-]{32}$/.test(trimmed)) {
+    return { token: trimmed, fingerprint: null };
+  }
+
+  try {
+    const url = new URL(trimmed);
+    const token = url.searchParams.get('invite');
+
+    return token ? { token, fingerprint: url.hash.slice(1) || null } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Starts a chat: either create an invite link for others to claim, or claim
+ * a link someone shared with us. Either way the chat only opens once the
+ * safety number was checked.
+ */
+function Invite({ user, identity, link = '', onChat }) {
+  const [invite, setInvite] = useState(null);
+  const [maxUses, setMaxUses] = useState(1);
+  const [claims, setClaims] = useState([]);
+  const [pasted, setPasted] = useState(link);
+  const [pending, setPending] = useState(null);
+  const [loading, setLoading] = useState(null);
+  const [error, setError] = useState(null);
+
+  const own = useMemo(() => ({ identifier: user.identifier, publicKey: identity.publicKey }), [user, identity]);
+
+  const run = (action, task) => async (event) => {
+    if (event) {
+      event.preventDefault();
+    }
+
+    setLoading(action);
+    setError(null);
+
+    try {
+      await task();
+    } catch (err) {
+      setError(err);
+    }
+
+    setLoading(null);
+  };
+
+  const handleCreate = run('create', async () => {
+    const created = await createInvite({ maxUses: Number(maxUses) });
+    const url = inviteLink(created.token, await fingerprintOf(identity.publicKey));
+
+    setInvite({ ...created, url, qr: await qrCode(url) });
+    setClaims([]);
+  });
+
+  const handleRevoke = run('revoke', async () => {
+    await revokeInvite(invite.id);
+    setInvite(null);
+  });
+
+  const handleReplies = run('replies', async () => {
+    const invites = await fetchInvites();
+    const current = invites.find(({ id }) => id === invite.id);
+
+    setClaims(current ? current.claims : []);
+  });
+
+  const handleVerify = (claim) => run('verify', async () => {
+    setPending({ key: claim.key, peer: await fetchIdentityKey(claim.identifier) });
+  });
+
+  const handleClaim = run('claim', async () => {
+    const parsed = parseInviteLink(pasted);
+
+    if (!parsed) {
+      throw new Error('This is not an invite link.');
+    }
+
+    const { key, identifier } = await claimInvite(parsed.token);
+    const peer = await fetchIdentityKey(identifier);
+
+    if (parsed.fingerprint && parsed.fingerprint !== await fingerprintOf(peer.identityKey)) {
+      throw new Error(`The key of ${identifier} does not match the invite link.`);
+    }
+
+    setPending({ key, peer });
+  });
+
+  if (pending) {
+    return (
+      <SafetyNumber
+        own={own}
+        peer={pending.peer}
+        onConfirm={() => {
+          const { identifier, identityKey } = pending.peer;
+
+          // A key differing from the remembered one is not overwritten here, the chat asks about it.
+          if (checkContact(identifier, identityKey) !== 'changed') {
+            saveContact(identifier, identityKey, { verified: true });
+          }
+          onChat(pending);
+        }}
+        onCancel={() => setPending(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="Screen">
+      <form onSubmit={handleCreate}>
+        <h2>Invite someone</h2>
+        <label>
+          Number of uses
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={maxUses}
+            onChange={(event) => setMaxUses(event.target.value)}
+            required
+          />
+        </label>
+        <button type="submit" disabled={loading !== null}>
+          {loading === 'create' ? 'Creating…' : 'Create invite link'}
+        </button>
+      </form>
+
+      {invite && (
+        <div className="Invite">
+          <p>Share this link, or let them scan the code:</p>
+          <code>{invite.url}</code>
+          <img src={invite.qr} alt="Invite QR code" />
+          <p>Valid until {new Date(invite.expiresAt).toLocaleString()}.</p>
+
+          <button type="button" onClick={handleReplies} disabled={loading !== null}>
+            {loading === 'replies' ? 'Checking…' : 'Check who joined'}
+          </button>
+          <button type="button" onClick={handleRevoke} disabled={loading !== null}>
+            Revoke
+          </button>
+
+          <ul aria-label="Joined">
+            {claims.map((claim) => (
+              <li key={claim.key}>
+                <button type="button" onClick={handleVerify(claim)} disabled={loading !== null}>
+                  Verify {claim.identifier}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleClaim}>
+        <h2>Join a chat</h2>
+        <label>
+          Invite link
+          <input value={pasted} onChange={(event) => setPasted(event.target.value)} required />
+        </label>
+        <button type="submit" disabled={loading !== null}>
+          {loading === 'claim' ? 'Joining…' : 'Join chat'}
+        </button>
+      </form>
+
+      <Alert error={error} />
+    </div>
+  );
+}
+
+export default Invite;
@@ -0,0 +1,147 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Invite, { inviteLink, parseInviteLink } from './Invite';
+import { configureAuth } from '../api';
+import { fromBase64, generateIdentity, keyId, toBase64Url } from '../crypto';
+import { getContact, saveContact } from '../contacts';
+import { authRoutes, mockFetch, requestBody } from '../testUtils';
+
+const user = { name: 'Alice', identifier: 'alice' };
+const TOKEN = 'aHvBOyaBjJfdZOWTXCfoDIO1t9WNtsT8';
+
+let identity;
+let carol;
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  identity = await generateIdentity();
+  carol = await generateIdentity();
+  configureAuth(user.identifier, identity);
+});
+
+const published = (identifier, identityKey) => ({ identifier, identityKey });
+
+const fingerprintOf = async (publicKey) => toBase64Url(fromBase64(await keyId(publicKey)));
+
+test('parses invite links and bare tokens', () => {
+  expect(parseInviteLink(inviteLink(TOKEN, 'abc'))).toEqual({ token: TOKEN, fingerprint: 'abc' });
+  expect(parseInviteLink(` ${TOKEN} `)).toEqual({ token: TOKEN, fingerprint: null });
+  expect(parseInviteLink('http://localhost/?other=1')).toBeNull();
+  expect(parseInviteLink('not a link')).toBeNull();
+});
+
+test('creates an invite link and verifies whoever claimed it', async () => {
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/invite/create': () => [201, { response: 'Invite created successfully', data: { id: 4, token: TOKEN, maxUses: 2, expiresAt: Date.now() + 1000 } }],
+    '/invites': () => [200, { response: 'Invites found', data: [{ id: 4, claims: [{ identifier: 'carol', key: 'chat-key', claimedAt: 0 }] }] }],
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: published(identifier, carol.publicKey) }],
+  });
+  const onChat = jest.fn();
+
+  render(<Invite user={user} identity={identity} onChat={onChat} />);
+  fireEvent.change(screen.getByLabelText('Number of uses'), { target: { value: '2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create invite link' }));
+
+  const link = inviteLink(TOKEN, await fingerprintOf(identity.publicKey));
+
+  expect(await screen.findByText(link)).toBeInTheDocument();
+  expect(screen.getByAltText('Invite QR code').getAttribute('src')).toMatch(/^data:image\/svg\+xml/);
+  expect(requestBody(fetch, '/invite/create')).toEqual({ maxUses: 2 });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Check who joined' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Verify carol' }));
+
+  expect(await screen.findByRole('heading', { name: 'Verify carol' })).toBeInTheDocument();
+  await screen.findByLabelText('Safety number');
+  fireEvent.click(screen.getByRole('button', { name: 'The numbers match' }));
+  expect(onChat).toHaveBeenCalledWith({ key: 'chat-key', peer: published('carol', carol.publicKey) });
+});
+
+test('revokes an invite', async () => {
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/invite/create': () => [201, { response: 'Invite created successfully', data: { id: 4, token: TOKEN, maxUses: 1, expiresAt: Date.now() + 1000 } }],
+    '/invite/revoke': () => [200, { response: 'Invite revoked successfully', data: { id: 4 } }],
+  });
+
+  render(<Invite user={user} identity={identity} onChat={jest.fn()} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Create invite link' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Revoke' }));
+
+  await waitFor(() => expect(screen.queryByAltText('Invite QR code')).not.toBeInTheDocument());
+  expect(requestBody(fetch, '/invite/revoke')).toEqual({ id: 4 });
+});
+
+test('claims a link and asks to compare safety numbers before opening the chat', async () => {
+  const link = inviteLink(TOKEN, await fingerprintOf(carol.publicKey));
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/invite/claim': () => [200, { response: 'Invite claimed successfully', data: { key: 'chat-key', identifier: 'carol' } }],
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: published(identifier, carol.publicKey) }],
+  });
+  const onChat = jest.fn();
+
+  render(<Invite user={user} identity={identity} link={link} onChat={onChat} />);
+  expect(screen.getByLabelText('Invite link')).toHaveValue(link);
+  fireEvent.click(screen.getByRole('button', { name: 'Join chat' }));
+
+  expect(screen.getByRole('button', { name: 'Joining…' })).toBeDisabled();
+  expect(await screen.findByLabelText('Safety number')).toHaveTextContent(/^(\d{5} ){11}\d{5}$/);
+  expect(requestBody(fetch, '/invite/claim')).toEqual({ token: TOKEN });
+  expect(onChat).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'The numbers match' }));
+  expect(onChat).toHaveBeenCalledWith({ key: 'chat-key', peer: published('carol', carol.publicKey) });
+  expect(getContact('carol')).toMatchObject({ identityKey: carol.publicKey, verified: true });
+});
+
+test('leaves a remembered key that differs for the chat to ask about', async () => {
+  const previous = await generateIdentity();
+
+  saveContact('carol', previous.publicKey, { verified: true });
+  mockFetch({
+    ...authRoutes,
+    '/invite/claim': () => [200, { response: 'Invite claimed successfully', data: { key: 'chat-key', identifier: 'carol' } }],
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: published(identifier, carol.publicKey) }],
+  });
+  const onChat = jest.fn();
+
+  render(<Invite user={user} identity={identity} link={TOKEN} onChat={onChat} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Join chat' }));
+  await screen.findByLabelText('Safety number');
+  fireEvent.click(screen.getByRole('button', { name: 'The numbers match' }));
+
+  expect(onChat).toHaveBeenCalledWith({ key: 'chat-key', peer: published('carol', carol.publicKey) });
+  expect(getContact('carol')).toMatchObject({ identityKey: previous.publicKey, verified: true });
+});
+
+test('refuses a key that does not match the link', async () => {
+  const mallory = await generateIdentity();
+
+  mockFetch({
+    ...authRoutes,
+    '/invite/claim': () => [200, { response: 'Invite claimed successfully', data: { key: 'chat-key', identifier: 'carol' } }],
+    '/identity': ({ identifier }) => [200, { response: 'Identity key found', data: published(identifier, mallory.publicKey) }],
+  });
+  const onChat = jest.fn();
+
+  render(<Invite user={user} identity={identity} link={inviteLink(TOKEN, await fingerprintOf(carol.publicKey))} onChat={onChat} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Join chat' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('The key of carol does not match the invite link.');
+  expect(screen.queryByLabelText('Safety number')).not.toBeInTheDocument();
+});
+
+test('shows an error when the invite was used up', async () => {
+  mockFetch({
+    ...authRoutes,
+    '/invite/claim': () => [410, { error: 'Gone', details: 'This invite has expired, was revoked or was used up.' }],
+  });
+
+  render(<Invite user={user} identity={identity} onChat={jest.fn()} />);
+  fireEvent.change(screen.getByLabelText('Invite link'), { target: { value: TOKEN } });
+  fireEvent.click(screen.getByRole('button', { name: 'Join chat' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Gone This invite has expired, was revoked or was used up.');
+  expect(screen.getByRole('button', { name: 'Join chat' })).toBeEnabled();
+});
@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+import Alert from './Alert';
+import { safetyNumber } from '../crypto';
+import { qrCode } from '../qr';
+
+/**
+ * Key confirmation: both users compare the safety number shown on their
+ * screens, over another channel or in person by scanning each other's code.
+ */
+function SafetyNumber({ own, peer, onConfirm, onCancel }) {
+  const [number, setNumber] = useState(null);
+  const [qr, setQr] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    safetyNumber(own, { identifier: peer.identifier, publicKey: peer.identityKey }).then(async (computed) => {
+      const code = await qrCode(computed.replace(/ /g, ''));
+
+      if (!cancelled) {
+        setNumber(computed);
+        setQr(code);
+      }
+    }).catch((err) => {
+      if (!cancelled) {
+        setError(err);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [own, peer]);
+
+  return (
+    <div className="Screen SafetyNumber">
+      <h2>Verify {peer.identifier}</h2>
+      <p>Check that {peer.identifier} sees the same safety number before sending anything.</p>
+
+      {number && <code aria-label="Safety number">{number}</code>}
+      {qr && <img src={qr} alt="Safety number QR code" />}
+
+      <Alert error={error} />
+
+      <div>
+        <button type="button" onClick={onConfirm} disabled={!number}>
+          The numbers match
+        </button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SafetyNumber;
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import Alert from './Alert';
+import { fetchSettings, updateSettings } from '../api';
+
+/**
+ * Account settings stored by the backend, so every device of the account
+ * shares them, and the preferences of this device.
+ */
+function Settings({ preferences, onPreferences }) {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchSettings().then((loaded) => {
+      if (!cancelled) {
+        setSettings(loaded);
+      }
+    }, (err) => {
+      if (!cancelled) {
+        setError(err);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleReadReceipts = async (event) => {
+    const readReceipts = event.target.checked;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      setSettings(await updateSettings({ readReceipts }));
+    } catch (err) {
+      setError(err);
+    }
+
+    setSaving(false);
+  };
+
+  return (
+    <div className="Settings">
+      {!settings && !error && <p>Loading settings…</p>}
+
+      {settings && (
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.readReceipts}
+            onChange={handleReadReceipts}
+            disabled={saving}
+          />
+          Send read receipts
+        </label>
+      )}
+
+      {preferences && (
+        <label>
+          <input
+            type="checkbox"
+            checked={preferences.sealedSender}
+            onChange={(event) => onPreferences({ sealedSender: event.target.checked })}
+          />
+          Hide who sends my messages from the server
+        </label>
+      )}
+
+      <Alert error={error} />
+    </div>
+  );
+}
+
+export default Settings;
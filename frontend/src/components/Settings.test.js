@@ -0,0 +1,56 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Settings from './Settings';
+import { configureAuth } from '../api';
+import { generateIdentity } from '../crypto';
+import { authRoutes, mockFetch, requestBody } from '../testUtils';
+
+beforeEach(async () => {
+  configureAuth('alice', await generateIdentity());
+});
+
+test('turns read receipts off', async () => {
+  const fetch = mockFetch({
+    ...authRoutes,
+    '/settings': (body) => [200, { response: 'Settings found', data: { readReceipts: body.readReceipts !== false } }],
+  });
+
+  render(<Settings />);
+
+  const checkbox = await screen.findByLabelText('Send read receipts');
+
+  expect(checkbox).toBeChecked();
+
+  fireEvent.click(checkbox);
+
+  await waitFor(() => expect(checkbox).not.toBeChecked());
+  expect(checkbox).toBeEnabled();
+  expect(requestBody(fetch, '/settings', 1)).toEqual({ readReceipts: false });
+});
+
+test('changes the sealed sender preference of this device', async () => {
+  const onPreferences = jest.fn();
+
+  mockFetch({
+    ...authRoutes,
+    '/settings': () => [200, { response: 'Settings found', data: { readReceipts: true } }],
+  });
+
+  render(<Settings preferences={{ sealedSender: false }} onPreferences={onPreferences} />);
+
+  fireEvent.click(screen.getByLabelText('Hide who sends my messages from the server'));
+
+  expect(onPreferences).toHaveBeenCalledWith({ sealedSender: true });
+  expect(await screen.findByLabelText('Send read receipts')).toBeChecked();
+});
+
+test('shows the error when the settings cannot be loaded', async () => {
+  mockFetch({
+    ...authRoutes,
+    '/settings': () => [500, { error: 'Internal Server Error', details: 'Failed to update settings' }],
+  });
+
+  render(<Settings />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Failed to update settings');
+  expect(screen.queryByLabelText('Send read receipts')).not.toBeInTheDocument();
+});
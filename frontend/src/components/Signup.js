@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import Alert from './Alert';
+import { signup } from '../api';
+import { generatePreKeys, getOrCreateIdentity, saveIdentity } from '../crypto';
+
+/**
+ * Registers the user and publishes their identity key and prekeys.
+ */
+function Signup({ onSignedUp }) {
+  const [name, setName] = useState('');
+  const [identifier, setIdentifier] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const identity = await getOrCreateIdentity();
+      const { signedPreKey, oneTimePreKeys, privateKeys } = await generatePreKeys(identity);
+
+      await signup({
+        name,
+        identifier,
+        identityKey: identity.publicKey,
+        signedPreKey,
+        oneTimePreKeys,
+      });
+
+      saveIdentity({ ...identity, preKeys: privateKeys });
+      onSignedUp({ name, identifier });
+    } catch (err) {
+      setError(err);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="Screen" onSubmit={handleSubmit}>
+      <h2>Sign up</h2>
+      <label>
+        Name
+        <input value={name} onChange={(event) => setName(event.target.value)} required />
+      </label>
+      <label>
+        Identifier
+        <input value={identifier} onChange={(event) => setIdentifier(event.target.value)} required />
+      </label>
+      <Alert error={error} />
+      <button type="submit" disabled={loading}>
+        {loading ? 'Signing up…' : 'Sign up'}
+      </button>
+    </form>
+  );
+}
+
+export default Signup;
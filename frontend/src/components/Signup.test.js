@@ -0,0 +1,48 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Signup from './Signup';
+import { loadIdentity } from '../crypto';
+import { mockFetch, requestBody } from '../testUtils';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const fillIn = () => {
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Alice' } });
+  fireEvent.change(screen.getByLabelText('Identifier'), { target: { value: 'alice' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+};
+
+test('signs up with a freshly generated identity key', async () => {
+  const fetch = mockFetch({ '/signup': () => [200, { response: 'User created successfully' }] });
+  const onSignedUp = jest.fn();
+
+  render(<Signup onSignedUp={onSignedUp} />);
+  fillIn();
+
+  expect(screen.getByRole('button', { name: 'Signing up…' })).toBeDisabled();
+  await waitFor(() => expect(onSignedUp).toHaveBeenCalledWith({ name: 'Alice', identifier: 'alice' }));
+
+  const body = requestBody(fetch, '/signup');
+
+  expect(body).toMatchObject({ name: 'Alice', identifier: 'alice', identityKey: loadIdentity().publicKey });
+  expect(body.signedPreKey).toEqual({ keyId: 1, publicKey: expect.any(String), signature: expect.any(String) });
+  expect(body.oneTimePreKeys).toHaveLength(10);
+  expect(JSON.stringify(body)).not.toContain(loadIdentity().privateKey.d);
+});
+
+test('shows the backend error and details on conflict', async () => {
+  mockFetch({
+    '/signup': () => [409, { error: 'Conflict', details: 'A user with this identifier already exists.' }],
+  });
+  const onSignedUp = jest.fn();
+
+  render(<Signup onSignedUp={onSignedUp} />);
+  fillIn();
+
+  const alert = await screen.findByRole('alert');
+
+  expect(alert).toHaveTextContent('Conflict A user with this identifier already exists.');
+  expect(screen.getByRole('button', { name: 'Sign up' })).toBeEnabled();
+  expect(onSignedUp).not.toHaveBeenCalled();
+});
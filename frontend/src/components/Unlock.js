@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import Alert from './Alert';
+
+const MIN_LENGTH = 8;
+
+/**
+ * Asks for the passphrase the local history and keys are encrypted under, or
+ * lets the user choose one the first time. Nothing can recover a forgotten one.
+ */
+function Unlock({ vault, onUnlocked }) {
+  const [exists, setExists] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    vault.exists().then((found) => {
+      if (!cancelled) {
+        setExists(found);
+      }
+    }, (err) => {
+      if (!cancelled) {
+        setError(err);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [vault]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    if (!exists && passphrase !== confirmation) {
+      setError(new Error('The passphrases do not match.'));
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await vault.unlock(passphrase);
+      await onUnlocked();
+    } catch (err) {
+      setError(err);
+      setLoading(false);
+    }
+  };
+
+  if (exists === null) {
+    return error ? <Alert error={error} /> : <p>Opening history…</p>;
+  }
+
+  return (
+    <form className="Screen Unlock" onSubmit={handleSubmit}>
+      <h2>{exists ? 'Unlock history' : 'Keep history on this device'}</h2>
+      {!exists && <p>Messages are encrypted with this passphrase. Nothing can recover them if you forget it.</p>}
+      <label>
+        Passphrase
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(event) => setPassphrase(event.target.value)}
+          minLength={exists ? undefined : MIN_LENGTH}
+          autoComplete={exists ? 'current-password' : 'new-password'}
+          required
+        />
+      </label>
+      {!exists && (
+        <label>
+          Confirm passphrase
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(event) => setConfirmation(event.target.value)}
+            autoComplete="new-password"
+            required
+          />
+        </label>
+      )}
+      <Alert error={error} />
+      <button type="submit" disabled={loading}>
+        {loading ? 'Unlocking…' : 'Unlock'}
+      </button>
+    </form>
+  );
+}
+
+export default Unlock;
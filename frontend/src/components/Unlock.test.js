@@ -0,0 +1,46 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Unlock from './Unlock';
+import { Vault, memoryBackend } from '../vault';
+
+let vault;
+
+beforeEach(() => {
+  vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+});
+
+test('chooses a passphrase the first time', async () => {
+  const onUnlocked = jest.fn();
+
+  render(<Unlock vault={vault} onUnlocked={onUnlocked} />);
+
+  expect(await screen.findByRole('heading', { name: 'Keep history on this device' })).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.change(screen.getByLabelText('Confirm passphrase'), { target: { value: 'correct hose' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('The passphrases do not match.');
+
+  fireEvent.change(screen.getByLabelText('Confirm passphrase'), { target: { value: 'correct horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  await waitFor(() => expect(onUnlocked).toHaveBeenCalled());
+  expect(vault.locked).toBe(false);
+});
+
+test('shows the error for a wrong passphrase', async () => {
+  await vault.unlock('correct horse');
+  vault.lock();
+
+  const onUnlocked = jest.fn();
+
+  render(<Unlock vault={vault} onUnlocked={onUnlocked} />);
+
+  expect(await screen.findByRole('heading', { name: 'Unlock history' })).toBeInTheDocument();
+  expect(screen.queryByLabelText('Confirm passphrase')).not.toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Passphrase'), { target: { value: 'wrong horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Wrong passphrase.');
+  expect(screen.getByRole('button', { name: 'Unlock' })).toBeEnabled();
+  expect(onUnlocked).not.toHaveBeenCalled();
+});
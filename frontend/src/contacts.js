@@ -0,0 +1,108 @@
+/**
+ * Identity keys of the people we talked to, remembered on this device.
+ *
+ * The first key seen for a contact is trusted until the user compares safety
+ * numbers and marks the contact as verified. A different key showing up later
+ * means either a new device install or a swapped key, so it is never accepted
+ * silently.
+ *
+ * Contacts live in localStorage until the encrypted vault is first unlocked,
+ * and in the vault from then on.
+ */
+
+const STORAGE_KEY = 'ciphered.contacts';
+
+let vault = null;
+
+const unlockedVault = () => (vault && !vault.locked ? vault : null);
+
+/**
+ * Keep contacts in an unlocked vault, moving over those still in
+ * localStorage. Contacts the vault already knows are not overwritten.
+ * @param {import('./vault').Vault | null} unlocked - The vault, null once it locks.
+ * @param {Storage} [storage]
+ */
+export async function configureContacts(unlocked, storage = window.localStorage) {
+  vault = unlocked;
+
+  const stored = unlocked && storage.getItem(STORAGE_KEY);
+
+  if (!stored) {
+    return;
+  }
+
+  await Promise.all(Object.entries(JSON.parse(stored))
+    .filter(([identifier]) => !unlocked.get('contacts', identifier))
+    .map(([identifier, contact]) => unlocked.put('contacts', identifier, { identifier, ...contact })));
+  storage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Load every remembered contact.
+ * @param {Storage} [storage]
+ * @returns {Object<string, {identityKey: string, verified: boolean, updatedAt: number}>}
+ */
+export function loadContacts(storage = window.localStorage) {
+  const kept = unlockedVault();
+
+  if (kept) {
+    return Object.fromEntries(kept.all('contacts').map(({ identifier, ...contact }) => [identifier, contact]));
+  }
+
+  const stored = storage.getItem(STORAGE_KEY);
+
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Load one contact, if known.
+ * @param {string} identifier
+ * @param {Storage} [storage]
+ * @returns {{identityKey: string, verified: boolean, updatedAt: number} | null}
+ */
+export function getContact(identifier, storage = window.localStorage) {
+  return loadContacts(storage)[identifier] || null;
+}
+
+/**
+ * Remember the key of a contact. Storing a different key resets verification.
+ * @param {string} identifier
+ * @param {string} identityKey - Base64 raw public key.
+ * @param {{verified?: boolean}} [options]
+ * @param {Storage} [storage]
+ * @returns {{identityKey: string, verified: boolean, updatedAt: number}}
+ */
+export function saveContact(identifier, identityKey, { verified = false } = {}, storage = window.localStorage) {
+  const contact = { identityKey, verified, updatedAt: Date.now() };
+  const kept = unlockedVault();
+
+  // The vault updates its decrypted copy at once. A failed write only means the key is treated as new after the next unlock.
+  if (kept) {
+    kept.put('contacts', identifier, { identifier, ...contact }).catch(() => {});
+
+    return contact;
+  }
+
+  const contacts = loadContacts(storage);
+
+  storage.setItem(STORAGE_KEY, JSON.stringify({ ...contacts, [identifier]: contact }));
+
+  return contact;
+}
+
+/**
+ * Compare a published key with the remembered one.
+ * @param {string} identifier
+ * @param {string} identityKey
+ * @param {Storage} [storage]
+ * @returns {'new'|'same'|'changed'}
+ */
+export function checkContact(identifier, identityKey, storage = window.localStorage) {
+  const contact = getContact(identifier, storage);
+
+  if (!contact) {
+    return 'new';
+  }
+
+  return contact.identityKey === identityKey ? 'same' : 'changed';
+}
@@ -0,0 +1,49 @@
+import { checkContact, configureContacts, getContact, loadContacts, saveContact } from './contacts';
+import { Vault, memoryBackend } from './vault';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  configureContacts(null);
+});
+
+test('remembers contacts and detects key changes', () => {
+  expect(checkContact('bob', 'key-1')).toBe('new');
+
+  saveContact('bob', 'key-1', { verified: true });
+
+  expect(checkContact('bob', 'key-1')).toBe('same');
+  expect(checkContact('bob', 'key-2')).toBe('changed');
+  expect(getContact('bob')).toMatchObject({ identityKey: 'key-1', verified: true });
+});
+
+test('resets verification when a new key is stored', () => {
+  saveContact('bob', 'key-1', { verified: true });
+  saveContact('carol', 'key-3');
+  saveContact('bob', 'key-2');
+
+  expect(getContact('bob')).toMatchObject({ identityKey: 'key-2', verified: false });
+  expect(Object.keys(loadContacts())).toEqual(['bob', 'carol']);
+  expect(getContact('dave')).toBeNull();
+});
+
+test('moves contacts into an unlocked vault and keeps them there', async () => {
+  const vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+
+  saveContact('bob', 'key-1', { verified: true });
+  await vault.unlock('correct horse');
+  await configureContacts(vault);
+
+  expect(window.localStorage.getItem('ciphered.contacts')).toBeNull();
+  expect(getContact('bob')).toMatchObject({ identityKey: 'key-1', verified: true });
+
+  saveContact('carol', 'key-3');
+
+  expect(checkContact('carol', 'key-3')).toBe('same');
+  expect(vault.get('contacts', 'carol')).toMatchObject({ identifier: 'carol', identityKey: 'key-3' });
+  expect(window.localStorage.getItem('ciphered.contacts')).toBeNull();
+
+  vault.lock();
+  await vault.unlock('correct horse');
+
+  expect(Object.keys(loadContacts())).toEqual(['bob', 'carol']);
+});
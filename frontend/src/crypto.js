@@ -0,0 +1,489 @@
+/**
+ * End-to-end encryption helpers built on WebCrypto.
+ *
+ * Identity keys are P-256 key pairs. Two users derive a per-chat AES-GCM key
+ * from ECDH over their identity keys, run through HKDF with the chat key as
+ * context, so the backend only ever sees the opaque envelope string.
+ *
+ * With sealed sender, envelopes are sealed once more and delivered to
+ * mailboxes both sides derive from the same secret, so the backend learns
+ * neither who sent a message nor which chat it belongs to.
+ */
+
+export const ENVELOPE_VERSION = 1;
+
+const CURVE = 'P-256';
+const STORAGE_KEY = 'ciphered.identity';
+const HKDF_INFO = 'Ciphered chat key v1';
+const SAFETY_NUMBER_VERSION = 'Ciphered safety number v1';
+const MAILBOX_INFO = 'Ciphered sealed mailbox v1';
+const SEALED_INFO = 'Ciphered sealed sender v1';
+
+// Mailboxes rotate once a day, so ids seen by the server cannot be linked for long.
+export const MAILBOX_ROTATION = 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const subtle = () => {
+  if (!window.crypto || !window.crypto.subtle) {
+    throw new Error('WebCrypto is not available in this environment.');
+  }
+
+  return window.crypto.subtle;
+};
+
+export const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary);
+};
+
+export const fromBase64 = (string) => {
+  const binary = atob(string);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
+/**
+ * Generate a new identity key pair.
+ * @returns {Promise<{publicKey: string, privateKey: JsonWebKey}>} The base64 raw public key and the private JWK.
+ */
+export async function generateIdentity() {
+  const pair = await subtle().generateKey(
+    { name: 'ECDH', namedCurve: CURVE },
+    true,
+    ['deriveBits']
+  );
+
+  return {
+    publicKey: toBase64(await subtle().exportKey('raw', pair.publicKey)),
+    privateKey: await subtle().exportKey('jwk', pair.privateKey),
+  };
+}
+
+/**
+ * Persist an identity so it survives page reloads.
+ * @param {{publicKey: string, privateKey: JsonWebKey}} identity
+ * @param {Storage} [storage]
+ */
+export function saveIdentity(identity, storage = window.localStorage) {
+  storage.setItem(STORAGE_KEY, JSON.stringify(identity));
+}
+
+/**
+ * Load the stored identity, if any.
+ * @param {Storage} [storage]
+ * @returns {{publicKey: string, privateKey: JsonWebKey} | null}
+ */
+export function loadIdentity(storage = window.localStorage) {
+  const stored = storage.getItem(STORAGE_KEY);
+
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Move the stored identity, prekeys included, into an unlocked vault so it no
+ * longer sits in localStorage in clear. It is only removed from localStorage
+ * once the vault kept it.
+ * @param {import('./vault').Vault} vault
+ * @param {Storage} [storage]
+ * @returns {Promise<{publicKey: string, privateKey: JsonWebKey} | null>} The identity kept in the vault.
+ */
+export async function moveIdentity(vault, storage = window.localStorage) {
+  const stored = loadIdentity(storage);
+
+  if (stored) {
+    await vault.put('keys', 'identity', stored);
+    storage.removeItem(STORAGE_KEY);
+  }
+
+  return vault.get('keys', 'identity') || null;
+}
+
+/**
+ * Load the stored identity or generate and store a new one.
+ * @param {Storage} [storage]
+ */
+export async function getOrCreateIdentity(storage = window.localStorage) {
+  const existing = loadIdentity(storage);
+
+  if (existing) {
+    return existing;
+  }
+
+  const identity = await generateIdentity();
+  saveIdentity(identity, storage);
+
+  return identity;
+}
+
+export const toBase64Url = (buffer) => toBase64(buffer)
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Short identifier for a public key, carried in envelopes so the receiver
+ * knows which identity key to derive the chat key with.
+ * @param {string} publicKey - Base64 raw public key.
+ * @returns {Promise<string>}
+ */
+export async function keyId(publicKey) {
+  const digest = await subtle().digest('SHA-256', fromBase64(publicKey));
+
+  return toBase64(digest.slice(0, 8));
+}
+
+const importPrivateKey = (jwk, algorithm, usages) => {
+  // A P-256 private key can be used for both ECDH and ECDSA; the JWK only
+  // needs its key_ops stripped to be imported under the other algorithm.
+  const { key_ops, ...key } = jwk;
+
+  return subtle().importKey('jwk', key, { name: algorithm, namedCurve: CURVE }, false, usages);
+};
+
+/**
+ * Sign data with the identity key so peers can check it came from its owner.
+ * @param {{privateKey: JsonWebKey}} identity
+ * @param {string} data - Base64 data to sign.
+ * @returns {Promise<string>} Base64 signature.
+ */
+export async function sign(identity, data) {
+  const key = await importPrivateKey(identity.privateKey, 'ECDSA', ['sign']);
+  const signature = await subtle().sign({ name: 'ECDSA', hash: 'SHA-256' }, key, fromBase64(data));
+
+  return toBase64(signature);
+}
+
+/**
+ * Verify a signature made with {@link sign}.
+ * @param {string} publicKey - Base64 raw public key of the signer.
+ * @param {string} data - Base64 signed data.
+ * @param {string} signature - Base64 signature.
+ * @returns {Promise<boolean>}
+ */
+export async function verify(publicKey, data, signature) {
+  const key = await subtle().importKey(
+    'raw',
+    fromBase64(publicKey),
+    { name: 'ECDSA', namedCurve: CURVE },
+    false,
+    ['verify']
+  );
+
+  return subtle().verify({ name: 'ECDSA', hash: 'SHA-256' }, key, fromBase64(signature), fromBase64(data));
+}
+
+/**
+ * Build the keys `/signup` and `/prekeys` expect: a signed prekey and a batch
+ * of one-time prekeys. Only the public halves are returned for upload; the
+ * private halves are returned separately for the caller to keep.
+ * @param {{privateKey: JsonWebKey}} identity
+ * @param {{signedKeyId?: number, firstKeyId?: number, count?: number}} [options]
+ */
+export async function generatePreKeys(identity, { signedKeyId = 1, firstKeyId = 1, count = 10 } = {}) {
+  const signed = await generateIdentity();
+  const oneTime = await Promise.all(
+    Array.from({ length: count }, () => generateIdentity())
+  );
+
+  return {
+    signedPreKey: {
+      keyId: signedKeyId,
+      publicKey: signed.publicKey,
+      signature: await sign(identity, signed.publicKey),
+    },
+    oneTimePreKeys: oneTime.map((pair, index) => ({
+      keyId: firstKeyId + index,
+      publicKey: pair.publicKey,
+    })),
+    privateKeys: {
+      signedPreKey: signed.privateKey,
+      oneTimePreKeys: oneTime.map((pair) => pair.privateKey),
+    },
+  };
+}
+
+/**
+ * Generate a random session key for `/create`. It is only a rendezvous name
+ * for the chat; the encryption key is derived separately.
+ * @returns {string}
+ */
+export function generateChatKey() {
+  return toBase64Url(window.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// Thirty digits identifying one user's identity key.
+async function fingerprint({ identifier, publicKey }) {
+  const input = [...encoder.encode(`${SAFETY_NUMBER_VERSION}:${identifier}:`), ...fromBase64(publicKey)];
+  const digest = new Uint8Array(await subtle().digest('SHA-512', new Uint8Array(input)));
+  let digits = '';
+
+  // Five bytes per group of five digits, so every group is close to uniform.
+  for (let offset = 0; offset < 30; offset += 5) {
+    const chunk = digest.slice(offset, offset + 5).reduce((value, byte) => value * 256 + byte, 0);
+
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+
+  return digits;
+}
+
+/**
+ * Number two users compare out of band to make sure nobody swapped their
+ * identity keys. Both sides compute the same number, whichever way round.
+ * @param {{identifier: string, publicKey: string}} own
+ * @param {{identifier: string, publicKey: string}} peer
+ * @returns {Promise<string>} Sixty digits in groups of five.
+ */
+export async function safetyNumber(own, peer) {
+  const digits = (await Promise.all([fingerprint(own), fingerprint(peer)])).sort().join('');
+
+  return digits.match(/\d{5}/g).join(' ');
+}
+
+// ECDH secret of two identity keys, imported as HKDF input.
+async function sharedSecret(identity, peerPublicKey, usages) {
+  const privateKey = await importPrivateKey(identity.privateKey, 'ECDH', ['deriveBits']);
+  const publicKey = await subtle().importKey(
+    'raw',
+    fromBase64(peerPublicKey),
+    { name: 'ECDH', namedCurve: CURVE },
+    false,
+    []
+  );
+
+  const secret = await subtle().deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+
+  return subtle().importKey('raw', secret, 'HKDF', false, usages);
+}
+
+/**
+ * Derive the AES-GCM key shared by two users for one chat.
+ * Both sides get the same key because ECDH is symmetric and the chat key is
+ * used as HKDF salt.
+ * @param {{privateKey: JsonWebKey}} identity - Our identity.
+ * @param {string} peerPublicKey - Base64 raw public key of the other user.
+ * @param {string} chatKey - The session key shared through `/create` and `/claim`.
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveChatKey(identity, peerPublicKey, chatKey) {
+  const material = await sharedSecret(identity, peerPublicKey, ['deriveKey']);
+
+  return subtle().deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(chatKey),
+      info: encoder.encode(HKDF_INFO),
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a message into the envelope string sent as `content` to `/send`.
+ * @param {CryptoKey} key - Chat key from {@link deriveChatKey}.
+ * @param {string} plaintext
+ * @param {string} senderKeyId - {@link keyId} of the sender's identity key.
+ * @returns {Promise<string>}
+ */
+export async function encrypt(key, plaintext, senderKeyId) {
+  const nonce = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await subtle().encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: encoder.encode(senderKeyId) },
+    key,
+    encoder.encode(plaintext)
+  );
+
+  return JSON.stringify({
+    version: ENVELOPE_VERSION,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(ciphertext),
+    senderKeyId,
+  });
+}
+
+/**
+ * Rotation period a time falls in.
+ * @param {number} [time] - Milliseconds since the epoch.
+ * @returns {number}
+ */
+export const mailboxEpoch = (time = Date.now()) => Math.floor(time / MAILBOX_ROTATION);
+
+/**
+ * Derive the sealed-sender mailbox of one side of a chat for a rotation
+ * period. Both users compute the same mailbox id and delivery token, so the
+ * recipient can register it and the sender can deliver to it without either
+ * telling the server who they are talking to.
+ * @param {{privateKey: JsonWebKey}} identity - Our identity.
+ * @param {string} peerPublicKey - Base64 raw public key of the other user.
+ * @param {string} chatKey - The session key of the chat.
+ * @param {string} recipientKeyId - {@link keyId} of the user the mailbox belongs to.
+ * @param {number} epoch - Rotation period from {@link mailboxEpoch}.
+ * @returns {Promise<{mailbox: string, token: string, tokenHash: string}>}
+ * The base64url mailbox id and delivery token, and the hex SHA-256 of the token the server stores.
+ */
+export async function deriveMailbox(identity, peerPublicKey, chatKey, recipientKeyId, epoch) {
+  const material = await sharedSecret(identity, peerPublicKey, ['deriveBits']);
+  const bits = new Uint8Array(await subtle().deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(chatKey),
+      info: encoder.encode(`${MAILBOX_INFO}:${recipientKeyId}:${epoch}`),
+    },
+    material,
+    48 * 8
+  ));
+  const token = toBase64Url(bits.slice(16));
+
+  return {
+    mailbox: toBase64Url(bits.slice(0, 16)),
+    token,
+    tokenHash: toHex(await subtle().digest('SHA-256', encoder.encode(token))),
+  };
+}
+
+/**
+ * Seal an envelope from {@link encrypt}, hiding the sender key id it carries
+ * in clear.
+ * @param {CryptoKey} key - Chat key from {@link deriveChatKey}.
+ * @param {string} envelope
+ * @returns {Promise<string>} JSON string with version, nonce and ciphertext.
+ */
+export async function seal(key, envelope) {
+  const nonce = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await subtle().encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: encoder.encode(SEALED_INFO) },
+    key,
+    encoder.encode(envelope)
+  );
+
+  return JSON.stringify({
+    version: ENVELOPE_VERSION,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(ciphertext),
+  });
+}
+
+/**
+ * Open a string produced by {@link seal}.
+ * @param {CryptoKey} key - Chat key from {@link deriveChatKey}.
+ * @param {string} sealed
+ * @returns {Promise<string>} The inner envelope, to be passed to {@link decrypt}.
+ */
+export async function unseal(key, sealed) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(sealed);
+  } catch {
+    throw new Error('Malformed envelope.');
+  }
+
+  if (!parsed || parsed.version !== ENVELOPE_VERSION || typeof parsed.nonce !== 'string' || typeof parsed.ciphertext !== 'string') {
+    throw new Error('Malformed envelope.');
+  }
+
+  const envelope = await subtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(parsed.nonce), additionalData: encoder.encode(SEALED_INFO) },
+    key,
+    fromBase64(parsed.ciphertext)
+  );
+
+  return decoder.decode(envelope);
+}
+
+/**
+ * Parse an envelope string without decrypting it.
+ * @param {string} envelope
+ * @returns {{version: number, nonce: string, ciphertext: string, senderKeyId: string}}
+ */
+export function parseEnvelope(envelope) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(envelope);
+  } catch {
+    throw new Error('Malformed envelope.');
+  }
+
+  if (!parsed || parsed.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${parsed && parsed.version}`);
+  }
+
+  if (typeof parsed.nonce !== 'string' || typeof parsed.ciphertext !== 'string' || typeof parsed.senderKeyId !== 'string') {
+    throw new Error('Malformed envelope.');
+  }
+
+  return parsed;
+}
+
+/**
+ * Decrypt an envelope string produced by {@link encrypt}.
+ * @param {CryptoKey} key - Chat key from {@link deriveChatKey}.
+ * @param {string} envelope
+ * @returns {Promise<{plaintext: string, senderKeyId: string}>}
+ */
+export async function decrypt(key, envelope) {
+  const { nonce, ciphertext, senderKeyId } = parseEnvelope(envelope);
+
+  const plaintext = await subtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(nonce), additionalData: encoder.encode(senderKeyId) },
+    key,
+    fromBase64(ciphertext)
+  );
+
+  return { plaintext: decoder.decode(plaintext), senderKeyId };
+}
+
+/**
+ * Encrypt a file under a fresh, single-use AES-GCM key before it is uploaded.
+ * The key and nonce travel inside the encrypted chat message referencing the
+ * attachment, so the server only ever stores ciphertext.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<{ciphertext: Uint8Array, key: string, nonce: string, checksum: string}>}
+ * The ciphertext, the base64 raw key and nonce, and the hex SHA-256 of the ciphertext.
+ */
+export async function encryptAttachment(data) {
+  const key = await subtle().generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const nonce = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv: nonce }, key, new Uint8Array(data)));
+  const digest = await subtle().digest('SHA-256', ciphertext);
+
+  return {
+    ciphertext,
+    key: toBase64(await subtle().exportKey('raw', key)),
+    nonce: toBase64(nonce),
+    checksum: toHex(digest),
+  };
+}
+
+/**
+ * Decrypt an attachment produced by {@link encryptAttachment}.
+ * @param {ArrayBuffer|Uint8Array} ciphertext
+ * @param {{key: string, nonce: string}} secrets - The base64 key and nonce from the chat message.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decryptAttachment(ciphertext, { key, nonce }) {
+  const cryptoKey = await subtle().importKey('raw', fromBase64(key), { name: 'AES-GCM' }, false, ['decrypt']);
+
+  return new Uint8Array(await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(nonce) }, cryptoKey, ciphertext));
+}
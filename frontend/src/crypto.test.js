@@ -0,0 +1,192 @@
+import {
+  decrypt,
+  decryptAttachment,
+  deriveChatKey,
+  deriveMailbox,
+  encrypt,
+  encryptAttachment,
+  generateIdentity,
+  generatePreKeys,
+  getOrCreateIdentity,
+  keyId,
+  loadIdentity,
+  mailboxEpoch,
+  moveIdentity,
+  parseEnvelope,
+  safetyNumber,
+  seal,
+  unseal,
+  verify,
+} from './crypto';
+import { Vault, memoryBackend } from './vault';
+
+const CHAT_KEY = 'shared-session-key';
+
+async function simulateUsers() {
+  const alice = await generateIdentity();
+  const bob = await generateIdentity();
+
+  return {
+    alice,
+    bob,
+    aliceKey: await deriveChatKey(alice, bob.publicKey, CHAT_KEY),
+    bobKey: await deriveChatKey(bob, alice.publicKey, CHAT_KEY),
+  };
+}
+
+test('round-trips messages between two users in both directions', async () => {
+  const { alice, bob, aliceKey, bobKey } = await simulateUsers();
+
+  const toBob = await encrypt(aliceKey, 'hello bob', await keyId(alice.publicKey));
+  const toAlice = await encrypt(bobKey, 'hi alice ✓', await keyId(bob.publicKey));
+
+  await expect(decrypt(bobKey, toBob)).resolves.toEqual({
+    plaintext: 'hello bob',
+    senderKeyId: await keyId(alice.publicKey),
+  });
+  await expect(decrypt(aliceKey, toAlice)).resolves.toMatchObject({ plaintext: 'hi alice ✓' });
+});
+
+test('produces a versioned envelope that does not contain the plaintext', async () => {
+  const { alice, aliceKey } = await simulateUsers();
+  const envelope = await encrypt(aliceKey, 'secret words', await keyId(alice.publicKey));
+
+  expect(typeof envelope).toBe('string');
+  expect(envelope).not.toContain('secret words');
+  expect(parseEnvelope(envelope)).toEqual({
+    version: 1,
+    nonce: expect.any(String),
+    ciphertext: expect.any(String),
+    senderKeyId: await keyId(alice.publicKey),
+  });
+});
+
+test('uses a fresh nonce for every message', async () => {
+  const { aliceKey } = await simulateUsers();
+  const first = parseEnvelope(await encrypt(aliceKey, 'same', 'kid'));
+  const second = parseEnvelope(await encrypt(aliceKey, 'same', 'kid'));
+
+  expect(first.nonce).not.toBe(second.nonce);
+  expect(first.ciphertext).not.toBe(second.ciphertext);
+});
+
+test('derives a different key for each chat', async () => {
+  const { alice, bob, aliceKey } = await simulateUsers();
+  const otherChat = await deriveChatKey(bob, alice.publicKey, 'another-chat');
+  const envelope = await encrypt(aliceKey, 'only for one chat', 'kid');
+
+  await expect(decrypt(otherChat, envelope)).rejects.toThrow();
+});
+
+test('rejects envelopes that were tampered with or come from an outsider', async () => {
+  const { alice, bob, aliceKey, bobKey } = await simulateUsers();
+  const mallory = await generateIdentity();
+  const malloryKey = await deriveChatKey(mallory, bob.publicKey, CHAT_KEY);
+
+  const envelope = parseEnvelope(await encrypt(aliceKey, 'hello', await keyId(alice.publicKey)));
+  const relabelled = JSON.stringify({ ...envelope, senderKeyId: await keyId(mallory.publicKey) });
+
+  await expect(decrypt(bobKey, relabelled)).rejects.toThrow();
+  await expect(decrypt(malloryKey, JSON.stringify(envelope))).rejects.toThrow();
+});
+
+test('rejects malformed and unknown envelope versions', async () => {
+  const { bobKey } = await simulateUsers();
+
+  await expect(decrypt(bobKey, 'not json')).rejects.toThrow('Malformed envelope.');
+  await expect(decrypt(bobKey, JSON.stringify({ version: 99 }))).rejects.toThrow('Unsupported envelope version: 99');
+});
+
+test('stores the identity and reuses it', async () => {
+  const storage = window.localStorage;
+  storage.clear();
+
+  const created = await getOrCreateIdentity(storage);
+
+  expect(loadIdentity(storage)).toEqual(created);
+  await expect(getOrCreateIdentity(storage)).resolves.toEqual(created);
+});
+
+test('moves the identity out of localStorage into the vault', async () => {
+  const storage = window.localStorage;
+  const vault = new Vault({ backend: memoryBackend(), iterations: 1000, idleTimeout: 0 });
+
+  storage.clear();
+  await vault.unlock('correct horse');
+
+  const created = await getOrCreateIdentity(storage);
+
+  await expect(moveIdentity(vault, storage)).resolves.toEqual(created);
+  expect(loadIdentity(storage)).toBeNull();
+  await expect(moveIdentity(vault, storage)).resolves.toEqual(created);
+  expect(vault.get('keys', 'identity')).toEqual(created);
+});
+
+test('signs prekeys with the identity key', async () => {
+  const alice = await generateIdentity();
+  const { signedPreKey, oneTimePreKeys } = await generatePreKeys(alice, { count: 3 });
+
+  expect(oneTimePreKeys.map(({ keyId }) => keyId)).toEqual([1, 2, 3]);
+  await expect(verify(alice.publicKey, signedPreKey.publicKey, signedPreKey.signature)).resolves.toBe(true);
+  await expect(verify(oneTimePreKeys[0].publicKey, signedPreKey.publicKey, signedPreKey.signature)).resolves.toBe(false);
+});
+
+test('encrypts attachments under a fresh key with a checksum of the ciphertext', async () => {
+  const data = new TextEncoder().encode('picture bytes');
+  const first = await encryptAttachment(data);
+  const second = await encryptAttachment(data);
+  const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', first.ciphertext));
+
+  expect(first.key).not.toBe(second.key);
+  expect(first.checksum).toBe(Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join(''));
+  expect(new TextDecoder().decode(await decryptAttachment(first.ciphertext, first))).toBe('picture bytes');
+  await expect(decryptAttachment(first.ciphertext, second)).rejects.toThrow();
+});
+
+test('derives the same safety number on both sides', async () => {
+  const alice = { identifier: 'alice', publicKey: (await generateIdentity()).publicKey };
+  const bob = { identifier: 'bob', publicKey: (await generateIdentity()).publicKey };
+  const mallory = { identifier: 'bob', publicKey: (await generateIdentity()).publicKey };
+  const number = await safetyNumber(alice, bob);
+
+  expect(number).toMatch(/^(\d{5} ){11}\d{5}$/);
+  await expect(safetyNumber(bob, alice)).resolves.toBe(number);
+  await expect(safetyNumber(alice, mallory)).resolves.not.toBe(number);
+});
+
+test('derives the same sealed mailbox on both sides, rotated per recipient and period', async () => {
+  const { alice, bob } = await simulateUsers();
+  const bobKeyId = await keyId(bob.publicKey);
+  const epoch = mailboxEpoch(Date.UTC(2026, 0, 1));
+
+  const bySender = await deriveMailbox(alice, bob.publicKey, CHAT_KEY, bobKeyId, epoch);
+  const byRecipient = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, bobKeyId, epoch);
+
+  expect(bySender).toEqual(byRecipient);
+  expect(bySender.mailbox).toMatch(/^[\w-]{22}$/);
+  expect(bySender.token).toMatch(/^[\w-]{43}$/);
+  expect(bySender.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+
+  const tomorrow = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, bobKeyId, epoch + 1);
+  const alicesOwn = await deriveMailbox(bob, alice.publicKey, CHAT_KEY, await keyId(alice.publicKey), epoch);
+
+  expect(tomorrow.mailbox).not.toBe(bySender.mailbox);
+  expect(alicesOwn.token).not.toBe(bySender.token);
+});
+
+test('seals envelopes so the sender key id is only readable by the peer', async () => {
+  const { alice, aliceKey, bobKey } = await simulateUsers();
+  const senderKeyId = await keyId(alice.publicKey);
+  const envelope = await encrypt(aliceKey, 'who am i', senderKeyId);
+  const sealed = await seal(aliceKey, envelope);
+
+  expect(sealed).not.toContain(senderKeyId);
+  await expect(unseal(bobKey, sealed)).resolves.toBe(envelope);
+
+  const outsider = await generateIdentity();
+  const outsiderKey = await deriveChatKey(outsider, alice.publicKey, CHAT_KEY);
+
+  await expect(unseal(outsiderKey, sealed)).rejects.toThrow();
+  await expect(unseal(bobKey, envelope)).rejects.toThrow();
+  await expect(unseal(bobKey, 'not json')).rejects.toThrow('Malformed envelope.');
+});
@@ -0,0 +1,38 @@
+/**
+ * Preferences of this device, kept next to its identity key.
+ *
+ * Unlike the account settings they never reach the backend, since some of
+ * them decide what the backend is allowed to learn.
+ */
+
+const STORAGE_KEY = 'ciphered.preferences';
+
+const DEFAULTS = {
+  // Deliver messages to sealed mailboxes, without telling the server who sent them.
+  sealedSender: false,
+};
+
+/**
+ * Load the preferences, with defaults for those never changed.
+ * @param {Storage} [storage]
+ * @returns {{sealedSender: boolean}}
+ */
+export function loadPreferences(storage = window.localStorage) {
+  const stored = storage.getItem(STORAGE_KEY);
+
+  return { ...DEFAULTS, ...(stored ? JSON.parse(stored) : {}) };
+}
+
+/**
+ * Change some preferences and keep the others.
+ * @param {Object} changes
+ * @param {Storage} [storage]
+ * @returns {{sealedSender: boolean}} Every preference after the change.
+ */
+export function savePreferences(changes, storage = window.localStorage) {
+  const preferences = { ...loadPreferences(storage), ...changes };
+
+  storage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+
+  return preferences;
+}
@@ -0,0 +1,16 @@
+import { loadPreferences, savePreferences } from './preferences';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('defaults to delivering messages the usual way', () => {
+  expect(loadPreferences()).toEqual({ sealedSender: false });
+});
+
+test('keeps the preferences that were not changed', () => {
+  window.localStorage.setItem('ciphered.preferences', JSON.stringify({ other: 1 }));
+
+  expect(savePreferences({ sealedSender: true })).toEqual({ sealedSender: true, other: 1 });
+  expect(loadPreferences()).toEqual({ sealedSender: true, other: 1 });
+});
@@ -0,0 +1,13 @@
+import QRCode from 'qrcode';
+
+/**
+ * Render text as a QR code usable as an `<img>` source. SVG output needs no
+ * canvas, so it works the same in the browser and in tests.
+ * @param {string} text
+ * @returns {Promise<string>} A data URL.
+ */
+export async function qrCode(text) {
+  const svg = await QRCode.toString(text, { type: 'svg', margin: 1 });
+
+  return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+}
@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom ships neither WebCrypto's subtle API nor TextEncoder, so borrow Node's.
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(global, { TextEncoder, TextDecoder });
@@ -0,0 +1,44 @@
+/**
+ * Replace `fetch` with a mock routed by endpoint path. Each route returns
+ * `[status, body]` for the request body, parsed when it is JSON, and the URL.
+ * Binary bodies are answered through `arrayBuffer`.
+ * @param {Object<string, Function>} routes
+ * @returns {jest.Mock}
+ */
+export function mockFetch(routes) {
+  const mock = jest.fn(async (url, { body }) => {
+    const path = new URL(url).pathname;
+    const route = routes[path];
+
+    if (!route) {
+      throw new Error(`Unexpected request to ${path}`);
+    }
+
+    const [status, data] = await route(typeof body === 'string' ? JSON.parse(body) : body, new URL(url));
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => data,
+      arrayBuffer: async () => data,
+    };
+  });
+
+  global.fetch = mock;
+
+  return mock;
+}
+
+/**
+ * Body sent to a mocked endpoint on its n-th call.
+ */
+export const requestBody = (mock, path, call = 0) =>
+  JSON.parse(mock.mock.calls.filter(([url]) => new URL(url).pathname === path)[call][1].body);
+
+/**
+ * Routes answering the challenge/token handshake behind `authorizedPost`.
+ */
+export const authRoutes = {
+  '/challenge': () => [200, { response: 'Challenge created', data: { nonce: 'bm9uY2U=', expiresAt: Date.now() + 60 * 1000 } }],
+  '/token': () => [200, { response: 'Token issued', data: { token: 'test-token', expiresAt: Date.now() + 15 * 60 * 1000 } }],
+};
@@ -0,0 +1,393 @@
+/**
+ * Encrypted message history kept in the browser.
+ *
+ * Messages are deleted from the server once received, so this device is the
+ * only place history lives. Every record is encrypted with AES-GCM under a
+ * key derived from a passphrase with PBKDF2, and stored under an HMAC of its
+ * id, so IndexedDB never holds chat keys, identifiers or plaintext. The
+ * identity keys and contacts are moved in from localStorage on first unlock.
+ *
+ * While unlocked, records are decrypted into memory, which is what search
+ * runs over. Locking, by hand or after a while without activity, drops the
+ * keys and everything decrypted.
+ */
+
+import { fromBase64, toBase64, toBase64Url } from './crypto';
+
+export const STORES = ['conversations', 'contacts', 'keys', 'messages'];
+
+const DATABASE_NAME = 'ciphered';
+const DATABASE_VERSION = 1;
+const META_STORE = 'meta';
+const META_ID = 'vault';
+const VAULT_VERSION = 1;
+const ENCRYPTION_INFO = 'Ciphered vault encryption v1';
+const INDEX_INFO = 'Ciphered vault index v1';
+const CHECK = 'Ciphered vault check v1';
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256.
+export const PBKDF2_ITERATIONS = 600000;
+export const IDLE_TIMEOUT = 5 * 60 * 1000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const subtle = () => window.crypto.subtle;
+
+const promised = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Records kept in IndexedDB. The database is only opened on first use.
+ * @param {string} [name]
+ * @param {IDBFactory} [factory]
+ * @returns {{get: Function, all: Function, put: Function, remove: Function}}
+ */
+export function indexedDbBackend(name = DATABASE_NAME, factory = window.indexedDB) {
+  let opened = null;
+
+  const open = () => {
+    if (!opened) {
+      const request = factory.open(name, DATABASE_VERSION);
+
+      request.onupgradeneeded = () => {
+        [META_STORE, ...STORES]
+          .filter((store) => !request.result.objectStoreNames.contains(store))
+          .forEach((store) => request.result.createObjectStore(store, { keyPath: 'id' }));
+      };
+      opened = promised(request);
+    }
+
+    return opened;
+  };
+
+  const run = async (store, mode, action) => {
+    const database = await open();
+
+    return promised(action(database.transaction(store, mode).objectStore(store)));
+  };
+
+  return {
+    get: (store, id) => run(store, 'readonly', (records) => records.get(id)),
+    all: (store) => run(store, 'readonly', (records) => records.getAll()),
+    put: (store, record) => run(store, 'readwrite', (records) => records.put(record)),
+    remove: (store, id) => run(store, 'readwrite', (records) => records.delete(id)),
+  };
+}
+
+/**
+ * Records kept in memory only, for browsers without IndexedDB such as some
+ * private windows. History is then lost with the page.
+ * @returns {{get: Function, all: Function, put: Function, remove: Function}}
+ */
+export function memoryBackend() {
+  const stores = new Map([META_STORE, ...STORES].map((store) => [store, new Map()]));
+
+  return {
+    get: async (store, id) => stores.get(store).get(id),
+    all: async (store) => [...stores.get(store).values()],
+    put: async (store, record) => {
+      stores.get(store).set(record.id, record);
+    },
+    remove: async (store, id) => {
+      stores.get(store).delete(id);
+    },
+  };
+}
+
+// Case and accent insensitive form of a text, for search.
+const normalize = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLocaleLowerCase();
+
+// Text a message can be found by.
+const searchable = (message) => [message.text, message.attachment && message.attachment.name].filter(Boolean).join(' ');
+
+/**
+ * An encrypted store of conversations, contacts, keys and messages.
+ */
+export class Vault {
+  #backend;
+  #iterations;
+  #idleTimeout;
+  #keys = null;
+  #cache = new Map();
+  #sequence = 0;
+  #timer = null;
+  #listeners = new Set();
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.backend] - Where the encrypted records are kept, IndexedDB when available.
+   * @param {number} [options.iterations] - PBKDF2 iterations used when the vault is created.
+   * @param {number} [options.idleTimeout] - Milliseconds without {@link Vault#touch} before it locks, 0 to never lock.
+   */
+  constructor({
+    backend = window.indexedDB ? indexedDbBackend() : memoryBackend(),
+    iterations = PBKDF2_ITERATIONS,
+    idleTimeout = IDLE_TIMEOUT,
+  } = {}) {
+    this.#backend = backend;
+    this.#iterations = iterations;
+    this.#idleTimeout = idleTimeout;
+  }
+
+  get locked() {
+    return this.#keys === null;
+  }
+
+  /**
+   * Whether a passphrase was already chosen on this device.
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    return Boolean(await this.#backend.get(META_STORE, META_ID));
+  }
+
+  /**
+   * Derive the keys from the passphrase and decrypt every record. The first
+   * unlock creates the vault with this passphrase.
+   * @param {string} passphrase
+   * @throws {Error} When the passphrase is wrong.
+   */
+  async unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required.');
+    }
+
+    let meta = await this.#backend.get(META_STORE, META_ID);
+    let keys;
+
+    if (meta) {
+      keys = await this.#derive(passphrase, fromBase64(meta.salt), meta.iterations);
+
+      try {
+        await this.#open(keys, META_STORE, meta.check);
+      } catch {
+        throw new Error('Wrong passphrase.');
+      }
+    } else {
+      const salt = window.crypto.getRandomValues(new Uint8Array(16));
+
+      keys = await this.#derive(passphrase, salt, this.#iterations);
+      meta = { id: META_ID, version: VAULT_VERSION, salt: toBase64(salt), iterations: this.#iterations };
+      meta.check = await this.#seal(keys, META_STORE, META_ID, CHECK);
+      await this.#backend.put(META_STORE, meta);
+    }
+
+    const cache = new Map();
+    let sequence = 0;
+
+    for (const store of STORES) {
+      const records = await Promise.all((await this.#backend.all(store)).map((record) => this.#open(keys, store, record)));
+
+      cache.set(store, new Map(records.map(({ id, value }) => [id, value])));
+    }
+
+    cache.get('messages').forEach((message) => {
+      sequence = Math.max(sequence, message.sequence);
+    });
+
+    this.#keys = keys;
+    this.#cache = cache;
+    this.#sequence = sequence;
+    this.touch();
+  }
+
+  /**
+   * Forget the keys and everything decrypted, and tell the listeners.
+   */
+  lock() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    if (this.locked) {
+      return;
+    }
+
+    this.#keys = null;
+    this.#cache = new Map();
+    this.#listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Postpone the automatic lock, called on user activity.
+   */
+  touch = () => {
+    if (this.locked || !this.#idleTimeout) {
+      return;
+    }
+
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.lock(), this.#idleTimeout);
+  };
+
+  /**
+   * Call a function whenever the vault locks.
+   * @param {Function} listener
+   * @returns {Function} Removes the listener.
+   */
+  onLock(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Read one record.
+   * @param {string} store - One of {@link STORES}.
+   * @param {string} id
+   * @returns {*} The stored value, undefined when there is none.
+   */
+  get(store, id) {
+    return this.#records(store).get(id);
+  }
+
+  /**
+   * Read every record of a store.
+   * @param {string} store - One of {@link STORES}.
+   * @returns {Array}
+   */
+  all(store) {
+    return [...this.#records(store).values()];
+  }
+
+  /**
+   * Encrypt and store a record, unless it is unchanged.
+   * @param {string} store - One of {@link STORES}.
+   * @param {string} id
+   * @param {*} value - Anything JSON can represent.
+   */
+  async put(store, id, value) {
+    const records = this.#records(store);
+    const keys = this.#keys;
+
+    if (JSON.stringify(records.get(id)) === JSON.stringify(value)) {
+      return;
+    }
+
+    records.set(id, value);
+    await this.#backend.put(store, await this.#seal(keys, store, id, { id, value }));
+  }
+
+  /**
+   * Delete a record.
+   * @param {string} store - One of {@link STORES}.
+   * @param {string} id
+   */
+  async remove(store, id) {
+    this.#records(store).delete(id);
+    await this.#backend.remove(store, await this.#index(this.#keys, store, id));
+  }
+
+  /**
+   * Store a message shown in a chat, keeping its place if it was stored before.
+   * @param {string} chatKey
+   * @param {{id: string}} message
+   */
+  async addMessage(chatKey, message) {
+    const id = `${chatKey}:${message.id}`;
+    const stored = this.get('messages', id);
+
+    if (!stored) {
+      this.#sequence += 1;
+    }
+
+    await this.put('messages', id, {
+      ...message,
+      chat: chatKey,
+      storedAt: stored ? stored.storedAt : Date.now(),
+      sequence: stored ? stored.sequence : this.#sequence,
+    });
+  }
+
+  /**
+   * The stored messages of a chat, oldest first.
+   * @param {string} chatKey
+   * @returns {Object[]}
+   */
+  messages(chatKey) {
+    return this.all('messages')
+      .filter((message) => message.chat === chatKey)
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Find the messages containing every word of a query, newest first.
+   * @param {string} query
+   * @returns {Object[]} The messages, with the chat they belong to as `chat`.
+   */
+  search(query) {
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+
+    if (words.length === 0) {
+      return [];
+    }
+
+    return this.all('messages')
+      .filter((message) => {
+        const text = normalize(searchable(message));
+
+        return words.every((word) => text.includes(word));
+      })
+      .sort((a, b) => b.sequence - a.sequence);
+  }
+
+  #records(store) {
+    if (this.locked) {
+      throw new Error('The history is locked.');
+    }
+
+    if (!this.#cache.has(store)) {
+      throw new Error(`Unknown history store: ${store}`);
+    }
+
+    return this.#cache.get(store);
+  }
+
+  // One PBKDF2 run, split by HKDF into the encryption key and the key naming records.
+  async #derive(passphrase, salt, iterations) {
+    const password = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle().deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, password, 256);
+    const material = await subtle().importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+    const expand = (info, algorithm, usages) => subtle().deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) },
+      material,
+      algorithm,
+      false,
+      usages
+    );
+
+    return {
+      encryption: await expand(ENCRYPTION_INFO, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+      index: await expand(INDEX_INFO, { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+    };
+  }
+
+  async #index(keys, store, id) {
+    return toBase64Url(await subtle().sign('HMAC', keys.index, encoder.encode(`${store}:${id}`)));
+  }
+
+  // The record id is authenticated too, so records cannot be swapped around.
+  async #seal(keys, store, id, value) {
+    const recordId = store === META_STORE ? id : await this.#index(keys, store, id);
+    const nonce = window.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await subtle().encrypt(
+      { name: 'AES-GCM', iv: nonce, additionalData: encoder.encode(`${store}:${recordId}`) },
+      keys.encryption,
+      encoder.encode(JSON.stringify(value))
+    );
+
+    return { id: recordId, nonce: toBase64(nonce), ciphertext: toBase64(ciphertext) };
+  }
+
+  async #open(keys, store, record) {
+    const plaintext = await subtle().decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.nonce), additionalData: encoder.encode(`${store}:${record.id}`) },
+      keys.encryption,
+      fromBase64(record.ciphertext)
+    );
+
+    return JSON.parse(decoder.decode(plaintext));
+  }
+}
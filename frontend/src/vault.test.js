@@ -0,0 +1,110 @@
+import { STORES, Vault, memoryBackend } from './vault';
+
+const ITERATIONS = 1000;
+
+let backend;
+
+beforeEach(() => {
+  backend = memoryBackend();
+});
+
+const open = async (passphrase = 'correct horse', options = {}) => {
+  const vault = new Vault({ backend, iterations: ITERATIONS, idleTimeout: 0, ...options });
+
+  await vault.unlock(passphrase);
+
+  return vault;
+};
+
+test('creates the vault on first unlock and reopens it with the same passphrase', async () => {
+  const created = await open();
+
+  await created.put('conversations', 'chat-key', { key: 'chat-key', peer: { identifier: 'bob' } });
+  await created.addMessage('chat-key', { id: 'in-1', text: 'hello alice', mine: false });
+
+  const reopened = new Vault({ backend, iterations: ITERATIONS, idleTimeout: 0 });
+
+  await expect(reopened.exists()).resolves.toBe(true);
+  expect(reopened.locked).toBe(true);
+
+  await reopened.unlock('correct horse');
+
+  expect(reopened.get('conversations', 'chat-key')).toEqual({ key: 'chat-key', peer: { identifier: 'bob' } });
+  expect(reopened.messages('chat-key')).toMatchObject([{ id: 'in-1', text: 'hello alice', chat: 'chat-key' }]);
+});
+
+test('stores records encrypted under opaque ids', async () => {
+  const vault = await open();
+
+  await vault.put('contacts', 'bob', { identityKey: 'bob-key' });
+  await vault.addMessage('chat-key', { id: 'in-1', text: 'secret words' });
+
+  const stored = JSON.stringify(await Promise.all(['meta', ...STORES].map((store) => backend.all(store))));
+
+  ['bob', 'chat-key', 'secret words', 'in-1', 'correct horse'].forEach((clear) => expect(stored).not.toContain(clear));
+});
+
+test('refuses a wrong passphrase', async () => {
+  await open();
+
+  const vault = new Vault({ backend, iterations: ITERATIONS });
+
+  await expect(vault.unlock('wrong horse')).rejects.toThrow('Wrong passphrase.');
+  await expect(vault.unlock('')).rejects.toThrow('A passphrase is required.');
+  expect(vault.locked).toBe(true);
+});
+
+test('forgets everything decrypted when locked', async () => {
+  const vault = await open();
+  const onLock = jest.fn();
+
+  vault.onLock(onLock);
+  await vault.addMessage('chat-key', { id: 'in-1', text: 'hello' });
+  vault.lock();
+
+  expect(onLock).toHaveBeenCalledTimes(1);
+  expect(() => vault.messages('chat-key')).toThrow('The history is locked.');
+  await expect(vault.put('keys', 'identity', {})).rejects.toThrow('The history is locked.');
+});
+
+test('locks itself after a while without activity', async () => {
+  jest.useFakeTimers();
+
+  try {
+    const vault = await open('correct horse', { idleTimeout: 1000 });
+
+    jest.advanceTimersByTime(800);
+    vault.touch();
+    jest.advanceTimersByTime(800);
+    expect(vault.locked).toBe(false);
+
+    jest.advanceTimersByTime(200);
+    expect(vault.locked).toBe(true);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('keeps messages in the order they were first stored', async () => {
+  const vault = await open();
+
+  await vault.addMessage('chat-key', { id: 'out-1', text: 'first', status: 'sent' });
+  await vault.addMessage('chat-key', { id: 'in-1', text: 'second' });
+  await vault.addMessage('chat-key', { id: 'out-1', text: 'first', status: 'read' });
+  await vault.addMessage('other-key', { id: 'in-1', text: 'elsewhere' });
+
+  expect(vault.messages('chat-key').map(({ text, status }) => [text, status])).toEqual([['first', 'read'], ['second', undefined]]);
+});
+
+test('searches decrypted messages regardless of case and accents', async () => {
+  const vault = await open();
+
+  await vault.addMessage('chat-key', { id: 'in-1', text: 'Meet at the Café tomorrow' });
+  await vault.addMessage('other-key', { id: 'in-1', text: 'the cafe is closed' });
+  await vault.addMessage('other-key', { id: 'in-2', attachment: { name: 'cafe-menu.pdf' } });
+  await vault.addMessage('other-key', { id: 'in-3', text: 'tomorrow then' });
+
+  expect(vault.search('CAFE').map(({ chat, id }) => `${chat}:${id}`)).toEqual(['other-key:in-2', 'other-key:in-1', 'chat-key:in-1']);
+  expect(vault.search('café tomorrow').map(({ text }) => text)).toEqual(['Meet at the Café tomorrow']);
+  expect(vault.search('  ')).toEqual([]);
+});